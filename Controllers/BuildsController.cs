@@ -0,0 +1,77 @@
+using Microsoft.AspNetCore.Mvc;
+using Microsoft.AspNetCore.RateLimiting;
+using OfficeVersionsCore.Services;
+using OfficeVersionsCore.Models;
+
+namespace OfficeVersionsCore.Controllers
+{
+    /// <summary>
+    /// API Controller for resolving Windows and Office build numbers
+    /// </summary>
+    [ApiController]
+    [Route("api/builds")]
+    [Produces("application/json")]
+    [EnableRateLimiting("api-strict")]  // Secondary defense; primary rate limiting via APIM
+    public class BuildsController : ControllerBase
+    {
+        private readonly IBuildLookupService _buildLookupService;
+        private readonly ILogger<BuildsController> _logger;
+
+        public BuildsController(IBuildLookupService buildLookupService, ILogger<BuildsController> logger)
+        {
+            _buildLookupService = buildLookupService;
+            _logger = logger;
+        }
+
+        /// <summary>
+        /// Resolves a Windows or Office build number
+        /// </summary>
+        /// <param name="build">Windows build (e.g., "26100.4349" or "10.0.26100.4349") or Office build (e.g., "17928.20156" or "16.0.17928.20156")</param>
+        /// <returns>Every release the build matches, with product, edition, feature version, KB, channel and support status</returns>
+        [HttpGet("{build}")]
+        public async Task<ActionResult<ApiResponse<List<BuildLookupResult>>>> Lookup(string build)
+        {
+            if (!_buildLookupService.IsRecognizedBuildFormat(build))
+            {
+                _logger.LogWarning("Rejected build lookup with unrecognized format: {Build}", build);
+                return BadRequest(new ApiResponse<List<BuildLookupResult>>
+                {
+                    Success = false,
+                    Message = "Unrecognized build format. Use a Windows build such as 26100.4349 or an Office build such as 16.0.17928.20156.",
+                    Data = new List<BuildLookupResult>(),
+                    Source = "API"
+                });
+            }
+
+            try
+            {
+                var response = await _buildLookupService.LookupAsync(build);
+
+                if (!response.Success)
+                {
+                    return StatusCode(500, response);
+                }
+
+                if (response.Data == null || response.Data.Count == 0)
+                {
+                    _logger.LogWarning("No release found for build {Build}", build);
+                    return NotFound(response);
+                }
+
+                return Ok(response);
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, "Error looking up build {Build}", build);
+                return StatusCode(500, new ApiResponse<List<BuildLookupResult>>
+                {
+                    Success = false,
+                    Message = $"Internal server error: {ex.Message}",
+                    Data = null,
+                    Timestamp = DateTime.UtcNow,
+                    Source = "API"
+                });
+            }
+        }
+    }
+}
@@ -0,0 +1,72 @@
+using Microsoft.AspNetCore.Mvc;
+using Microsoft.AspNetCore.RateLimiting;
+using OfficeVersionsCore.Infrastructure;
+using OfficeVersionsCore.Services;
+
+namespace OfficeVersionsCore.Controllers
+{
+    /// <summary>
+    /// Serves subscribable iCalendar feeds of Patch Tuesdays and end-of-servicing dates
+    /// e.g. /calendar/windows11.ics or /calendar/office-mec.ics
+    /// </summary>
+    [Route("calendar")]
+    [ApiController]
+    [EnableRateLimiting("api-per-ip")]  // Calendar apps poll subscriptions, so each client gets its own permits
+    [ConditionalGet(ReleaseDataSet.WindowsVersions, ReleaseDataSet.Office365, VaryByDate = true, MaxAgeSeconds = 3600)]
+    public class CalendarController : ControllerBase
+    {
+        private readonly ICalendarService _calendarService;
+        private readonly ILogger<CalendarController> _logger;
+
+        public CalendarController(ICalendarService calendarService, ILogger<CalendarController> logger)
+        {
+            _calendarService = calendarService;
+            _logger = logger;
+        }
+
+        /// <summary>
+        /// Gets an iCalendar feed
+        /// </summary>
+        /// <param name="feed">all, patch-tuesday, windows, windows10, windows11, windows-server, office, office-cc, office-cc-preview, office-mec, office-sac or office-sac-preview</param>
+        /// <returns>text/calendar content</returns>
+        [HttpGet("{feed}.ics")]
+        [Produces("text/calendar")]
+        public async Task<ContentResult> GetFeed(string feed)
+        {
+            if (!_calendarService.IsKnownFeed(feed))
+            {
+                _logger.LogWarning("Requested unknown calendar feed: {Feed}", feed);
+                return new ContentResult
+                {
+                    Content = $"Unknown calendar feed. Available feeds: {string.Join(", ", _calendarService.FeedNames.Select(f => $"{f}.ics"))}",
+                    ContentType = "text/plain",
+                    StatusCode = 404
+                };
+            }
+
+            try
+            {
+                var calendar = await _calendarService.BuildFeedAsync(feed);
+
+                Response.Headers.Append("Content-Disposition", $"inline; filename=\"{feed.ToLowerInvariant()}.ics\"");
+
+                return new ContentResult
+                {
+                    Content = calendar,
+                    ContentType = "text/calendar; charset=utf-8",
+                    StatusCode = 200
+                };
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, "Error building calendar feed {Feed}", feed);
+                return new ContentResult
+                {
+                    Content = $"Error building calendar feed: {ex.Message}",
+                    ContentType = "text/plain",
+                    StatusCode = 500
+                };
+            }
+        }
+    }
+}
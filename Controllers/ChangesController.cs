@@ -0,0 +1,78 @@
+using Microsoft.AspNetCore.Mvc;
+using Microsoft.AspNetCore.RateLimiting;
+using OfficeVersionsCore.Services;
+using OfficeVersionsCore.Models;
+
+namespace OfficeVersionsCore.Controllers
+{
+    /// <summary>
+    /// API Controller for the change history recorded by the Windows and Office scrapers
+    /// </summary>
+    [ApiController]
+    [Route("api/changes")]
+    [Produces("application/json")]
+    [EnableRateLimiting("api-strict")]  // Secondary defense; primary rate limiting via APIM
+    public class ChangesController : ControllerBase
+    {
+        private readonly IChangeHistoryService _changeHistoryService;
+        private readonly ILogger<ChangesController> _logger;
+
+        public ChangesController(IChangeHistoryService changeHistoryService, ILogger<ChangesController> logger)
+        {
+            _changeHistoryService = changeHistoryService;
+            _logger = logger;
+        }
+
+        /// <summary>
+        /// Gets added, removed and modified builds/KBs detected by scraper runs, newest first
+        /// </summary>
+        /// <param name="since">Only runs at or after this date/time (UTC when no offset is given); defaults to 30 days ago</param>
+        /// <param name="product">Optional filter: "Windows", "Microsoft 365 Apps" or a Windows edition such as "Windows 11"</param>
+        /// <param name="type">Optional change type filter: added, removed or modified</param>
+        /// <returns>Change records with field-level old/new values for modified rows</returns>
+        [HttpGet]
+        public async Task<ActionResult<ApiResponse<List<ChangeRecord>>>> GetChanges(
+            [FromQuery] DateTime? since = null,
+            [FromQuery] string? product = null,
+            [FromQuery] string? type = null)
+        {
+            try
+            {
+                if (!string.IsNullOrWhiteSpace(type) &&
+                    !new[] { ReleaseChangeTypes.Added, ReleaseChangeTypes.Removed, ReleaseChangeTypes.Modified }
+                        .Contains(type.Trim(), StringComparer.OrdinalIgnoreCase))
+                {
+                    return BadRequest(new ApiResponse<List<ChangeRecord>>
+                    {
+                        Success = false,
+                        Message = "Invalid type. Use added, removed or modified.",
+                        Data = null,
+                        Timestamp = DateTime.UtcNow,
+                        Source = "API"
+                    });
+                }
+
+                var response = await _changeHistoryService.GetChangesAsync(since ?? DateTime.UtcNow.AddDays(-30), product, type);
+
+                if (!response.Success)
+                {
+                    return StatusCode(500, response);
+                }
+
+                return Ok(response);
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, "Error retrieving change history");
+                return StatusCode(500, new ApiResponse<List<ChangeRecord>>
+                {
+                    Success = false,
+                    Message = $"Internal server error: {ex.Message}",
+                    Data = null,
+                    Timestamp = DateTime.UtcNow,
+                    Source = "API"
+                });
+            }
+        }
+    }
+}
@@ -0,0 +1,83 @@
+using Microsoft.AspNetCore.Mvc;
+using Microsoft.AspNetCore.RateLimiting;
+using OfficeVersionsCore.Infrastructure;
+using OfficeVersionsCore.Services;
+
+namespace OfficeVersionsCore.Controllers
+{
+    /// <summary>
+    /// Serves RSS 2.0 and Atom feeds of new Office builds and Windows KBs
+    /// e.g. /feeds/windows11.rss or /feeds/office-mec.atom
+    /// </summary>
+    [Route("feeds")]
+    [ApiController]
+    [EnableRateLimiting("api-per-ip")]  // Feed readers poll, so each client gets its own permits
+    [ConditionalGet(ReleaseDataSet.WindowsVersions, ReleaseDataSet.Office365, MaxAgeSeconds = 300)]
+    public class FeedsController : ControllerBase
+    {
+        private readonly IFeedService _feedService;
+        private readonly IConfiguration _configuration;
+        private readonly ILogger<FeedsController> _logger;
+
+        public FeedsController(IFeedService feedService, IConfiguration configuration, ILogger<FeedsController> logger)
+        {
+            _feedService = feedService;
+            _configuration = configuration;
+            _logger = logger;
+        }
+
+        /// <summary>
+        /// Gets an RSS 2.0 feed
+        /// </summary>
+        /// <param name="feed">windows, windows10, windows11, server2016, server2019, server2022, server2025, office, office-cc, office-mec or office-sac</param>
+        [HttpGet("{feed}.rss")]
+        public Task<ContentResult> GetRss(string feed) =>
+            GetFeedAsync(feed, FeedFormat.Rss, "application/rss+xml; charset=utf-8");
+
+        /// <summary>
+        /// Gets an Atom feed
+        /// </summary>
+        /// <param name="feed">windows, windows10, windows11, server2016, server2019, server2022, server2025, office, office-cc, office-mec or office-sac</param>
+        [HttpGet("{feed}.atom")]
+        public Task<ContentResult> GetAtom(string feed) =>
+            GetFeedAsync(feed, FeedFormat.Atom, "application/atom+xml; charset=utf-8");
+
+        private async Task<ContentResult> GetFeedAsync(string feed, FeedFormat format, string contentType)
+        {
+            if (!_feedService.IsKnownFeed(feed))
+            {
+                _logger.LogWarning("Requested unknown feed: {Feed}", feed);
+                return new ContentResult
+                {
+                    Content = $"Unknown feed. Available feeds: {string.Join(", ", _feedService.FeedNames)} (.rss or .atom)",
+                    ContentType = "text/plain",
+                    StatusCode = 404
+                };
+            }
+
+            try
+            {
+                // Links in the feed point back to the site, so use the configured public URL when available
+                var baseUrl = (_configuration["SiteUrl"] ?? $"{Request.Scheme}://{Request.Host}").TrimEnd('/');
+                var content = await _feedService.BuildFeedAsync(feed, format, baseUrl);
+
+                return new ContentResult
+                {
+                    Content = content,
+                    ContentType = contentType,
+                    StatusCode = 200
+                };
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, "Error building {Format} feed {Feed}", format, feed);
+                return new ContentResult
+                {
+                    Content = $"Error building feed: {ex.Message}",
+                    ContentType = "text/plain",
+                    StatusCode = 500
+                };
+            }
+        }
+    }
+}
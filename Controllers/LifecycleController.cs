@@ -0,0 +1,66 @@
+using Microsoft.AspNetCore.Mvc;
+using Microsoft.AspNetCore.RateLimiting;
+using OfficeVersionsCore.Services;
+using OfficeVersionsCore.Models;
+
+namespace OfficeVersionsCore.Controllers
+{
+    /// <summary>
+    /// API Controller for Windows and Microsoft 365 Apps support lifecycle dates
+    /// </summary>
+    [ApiController]
+    [Route("api/lifecycle")]
+    [Produces("application/json")]
+    [EnableRateLimiting("api-strict")]  // Secondary defense; primary rate limiting via APIM
+    public class LifecycleController : ControllerBase
+    {
+        private readonly ILifecycleService _lifecycleService;
+        private readonly ILogger<LifecycleController> _logger;
+
+        public LifecycleController(ILifecycleService lifecycleService, ILogger<LifecycleController> logger)
+        {
+            _lifecycleService = lifecycleService;
+            _logger = logger;
+        }
+
+        /// <summary>
+        /// Gets the support lifecycle of every Windows client/server version and in-service Office channel version
+        /// </summary>
+        /// <param name="family">Optional family filter: "Windows 10", "Windows 11", "Windows Server" or "Microsoft 365 Apps"</param>
+        /// <returns>Timeline entries with availability date, end-of-servicing milestones and support status</returns>
+        [HttpGet]
+        public async Task<ActionResult<ApiResponse<List<LifecycleTimelineEntry>>>> GetTimeline([FromQuery] string? family = null)
+        {
+            try
+            {
+                var response = await _lifecycleService.GetTimelineAsync();
+
+                if (!response.Success)
+                {
+                    return StatusCode(500, response);
+                }
+
+                if (!string.IsNullOrWhiteSpace(family) && response.Data != null)
+                {
+                    response.Data = response.Data
+                        .Where(e => e.Family.Equals(family.Trim(), StringComparison.OrdinalIgnoreCase))
+                        .ToList();
+                }
+
+                return Ok(response);
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, "Error retrieving lifecycle timeline");
+                return StatusCode(500, new ApiResponse<List<LifecycleTimelineEntry>>
+                {
+                    Success = false,
+                    Message = $"Internal server error: {ex.Message}",
+                    Data = null,
+                    Timestamp = DateTime.UtcNow,
+                    Source = "API"
+                });
+            }
+        }
+    }
+}
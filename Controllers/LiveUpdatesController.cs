@@ -0,0 +1,106 @@
+using System.Text.Json;
+using Microsoft.AspNetCore.Http.Features;
+using Microsoft.AspNetCore.Mvc;
+using Microsoft.AspNetCore.RateLimiting;
+using OfficeVersionsCore.Services;
+using OfficeVersionsCore.Models;
+
+namespace OfficeVersionsCore.Controllers
+{
+    /// <summary>
+    /// Server-Sent Events stream announcing scraper completions and newly detected releases
+    /// </summary>
+    [ApiController]
+    [Route("api/live")]
+    [DisableRateLimiting]  // LiveUpdateService caps open streams (LiveUpdates:MaxConnections); a 429 would end an EventSource for good
+    public class LiveUpdatesController : ControllerBase
+    {
+        private static readonly TimeSpan HeartbeatInterval = TimeSpan.FromSeconds(25);
+        private const int ReconnectDelayMs = 10000;
+
+        private static readonly JsonSerializerOptions _jsonOptions = new(JsonSerializerDefaults.Web);
+
+        private readonly ILiveUpdateService _liveUpdateService;
+        private readonly ILogger<LiveUpdatesController> _logger;
+
+        public LiveUpdatesController(ILiveUpdateService liveUpdateService, ILogger<LiveUpdatesController> logger)
+        {
+            _liveUpdateService = liveUpdateService;
+            _logger = logger;
+        }
+
+        /// <summary>
+        /// Opens a text/event-stream. Events are "scrape.completed" (a dataset was rewritten; refetch it) and
+        /// "releases.detected" (with the new builds/KBs). Reconnecting clients send Last-Event-ID to receive missed events.
+        /// </summary>
+        [HttpGet]
+        [Produces("text/event-stream")]
+        public async Task Stream(CancellationToken cancellationToken)
+        {
+            long? lastEventId = long.TryParse(Request.Headers["Last-Event-ID"].FirstOrDefault(), out var parsed) ? parsed : null;
+
+            using var subscription = _liveUpdateService.Subscribe(lastEventId);
+            if (subscription == null)
+            {
+                Response.StatusCode = StatusCodes.Status503ServiceUnavailable;
+                Response.Headers.RetryAfter = "60";
+                return;
+            }
+
+            HttpContext.Features.Get<IHttpResponseBodyFeature>()?.DisableBuffering();
+            Response.ContentType = "text/event-stream";
+            Response.Headers.CacheControl = "no-cache";
+            Response.Headers["X-Accel-Buffering"] = "no"; // Keep reverse proxies from buffering the stream
+
+            try
+            {
+                await Response.WriteAsync($"retry: {ReconnectDelayMs}\n\n", cancellationToken);
+                foreach (var missed in subscription.Missed)
+                {
+                    await WriteEventAsync(missed, cancellationToken);
+                }
+                await Response.Body.FlushAsync(cancellationToken);
+
+                while (!cancellationToken.IsCancellationRequested)
+                {
+                    using var heartbeat = CancellationTokenSource.CreateLinkedTokenSource(cancellationToken);
+                    heartbeat.CancelAfter(HeartbeatInterval);
+
+                    try
+                    {
+                        if (!await subscription.Reader.WaitToReadAsync(heartbeat.Token))
+                        {
+                            break;
+                        }
+
+                        while (subscription.Reader.TryRead(out var liveEvent))
+                        {
+                            await WriteEventAsync(liveEvent, cancellationToken);
+                        }
+                    }
+                    catch (OperationCanceledException) when (!cancellationToken.IsCancellationRequested)
+                    {
+                        // Comment line keeps idle connections open through proxies and load balancers
+                        await Response.WriteAsync(": keep-alive\n\n", cancellationToken);
+                    }
+
+                    await Response.Body.FlushAsync(cancellationToken);
+                }
+            }
+            catch (OperationCanceledException)
+            {
+                // Client disconnected
+            }
+            catch (Exception ex)
+            {
+                _logger.LogWarning(ex, "Live update stream ended with an error");
+            }
+        }
+
+        private Task WriteEventAsync(LiveUpdateEvent liveEvent, CancellationToken cancellationToken)
+        {
+            var data = JsonSerializer.Serialize(liveEvent, _jsonOptions);
+            return Response.WriteAsync($"id: {liveEvent.Id}\nevent: {liveEvent.Type}\ndata: {data}\n\n", cancellationToken);
+        }
+    }
+}
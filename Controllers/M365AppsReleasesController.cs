@@ -1,5 +1,6 @@
 using Microsoft.AspNetCore.Mvc;
 using Microsoft.AspNetCore.RateLimiting;
+using OfficeVersionsCore.Infrastructure;
 using OfficeVersionsCore.Services;
 using OfficeVersionsCore.Models;
 
@@ -11,8 +12,11 @@ namespace OfficeVersionsCore.Controllers
     /// </summary>
     [ApiController]
     [Route("api/[controller]")]
-    [Produces("application/json")]
-    [EnableRateLimiting("api-strict")]  // Secondary defense; primary rate limiting via APIM
+    [Produces("application/json", CsvOutputFormatter.MediaType, NdjsonOutputFormatter.MediaType)]
+    [FormatFilter]  // ?format=csv|ndjson|json overrides the Accept header
+    [TabularOutput]
+    [EnableRateLimiting("api-per-ip")]  // Dashboards refetch these on every live update, so each client gets its own permits
+    [ConditionalGet(ReleaseDataSet.Office365)]
     public class M365AppsReleasesController : ControllerBase
     {
         private readonly IOffice365Service _office365Service;
@@ -1,4 +1,5 @@
 using System.Text.Json;
+using System.Threading.Channels;
 using Microsoft.AspNetCore.Mvc;
 using Microsoft.AspNetCore.RateLimiting;
 using OfficeVersionsCore.Models;
@@ -7,7 +8,8 @@ using OfficeVersionsCore.Services;
 namespace OfficeVersionsCore.Controllers
 {
     /// <summary>
-    /// Minimal HTTP-based MCP endpoint for AI clients and API Management.
+    /// MCP endpoint for AI clients and API Management, implementing the Streamable HTTP transport:
+    /// Mcp-Session-Id sessions, JSON-RPC batches, SSE responses with progress notifications and cancellation.
     /// </summary>
     [ApiController]
     [Route("mcp")]
@@ -15,107 +17,209 @@ namespace OfficeVersionsCore.Controllers
     [EnableRateLimiting("api")]
     public class McpController : ControllerBase
     {
-        private const string ProtocolVersion = "2025-06-18";
         private const string ServerName = "officeversions-core-mcp";
         private const string ServerVersion = "1.0.0";
+        private const string SessionHeader = "Mcp-Session-Id";
+        private const string ProtocolVersionHeader = "MCP-Protocol-Version";
+
+        // JSON-RPC error code the MCP spec uses for unknown resource URIs
+        private const int ResourceNotFound = -32002;
+
+        // JSON-RPC error code returned with 404 for an unknown or expired session
+        private const int SessionNotFound = -32001;
+
+        // Newest first; initialize answers with the client's version when supported, otherwise the newest
+        private static readonly string[] SupportedProtocolVersions = { "2025-06-18", "2025-03-26" };
+
+        private static readonly TimeSpan HeartbeatInterval = TimeSpan.FromSeconds(25);
+
+        // Matches the MVC output (camelCase) for messages written to SSE streams
+        private static readonly JsonSerializerOptions _jsonOptions = new(JsonSerializerDefaults.Web);
 
         private readonly ILogger<McpController> _logger;
-        private readonly IOffice365Service _office365Service;
-        private readonly IWindowsVersionsService _windowsVersionsService;
+        private readonly IMcpToolService _toolService;
+        private readonly IMcpResourceService _resourceService;
+        private readonly IMcpSubscriptionService _subscriptionService;
+        private readonly IMcpPromptService _promptService;
+        private readonly IMcpSessionService _sessionService;
 
         public McpController(
             ILogger<McpController> logger,
-            IOffice365Service office365Service,
-            IWindowsVersionsService windowsVersionsService)
+            IMcpToolService toolService,
+            IMcpResourceService resourceService,
+            IMcpSubscriptionService subscriptionService,
+            IMcpPromptService promptService,
+            IMcpSessionService sessionService)
         {
             _logger = logger;
-            _office365Service = office365Service;
-            _windowsVersionsService = windowsVersionsService;
+            _toolService = toolService;
+            _resourceService = resourceService;
+            _subscriptionService = subscriptionService;
+            _promptService = promptService;
+            _sessionService = sessionService;
         }
 
         /// <summary>
-        /// Streamable HTTP transport does not expose a server-initiated SSE stream on GET.
-        /// Per the MCP spec, return 405 Method Not Allowed for GET on the MCP endpoint.
+        /// Server-initiated SSE stream of the session in the Mcp-Session-Id header, carrying
+        /// notifications/resources/updated for the resources it subscribed to. Without a session there is nothing
+        /// to stream, so per the MCP spec GET returns 405 Method Not Allowed; an unknown session returns 404.
         /// </summary>
         [HttpGet]
-        public IActionResult GetServerInfo()
+        [Produces("text/event-stream")]
+        public async Task GetNotificationStream(CancellationToken cancellationToken)
+        {
+            var sessionId = Request.Headers[SessionHeader].FirstOrDefault();
+            if (string.IsNullOrEmpty(sessionId))
+            {
+                Response.Headers.Allow = "POST, DELETE";
+                Response.StatusCode = StatusCodes.Status405MethodNotAllowed;
+                return;
+            }
+
+            if (_sessionService.Get(sessionId) == null)
+            {
+                Response.StatusCode = StatusCodes.Status404NotFound;
+                return;
+            }
+
+            var notifications = _subscriptionService.GetNotifications(sessionId);
+            StartEventStream();
+
+            try
+            {
+                await Response.Body.FlushAsync(cancellationToken);
+
+                while (!cancellationToken.IsCancellationRequested)
+                {
+                    using var heartbeat = CancellationTokenSource.CreateLinkedTokenSource(cancellationToken);
+                    heartbeat.CancelAfter(HeartbeatInterval);
+
+                    try
+                    {
+                        if (!await notifications.WaitToReadAsync(heartbeat.Token))
+                        {
+                            break; // Session terminated
+                        }
+
+                        while (notifications.TryRead(out var notification))
+                        {
+                            await WriteEventAsync(notification, cancellationToken);
+                        }
+                    }
+                    catch (OperationCanceledException) when (!cancellationToken.IsCancellationRequested)
+                    {
+                        // An open stream keeps its session from expiring
+                        if (_sessionService.Get(sessionId) == null)
+                        {
+                            break;
+                        }
+
+                        await Response.WriteAsync(": keep-alive\n\n", cancellationToken);
+                        await Response.Body.FlushAsync(cancellationToken);
+                    }
+                }
+            }
+            catch (OperationCanceledException)
+            {
+                // Client disconnected
+            }
+            catch (Exception ex)
+            {
+                _logger.LogWarning(ex, "MCP notification stream ended with an error");
+            }
+        }
+
+        /// <summary>
+        /// Ends the session in the Mcp-Session-Id header: in-flight requests are cancelled and subscriptions dropped.
+        /// </summary>
+        [HttpDelete]
+        public IActionResult DeleteSession()
         {
-            Response.Headers.Allow = "POST";
-            return StatusCode(StatusCodes.Status405MethodNotAllowed);
+            var sessionId = Request.Headers[SessionHeader].FirstOrDefault();
+            if (string.IsNullOrEmpty(sessionId))
+            {
+                return BadRequest(CreateErrorResponse(null, -32600, $"Missing {SessionHeader} header"));
+            }
+
+            return _sessionService.Terminate(sessionId)
+                ? NoContent()
+                : NotFound(CreateErrorResponse(null, SessionNotFound, "Session not found"));
         }
 
         /// <summary>
-        /// Handles JSON-RPC style MCP requests over HTTP.
+        /// Handles a JSON-RPC message or batch (array) of messages. Notifications only are answered with
+        /// 202 Accepted. When the client accepts text/event-stream, tool calls are answered over SSE so
+        /// notifications/progress can be sent before the response; otherwise the response is JSON.
         /// </summary>
         [HttpPost]
         public async Task<IActionResult> Post([FromBody] JsonElement? payload)
         {
             try
             {
-                if (payload is null || payload.Value.ValueKind == JsonValueKind.Undefined)
+                if (payload is null || (payload.Value.ValueKind != JsonValueKind.Object && payload.Value.ValueKind != JsonValueKind.Array))
                 {
                     return BadRequest(CreateErrorResponse(null, -32600, "Invalid Request"));
                 }
 
-                if (!payload.Value.TryGetProperty("jsonrpc", out var jsonrpcElement) ||
-                    jsonrpcElement.ValueKind != JsonValueKind.String ||
-                    jsonrpcElement.GetString() != "2.0")
+                var isBatch = payload.Value.ValueKind == JsonValueKind.Array;
+                var messages = isBatch ? payload.Value.EnumerateArray().ToList() : new List<JsonElement> { payload.Value };
+                if (messages.Count == 0)
                 {
-                    return BadRequest(CreateErrorResponse(GetRequestId(payload.Value), -32600, "Invalid JSON-RPC request"));
+                    return BadRequest(CreateErrorResponse(null, -32600, "Empty batch"));
                 }
 
-                if (!payload.Value.TryGetProperty("method", out var methodElement) ||
-                    methodElement.ValueKind != JsonValueKind.String)
+                // Malformed single messages keep failing with 400; in a batch each gets its own error response
+                if (!isBatch && ValidateMessage(payload.Value) is { } invalid)
                 {
-                    return BadRequest(CreateErrorResponse(GetRequestId(payload.Value), -32600, "Missing method"));
+                    return BadRequest(invalid);
                 }
 
-                var method = methodElement.GetString();
-                var requestId = GetRequestId(payload.Value);
-                var parameters = payload.Value.TryGetProperty("params", out var parametersElement)
-                    ? parametersElement
-                    : default;
+                var protocolVersion = Request.Headers[ProtocolVersionHeader].FirstOrDefault();
+                if (!string.IsNullOrEmpty(protocolVersion) && !SupportedProtocolVersions.Contains(protocolVersion))
+                {
+                    return BadRequest(CreateErrorResponse(null, -32600, $"Unsupported {ProtocolVersionHeader} '{protocolVersion}'",
+                        new { supported = SupportedProtocolVersions }));
+                }
 
-                // JSON-RPC notifications (no "id" member, e.g. notifications/initialized)
-                // must be accepted without a response body per the MCP Streamable HTTP transport.
-                if (!payload.Value.TryGetProperty("id", out _))
+                // Requests without the header are served statelessly; subscriptions and cancellation need a session
+                McpSession? session = null;
+                var sessionId = Request.Headers[SessionHeader].FirstOrDefault();
+                var isInitialize = !isBatch && GetMethod(payload.Value) == "initialize";
+                if (!string.IsNullOrEmpty(sessionId) && !isInitialize)
                 {
-                    return StatusCode(StatusCodes.Status202Accepted);
+                    session = _sessionService.Get(sessionId);
+                    if (session == null)
+                    {
+                        // Tells the client to start a new session with initialize
+                        return NotFound(CreateErrorResponse(null, SessionNotFound, "Session not found"));
+                    }
                 }
 
-                switch (method)
+                var aborted = HttpContext.RequestAborted;
+
+                if (AcceptsEventStream() && messages.Any(m => IsRequest(m) && GetMethod(m) == "tools/call"))
                 {
-                    case "initialize":
-                        return Ok(CreateSuccessResponse(requestId, new
-                        {
-                            protocolVersion = ProtocolVersion,
-                            capabilities = new
-                            {
-                                tools = new { listChanged = false }
-                            },
-                            serverInfo = new
-                            {
-                                name = ServerName,
-                                version = ServerVersion
-                            }
-                        }));
-
-                    case "ping":
-                        return Ok(CreateSuccessResponse(requestId, new { ok = true }));
-
-                    case "tools/list":
-                        return Ok(CreateSuccessResponse(requestId, new
-                        {
-                            tools = GetToolDefinitions()
-                        }));
+                    await StreamResponsesAsync(messages, isBatch, session, aborted);
+                    return new EmptyResult();
+                }
 
-                    case "tools/call":
-                        var toolResult = await ExecuteToolCallAsync(parameters);
-                        return Ok(CreateSuccessResponse(requestId, toolResult));
+                var responses = new List<object>();
+                foreach (var message in messages)
+                {
+                    var response = await HandleMessageAsync(message, isBatch, session, null, aborted);
+                    if (response != null)
+                    {
+                        responses.Add(response);
+                    }
+                }
 
-                    default:
-                        return Ok(CreateErrorResponse(requestId, -32601, "Method not found"));
+                // Notifications (e.g. notifications/initialized) and cancelled requests have no response body
+                if (responses.Count == 0)
+                {
+                    return StatusCode(StatusCodes.Status202Accepted);
                 }
+
+                return Ok(isBatch ? responses : responses[0]);
             }
             catch (Exception ex)
             {
@@ -124,211 +228,394 @@ namespace OfficeVersionsCore.Controllers
             }
         }
 
-        private async Task<object> ExecuteToolCallAsync(JsonElement parameters)
+        /// <summary>
+        /// Answers a POST over SSE: progress notifications are written as the tools report them, followed by the
+        /// responses, then the stream is closed.
+        /// </summary>
+        private async Task StreamResponsesAsync(List<JsonElement> messages, bool isBatch, McpSession? session, CancellationToken aborted)
         {
-            if (parameters.ValueKind != JsonValueKind.Object)
+            var outgoing = Channel.CreateUnbounded<object>(new UnboundedChannelOptions { SingleReader = true });
+
+            async Task ProcessAsync()
             {
-                return new
+                try
                 {
-                    content = new[]
+                    foreach (var message in messages)
                     {
-                        new { type = "text", text = "Missing tool parameters" }
-                    },
-                    isError = true
-                };
+                        var response = await HandleMessageAsync(message, isBatch, session, notification => outgoing.Writer.TryWrite(notification), aborted);
+                        if (response != null)
+                        {
+                            outgoing.Writer.TryWrite(response);
+                        }
+                    }
+                }
+                finally
+                {
+                    outgoing.Writer.TryComplete();
+                }
             }
 
-            if (!parameters.TryGetProperty("name", out var nameElement) || nameElement.ValueKind != JsonValueKind.String)
+            StartEventStream();
+            var processing = ProcessAsync();
+
+            try
             {
-                return new
+                await foreach (var message in outgoing.Reader.ReadAllAsync(aborted))
                 {
-                    content = new[]
-                    {
-                        new { type = "text", text = "Missing tool name" }
-                    },
-                    isError = true
-                };
+                    await WriteEventAsync(message, aborted);
+                }
+            }
+            catch (OperationCanceledException)
+            {
+                // Client disconnected; the linked request tokens cancel the running tools
             }
 
-            var toolName = nameElement.GetString();
-            var arguments = parameters.TryGetProperty("arguments", out var argumentsElement)
-                ? argumentsElement
+            await processing;
+        }
+
+        /// <summary>
+        /// Handles one message of a POST. Returns the JSON-RPC response, or null for notifications and cancelled
+        /// requests, which get none.
+        /// </summary>
+        private async Task<object?> HandleMessageAsync(
+            JsonElement message,
+            bool isBatch,
+            McpSession? session,
+            Action<object>? notify,
+            CancellationToken aborted)
+        {
+            if (ValidateMessage(message) is { } invalid)
+            {
+                return invalid;
+            }
+
+            var method = GetMethod(message)!;
+            var parameters = message.TryGetProperty("params", out var parametersElement)
+                ? parametersElement
                 : default;
 
-            return toolName switch
+            if (!message.TryGetProperty("id", out var idElement))
             {
-                "get_site_overview" => await GetSiteOverviewAsync(),
-                "get_latest_office_versions" => await GetLatestOfficeVersionsAsync(),
-                "get_office_channel_latest" => await GetOfficeChannelLatestAsync(arguments),
-                "get_windows_latest_version" => await GetWindowsLatestVersionAsync(arguments),
-                _ => new
-                {
-                    content = new[]
+                HandleNotification(method, parameters, session);
+                return null;
+            }
+
+            var requestId = GetRequestId(message);
+            var requestKey = idElement.GetRawText();
+
+            if (method == "initialize" && isBatch)
+            {
+                return CreateErrorResponse(requestId, -32600, "initialize must not be part of a JSON-RPC batch");
+            }
+
+            using var cancellation = session?.BeginRequest(requestKey, aborted)
+                ?? CancellationTokenSource.CreateLinkedTokenSource(aborted);
+
+            try
+            {
+                return await DispatchAsync(method, requestId, parameters, session, notify, cancellation.Token);
+            }
+            catch (OperationCanceledException) when (cancellation.IsCancellationRequested)
+            {
+                _logger.LogInformation("MCP request {RequestId} ({Method}) cancelled", requestKey, method);
+                return null;
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, "MCP request {Method} failed", method);
+                return CreateErrorResponse(requestId, -32603, "Internal error");
+            }
+            finally
+            {
+                session?.EndRequest(requestKey);
+            }
+        }
+
+        private async Task<object> DispatchAsync(
+            string method,
+            object? requestId,
+            JsonElement parameters,
+            McpSession? session,
+            Action<object>? notify,
+            CancellationToken cancellationToken)
+        {
+            switch (method)
+            {
+                case "initialize":
+                    return Initialize(requestId, parameters);
+
+                case "ping":
+                    return CreateSuccessResponse(requestId, new { ok = true });
+
+                case "tools/list":
+                    return CreateSuccessResponse(requestId, new
                     {
-                        new { type = "text", text = $"Unknown tool '{toolName}'" }
-                    },
-                    isError = true
-                }
-            };
+                        tools = _toolService.GetTools()
+                    });
+
+                case "tools/call":
+                    var toolResult = await ExecuteToolCallAsync(parameters, notify, cancellationToken);
+                    return CreateSuccessResponse(requestId, toolResult);
+
+                case "resources/list":
+                    return CreateSuccessResponse(requestId, new
+                    {
+                        resources = _resourceService.GetResources()
+                    });
+
+                case "resources/templates/list":
+                    return CreateSuccessResponse(requestId, new
+                    {
+                        resourceTemplates = _resourceService.GetResourceTemplates()
+                    });
+
+                case "resources/read":
+                    return await ReadResourceAsync(requestId, parameters);
+
+                case "resources/subscribe":
+                case "resources/unsubscribe":
+                    return UpdateSubscription(requestId, method, parameters, session);
+
+                case "prompts/list":
+                    return CreateSuccessResponse(requestId, new
+                    {
+                        prompts = _promptService.GetPrompts()
+                    });
+
+                case "prompts/get":
+                    return await GetPromptAsync(requestId, parameters);
+
+                default:
+                    return CreateErrorResponse(requestId, -32601, "Method not found");
+            }
         }
 
-        private async Task<object> GetSiteOverviewAsync()
+        private object Initialize(object? requestId, JsonElement parameters)
         {
-            var officeData = await _office365Service.GetLatestVersionsAsync();
-            var windows10 = await _windowsVersionsService.GetLatestVersionAsync(WindowsEdition.Windows10);
-            var windows11 = await _windowsVersionsService.GetLatestVersionAsync(WindowsEdition.Windows11);
+            var requested = parameters.ValueKind == JsonValueKind.Object &&
+                parameters.TryGetProperty("protocolVersion", out var versionElement) &&
+                versionElement.ValueKind == JsonValueKind.String
+                    ? versionElement.GetString()
+                    : null;
+            var protocolVersion = requested != null && SupportedProtocolVersions.Contains(requested)
+                ? requested
+                : SupportedProtocolVersions[0];
+
+            var session = _sessionService.Create(protocolVersion);
+            if (session == null)
+            {
+                return CreateErrorResponse(requestId, -32603, "Too many active sessions, try again later");
+            }
 
-            var officeChannels = (officeData?.Data?
-                .GroupBy(v => v.Channel)
-                .Select(g => new
-                {
-                    channel = g.Key,
-                    latestVersion = g.OrderByDescending(v => v.LatestReleaseDate).FirstOrDefault()?.Version ?? "Unknown",
-                    latestBuild = g.OrderByDescending(v => v.LatestReleaseDate).FirstOrDefault()?.Build ?? "Unknown"
-                })
-                .OrderBy(x => x.channel)
-                .ToList() ?? Enumerable.Empty<object>()).ToList();
+            Response.Headers[SessionHeader] = session.Id;
 
-            return WrapToolResult(new
+            return CreateSuccessResponse(requestId, new
             {
-                site = new
+                protocolVersion,
+                capabilities = new
                 {
-                    name = "Office Versions",
-                    description = "Website tracking Microsoft 365 Apps and Windows release information.",
-                    homepage = "https://www.office365versions.com",
-                    apiDocs = "/swagger",
-                    mcpEndpoint = "/mcp"
+                    tools = new { listChanged = false },
+                    resources = new { subscribe = true, listChanged = false },
+                    prompts = new { listChanged = false }
                 },
-                office = new
+                serverInfo = new
                 {
-                    available = officeData?.Data?.Any() == true,
-                    channels = officeChannels
-                },
-                windows = new
-                {
-                    windows10 = windows10.Success ? windows10.Data : null,
-                    windows11 = windows11.Success ? windows11.Data : null
+                    name = ServerName,
+                    version = ServerVersion
                 }
             });
         }
 
-        private async Task<object> GetLatestOfficeVersionsAsync()
+        private void HandleNotification(string method, JsonElement parameters, McpSession? session)
         {
-            var data = await _office365Service.GetLatestVersionsAsync();
-            return WrapToolResult(new
-            {
-                available = data?.Data?.Any() == true,
-                count = data?.Data?.Count ?? 0,
-                channels = (data?.Data?
-                    .GroupBy(v => v.Channel)
-                    .Select(g => new
-                    {
-                        channel = g.Key,
-                        latestVersion = g.OrderByDescending(v => v.LatestReleaseDate).FirstOrDefault()?.Version ?? "Unknown",
-                        latestBuild = g.OrderByDescending(v => v.LatestReleaseDate).FirstOrDefault()?.Build ?? "Unknown"
-                    })
-                    .OrderBy(x => x.channel)
-                    .ToList() ?? Enumerable.Empty<object>()).ToList()
-            });
+            // Cancellation is scoped to the session; without one the request can only end by disconnecting
+            if (method != "notifications/cancelled" || session == null ||
+                parameters.ValueKind != JsonValueKind.Object ||
+                !parameters.TryGetProperty("requestId", out var requestIdElement))
+            {
+                return;
+            }
+
+            // Requests that already finished are ignored, as the spec requires
+            if (session.Cancel(requestIdElement.GetRawText()))
+            {
+                var reason = parameters.TryGetProperty("reason", out var reasonElement) && reasonElement.ValueKind == JsonValueKind.String
+                    ? reasonElement.GetString()
+                    : null;
+                _logger.LogInformation("MCP session {SessionId} cancelled request {RequestId}: {Reason}",
+                    session.Id, requestIdElement.GetRawText(), reason ?? "no reason given");
+            }
         }
 
-        private async Task<object> GetOfficeChannelLatestAsync(JsonElement arguments)
+        private async Task<McpToolResult> ExecuteToolCallAsync(JsonElement parameters, Action<object>? notify, CancellationToken cancellationToken)
         {
-            var channel = GetStringArgument(arguments, "channel") ?? "Current Channel";
-            var latest = await _office365Service.GetLatestVersionForChannelAsync(channel);
+            if (parameters.ValueKind != JsonValueKind.Object)
+            {
+                return new McpToolResult
+                {
+                    Content = new List<McpContent> { new() { Text = "Missing tool parameters" } },
+                    IsError = true
+                };
+            }
 
-            return WrapToolResult(new
+            if (!parameters.TryGetProperty("name", out var nameElement) || nameElement.ValueKind != JsonValueKind.String)
             {
-                requestedChannel = channel,
-                found = latest != null,
-                version = latest
-            });
+                return new McpToolResult
+                {
+                    Content = new List<McpContent> { new() { Text = "Missing tool name" } },
+                    IsError = true
+                };
+            }
+
+            var arguments = parameters.TryGetProperty("arguments", out var argumentsElement)
+                ? argumentsElement
+                : default;
+
+            // Progress is only sent when the client asked for it and the response is an SSE stream
+            IProgress<McpProgress>? progress = null;
+            if (notify != null &&
+                parameters.TryGetProperty("_meta", out var metaElement) &&
+                metaElement.ValueKind == JsonValueKind.Object &&
+                metaElement.TryGetProperty("progressToken", out var progressToken) &&
+                progressToken.ValueKind is JsonValueKind.String or JsonValueKind.Number)
+            {
+                progress = new ProgressNotifier(progressToken.Clone(), notify);
+            }
+
+            return await _toolService.CallAsync(nameElement.GetString()!, arguments, progress, cancellationToken);
         }
 
-        private async Task<object> GetWindowsLatestVersionAsync(JsonElement arguments)
+        private async Task<object> ReadResourceAsync(object? requestId, JsonElement parameters)
         {
-            var edition = GetStringArgument(arguments, "edition") ?? "windows11";
-            var parsedEdition = edition.ToLowerInvariant() switch
+            var uri = GetUriParameter(parameters);
+            if (uri == null)
             {
-                "windows10" or "win10" => WindowsEdition.Windows10,
-                "windows11" or "win11" => WindowsEdition.Windows11,
-                _ => WindowsEdition.Windows11
-            };
+                return CreateErrorResponse(requestId, -32602, "Missing resource uri");
+            }
+
+            var contents = await _resourceService.ReadAsync(uri);
+            if (contents == null)
+            {
+                return CreateErrorResponse(requestId, ResourceNotFound, "Resource not found", new { uri });
+            }
 
-            var result = await _windowsVersionsService.GetLatestVersionAsync(parsedEdition);
-            return WrapToolResult(new
+            return CreateSuccessResponse(requestId, new
             {
-                edition = parsedEdition.ToString(),
-                found = result.Success && result.Data != null,
-                version = result.Data
+                contents = new[] { contents }
             });
         }
 
-        private static object WrapToolResult(object payload)
+        private async Task<object> GetPromptAsync(object? requestId, JsonElement parameters)
         {
-            return new
+            if (parameters.ValueKind != JsonValueKind.Object ||
+                !parameters.TryGetProperty("name", out var nameElement) ||
+                nameElement.ValueKind != JsonValueKind.String)
             {
-                content = new[]
-                {
-                    new { type = "text", text = JsonSerializer.Serialize(payload, new JsonSerializerOptions { WriteIndented = true }) }
-                },
-                isError = false
-            };
-        }
+                return CreateErrorResponse(requestId, -32602, "Missing prompt name");
+            }
 
-        private static object[] GetToolDefinitions() =>
-        [
-            new
+            var arguments = new Dictionary<string, string>(StringComparer.Ordinal);
+            if (parameters.TryGetProperty("arguments", out var argumentsElement) && argumentsElement.ValueKind == JsonValueKind.Object)
             {
-                name = "get_site_overview",
-                description = "Returns summary information about the Office Versions website and its current data availability.",
-                inputSchema = new
+                foreach (var argument in argumentsElement.EnumerateObject())
                 {
-                    type = "object",
-                    properties = new { },
-                    required = Array.Empty<string>()
+                    arguments[argument.Name] = argument.Value.ValueKind == JsonValueKind.String
+                        ? argument.Value.GetString()!
+                        : argument.Value.GetRawText();
                 }
-            },
-            new
+            }
+
+            try
             {
-                name = "get_latest_office_versions",
-                description = "Returns the latest Microsoft 365 Apps release information by channel.",
-                inputSchema = new
-                {
-                    type = "object",
-                    properties = new { },
-                    required = Array.Empty<string>()
-                }
-            },
-            new
+                var prompt = await _promptService.GetAsync(nameElement.GetString()!, arguments);
+                return CreateSuccessResponse(requestId, prompt);
+            }
+            catch (ArgumentException ex)
             {
-                name = "get_office_channel_latest",
-                description = "Returns the latest Microsoft 365 Apps release for a specific channel.",
-                inputSchema = new
-                {
-                    type = "object",
-                    properties = new
-                    {
-                        channel = new { type = "string", description = "Channel name, e.g. Current Channel" }
-                    },
-                    required = new[] { "channel" }
-                }
-            },
-            new
+                return CreateErrorResponse(requestId, -32602, ex.Message);
+            }
+        }
+
+        private object UpdateSubscription(object? requestId, string method, JsonElement parameters, McpSession? session)
+        {
+            var uri = GetUriParameter(parameters);
+            if (uri == null)
             {
-                name = "get_windows_latest_version",
-                description = "Returns the latest Windows release information for Windows 10 or Windows 11.",
-                inputSchema = new
-                {
-                    type = "object",
-                    properties = new
-                    {
-                        edition = new { type = "string", description = "Edition name: windows10 or windows11" }
-                    },
-                    required = new[] { "edition" }
-                }
+                return CreateErrorResponse(requestId, -32602, "Missing resource uri");
+            }
+
+            if (!_resourceService.Exists(uri))
+            {
+                return CreateErrorResponse(requestId, ResourceNotFound, "Resource not found", new { uri });
+            }
+
+            if (session == null)
+            {
+                return CreateErrorResponse(requestId, -32600, $"Subscriptions require the {SessionHeader} header returned by initialize");
+            }
+
+            if (method == "resources/subscribe")
+            {
+                _subscriptionService.Subscribe(session.Id, uri);
+            }
+            else
+            {
+                _subscriptionService.Unsubscribe(session.Id, uri);
             }
-        ];
+
+            return CreateSuccessResponse(requestId, new { });
+        }
+
+        private bool AcceptsEventStream() =>
+            Request.Headers.Accept.Any(value => value != null && value.Contains("text/event-stream", StringComparison.OrdinalIgnoreCase));
+
+        private void StartEventStream()
+        {
+            Response.ContentType = "text/event-stream";
+            Response.Headers.CacheControl = "no-cache";
+            Response.Headers["X-Accel-Buffering"] = "no"; // Keep reverse proxies from buffering the stream
+        }
+
+        private async Task WriteEventAsync(object message, CancellationToken cancellationToken)
+        {
+            await Response.WriteAsync($"data: {JsonSerializer.Serialize(message, _jsonOptions)}\n\n", cancellationToken);
+            await Response.Body.FlushAsync(cancellationToken);
+        }
+
+        /// <summary>
+        /// Returns the JSON-RPC error response for a message that is not a valid request or notification, or null
+        /// </summary>
+        private static object? ValidateMessage(JsonElement message)
+        {
+            if (message.ValueKind != JsonValueKind.Object)
+            {
+                return CreateErrorResponse(null, -32600, "Invalid Request");
+            }
+
+            if (!message.TryGetProperty("jsonrpc", out var jsonrpcElement) ||
+                jsonrpcElement.ValueKind != JsonValueKind.String ||
+                jsonrpcElement.GetString() != "2.0")
+            {
+                return CreateErrorResponse(GetRequestId(message), -32600, "Invalid JSON-RPC request");
+            }
+
+            if (GetMethod(message) == null)
+            {
+                return CreateErrorResponse(GetRequestId(message), -32600, "Missing method");
+            }
+
+            return null;
+        }
+
+        private static string? GetMethod(JsonElement message) =>
+            message.ValueKind == JsonValueKind.Object &&
+            message.TryGetProperty("method", out var methodElement) &&
+            methodElement.ValueKind == JsonValueKind.String
+                ? methodElement.GetString()
+                : null;
+
+        private static bool IsRequest(JsonElement message) =>
+            message.ValueKind == JsonValueKind.Object && message.TryGetProperty("id", out _);
 
         private static object CreateSuccessResponse(object? requestId, object result) => new
         {
@@ -337,15 +624,13 @@ namespace OfficeVersionsCore.Controllers
             result
         };
 
-        private static object CreateErrorResponse(object? requestId, int code, string message) => new
+        private static object CreateErrorResponse(object? requestId, int code, string message, object? data = null) => new
         {
             jsonrpc = "2.0",
             id = requestId,
-            error = new
-            {
-                code,
-                message
-            }
+            error = data == null
+                ? (object)new { code, message }
+                : new { code, message, data }
         };
 
         private static object? GetRequestId(JsonElement payload)
@@ -354,21 +639,46 @@ namespace OfficeVersionsCore.Controllers
                 ? idElement.ValueKind switch
                 {
                     JsonValueKind.String => idElement.GetString(),
-                    JsonValueKind.Number => idElement.GetInt32(),
+                    JsonValueKind.Number => idElement.TryGetInt64(out var number) ? number : idElement.GetDouble(),
                     JsonValueKind.Null => null,
                     _ => idElement.GetRawText()
                 }
                 : null;
         }
 
-        private static string? GetStringArgument(JsonElement arguments, string name)
+        private static string? GetUriParameter(JsonElement parameters) =>
+            parameters.ValueKind == JsonValueKind.Object &&
+            parameters.TryGetProperty("uri", out var uriElement) &&
+            uriElement.ValueKind == JsonValueKind.String
+                ? uriElement.GetString()
+                : null;
+
+        /// <summary>
+        /// Turns tool progress into notifications/progress messages for the request's SSE stream
+        /// </summary>
+        private sealed class ProgressNotifier : IProgress<McpProgress>
         {
-            if (arguments.ValueKind != JsonValueKind.Object || !arguments.TryGetProperty(name, out var valueElement))
+            private readonly JsonElement _progressToken;
+            private readonly Action<object> _notify;
+
+            public ProgressNotifier(JsonElement progressToken, Action<object> notify)
             {
-                return null;
+                _progressToken = progressToken;
+                _notify = notify;
             }
 
-            return valueElement.ValueKind == JsonValueKind.String ? valueElement.GetString() : valueElement.GetRawText();
+            public void Report(McpProgress value) => _notify(new
+            {
+                jsonrpc = "2.0",
+                method = "notifications/progress",
+                @params = new McpProgress
+                {
+                    ProgressToken = _progressToken,
+                    Progress = value.Progress,
+                    Total = value.Total,
+                    Message = value.Message
+                }
+            });
         }
     }
 }
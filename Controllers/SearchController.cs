@@ -0,0 +1,75 @@
+using Microsoft.AspNetCore.Mvc;
+using Microsoft.AspNetCore.RateLimiting;
+using OfficeVersionsCore.Services;
+using OfficeVersionsCore.Models;
+
+namespace OfficeVersionsCore.Controllers
+{
+    /// <summary>
+    /// API Controller for the site-wide search behind the command palette (Ctrl+K)
+    /// </summary>
+    [ApiController]
+    [Route("api/search")]
+    [Produces("application/json")]
+    [EnableRateLimiting("api-concurrent")]  // Called as the user types, so a concurrency cap rather than api-strict's 20 per minute
+    public class SearchController : ControllerBase
+    {
+        private const int DefaultLimit = 20;
+        private const int MaxLimit = 50;
+        private const int MaxQueryLength = 100;
+
+        private readonly ISiteSearchService _searchService;
+        private readonly ILogger<SearchController> _logger;
+
+        public SearchController(ISiteSearchService searchService, ILogger<SearchController> logger)
+        {
+            _searchService = searchService;
+            _logger = logger;
+        }
+
+        /// <summary>
+        /// Fuzzy-searches KB numbers, builds, versions and channels across Microsoft 365 Apps and Windows
+        /// </summary>
+        /// <param name="q">Search text, e.g. "KB5060842", "26100.4349", "24H2", "2505" or "monthly enterprise"</param>
+        /// <param name="limit">Maximum number of results (1-50, default 20)</param>
+        /// <returns>Best matches first, each with the release page URL that highlights the matching row</returns>
+        [HttpGet]
+        public async Task<ActionResult<ApiResponse<List<SiteSearchResult>>>> Search([FromQuery] string? q, [FromQuery] int? limit = null)
+        {
+            if (string.IsNullOrWhiteSpace(q) || q.Length > MaxQueryLength)
+            {
+                return BadRequest(new ApiResponse<List<SiteSearchResult>>
+                {
+                    Success = false,
+                    Message = $"Provide a search query of 1-{MaxQueryLength} characters with ?q=",
+                    Data = new List<SiteSearchResult>(),
+                    Source = "API"
+                });
+            }
+
+            try
+            {
+                var response = await _searchService.SearchAsync(q, Math.Clamp(limit ?? DefaultLimit, 1, MaxLimit));
+
+                if (!response.Success)
+                {
+                    return StatusCode(500, response);
+                }
+
+                return Ok(response);
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, "Error searching for {Query}", q);
+                return StatusCode(500, new ApiResponse<List<SiteSearchResult>>
+                {
+                    Success = false,
+                    Message = $"Internal server error: {ex.Message}",
+                    Data = null,
+                    Timestamp = DateTime.UtcNow,
+                    Source = "API"
+                });
+            }
+        }
+    }
+}
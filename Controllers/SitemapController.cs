@@ -84,6 +84,13 @@ namespace OfficeVersionsCore.Controllers
                 AddUrlToSitemap(sitemap, baseUrl, "/Windows/26H1", changeFreq: "daily", priority: "0.85");
                 AddUrlToSitemap(sitemap, baseUrl, "/Windows/Releases10", changeFreq: "daily", priority: "0.8");
                 
+                // Tools
+                AddUrlToSitemap(sitemap, baseUrl, "/build-lookup", changeFreq: "weekly", priority: "0.7");
+                AddUrlToSitemap(sitemap, baseUrl, "/fleet-compliance", changeFreq: "monthly", priority: "0.6");
+                AddUrlToSitemap(sitemap, baseUrl, "/lifecycle", changeFreq: "weekly", priority: "0.7");
+                AddUrlToSitemap(sitemap, baseUrl, "/changes", changeFreq: "daily", priority: "0.6");
+                AddUrlToSitemap(sitemap, baseUrl, "/compare", changeFreq: "weekly", priority: "0.6");
+                
                 // Informational Pages
                 AddUrlToSitemap(sitemap, baseUrl, "/About", changeFreq: "monthly", priority: "0.5");
                 AddUrlToSitemap(sitemap, baseUrl, "/Contact", changeFreq: "monthly", priority: "0.5");
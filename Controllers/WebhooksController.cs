@@ -0,0 +1,178 @@
+using Microsoft.AspNetCore.Mvc;
+using Microsoft.AspNetCore.RateLimiting;
+using OfficeVersionsCore.Services;
+using OfficeVersionsCore.Models;
+
+namespace OfficeVersionsCore.Controllers
+{
+    /// <summary>
+    /// API Controller for webhook subscriptions that are notified when the scrapers detect new Office builds or Windows KBs.
+    /// Requires the X-Admin-Api-Key header.
+    /// </summary>
+    [ApiController]
+    [Route("api/webhooks")]
+    [Produces("application/json")]
+    [EnableRateLimiting("api-strict")]  // Secondary defense; primary rate limiting via APIM
+    [SecurityAdminApiKey]
+    public class WebhooksController : ControllerBase
+    {
+        private readonly IWebhookService _webhookService;
+        private readonly ILogger<WebhooksController> _logger;
+
+        public WebhooksController(IWebhookService webhookService, ILogger<WebhooksController> logger)
+        {
+            _webhookService = webhookService;
+            _logger = logger;
+        }
+
+        /// <summary>
+        /// Lists the registered webhooks (secrets are not included)
+        /// </summary>
+        [HttpGet]
+        public async Task<ActionResult<ApiResponse<List<WebhookSubscription>>>> GetSubscriptions()
+        {
+            try
+            {
+                var subscriptions = await _webhookService.GetSubscriptionsAsync();
+                return Ok(CreateResponse(subscriptions, $"Retrieved {subscriptions.Count} webhooks"));
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, "Error listing webhooks");
+                return StatusCode(500, CreateErrorResponse<List<WebhookSubscription>>(ex));
+            }
+        }
+
+        /// <summary>
+        /// Gets one webhook
+        /// </summary>
+        [HttpGet("{id}")]
+        public async Task<ActionResult<ApiResponse<WebhookSubscription>>> GetSubscription(string id)
+        {
+            try
+            {
+                var subscription = await _webhookService.GetSubscriptionAsync(id);
+                if (subscription == null)
+                {
+                    return NotFound(CreateResponse<WebhookSubscription>(null, $"Webhook {id} not found", success: false));
+                }
+
+                return Ok(CreateResponse(subscription, "Webhook retrieved"));
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, "Error retrieving webhook {SubscriptionId}", id);
+                return StatusCode(500, CreateErrorResponse<WebhookSubscription>(ex));
+            }
+        }
+
+        /// <summary>
+        /// Registers a webhook. The response contains the signing secret, which is not returned again.
+        /// </summary>
+        /// <param name="request">HTTPS URL plus optional product, edition and channel filters</param>
+        [HttpPost]
+        public async Task<ActionResult<ApiResponse<WebhookSubscription>>> CreateSubscription([FromBody] WebhookSubscriptionRequest request)
+        {
+            try
+            {
+                var subscription = await _webhookService.CreateSubscriptionAsync(request);
+                return CreatedAtAction(nameof(GetSubscription), new { id = subscription.Id },
+                    CreateResponse(subscription, "Webhook registered. Store the secret now; it is not shown again."));
+            }
+            catch (ArgumentException ex)
+            {
+                return BadRequest(CreateResponse<WebhookSubscription>(null, ex.Message, success: false));
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, "Error registering webhook");
+                return StatusCode(500, CreateErrorResponse<WebhookSubscription>(ex));
+            }
+        }
+
+        /// <summary>
+        /// Deletes a webhook
+        /// </summary>
+        [HttpDelete("{id}")]
+        public async Task<ActionResult<ApiResponse<bool>>> DeleteSubscription(string id)
+        {
+            try
+            {
+                var deleted = await _webhookService.DeleteSubscriptionAsync(id);
+                if (!deleted)
+                {
+                    return NotFound(CreateResponse(false, $"Webhook {id} not found", success: false));
+                }
+
+                return Ok(CreateResponse(true, "Webhook deleted"));
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, "Error deleting webhook {SubscriptionId}", id);
+                return StatusCode(500, CreateErrorResponse<bool>(ex));
+            }
+        }
+
+        /// <summary>
+        /// Sends a signed webhook.test event and returns the outcome of the final delivery attempt
+        /// </summary>
+        [HttpPost("{id}/test")]
+        public async Task<ActionResult<ApiResponse<WebhookDelivery>>> SendTest(string id)
+        {
+            try
+            {
+                var delivery = await _webhookService.SendTestAsync(id);
+                if (delivery == null)
+                {
+                    return NotFound(CreateResponse<WebhookDelivery>(null, $"Webhook {id} not found", success: false));
+                }
+
+                return Ok(CreateResponse(delivery, delivery.Success
+                    ? $"Test event delivered (HTTP {delivery.StatusCode})"
+                    : $"Test event failed after {delivery.Attempt} attempt(s): {delivery.Error}"));
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, "Error sending test event to webhook {SubscriptionId}", id);
+                return StatusCode(500, CreateErrorResponse<WebhookDelivery>(ex));
+            }
+        }
+
+        /// <summary>
+        /// Gets the delivery log of a webhook, newest first
+        /// </summary>
+        /// <param name="id">Webhook id</param>
+        /// <param name="count">Number of attempts to return (default 50, max 500)</param>
+        [HttpGet("{id}/deliveries")]
+        public async Task<ActionResult<ApiResponse<List<WebhookDelivery>>>> GetDeliveries(string id, [FromQuery] int count = 50)
+        {
+            try
+            {
+                if (await _webhookService.GetSubscriptionAsync(id) == null)
+                {
+                    return NotFound(CreateResponse<List<WebhookDelivery>>(null, $"Webhook {id} not found", success: false));
+                }
+
+                var deliveries = await _webhookService.GetDeliveriesAsync(id, count);
+                return Ok(CreateResponse(deliveries, $"Retrieved {deliveries.Count} delivery attempts"));
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, "Error retrieving deliveries for webhook {SubscriptionId}", id);
+                return StatusCode(500, CreateErrorResponse<List<WebhookDelivery>>(ex));
+            }
+        }
+
+        private static ApiResponse<T> CreateResponse<T>(T? data, string message, bool success = true) => new()
+        {
+            Success = success,
+            Message = message,
+            Data = data,
+            Timestamp = DateTime.UtcNow,
+            Source = "API"
+        };
+
+        private static ApiResponse<T> CreateErrorResponse<T>(Exception ex) =>
+            CreateResponse<T>(default, $"Internal server error: {ex.Message}", success: false);
+    }
+}
@@ -1,5 +1,8 @@
+using System.Globalization;
+using System.Text.RegularExpressions;
 using Microsoft.AspNetCore.Mvc;
 using Microsoft.AspNetCore.RateLimiting;
+using OfficeVersionsCore.Infrastructure;
 using OfficeVersionsCore.Services;
 using OfficeVersionsCore.Models;
 
@@ -10,16 +13,43 @@ namespace OfficeVersionsCore.Controllers
     /// </summary>
     [ApiController]
     [Route("api/[controller]")]
-    [Produces("application/json")]
-    [EnableRateLimiting("api-strict")]  // Secondary defense; primary rate limiting via APIM
+    [Produces("application/json", CsvOutputFormatter.MediaType, NdjsonOutputFormatter.MediaType)]
+    [FormatFilter]  // ?format=csv|ndjson|json overrides the Accept header
+    [TabularOutput]
+    [EnableRateLimiting("api-per-ip")]  // Dashboards refetch these on every live update, so each client gets its own permits
+    [ConditionalGet(ReleaseDataSet.WindowsVersions)]
     public class WindowsVersionsController : ControllerBase
     {
         private readonly IWindowsVersionsService _windowsService;
+        private readonly IWindowsComparisonService _comparisonService;
         private readonly ILogger<WindowsVersionsController> _logger;
 
-        public WindowsVersionsController(IWindowsVersionsService windowsService, ILogger<WindowsVersionsController> logger)
+        private const int MaxComparedVersions = 6;
+
+        private static readonly Regex AnnualChannelTitleRegex = new("Annual Channel|23H2|24H2|25H2", RegexOptions.IgnoreCase | RegexOptions.Compiled);
+
+        /// <summary>
+        /// Release table columns the server can search and order by (keyed by DataTables column data)
+        /// </summary>
+        private static readonly Dictionary<string, DataTablesField<WindowsReleaseRow>> ReleaseRowFields = new(StringComparer.OrdinalIgnoreCase)
+        {
+            ["product"] = new(r => r.Product),
+            ["version"] = new(r => r.Version, ReleaseComparers.WindowsVersion),
+            ["buildNumber"] = new(r => r.BuildNumber, ReleaseComparers.BuildNumber),
+            ["releaseDate"] = new(r => r.ReleaseDate?.ToString("yyyy-MM-dd", CultureInfo.InvariantCulture)),
+            ["servicingOption"] = new(r => r.ServicingOption),
+            ["kb"] = new(r => r.Kb),
+            ["type"] = new(r => r.Type),
+            ["updateTitle"] = new(r => r.UpdateTitle)
+        };
+
+        public WindowsVersionsController(
+            IWindowsVersionsService windowsService,
+            IWindowsComparisonService comparisonService,
+            ILogger<WindowsVersionsController> logger)
         {
             _windowsService = windowsService;
+            _comparisonService = comparisonService;
             _logger = logger;
         }
 
@@ -174,69 +204,45 @@ namespace OfficeVersionsCore.Controllers
         }
 
         /// <summary>
-        /// Gets all Windows releases for display in the releases table
+        /// Gets all Windows releases for display in the releases table.
+        /// Requests carrying DataTables server-side parameters (draw, start, length, order, search, searchBuilder)
+        /// get a single page in a { draw, recordsTotal, recordsFiltered, data } envelope instead of the full list.
         /// </summary>
         /// <returns>Complete list of all releases from both Windows editions</returns>
         [HttpGet("releases")]
-        public async Task<ActionResult<List<object>>> GetAllReleases()
+        [EnableRateLimiting("api-concurrent")]  // Server-side tables call this on every page, sort and search, so a concurrency cap rather than a per-minute window
+        public async Task<ActionResult<List<WindowsReleaseRow>>> GetAllReleases()
         {
             try
             {
                 _logger.LogInformation("Fetching all Windows releases");
 
-                var releases = new List<object>();
+                var releases = new List<WindowsReleaseRow>();
 
                 // Fetch updates for both Windows 10 and 11
                 var win10UpdatesResponse = await _windowsService.GetWindowsUpdatesAsync(WindowsEdition.Windows10);
                 var win11UpdatesResponse = await _windowsService.GetWindowsUpdatesAsync(WindowsEdition.Windows11);
 
-                // Process Windows 10 updates
                 if (win10UpdatesResponse.Success && win10UpdatesResponse.Data != null)
                 {
-                    foreach (var update in win10UpdatesResponse.Data)
-                    {
-                        releases.Add(new
-                        {
-                            product = "Windows 10",
-                            version = update.Version,
-                            buildNumber = update.Build,
-                            releaseDate = update.ReleaseDate,
-                            servicingOption = update.Edition.ToString(),
-                            kb = update.KBNumber,
-                            url = string.Empty,
-                            updateTitle = update.UpdateTitle,
-                            isSecurityUpdate = update.IsSecurityUpdate,
-                            type = update.Type
-                        });
-                    }
+                    releases.AddRange(win10UpdatesResponse.Data.Select(u => ToReleaseRow(u, "Windows 10")));
                 }
 
-                // Process Windows 11 updates
                 if (win11UpdatesResponse.Success && win11UpdatesResponse.Data != null)
                 {
-                    foreach (var update in win11UpdatesResponse.Data)
-                    {
-                        releases.Add(new
-                        {
-                            product = "Windows 11",
-                            version = update.Version,
-                            buildNumber = update.Build,
-                            releaseDate = update.ReleaseDate,
-                            servicingOption = update.Edition.ToString(),
-                            kb = update.KBNumber,
-                            url = string.Empty,
-                            updateTitle = update.UpdateTitle,
-                            isSecurityUpdate = update.IsSecurityUpdate,
-                            type = update.Type
-                        });
-                    }
+                    releases.AddRange(win11UpdatesResponse.Data.Select(u => ToReleaseRow(u, "Windows 11")));
                 }
 
                 // Sort by release date descending
                 var sortedReleases = releases
-                    .OrderByDescending(r => ((dynamic)r).releaseDate)
+                    .OrderByDescending(r => r.ReleaseDate)
                     .ToList();
 
+                if (DataTablesProcessor.IsServerSideRequest(Request.Query))
+                {
+                    return Ok(DataTablesProcessor.Process(sortedReleases, DataTablesProcessor.ParseRequest(Request.Query), ReleaseRowFields));
+                }
+
                 _logger.LogInformation("All Windows releases retrieved successfully with {Count} items", sortedReleases.Count);
                 return Ok(sortedReleases);
             }
@@ -953,14 +959,25 @@ namespace OfficeVersionsCore.Controllers
         }
 
         /// <summary>
-        /// Compares two Windows versions
+        /// Compares Windows versions. With versions, returns a side-by-side comparison of up to six versions across
+        /// editions (latest build and KB, update counts, servicing end dates and features); with version1 and
+        /// version2, compares two version strings.
         /// </summary>
-        /// <param name="version1">First version to compare</param>
-        /// <param name="version2">Second version to compare</param>
-        /// <returns>Comparison result</returns>
+        /// <param name="versions">Comma-separated ids from compare/versions, e.g. windows10-22h2,windows11-23h2,windows11-24h2</param>
+        /// <param name="version1">First version string to compare</param>
+        /// <param name="version2">Second version string to compare</param>
+        /// <returns>WindowsVersionComparison when versions is given, otherwise VersionComparison</returns>
         [HttpGet("compare")]
-        public async Task<ActionResult<ApiResponse<VersionComparison>>> CompareVersions([FromQuery] string version1, [FromQuery] string version2)
+        public async Task<ActionResult<object>> CompareVersions(
+            [FromQuery] string? versions = null,
+            [FromQuery] string? version1 = null,
+            [FromQuery] string? version2 = null)
         {
+            if (!string.IsNullOrWhiteSpace(versions))
+            {
+                return await CompareWindowsVersions(versions);
+            }
+
             try
             {
                 _logger.LogInformation("Comparing versions {Version1} and {Version2}", version1, version2);
@@ -970,14 +987,14 @@ namespace OfficeVersionsCore.Controllers
                     return BadRequest(new ApiResponse<VersionComparison>
                     {
                         Success = false,
-                        Message = "Both version1 and version2 parameters are required",
+                        Message = "Pass versions (comma-separated ids from compare/versions) or both version1 and version2",
                         Data = null,
                         Timestamp = DateTime.UtcNow,
                         Source = "API"
                     });
                 }
 
-                var response = await _windowsService.CompareVersionsAsync(version1, version2);
+                var response = await _windowsService.CompareVersionsAsync(version1!, version2!);
 
                 if (!response.Success || response.Data == null)
                 {
@@ -1001,6 +1018,93 @@ namespace OfficeVersionsCore.Controllers
             }
         }
 
+        /// <summary>
+        /// Lists the Windows client versions, LTSC releases and Windows Server releases that can be compared
+        /// </summary>
+        /// <returns>Comparable versions with the ids accepted by compare?versions=</returns>
+        [HttpGet("compare/versions")]
+        public async Task<ActionResult<ApiResponse<List<ComparableWindowsVersion>>>> GetComparableVersions()
+        {
+            try
+            {
+                _logger.LogInformation("Fetching comparable Windows versions");
+
+                var response = await _comparisonService.GetComparableVersionsAsync();
+
+                if (!response.Success)
+                {
+                    return StatusCode(500, response);
+                }
+
+                return Ok(response);
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, "Error retrieving comparable Windows versions");
+                return StatusCode(500, new ApiResponse<List<ComparableWindowsVersion>>
+                {
+                    Success = false,
+                    Message = $"Internal server error: {ex.Message}",
+                    Data = null,
+                    Timestamp = DateTime.UtcNow,
+                    Source = "API"
+                });
+            }
+        }
+
+        private async Task<ActionResult<object>> CompareWindowsVersions(string versions)
+        {
+            try
+            {
+                var ids = versions
+                    .Split(',', StringSplitOptions.RemoveEmptyEntries | StringSplitOptions.TrimEntries)
+                    .Distinct(StringComparer.OrdinalIgnoreCase)
+                    .ToList();
+
+                _logger.LogInformation("Comparing Windows versions {Versions}", string.Join(",", ids));
+
+                if (ids.Count < 2 || ids.Count > MaxComparedVersions)
+                {
+                    return BadRequest(new ApiResponse<WindowsVersionComparison>
+                    {
+                        Success = false,
+                        Message = $"Pass between 2 and {MaxComparedVersions} comma-separated version ids",
+                        Data = null,
+                        Timestamp = DateTime.UtcNow,
+                        Source = "API"
+                    });
+                }
+
+                var response = await _comparisonService.CompareAsync(ids);
+
+                if (!response.Success || response.Data == null)
+                {
+                    return StatusCode(500, response);
+                }
+
+                if (response.Data.Versions.Count == 0)
+                {
+                    response.Success = false;
+                    response.Message = "None of the requested versions were found. See /api/WindowsVersions/compare/versions for valid ids.";
+                    return NotFound(response);
+                }
+
+                return Ok(response);
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, "Error comparing Windows versions {Versions}", versions);
+                return StatusCode(500, new ApiResponse<WindowsVersionComparison>
+                {
+                    Success = false,
+                    Message = $"Internal server error: {ex.Message}",
+                    Data = null,
+                    Timestamp = DateTime.UtcNow,
+                    Source = "API"
+                });
+            }
+        }
+
         /// <summary>
         /// Gets the latest versions for Windows 10 and 11 (for hero stats)
         /// </summary>
@@ -1111,17 +1215,23 @@ namespace OfficeVersionsCore.Controllers
         }
 
         /// <summary>
-        /// Gets all Windows Server releases
+        /// Gets all Windows Server releases.
+        /// Supports the DataTables server-side protocol like GetAllReleases.
         /// </summary>
+        /// <param name="edition">Optional version filter, e.g. 2022 or 2012 (matches the servicing option)</param>
+        /// <param name="servicing">Optional servicing channel filter: LTSC or AC (Annual Channel)</param>
         /// <returns>List of all Windows Server releases</returns>
         [HttpGet("server/releases")]
-        public async Task<ActionResult<List<object>>> GetWindowsServerReleases()
+        [EnableRateLimiting("api-concurrent")]  // Server-side table endpoint, see GetAllReleases
+        public async Task<ActionResult<List<WindowsReleaseRow>>> GetWindowsServerReleases(
+            [FromQuery] string? edition = null,
+            [FromQuery] string? servicing = null)
         {
             try
             {
                 _logger.LogInformation("Fetching Windows Server releases");
 
-                var releases = new List<object>();
+                var releases = new List<WindowsReleaseRow>();
 
                 // Get releases for all Windows Server editions
                 var serverEditions = new[] 
@@ -1133,35 +1243,42 @@ namespace OfficeVersionsCore.Controllers
                     WindowsEdition.WindowsServer2012R2 
                 };
 
-                foreach (var edition in serverEditions)
+                foreach (var serverEdition in serverEditions)
                 {
-                    var updateResponse = await _windowsService.GetWindowsUpdatesAsync(edition);
+                    var updateResponse = await _windowsService.GetWindowsUpdatesAsync(serverEdition);
 
                     if (updateResponse.Success && updateResponse.Data != null)
                     {
-                        foreach (var update in updateResponse.Data)
-                        {
-                            releases.Add(new
-                            {
-                                version = update.Version,
-                                buildNumber = update.Build,
-                                releaseDate = update.ReleaseDate,
-                                servicingOption = update.Edition.ToString(),
-                                kb = update.KBNumber,
-                                url = string.Empty,
-                                updateTitle = update.UpdateTitle,
-                                isSecurityUpdate = update.IsSecurityUpdate,
-                                type = update.Type
-                            });
-                        }
+                        releases.AddRange(updateResponse.Data.Select(u => ToReleaseRow(u)));
                     }
                 }
 
+                if (!string.IsNullOrWhiteSpace(edition))
+                {
+                    releases = releases
+                        .Where(r => r.ServicingOption.Contains(edition.Trim(), StringComparison.OrdinalIgnoreCase))
+                        .ToList();
+                }
+
+                if (!string.IsNullOrWhiteSpace(servicing))
+                {
+                    // Annual Channel releases are identified by their feature version in the update title
+                    var annualChannel = servicing.Trim().Equals("AC", StringComparison.OrdinalIgnoreCase);
+                    releases = releases
+                        .Where(r => AnnualChannelTitleRegex.IsMatch(r.UpdateTitle) == annualChannel)
+                        .ToList();
+                }
+
                 // Sort by release date descending
                 var sortedReleases = releases
-                    .OrderByDescending(r => ((dynamic)r).releaseDate)
+                    .OrderByDescending(r => r.ReleaseDate)
                     .ToList();
 
+                if (DataTablesProcessor.IsServerSideRequest(Request.Query))
+                {
+                    return Ok(DataTablesProcessor.Process(sortedReleases, DataTablesProcessor.ParseRequest(Request.Query), ReleaseRowFields));
+                }
+
                 _logger.LogInformation("Windows Server releases retrieved successfully with {Count} items", sortedReleases.Count);
                 return Ok(sortedReleases);
             }
@@ -1247,6 +1364,20 @@ namespace OfficeVersionsCore.Controllers
                 });
             }
         }
+
+        private static WindowsReleaseRow ToReleaseRow(WindowsUpdate update, string? product = null) => new()
+        {
+            Product = product,
+            Version = update.Version,
+            BuildNumber = update.Build,
+            ReleaseDate = update.ReleaseDate,
+            ServicingOption = update.Edition.ToString(),
+            Kb = update.KBNumber,
+            Url = string.Empty,
+            UpdateTitle = update.UpdateTitle,
+            IsSecurityUpdate = update.IsSecurityUpdate,
+            Type = update.Type
+        };
     }
 }
 
@@ -0,0 +1,129 @@
+using System.Security.Cryptography;
+using System.Text;
+using Microsoft.AspNetCore.Mvc;
+using Microsoft.AspNetCore.Mvc.Filters;
+using Microsoft.Net.Http.Headers;
+using OfficeVersionsCore.Services;
+
+namespace OfficeVersionsCore.Infrastructure
+{
+    /// <summary>
+    /// Adds a strong ETag and Last-Modified to GET responses of a data API, derived from the storage timestamps
+    /// of the datasets behind it, and answers matching If-None-Match / If-Modified-Since requests with 304
+    /// before the action runs. Clients are told to cache but revalidate (Cache-Control: no-cache) unless
+    /// MaxAgeSeconds lets them reuse a response for a while.
+    /// </summary>
+    [AttributeUsage(AttributeTargets.Class | AttributeTargets.Method)]
+    public sealed class ConditionalGetAttribute : Attribute, IAsyncResourceFilter
+    {
+        public ConditionalGetAttribute(params ReleaseDataSet[] dataSets)
+        {
+            DataSets = dataSets;
+        }
+
+        public ReleaseDataSet[] DataSets { get; }
+
+        /// <summary>
+        /// The response also depends on the current UTC date (e.g. "upcoming" dates), so it changes at midnight
+        /// </summary>
+        public bool VaryByDate { get; set; }
+
+        /// <summary>
+        /// When positive, clients may reuse a response this many seconds before revalidating (Cache-Control: max-age)
+        /// </summary>
+        public int MaxAgeSeconds { get; set; }
+
+        public async Task OnResourceExecutionAsync(ResourceExecutingContext context, ResourceExecutionDelegate next)
+        {
+            var request = context.HttpContext.Request;
+            if (!HttpMethods.IsGet(request.Method) && !HttpMethods.IsHead(request.Method))
+            {
+                await next();
+                return;
+            }
+
+            var dataVersionService = context.HttpContext.RequestServices.GetRequiredService<IDataVersionService>();
+            DateTime? lastModified = null;
+            foreach (var dataSet in DataSets)
+            {
+                var modified = await dataVersionService.GetLastModifiedAsync(dataSet);
+                if (modified.HasValue && (lastModified == null || modified.Value > lastModified))
+                {
+                    lastModified = modified;
+                }
+            }
+
+            if (lastModified == null)
+            {
+                // Nothing stored yet (first scrape pending), so there is no stable validator
+                await next();
+                return;
+            }
+
+            if (VaryByDate && DateTime.UtcNow.Date > lastModified.Value)
+            {
+                lastModified = DateTime.UtcNow.Date;
+            }
+
+            // HTTP dates have one-second resolution
+            var lastModifiedSeconds = new DateTimeOffset(lastModified.Value.Ticks - lastModified.Value.Ticks % TimeSpan.TicksPerSecond, TimeSpan.Zero);
+            var etag = CreateETag(lastModified.Value, request);
+
+            if (IsNotModified(request, etag, lastModifiedSeconds))
+            {
+                SetValidators(context.HttpContext.Response, etag, lastModifiedSeconds, MaxAgeSeconds);
+                context.HttpContext.Response.Headers.Append(HeaderNames.Vary, HeaderNames.Accept);
+                context.Result = new StatusCodeResult(StatusCodes.Status304NotModified);
+                return;
+            }
+
+            var response = context.HttpContext.Response;
+            response.OnStarting(() =>
+            {
+                // Only successful bodies are cacheable; errors and 404s must not be revalidated against this version
+                if (response.StatusCode == StatusCodes.Status200OK)
+                {
+                    SetValidators(response, etag, lastModifiedSeconds, MaxAgeSeconds);
+                }
+                response.Headers.Append(HeaderNames.Vary, HeaderNames.Accept);
+                return Task.CompletedTask;
+            });
+
+            await next();
+        }
+
+        /// <summary>
+        /// The representation depends on the dataset version, on the URL (route and query, e.g. DataTables paging)
+        /// and on the Accept header (JSON, CSV or NDJSON)
+        /// </summary>
+        private static EntityTagHeaderValue CreateETag(DateTime lastModified, HttpRequest request)
+        {
+            var input = $"{lastModified.Ticks}|{request.Path}{request.QueryString}|{request.Headers.Accept}";
+            var hash = SHA256.HashData(Encoding.UTF8.GetBytes(input));
+            return new EntityTagHeaderValue($"\"{Convert.ToHexString(hash, 0, 16).ToLowerInvariant()}\"");
+        }
+
+        private static bool IsNotModified(HttpRequest request, EntityTagHeaderValue etag, DateTimeOffset lastModified)
+        {
+            var headers = request.GetTypedHeaders();
+
+            // If-None-Match takes precedence over If-Modified-Since (RFC 9110 13.2.2); weak comparison applies
+            if (headers.IfNoneMatch.Count > 0)
+            {
+                return headers.IfNoneMatch.Any(candidate => candidate.Equals(EntityTagHeaderValue.Any) || candidate.Compare(etag, useStrongComparison: false));
+            }
+
+            return headers.IfModifiedSince.HasValue && headers.IfModifiedSince.Value >= lastModified;
+        }
+
+        private static void SetValidators(HttpResponse response, EntityTagHeaderValue etag, DateTimeOffset lastModified, int maxAgeSeconds)
+        {
+            var headers = response.GetTypedHeaders();
+            headers.ETag = etag;
+            headers.LastModified = lastModified;
+            headers.CacheControl = maxAgeSeconds > 0
+                ? new CacheControlHeaderValue { Public = true, MaxAge = TimeSpan.FromSeconds(maxAgeSeconds) }
+                : new CacheControlHeaderValue { Public = true, NoCache = true };
+        }
+    }
+}
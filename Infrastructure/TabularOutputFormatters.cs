@@ -0,0 +1,287 @@
+using System.Collections;
+using System.Collections.Concurrent;
+using System.Globalization;
+using System.Reflection;
+using System.Text;
+using System.Text.Json;
+using System.Text.Json.Serialization;
+using System.Text.RegularExpressions;
+using Microsoft.AspNetCore.Mvc;
+using Microsoft.AspNetCore.Mvc.Formatters;
+using Microsoft.Extensions.Options;
+
+namespace OfficeVersionsCore.Infrastructure
+{
+    /// <summary>
+    /// Opts a controller or action into the CSV and NDJSON formatters. They are registered globally so ?format= and
+    /// Accept negotiation work, but only write results of endpoints carrying this attribute; everything else (MCP,
+    /// webhooks, admin) keeps answering JSON whatever the client asks for.
+    /// </summary>
+    [AttributeUsage(AttributeTargets.Class | AttributeTargets.Method)]
+    public sealed class TabularOutputAttribute : Attribute
+    {
+        public static bool IsEnabled(HttpContext httpContext) =>
+            httpContext.GetEndpoint()?.Metadata.GetMetadata<TabularOutputAttribute>() != null;
+    }
+
+    /// <summary>
+    /// Writes data API responses as RFC 4180 CSV (Accept: text/csv or ?format=csv) for PowerShell's ConvertFrom-Csv
+    /// and Excel Power Query: a header row, then one line per item
+    /// </summary>
+    public sealed class CsvOutputFormatter : TextOutputFormatter
+    {
+        public const string MediaType = "text/csv";
+        public const string Format = "csv";
+
+        // A signed plain number such as -5 or +1.5 is a value, not a formula
+        private static readonly Regex SignedNumber = new(@"^[+\-](?:[0-9]+\.?[0-9]*|\.[0-9]+)(?:[eE][+\-]?[0-9]+)?\z", RegexOptions.CultureInvariant);
+
+        public CsvOutputFormatter()
+        {
+            SupportedMediaTypes.Add(MediaType);
+            SupportedEncodings.Add(Encoding.UTF8);
+        }
+
+        protected override bool CanWriteType(Type? type) => type != null;
+
+        public override bool CanWriteResult(OutputFormatterCanWriteContext context) =>
+            TabularOutputAttribute.IsEnabled(context.HttpContext) && base.CanWriteResult(context);
+
+        public override async Task WriteResponseBodyAsync(OutputFormatterWriteContext context, Encoding selectedEncoding)
+        {
+            var options = TabularData.GetJsonOptions(context.HttpContext);
+            var table = TabularData.Create(context.Object, options);
+
+            await using var writer = context.WriterFactory(context.HttpContext.Response.Body, selectedEncoding);
+            await writer.WriteAsync(string.Join(',', table.Columns.Select(Escape)) + "\r\n");
+
+            foreach (var row in table.Rows)
+            {
+                var fields = TabularData.GetFields(row, options);
+                var cells = table.Columns.Select(column =>
+                    Escape(fields.TryGetValue(column, out var value) ? TabularData.FormatCell(value, options) : string.Empty));
+                await writer.WriteAsync(string.Join(',', cells) + "\r\n");
+            }
+
+            await writer.FlushAsync();
+        }
+
+        /// <summary>
+        /// Quotes per RFC 4180 after prefixing cells Excel would run as formulas (=, @, tab, CR, or + or - followed
+        /// by anything but a plain number) with an apostrophe, the same rule as TableExport.toCsv in table-export.js
+        /// </summary>
+        private static string Escape(string value)
+        {
+            if (IsFormulaLike(value))
+            {
+                value = "'" + value;
+            }
+
+            return value.IndexOfAny(new[] { ',', '"', '\r', '\n' }) >= 0 ? $"\"{value.Replace("\"", "\"\"")}\"" : value;
+        }
+
+        private static bool IsFormulaLike(string value) =>
+            value.Length > 0 && (value[0] is '=' or '@' or '\t' or '\r'
+                || (value[0] is '+' or '-' && value.Length > 1 && !SignedNumber.IsMatch(value)));
+    }
+
+    /// <summary>
+    /// Writes data API responses as newline-delimited JSON (Accept: application/x-ndjson or ?format=ndjson) for log
+    /// pipelines: one item per line, serialized exactly as in the JSON response
+    /// </summary>
+    public sealed class NdjsonOutputFormatter : TextOutputFormatter
+    {
+        public const string MediaType = "application/x-ndjson";
+        public const string Format = "ndjson";
+
+        public NdjsonOutputFormatter()
+        {
+            SupportedMediaTypes.Add(MediaType);
+            SupportedEncodings.Add(Encoding.UTF8);
+        }
+
+        protected override bool CanWriteType(Type? type) => type != null;
+
+        public override bool CanWriteResult(OutputFormatterCanWriteContext context) =>
+            TabularOutputAttribute.IsEnabled(context.HttpContext) && base.CanWriteResult(context);
+
+        public override async Task WriteResponseBodyAsync(OutputFormatterWriteContext context, Encoding selectedEncoding)
+        {
+            var options = TabularData.GetJsonOptions(context.HttpContext);
+
+            await using var writer = context.WriterFactory(context.HttpContext.Response.Body, selectedEncoding);
+            foreach (var row in TabularData.GetRows(context.Object))
+            {
+                await writer.WriteAsync(JsonSerializer.Serialize(row, row?.GetType() ?? typeof(object), options));
+                await writer.WriteAsync('\n');
+            }
+
+            await writer.FlushAsync();
+        }
+    }
+
+    /// <summary>
+    /// Rows and columns of an API result for the CSV and NDJSON formatters
+    /// </summary>
+    internal static class TabularData
+    {
+        private const string ScalarColumn = "value";
+
+        private static readonly ConcurrentDictionary<(Type Type, JsonNamingPolicy? Policy), (string Name, PropertyInfo Property)[]> PropertyCache = new();
+
+        public sealed record Table(IReadOnlyList<string> Columns, IReadOnlyList<object?> Rows);
+
+        public static JsonSerializerOptions GetJsonOptions(HttpContext httpContext) =>
+            httpContext.RequestServices.GetRequiredService<IOptions<JsonOptions>>().Value.JsonSerializerOptions;
+
+        /// <summary>
+        /// Columns are the item type's properties in declaration order, named as in the JSON response, so they do
+        /// not depend on the data; lists of different item types get the union in order of first appearance
+        /// </summary>
+        public static Table Create(object? value, JsonSerializerOptions options)
+        {
+            var rows = GetRows(value);
+            var columns = new List<string>();
+            var seen = new HashSet<string>(StringComparer.Ordinal);
+
+            var itemTypes = rows.Count > 0
+                ? rows.Select(row => row?.GetType()).Where(type => type != null).Distinct()
+                : new[] { GetItemType(Unwrap(value)) };
+
+            foreach (var type in itemTypes)
+            {
+                foreach (var name in GetColumnNames(type!, options).Where(seen.Add))
+                {
+                    columns.Add(name);
+                }
+            }
+
+            // Dictionary rows have no fixed shape, so their keys are collected from the data
+            foreach (var row in rows.OfType<IDictionary>())
+            {
+                columns.AddRange(row.Keys.Cast<object>().Select(key => Convert.ToString(key, CultureInfo.InvariantCulture) ?? string.Empty).Where(seen.Add));
+            }
+
+            return new Table(columns, rows);
+        }
+
+        /// <summary>
+        /// The items of a response: envelopes (ApiResponse, DataTables and other objects with a data list) are
+        /// unwrapped, a single object is one row, and a failed envelope is kept whole so its message is not lost
+        /// </summary>
+        public static IReadOnlyList<object?> GetRows(object? value)
+        {
+            var content = Unwrap(value);
+            if (content == null) return Array.Empty<object?>();
+
+            return content is IEnumerable items && !IsScalar(content) && content is not IDictionary
+                ? items.Cast<object?>().ToList()
+                : new[] { content };
+        }
+
+        public static IReadOnlyDictionary<string, object?> GetFields(object? row, JsonSerializerOptions options)
+        {
+            var fields = new Dictionary<string, object?>(StringComparer.Ordinal);
+
+            switch (row)
+            {
+                case null:
+                    break;
+                case IDictionary dictionary:
+                    foreach (DictionaryEntry entry in dictionary)
+                    {
+                        fields[Convert.ToString(entry.Key, CultureInfo.InvariantCulture) ?? string.Empty] = entry.Value;
+                    }
+                    break;
+                case var scalar when IsScalar(scalar):
+                    fields[ScalarColumn] = scalar;
+                    break;
+                default:
+                    foreach (var (name, property) in GetProperties(row.GetType(), options))
+                    {
+                        fields[name] = property.GetValue(row);
+                    }
+                    break;
+            }
+
+            return fields;
+        }
+
+        /// <summary>
+        /// Culture-invariant text of a cell: ISO 8601 dates, lists of plain values joined with "; ", and anything
+        /// nested as its JSON
+        /// </summary>
+        public static string FormatCell(object? value, JsonSerializerOptions options) => value switch
+        {
+            null => string.Empty,
+            string text => text,
+            DateTime date => date.ToString("o", CultureInfo.InvariantCulture),
+            DateTimeOffset date => date.ToString("o", CultureInfo.InvariantCulture),
+            bool flag => flag ? "true" : "false",
+            Enum member => member.ToString(),
+            IFormattable formattable => formattable.ToString(null, CultureInfo.InvariantCulture),
+            IEnumerable items when value is not IDictionary && items.Cast<object?>().All(IsScalar) =>
+                string.Join("; ", items.Cast<object?>().Select(item => FormatCell(item, options))),
+            _ => JsonSerializer.Serialize(value, value.GetType(), options)
+        };
+
+        private static object? Unwrap(object? value)
+        {
+            if (value == null || IsScalar(value) || value is IEnumerable || IsFailure(value)) return value;
+
+            var data = value.GetType().GetProperty("Data", BindingFlags.Public | BindingFlags.Instance | BindingFlags.IgnoreCase);
+            return data != null && data.GetIndexParameters().Length == 0 ? data.GetValue(value) : value;
+        }
+
+        /// <summary>
+        /// ApiResponse and the anonymous error objects carry success = false
+        /// </summary>
+        private static bool IsFailure(object value)
+        {
+            var success = value.GetType().GetProperty("Success", BindingFlags.Public | BindingFlags.Instance | BindingFlags.IgnoreCase);
+            return success?.PropertyType == typeof(bool) && !(bool)success.GetValue(value)!;
+        }
+
+        /// <summary>
+        /// Element type of an empty list, so it still gets its header row
+        /// </summary>
+        private static Type GetItemType(object? value)
+        {
+            var type = value?.GetType();
+            if (type == null || value is not IEnumerable || IsScalar(value)) return type ?? typeof(object);
+
+            if (type.IsArray) return type.GetElementType()!;
+
+            var enumerable = type.GetInterfaces().Append(type)
+                .FirstOrDefault(candidate => candidate.IsGenericType && candidate.GetGenericTypeDefinition() == typeof(IEnumerable<>));
+            return enumerable?.GetGenericArguments()[0] ?? typeof(object);
+        }
+
+        private static IEnumerable<string> GetColumnNames(Type type, JsonSerializerOptions options)
+        {
+            if (type == typeof(object) || typeof(IDictionary).IsAssignableFrom(type)) return Array.Empty<string>();
+            if (IsScalarType(type)) return new[] { ScalarColumn };
+            return GetProperties(type, options).Select(property => property.Name);
+        }
+
+        private static (string Name, PropertyInfo Property)[] GetProperties(Type type, JsonSerializerOptions options) =>
+            PropertyCache.GetOrAdd((type, options.PropertyNamingPolicy), key => key.Type
+                .GetProperties(BindingFlags.Public | BindingFlags.Instance)
+                .Where(property => property.CanRead && property.GetIndexParameters().Length == 0)
+                .Where(property => property.GetCustomAttribute<JsonIgnoreAttribute>() is not { Condition: JsonIgnoreCondition.Always })
+                .OrderBy(property => property.MetadataToken)
+                .Select(property => (
+                    property.GetCustomAttribute<JsonPropertyNameAttribute>()?.Name ?? key.Policy?.ConvertName(property.Name) ?? property.Name,
+                    property))
+                .ToArray());
+
+        private static bool IsScalar(object? value) => value == null || IsScalarType(value.GetType());
+
+        private static bool IsScalarType(Type type)
+        {
+            type = Nullable.GetUnderlyingType(type) ?? type;
+            return type.IsPrimitive || type.IsEnum || type == typeof(string) || type == typeof(decimal) || type == typeof(DateTime)
+                || type == typeof(DateTimeOffset) || type == typeof(TimeSpan) || type == typeof(Guid);
+        }
+    }
+}
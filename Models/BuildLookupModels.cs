@@ -0,0 +1,46 @@
+namespace OfficeVersionsCore.Models
+{
+    /// <summary>
+    /// Product family a looked-up build belongs to
+    /// </summary>
+    public static class BuildLookupProducts
+    {
+        public const string Windows = "Windows";
+        public const string Microsoft365Apps = "Microsoft 365 Apps";
+    }
+
+    /// <summary>
+    /// Result of resolving a Windows or Office build number (e.g. "26100.4349" or "16.0.17928.20156")
+    /// A single build can resolve to several results, e.g. 26100.x is both Windows 11 24H2 and Windows Server 2025
+    /// </summary>
+    public class BuildLookupResult
+    {
+        public string Query { get; set; } = string.Empty;
+        public string Product { get; set; } = string.Empty; // Windows or Microsoft 365 Apps
+        public string Edition { get; set; } = string.Empty; // Windows 11, Windows Server 2025, Microsoft 365 Apps
+        public string FeatureVersion { get; set; } = string.Empty; // 24H2, 2409, etc.
+        public string Build { get; set; } = string.Empty;
+        public string? KBNumber { get; set; }
+        public DateTime? ReleaseDate { get; set; }
+        public string? Channel { get; set; } // Servicing channel (Windows) or update channel (Office)
+        public string? UpdateType { get; set; }
+
+        /// <summary>
+        /// Whether the feature version is still in servicing; null when no end-of-servicing date is known
+        /// </summary>
+        public bool? IsSupported { get; set; }
+        public string? SupportEndDate { get; set; }
+
+        /// <summary>
+        /// Whether this is the newest build released for its feature version (and channel, for Office)
+        /// </summary>
+        public bool IsCurrent { get; set; }
+        public string? LatestBuild { get; set; }
+
+        /// <summary>
+        /// False when only the feature version could be determined and the exact build was not found in the update history
+        /// </summary>
+        public bool IsExactMatch { get; set; }
+        public string? Url { get; set; }
+    }
+}
@@ -0,0 +1,60 @@
+namespace OfficeVersionsCore.Models
+{
+    /// <summary>
+    /// Kinds of change between two scraper runs
+    /// </summary>
+    public static class ReleaseChangeTypes
+    {
+        public const string Added = "added";
+        public const string Removed = "removed";
+        public const string Modified = "modified";
+    }
+
+    /// <summary>
+    /// Changes found by one scraper run for one dataset (a Windows edition or the Office release history)
+    /// </summary>
+    public class ChangeRecord
+    {
+        public string Id { get; set; } = string.Empty;
+        public string Product { get; set; } = string.Empty; // Windows or Microsoft 365 Apps (see BuildLookupProducts)
+        public string? Edition { get; set; } // Windows edition display name; null for Office
+        public DateTime DetectedUtc { get; set; }
+        public int AddedCount { get; set; }
+        public int RemovedCount { get; set; }
+        public int ModifiedCount { get; set; }
+        public List<ReleaseChange> Changes { get; set; } = new();
+    }
+
+    /// <summary>
+    /// One added, removed or modified build/KB
+    /// </summary>
+    public class ReleaseChange
+    {
+        public string Type { get; set; } = string.Empty; // see ReleaseChangeTypes
+        public string Product { get; set; } = string.Empty;
+        public string? Edition { get; set; }
+        public string? Channel { get; set; } // Office update channel or Windows Server servicing channel
+        public string Version { get; set; } = string.Empty;
+        public string Build { get; set; } = string.Empty;
+        public string? KBNumber { get; set; }
+        public string? Title { get; set; }
+        public string? UpdateType { get; set; }
+        public DateTime? ReleaseDate { get; set; }
+        public string? Url { get; set; }
+
+        /// <summary>
+        /// Field-level differences; only set for modified rows
+        /// </summary>
+        public List<ReleaseFieldChange> Fields { get; set; } = new();
+    }
+
+    /// <summary>
+    /// Old and new value of one field of a modified build/KB
+    /// </summary>
+    public class ReleaseFieldChange
+    {
+        public string Field { get; set; } = string.Empty;
+        public string? OldValue { get; set; }
+        public string? NewValue { get; set; }
+    }
+}
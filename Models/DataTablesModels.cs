@@ -0,0 +1,82 @@
+using System.Text.Json.Serialization;
+
+namespace OfficeVersionsCore.Models
+{
+    /// <summary>
+    /// Parameters DataTables sends when serverSide is enabled (https://datatables.net/manual/server-side)
+    /// </summary>
+    public class DataTablesRequest
+    {
+        public int Draw { get; set; }
+        public int Start { get; set; }
+        public int Length { get; set; } = 10; // -1 means all rows
+        public DataTablesSearch Search { get; set; } = new();
+        public List<DataTablesColumn> Columns { get; set; } = new();
+        public List<DataTablesOrder> Order { get; set; } = new();
+
+        /// <summary>
+        /// SearchBuilder extension criteria; null when the table has no SearchBuilder or no criteria are set
+        /// </summary>
+        public SearchBuilderGroup? SearchBuilder { get; set; }
+    }
+
+    public class DataTablesSearch
+    {
+        public string? Value { get; set; }
+
+        /// <summary>
+        /// Sent by DataTables but ignored: DataTablesProcessor always searches for the literal text
+        /// </summary>
+        public bool Regex { get; set; }
+    }
+
+    public class DataTablesColumn
+    {
+        public string? Data { get; set; }
+        public string? Name { get; set; }
+        public bool Searchable { get; set; } = true;
+        public bool Orderable { get; set; } = true;
+        public DataTablesSearch Search { get; set; } = new();
+    }
+
+    public class DataTablesOrder
+    {
+        public int Column { get; set; }
+        public string Dir { get; set; } = "asc";
+    }
+
+    /// <summary>
+    /// A SearchBuilder group: criteria combined with AND or OR
+    /// </summary>
+    public class SearchBuilderGroup
+    {
+        public string Logic { get; set; } = "AND";
+        public List<SearchBuilderCriterion> Criteria { get; set; } = new();
+    }
+
+    /// <summary>
+    /// One SearchBuilder condition, or a nested group when Group is set
+    /// </summary>
+    public class SearchBuilderCriterion
+    {
+        public string? Condition { get; set; } // =, !=, <, <=, >, >=, between, !between, contains, starts, ends, null (and ! variants)
+        public string? OrigData { get; set; } // Column data property, e.g. "buildNumber"
+        public string? Type { get; set; }
+        public List<string> Value { get; set; } = new();
+        public SearchBuilderGroup? Group { get; set; }
+    }
+
+    /// <summary>
+    /// Server-side processing response
+    /// </summary>
+    public class DataTablesResponse<T>
+    {
+        public int Draw { get; set; }
+        public int RecordsTotal { get; set; }
+        public int RecordsFiltered { get; set; }
+        public List<T> Data { get; set; } = new();
+
+        [JsonIgnore(Condition = JsonIgnoreCondition.WhenWritingNull)]
+        public string? Error { get; set; }
+    }
+}
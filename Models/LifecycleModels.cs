@@ -0,0 +1,48 @@
+namespace OfficeVersionsCore.Models
+{
+    /// <summary>
+    /// Product families shown on the lifecycle timeline
+    /// </summary>
+    public static class LifecycleFamilies
+    {
+        public const string Windows10 = "Windows 10";
+        public const string Windows11 = "Windows 11";
+        public const string WindowsServer = "Windows Server";
+        public const string Microsoft365Apps = "Microsoft 365 Apps";
+    }
+
+    /// <summary>
+    /// One bar on the lifecycle timeline: a Windows feature version, LTSC release, Windows Server release
+    /// or Microsoft 365 Apps channel version, from availability to its last end-of-support date
+    /// </summary>
+    public class LifecycleTimelineEntry
+    {
+        public string Family { get; set; } = string.Empty; // Windows 10, Windows 11, Windows Server, Microsoft 365 Apps
+        public string Name { get; set; } = string.Empty; // Windows 11 24H2, Windows 10 Enterprise LTSC 2021, Current Channel 2509
+        public string Version { get; set; } = string.Empty;
+        public string? Channel { get; set; } // Servicing option (Windows) or update channel (Office)
+        public string? LatestBuild { get; set; }
+        public DateTime? StartDate { get; set; }
+
+        /// <summary>
+        /// Last known end-of-support date (enterprise/extended where available); null while no end date is announced
+        /// </summary>
+        public DateTime? EndDate { get; set; }
+
+        /// <summary>
+        /// End-of-servicing and end-of-support dates in chronological order
+        /// </summary>
+        public List<LifecycleMilestone> Milestones { get; set; } = new();
+
+        public bool IsSupported { get; set; }
+    }
+
+    /// <summary>
+    /// A dated lifecycle event such as "End of servicing (Enterprise)" or "Extended support ends"
+    /// </summary>
+    public class LifecycleMilestone
+    {
+        public string Name { get; set; } = string.Empty;
+        public DateTime Date { get; set; }
+    }
+}
@@ -0,0 +1,30 @@
+using System.Text.Json.Serialization;
+
+namespace OfficeVersionsCore.Models
+{
+    /// <summary>
+    /// Server-Sent Event names published on /api/live
+    /// </summary>
+    public static class LiveUpdateEventTypes
+    {
+        public const string ScrapeCompleted = "scrape.completed";
+        public const string ReleasesDetected = "releases.detected";
+    }
+
+    /// <summary>
+    /// A live update pushed to connected browsers when a scraper run finishes or finds new releases
+    /// </summary>
+    public class LiveUpdateEvent
+    {
+        /// <summary>
+        /// Increasing id sent as the SSE event id, so reconnecting clients can resume with Last-Event-ID
+        /// </summary>
+        public long Id { get; set; }
+        public string Type { get; set; } = string.Empty;
+        public string Product { get; set; } = string.Empty; // Windows or Microsoft 365 Apps (see BuildLookupProducts)
+        public DateTime TimestampUtc { get; set; } = DateTime.UtcNow;
+
+        [JsonIgnore(Condition = JsonIgnoreCondition.WhenWritingNull)]
+        public List<DetectedRelease>? Releases { get; set; }
+    }
+}
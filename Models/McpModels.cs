@@ -0,0 +1,137 @@
+using System.Text.Json;
+using System.Text.Json.Nodes;
+using System.Text.Json.Serialization;
+
+namespace OfficeVersionsCore.Models
+{
+    /// <summary>
+    /// A tool as listed by the MCP tools/list method
+    /// </summary>
+    public class McpToolDefinition
+    {
+        public string Name { get; set; } = string.Empty;
+        public string Title { get; set; } = string.Empty;
+        public string Description { get; set; } = string.Empty;
+
+        /// <summary>
+        /// JSON Schema the arguments of tools/call are validated against
+        /// </summary>
+        public JsonObject InputSchema { get; set; } = new();
+
+        /// <summary>
+        /// JSON Schema of the structuredContent returned by a successful call
+        /// </summary>
+        public JsonObject OutputSchema { get; set; } = new();
+    }
+
+    /// <summary>
+    /// Result of the MCP tools/call method
+    /// </summary>
+    public class McpToolResult
+    {
+        public List<McpContent> Content { get; set; } = new();
+
+        /// <summary>
+        /// The result as JSON matching the tool's outputSchema; not set on errors
+        /// </summary>
+        [JsonIgnore(Condition = JsonIgnoreCondition.WhenWritingNull)]
+        public JsonNode? StructuredContent { get; set; }
+
+        public bool IsError { get; set; }
+    }
+
+    /// <summary>
+    /// Params of a notifications/progress message. Tools report Progress, Total and Message; the transport
+    /// adds the progressToken the client sent in _meta.
+    /// </summary>
+    public class McpProgress
+    {
+        public JsonElement ProgressToken { get; set; }
+        public double Progress { get; set; }
+
+        [JsonIgnore(Condition = JsonIgnoreCondition.WhenWritingNull)]
+        public double? Total { get; set; }
+
+        [JsonIgnore(Condition = JsonIgnoreCondition.WhenWritingNull)]
+        public string? Message { get; set; }
+    }
+
+    /// <summary>
+    /// A resource as listed by the MCP resources/list method
+    /// </summary>
+    public class McpResource
+    {
+        public string Uri { get; set; } = string.Empty;
+        public string Name { get; set; } = string.Empty;
+        public string Title { get; set; } = string.Empty;
+        public string Description { get; set; } = string.Empty;
+        public string MimeType { get; set; } = "application/json";
+    }
+
+    /// <summary>
+    /// A parameterized resource URI (RFC 6570) as listed by the MCP resources/templates/list method
+    /// </summary>
+    public class McpResourceTemplate
+    {
+        public string UriTemplate { get; set; } = string.Empty;
+        public string Name { get; set; } = string.Empty;
+        public string Title { get; set; } = string.Empty;
+        public string Description { get; set; } = string.Empty;
+        public string MimeType { get; set; } = "application/json";
+    }
+
+    /// <summary>
+    /// Contents of a resource returned by the MCP resources/read method
+    /// </summary>
+    public class McpResourceContents
+    {
+        public string Uri { get; set; } = string.Empty;
+        public string MimeType { get; set; } = "application/json";
+        public string Text { get; set; } = string.Empty;
+    }
+
+    /// <summary>
+    /// A prompt as listed by the MCP prompts/list method
+    /// </summary>
+    public class McpPrompt
+    {
+        public string Name { get; set; } = string.Empty;
+        public string Title { get; set; } = string.Empty;
+        public string Description { get; set; } = string.Empty;
+        public List<McpPromptArgument> Arguments { get; set; } = new();
+    }
+
+    /// <summary>
+    /// A (string) argument of a prompt
+    /// </summary>
+    public class McpPromptArgument
+    {
+        public string Name { get; set; } = string.Empty;
+        public string Description { get; set; } = string.Empty;
+        public bool Required { get; set; }
+    }
+
+    /// <summary>
+    /// Result of the MCP prompts/get method
+    /// </summary>
+    public class McpPromptResult
+    {
+        public string Description { get; set; } = string.Empty;
+        public List<McpPromptMessage> Messages { get; set; } = new();
+    }
+
+    public class McpPromptMessage
+    {
+        public string Role { get; set; } = "user";
+        public McpContent Content { get; set; } = new();
+    }
+
+    /// <summary>
+    /// A content block of a tool result or prompt message
+    /// </summary>
+    public class McpContent
+    {
+        public string Type { get; set; } = "text";
+        public string Text { get; set; } = string.Empty;
+    }
+}
@@ -0,0 +1,35 @@
+namespace OfficeVersionsCore.Models
+{
+    /// <summary>
+    /// What a site search result points at
+    /// </summary>
+    public static class SiteSearchKinds
+    {
+        public const string Kb = "kb";
+        public const string Build = "build";
+        public const string Version = "version";
+        public const string Channel = "channel";
+    }
+
+    /// <summary>
+    /// A match of the command palette search (GET /api/search) across the Office and Windows datasets
+    /// </summary>
+    public class SiteSearchResult
+    {
+        public string Kind { get; set; } = string.Empty; // kb, build, version, channel
+        public string Title { get; set; } = string.Empty; // KB5060842, Build 26100.4349, Windows 11 24H2, Current Channel
+        public string Subtitle { get; set; } = string.Empty;
+        public string Product { get; set; } = string.Empty; // Windows or Microsoft 365 Apps
+
+        /// <summary>
+        /// Release page to open; ?kb= and ?build= select the matching row and open its details modal,
+        /// ?highlight= only selects it (see ReleaseTable in release-table.js)
+        /// </summary>
+        public string Url { get; set; } = string.Empty;
+
+        /// <summary>
+        /// Match quality from 1 to 100: exact, then prefix, then substring, then fuzzy (in-order characters)
+        /// </summary>
+        public int Score { get; set; }
+    }
+}
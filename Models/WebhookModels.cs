@@ -0,0 +1,111 @@
+namespace OfficeVersionsCore.Models
+{
+    /// <summary>
+    /// Webhook event types
+    /// </summary>
+    public static class WebhookEventTypes
+    {
+        public const string ReleaseDetected = "release.detected";
+        public const string Test = "webhook.test";
+    }
+
+    /// <summary>
+    /// A Windows KB or Office build that was not in the previous scraped dataset
+    /// </summary>
+    public class DetectedRelease
+    {
+        public string Product { get; set; } = string.Empty; // Windows or Microsoft 365 Apps (see BuildLookupProducts)
+        public string? Edition { get; set; } // Windows 11, Windows Server 2022, ...
+        public string? Channel { get; set; } // Office update channel
+        public string Version { get; set; } = string.Empty;
+        public string Build { get; set; } = string.Empty;
+        public string? KBNumber { get; set; }
+        public string? UpdateType { get; set; }
+        public DateTime? ReleaseDate { get; set; }
+        public string? Url { get; set; }
+        public DateTime DetectedUtc { get; set; } = DateTime.UtcNow;
+
+        public static DetectedRelease FromChange(ReleaseChange change, DateTime detectedUtc) => new()
+        {
+            Product = change.Product,
+            Edition = change.Edition,
+            Channel = change.Channel,
+            Version = change.Version,
+            Build = change.Build,
+            KBNumber = change.KBNumber,
+            UpdateType = change.UpdateType,
+            ReleaseDate = change.ReleaseDate,
+            Url = change.Url,
+            DetectedUtc = detectedUtc
+        };
+    }
+
+    /// <summary>
+    /// A registered webhook. Empty filter lists match everything.
+    /// </summary>
+    public class WebhookSubscription
+    {
+        public string Id { get; set; } = string.Empty;
+        public string Url { get; set; } = string.Empty;
+        public string? Description { get; set; }
+        public List<string> Products { get; set; } = new();
+        public List<string> Editions { get; set; } = new();
+        public List<string> Channels { get; set; } = new();
+
+        /// <summary>
+        /// HMAC-SHA256 key used for the X-Webhook-Signature header; only returned when the subscription is created
+        /// </summary>
+        public string? Secret { get; set; }
+        public DateTime CreatedUtc { get; set; }
+    }
+
+    /// <summary>
+    /// Request body for registering a webhook
+    /// </summary>
+    public class WebhookSubscriptionRequest
+    {
+        /// <summary>HTTPS URL that receives POSTed events</summary>
+        public string Url { get; set; } = string.Empty;
+
+        /// <summary>Free-text label, e.g. "Pilot ring deployment"</summary>
+        public string? Description { get; set; }
+
+        /// <summary>"Windows" and/or "Microsoft 365 Apps"; empty for both</summary>
+        public List<string>? Products { get; set; }
+
+        /// <summary>Windows editions such as "Windows 11" or "WindowsServer2022"; empty for all</summary>
+        public List<string>? Editions { get; set; }
+
+        /// <summary>Office channels such as "Monthly Enterprise Channel"; empty for all</summary>
+        public List<string>? Channels { get; set; }
+    }
+
+    /// <summary>
+    /// JSON body POSTed to a webhook URL
+    /// </summary>
+    public class WebhookPayload
+    {
+        public string Id { get; set; } = string.Empty;
+        public string Type { get; set; } = string.Empty;
+        public DateTime CreatedUtc { get; set; }
+        public string SubscriptionId { get; set; } = string.Empty;
+        public DetectedRelease? Data { get; set; }
+    }
+
+    /// <summary>
+    /// One delivery attempt in the webhook delivery log
+    /// </summary>
+    public class WebhookDelivery
+    {
+        public string SubscriptionId { get; set; } = string.Empty;
+        public string EventId { get; set; } = string.Empty;
+        public string EventType { get; set; } = string.Empty;
+        public string Url { get; set; } = string.Empty;
+        public int Attempt { get; set; }
+        public int? StatusCode { get; set; }
+        public bool Success { get; set; }
+        public string? Error { get; set; }
+        public long DurationMs { get; set; }
+        public DateTime TimestampUtc { get; set; }
+    }
+}
@@ -0,0 +1,73 @@
+namespace OfficeVersionsCore.Models
+{
+    /// <summary>
+    /// A Windows version that can be picked for comparison (/api/WindowsVersions/compare/versions)
+    /// </summary>
+    public class ComparableWindowsVersion
+    {
+        /// <summary>
+        /// Stable id used in ?versions=, e.g. "windows11-24h2", "windows10-21h2-ltsc" or "windowsserver2022"
+        /// </summary>
+        public string Id { get; set; } = string.Empty;
+        public string Name { get; set; } = string.Empty; // Windows 11 24H2, Windows 10 Enterprise LTSC 21H2, Windows Server 2022
+        public string Edition { get; set; } = string.Empty;
+        public string Version { get; set; } = string.Empty;
+        public string? ServicingOption { get; set; }
+        public bool IsLtsc { get; set; }
+        public bool IsServer { get; set; }
+        public DateTime? ReleaseDate { get; set; }
+        public bool IsSupported { get; set; }
+    }
+
+    /// <summary>
+    /// One column of a side-by-side comparison
+    /// </summary>
+    public class WindowsVersionComparisonColumn : ComparableWindowsVersion
+    {
+        public string? LatestBuild { get; set; }
+        public string? LatestKB { get; set; }
+        public DateTime? LatestUpdateDate { get; set; }
+        public string? LatestUpdateTitle { get; set; }
+        public string? LatestUpdateUrl { get; set; }
+        public int UpdateCount { get; set; }
+        public int SecurityUpdateCount { get; set; }
+
+        /// <summary>
+        /// End-of-servicing and end-of-support dates in chronological order (from the lifecycle timeline)
+        /// </summary>
+        public List<LifecycleMilestone> ServicingEndDates { get; set; } = new();
+
+        /// <summary>
+        /// Last end-of-support date; null while none is announced
+        /// </summary>
+        public DateTime? EndOfSupportDate { get; set; }
+
+        /// <summary>
+        /// Key features of the feature update, or highlights of its updates when no feature data is stored
+        /// </summary>
+        public List<string> Features { get; set; } = new();
+
+        /// <summary>
+        /// Features listed for this version but not for every other compared version
+        /// </summary>
+        public List<string> UniqueFeatures { get; set; } = new();
+    }
+
+    /// <summary>
+    /// Result of /api/WindowsVersions/compare?versions=...
+    /// </summary>
+    public class WindowsVersionComparison
+    {
+        public List<WindowsVersionComparisonColumn> Versions { get; set; } = new();
+
+        /// <summary>
+        /// Features shared by all compared versions
+        /// </summary>
+        public List<string> CommonFeatures { get; set; } = new();
+
+        /// <summary>
+        /// Requested ids that did not match a known version
+        /// </summary>
+        public List<string> NotFound { get; set; } = new();
+    }
+}
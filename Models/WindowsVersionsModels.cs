@@ -248,5 +248,22 @@ namespace OfficeVersionsCore.Models
         public bool IsSupported { get; set; }
         public string? UpgradePath { get; set; }
     }
-}
 
+    /// <summary>
+    /// Row of the Windows release tables (/api/WindowsVersions/releases and /server/releases)
+    /// </summary>
+    public class WindowsReleaseRow
+    {
+        [JsonIgnore(Condition = JsonIgnoreCondition.WhenWritingNull)]
+        public string? Product { get; set; } // Windows 10 or Windows 11; omitted for server rows
+        public string Version { get; set; } = string.Empty;
+        public string BuildNumber { get; set; } = string.Empty;
+        public DateTime? ReleaseDate { get; set; }
+        public string ServicingOption { get; set; } = string.Empty;
+        public string Kb { get; set; } = string.Empty;
+        public string Url { get; set; } = string.Empty;
+        public string UpdateTitle { get; set; } = string.Empty;
+        public bool IsSecurityUpdate { get; set; }
+        public string? Type { get; set; }
+    }
+}
@@ -0,0 +1,29 @@
+using Microsoft.AspNetCore.Mvc;
+using Microsoft.AspNetCore.Mvc.RazorPages;
+
+namespace OfficeVersionsCore.Pages
+{
+    /// <summary>
+    /// Build lookup page - resolves a Windows or Office build number via /api/builds/{build}
+    /// </summary>
+    public class BuildLookupModel : PageModel
+    {
+        private readonly ILogger<BuildLookupModel> _logger;
+
+        public BuildLookupModel(ILogger<BuildLookupModel> logger)
+        {
+            _logger = logger;
+        }
+
+        /// <summary>
+        /// Build passed in the query string (?build=26100.4349) so lookups can be shared as links
+        /// </summary>
+        [BindProperty(SupportsGet = true)]
+        public string? Build { get; set; }
+
+        public void OnGet()
+        {
+            _logger.LogInformation("Build lookup page visited");
+        }
+    }
+}
@@ -0,0 +1,22 @@
+using Microsoft.AspNetCore.Mvc.RazorPages;
+
+namespace OfficeVersionsCore.Pages
+{
+    /// <summary>
+    /// What changed - added, removed and modified builds/KBs per scraper run from /api/changes
+    /// </summary>
+    public class ChangesModel : PageModel
+    {
+        private readonly ILogger<ChangesModel> _logger;
+
+        public ChangesModel(ILogger<ChangesModel> logger)
+        {
+            _logger = logger;
+        }
+
+        public void OnGet()
+        {
+            _logger.LogInformation("Changes page visited");
+        }
+    }
+}
@@ -0,0 +1,29 @@
+using Microsoft.AspNetCore.Mvc;
+using Microsoft.AspNetCore.Mvc.RazorPages;
+
+namespace OfficeVersionsCore.Pages
+{
+    /// <summary>
+    /// Side-by-side comparison of Windows versions across editions via /api/WindowsVersions/compare
+    /// </summary>
+    public class CompareModel : PageModel
+    {
+        private readonly ILogger<CompareModel> _logger;
+
+        public CompareModel(ILogger<CompareModel> logger)
+        {
+            _logger = logger;
+        }
+
+        /// <summary>
+        /// Comma-separated version ids (?versions=windows10-22h2,windows11-24h2) so comparisons can be shared as links
+        /// </summary>
+        [BindProperty(SupportsGet = true)]
+        public string? Versions { get; set; }
+
+        public void OnGet()
+        {
+            _logger.LogInformation("Compare page visited");
+        }
+    }
+}
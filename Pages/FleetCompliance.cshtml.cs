@@ -0,0 +1,22 @@
+using Microsoft.AspNetCore.Mvc.RazorPages;
+
+namespace OfficeVersionsCore.Pages
+{
+    /// <summary>
+    /// Fleet compliance checker - inventory files are evaluated client-side and never uploaded
+    /// </summary>
+    public class FleetComplianceModel : PageModel
+    {
+        private readonly ILogger<FleetComplianceModel> _logger;
+
+        public FleetComplianceModel(ILogger<FleetComplianceModel> logger)
+        {
+            _logger = logger;
+        }
+
+        public void OnGet()
+        {
+            _logger.LogInformation("Fleet compliance page visited");
+        }
+    }
+}
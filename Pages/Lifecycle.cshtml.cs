@@ -0,0 +1,22 @@
+using Microsoft.AspNetCore.Mvc.RazorPages;
+
+namespace OfficeVersionsCore.Pages
+{
+    /// <summary>
+    /// Lifecycle timeline - plots Windows and Office support windows from /api/lifecycle
+    /// </summary>
+    public class LifecycleModel : PageModel
+    {
+        private readonly ILogger<LifecycleModel> _logger;
+
+        public LifecycleModel(ILogger<LifecycleModel> logger)
+        {
+            _logger = logger;
+        }
+
+        public void OnGet()
+        {
+            _logger.LogInformation("Lifecycle timeline page visited");
+        }
+    }
+}
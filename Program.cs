@@ -10,6 +10,8 @@ using Microsoft.ApplicationInsights;
 using Microsoft.AspNetCore.Rewrite;
 using Microsoft.AspNetCore.RateLimiting;
 using Microsoft.OpenApi;
+using System.Net;
+using System.Net.Sockets;
 using System.Reflection;
 using System.Threading.RateLimiting;
 using Azure.Identity;
@@ -150,7 +152,14 @@ builder.Host.UseSerilog((ctx, services, config) =>
 
     // Add services to the container.
     builder.Services.AddRazorPages();
-builder.Services.AddControllers()
+builder.Services.AddControllers(options =>
+    {
+        // CSV and NDJSON for the data APIs (Accept header or ?format=); only controllers marked [TabularOutput] use them
+        options.OutputFormatters.Add(new CsvOutputFormatter());
+        options.OutputFormatters.Add(new NdjsonOutputFormatter());
+        options.FormatterMappings.SetMediaTypeMappingForFormat(CsvOutputFormatter.Format, CsvOutputFormatter.MediaType);
+        options.FormatterMappings.SetMediaTypeMappingForFormat(NdjsonOutputFormatter.Format, NdjsonOutputFormatter.MediaType);
+    })
     .AddXmlSerializerFormatters(); // Add XML support for Content Negotiation
 
 // HttpClient factory (can extend later with proxy/timeout logic)
@@ -165,6 +174,36 @@ builder.Services.AddHttpClient("WindowsScraper", client =>
     client.DefaultRequestHeaders.Add("User-Agent", "WindowsVersionsScraper");
     client.Timeout = TimeSpan.FromMinutes(2);
 });
+builder.Services.AddHttpClient("Webhooks", client =>
+{
+    client.DefaultRequestHeaders.Add("User-Agent", "OfficeVersionsWebhooks");
+    client.Timeout = TimeSpan.FromSeconds(10);
+})
+.ConfigurePrimaryHttpMessageHandler(() => new SocketsHttpHandler
+{
+    // Subscription hosts are checked when registered; checking again at connect time stops a host whose DNS
+    // later changes from pointing deliveries at loopback, private or link-local addresses
+    ConnectCallback = async (context, cancellationToken) =>
+    {
+        var addresses = await Dns.GetHostAddressesAsync(context.DnsEndPoint.Host, cancellationToken);
+        if (addresses.Length == 0 || !addresses.All(WebhookService.IsPublicAddress))
+        {
+            throw new HttpRequestException($"Webhook host {context.DnsEndPoint.Host} does not resolve to a public address");
+        }
+
+        var socket = new Socket(SocketType.Stream, ProtocolType.Tcp) { NoDelay = true };
+        try
+        {
+            await socket.ConnectAsync(addresses, context.DnsEndPoint.Port, cancellationToken);
+            return new NetworkStream(socket, ownsSocket: true);
+        }
+        catch
+        {
+            socket.Dispose();
+            throw;
+        }
+    }
+});
 
 // Register Storage Service for local file system storage
 // Must be Singleton because BackgroundServices (HostedServices) are Singleton and consume it
@@ -202,9 +241,58 @@ builder.Services.AddScoped<IOffice365Service, Office365Service>();
 // Register Windows versions service
 builder.Services.AddScoped<IWindowsVersionsService, WindowsVersionsService>();
 
+// Register data version service (storage timestamps behind ETag/Last-Modified on the data APIs)
+builder.Services.AddScoped<IDataVersionService, DataVersionService>();
+
+// Register Windows comparison service (side-by-side comparison of versions across editions)
+builder.Services.AddScoped<IWindowsComparisonService, WindowsComparisonService>();
+
+// Register site search service (command palette search across the Office and Windows datasets)
+builder.Services.AddScoped<ISiteSearchService, SiteSearchService>();
+
+// Register MCP tool service (tool catalog behind /mcp tools/list and tools/call)
+builder.Services.AddScoped<IMcpToolService, McpToolService>();
+
+// Register MCP resource service (officeversions:// resources behind /mcp resources/list and resources/read)
+builder.Services.AddScoped<IMcpResourceService, McpResourceService>();
+
+// Register MCP subscription service (Singleton - resources/subscribe sessions notified when scrapers rewrite data)
+builder.Services.AddSingleton<IMcpSubscriptionService, McpSubscriptionService>();
+
+// Register MCP session service (Singleton - Mcp-Session-Id sessions and their cancellable in-flight requests)
+builder.Services.AddSingleton<IMcpSessionService, McpSessionService>();
+
+// Register MCP prompt service (admin report prompts behind /mcp prompts/list and prompts/get)
+builder.Services.AddScoped<IMcpPromptService, McpPromptService>();
+
 // Register Windows version mapper service
 builder.Services.AddScoped<IWindowsVersionMapper, WindowsVersionMapper>();
 
+// Register build lookup service (resolves Windows and Office build numbers)
+builder.Services.AddScoped<IBuildLookupService, BuildLookupService>();
+
+// Register lifecycle service (Windows and Office support timeline)
+builder.Services.AddScoped<ILifecycleService, LifecycleService>();
+
+// Register calendar service (.ics feeds of Patch Tuesdays and end-of-servicing dates)
+builder.Services.AddScoped<ICalendarService, CalendarService>();
+
+// Register feed service (RSS/Atom feeds of new Office builds and Windows KBs)
+builder.Services.AddScoped<IFeedService, FeedService>();
+
+// Register live update broadcaster (Singleton - shared by the scrapers and every /api/live connection)
+builder.Services.AddSingleton<ILiveUpdateService, LiveUpdateService>();
+
+// Register change history service (added/removed/modified builds and KBs per scraper run)
+builder.Services.AddScoped<IChangeHistoryService, ChangeHistoryService>();
+
+// Register webhook service (subscriptions and signed delivery of releases detected by the scrapers)
+builder.Services.AddScoped<IWebhookService, WebhookService>();
+
+// Register webhook delivery queue (Singleton - scrapers enqueue, the background service below sends)
+builder.Services.AddSingleton<IWebhookDeliveryQueue, WebhookDeliveryQueue>();
+builder.Services.AddHostedService<WebhookDeliveryBackgroundService>();
+
 // Register the background service for Office 365 version scraping
 // Only register if enabled in configuration
 if (builder.Configuration.GetValue<bool>("Office365Scraper:Enabled", false))
@@ -325,6 +413,17 @@ builder.Services.AddRateLimiter(rateLimiterOptions =>
         options.QueueLimit = 5;
     });
 
+    // API per IP - For endpoints that clients poll: calendar subscriptions, feed readers, live-updating dashboards (60 requests per minute per IP)
+    // Split per client so that one subscriber or page cannot use up the permits of everyone else
+    rateLimiterOptions.AddPolicy("api-per-ip", httpContext =>
+        RateLimitPartition.GetFixedWindowLimiter(GetClientIp(httpContext), _ => new FixedWindowRateLimiterOptions
+        {
+            PermitLimit = 60,
+            Window = TimeSpan.FromMinutes(1),
+            QueueProcessingOrder = QueueProcessingOrder.OldestFirst,
+            QueueLimit = 5
+        }));
+
     // Razor Pages - Permissive (1000 requests per minute)
     rateLimiterOptions.AddFixedWindowLimiter(policyName: "pages", options =>
     {
@@ -337,9 +436,7 @@ builder.Services.AddRateLimiter(rateLimiterOptions =>
     // Global per-IP rate limiting (200 requests per minute per IP)
     rateLimiterOptions.GlobalLimiter = PartitionedRateLimiter.Create<HttpContext, string>(httpContext =>
     {
-        var ipAddress = httpContext.Request.Headers["X-Forwarded-For"].FirstOrDefault() 
-            ?? httpContext.Connection.RemoteIpAddress?.ToString() 
-            ?? "unknown";
+        var ipAddress = GetClientIp(httpContext);
         
         return RateLimitPartition.GetFixedWindowLimiter(ipAddress, _ => new FixedWindowRateLimiterOptions
         {
@@ -349,6 +446,11 @@ builder.Services.AddRateLimiter(rateLimiterOptions =>
             QueueLimit = 10
         });
     });
+
+    static string GetClientIp(HttpContext httpContext) =>
+        httpContext.Request.Headers["X-Forwarded-For"].FirstOrDefault()
+            ?? httpContext.Connection.RemoteIpAddress?.ToString()
+            ?? "unknown";
 });
 
 // Add Health Checks
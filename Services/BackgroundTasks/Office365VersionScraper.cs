@@ -14,6 +14,7 @@ namespace OfficeVersionsCore.Services.BackgroundTasks
         private readonly IConfiguration _configuration;
         private readonly HttpClient _httpClient;
         private readonly IStorageService _storageService;
+        private readonly IServiceScopeFactory _scopeFactory;
         private readonly string _office365StoragePath;
         private readonly string _rootUrl = "https://docs.microsoft.com/en-us/officeupdates/";
         private readonly string _rootPage = "https://learn.microsoft.com/en-us/officeupdates/update-history-microsoft365-apps-by-date";
@@ -24,13 +25,15 @@ namespace OfficeVersionsCore.Services.BackgroundTasks
             ILogger<Office365VersionScraper> logger,
             IConfiguration configuration,
             IHttpClientFactory httpClientFactory,
-            IStorageService storageService)
+            IStorageService storageService,
+            IServiceScopeFactory scopeFactory)
         {
             _logger = logger;
             _configuration = configuration;
             _httpClient = httpClientFactory.CreateClient("Office365Scraper");
             _httpClient.Timeout = TimeSpan.FromMinutes(2);
             _storageService = storageService;
+            _scopeFactory = scopeFactory;
             
             // Storage path from configuration (Office365:StoragePath), default to "officeversions"
             _office365StoragePath = _configuration["Office365:StoragePath"] ?? "officeversions";
@@ -173,8 +176,13 @@ namespace OfficeVersionsCore.Services.BackgroundTasks
                 _logger.LogInformation("Processed version history table, found {ReleaseCount} releases", 
                     allReleases.Data?.Count ?? 0);
                 
+                // Read the previous release history before it is overwritten so changes can be recorded
+                var previousReleases = await LoadPreviousReleasesAsync("m365releases.json");
+
                 // Upload all releases JSON
                 await UploadJsonDataAsync(allReleases, "m365releases.json", stoppingToken);
+
+                var newReleases = await RecordChangesAsync(previousReleases, allReleases, stoppingToken);
                 
                 // Filter by channel and create separate JSON files
                 var currentChannel = FilterByChannel(allReleases, "Current Channel");
@@ -192,6 +200,8 @@ namespace OfficeVersionsCore.Services.BackgroundTasks
                 await UploadJsonDataAsync(monthlyEnterprise, "m365MonthlyReleases.json", stoppingToken);
                 await UploadJsonDataAsync(semiAnnualChannel, "m365SACReleases.json", stoppingToken);
                 await UploadJsonDataAsync(semiAnnualPreview, "m365SACPreviewReleases.json", stoppingToken);
+
+                PublishLiveUpdates(newReleases);
             }
             catch (Exception ex)
             {
@@ -405,6 +415,90 @@ namespace OfficeVersionsCore.Services.BackgroundTasks
             }
         }
 
+        private async Task<Office365VersionsData?> LoadPreviousReleasesAsync(string fileName)
+        {
+            var fullFileName = $"{_office365StoragePath}/{fileName}";
+            try
+            {
+                if (!await _storageService.ExistsAsync(fullFileName))
+                {
+                    return null;
+                }
+
+                var json = await _storageService.ReadAsync(fullFileName);
+                return JsonSerializer.Deserialize<Office365VersionsData>(json, new JsonSerializerOptions
+                {
+                    PropertyNameCaseInsensitive = true
+                });
+            }
+            catch (Exception ex)
+            {
+                _logger.LogWarning(ex, "Could not read previous {FileName}; skipping change tracking", fullFileName);
+                return null;
+            }
+        }
+
+        /// <summary>
+        /// Stores a change record of added, removed and modified builds (matched by channel and build)
+        /// and publishes the added ones to webhooks. Without a previous history the run is a baseline.
+        /// Returns the added builds.
+        /// </summary>
+        private async Task<List<DetectedRelease>> RecordChangesAsync(Office365VersionsData? previous, Office365VersionsData current, CancellationToken cancellationToken)
+        {
+            var newReleases = new List<DetectedRelease>();
+            try
+            {
+                using var scope = _scopeFactory.CreateScope();
+                var changeHistoryService = scope.ServiceProvider.GetRequiredService<IChangeHistoryService>();
+                var record = await changeHistoryService.RecordOfficeChangesAsync(previous?.Data, current.Data);
+                if (record == null)
+                {
+                    return newReleases;
+                }
+
+                newReleases = record.Changes
+                    .Where(c => c.Type == ReleaseChangeTypes.Added)
+                    .Select(c => DetectedRelease.FromChange(c, record.DetectedUtc))
+                    .ToList();
+                if (!newReleases.Any())
+                {
+                    return newReleases;
+                }
+
+                _logger.LogInformation("Detected {Count} new Microsoft 365 Apps builds", newReleases.Count);
+                var webhookService = scope.ServiceProvider.GetRequiredService<IWebhookService>();
+                await webhookService.PublishAsync(newReleases, cancellationToken);
+            }
+            catch (Exception ex) when (ex is not OperationCanceledException)
+            {
+                // Change tracking and webhook failures must not fail the scrape; the data files are already written
+                _logger.LogError(ex, "Error recording Microsoft 365 Apps changes");
+            }
+
+            return newReleases;
+        }
+
+        /// <summary>
+        /// Tells browsers on /api/live that the Microsoft 365 Apps data was rewritten and which builds are new
+        /// </summary>
+        private void PublishLiveUpdates(List<DetectedRelease> newReleases)
+        {
+            try
+            {
+                using var scope = _scopeFactory.CreateScope();
+                var liveUpdateService = scope.ServiceProvider.GetRequiredService<ILiveUpdateService>();
+                liveUpdateService.Publish(LiveUpdateEventTypes.ScrapeCompleted, BuildLookupProducts.Microsoft365Apps);
+                if (newReleases.Any())
+                {
+                    liveUpdateService.Publish(LiveUpdateEventTypes.ReleasesDetected, BuildLookupProducts.Microsoft365Apps, newReleases);
+                }
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, "Error publishing Microsoft 365 Apps live updates");
+            }
+        }
+
         private async Task UploadJsonDataAsync(Office365VersionsData? data, string fileName, CancellationToken cancellationToken)
         {
             try
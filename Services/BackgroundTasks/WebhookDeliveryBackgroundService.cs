@@ -0,0 +1,59 @@
+namespace OfficeVersionsCore.Services.BackgroundTasks
+{
+    /// <summary>
+    /// Background service that sends the webhook deliveries queued by WebhookService.PublishAsync
+    /// </summary>
+    public class WebhookDeliveryBackgroundService : BackgroundService
+    {
+        private const int MaxBatchSize = 500;
+
+        private readonly ILogger<WebhookDeliveryBackgroundService> _logger;
+        private readonly IWebhookDeliveryQueue _queue;
+        private readonly IServiceProvider _serviceProvider;
+
+        public WebhookDeliveryBackgroundService(
+            ILogger<WebhookDeliveryBackgroundService> logger,
+            IWebhookDeliveryQueue queue,
+            IServiceProvider serviceProvider)
+        {
+            _logger = logger;
+            _queue = queue;
+            _serviceProvider = serviceProvider;
+        }
+
+        protected override async Task ExecuteAsync(CancellationToken stoppingToken)
+        {
+            _logger.LogInformation("Webhook delivery background service started");
+
+            try
+            {
+                while (await _queue.Reader.WaitToReadAsync(stoppingToken))
+                {
+                    // Everything queued by one scraper run is delivered, and logged, as one batch
+                    var batch = new List<WebhookDeliveryJob>();
+                    while (batch.Count < MaxBatchSize && _queue.Reader.TryRead(out var job))
+                    {
+                        batch.Add(job);
+                    }
+
+                    try
+                    {
+                        using var scope = _serviceProvider.CreateScope();
+                        var webhookService = scope.ServiceProvider.GetRequiredService<IWebhookService>();
+                        await webhookService.DeliverQueuedAsync(batch, stoppingToken);
+                    }
+                    catch (Exception ex) when (ex is not OperationCanceledException)
+                    {
+                        _logger.LogError(ex, "Error delivering {Count} queued webhook events", batch.Count);
+                    }
+                }
+            }
+            catch (OperationCanceledException)
+            {
+                // Shutting down
+            }
+
+            _logger.LogInformation("Webhook delivery background service stopped");
+        }
+    }
+}
@@ -1,3 +1,5 @@
+using OfficeVersionsCore.Models;
+
 namespace OfficeVersionsCore.Services.BackgroundTasks
 {
     /// <summary>
@@ -11,6 +13,17 @@ namespace OfficeVersionsCore.Services.BackgroundTasks
         
         private readonly TimeSpan _interval;
 
+        // Editions refreshed by WindowsVersionsService.RefreshDataAsync()
+        private static readonly WindowsEdition[] _scrapedEditions =
+        {
+            WindowsEdition.Windows10,
+            WindowsEdition.Windows11,
+            WindowsEdition.WindowsServer2016,
+            WindowsEdition.WindowsServer2019,
+            WindowsEdition.WindowsServer2022,
+            WindowsEdition.WindowsServer2025
+        };
+
         public WindowsVersionsScraper(
             ILogger<WindowsVersionsScraper> logger,
             IConfiguration configuration,
@@ -106,6 +119,13 @@ namespace OfficeVersionsCore.Services.BackgroundTasks
                 // Create a scope to resolve scoped services
                 using var scope = _serviceProvider.CreateScope();
                 var windowsVersionsService = scope.ServiceProvider.GetRequiredService<IWindowsVersionsService>();
+
+                // Snapshot the stored updates so added, removed and modified KBs can be recorded after the refresh
+                var previousUpdates = new Dictionary<WindowsEdition, List<WindowsUpdate>?>();
+                foreach (var edition in _scrapedEditions)
+                {
+                    previousUpdates[edition] = await windowsVersionsService.GetStoredUpdatesAsync(edition);
+                }
                 
                 _logger.LogInformation("Calling WindowsVersionsService.RefreshDataAsync()");
                 
@@ -129,6 +149,24 @@ namespace OfficeVersionsCore.Services.BackgroundTasks
                 {
                     _logger.LogWarning("Windows data refresh completed with errors in {ElapsedMs} ms", elapsedMs);
                 }
+
+                var newReleases = await RecordChangesAsync(scope.ServiceProvider, windowsVersionsService, previousUpdates);
+                if (newReleases.Any())
+                {
+                    _logger.LogInformation("Detected {Count} new Windows updates", newReleases.Count);
+                    try
+                    {
+                        var webhookService = scope.ServiceProvider.GetRequiredService<IWebhookService>();
+                        await webhookService.PublishAsync(newReleases, stoppingToken);
+                    }
+                    catch (Exception ex) when (ex is not OperationCanceledException)
+                    {
+                        // Webhook failures must not fail the scrape; the data files are already written
+                        _logger.LogError(ex, "Error publishing new Windows updates to webhooks");
+                    }
+                }
+
+                PublishLiveUpdates(scope.ServiceProvider, newReleases);
             }
             catch (Exception ex)
             {
@@ -137,5 +175,58 @@ namespace OfficeVersionsCore.Services.BackgroundTasks
             }
         }
 
+        /// <summary>
+        /// Stores a change record per edition (added, removed and modified KBs) and returns the added ones.
+        /// Editions with no previous data are treated as a baseline so the first run does not report every KB.
+        /// </summary>
+        private async Task<List<DetectedRelease>> RecordChangesAsync(
+            IServiceProvider services,
+            IWindowsVersionsService windowsVersionsService,
+            Dictionary<WindowsEdition, List<WindowsUpdate>?> previousUpdates)
+        {
+            var changeHistoryService = services.GetRequiredService<IChangeHistoryService>();
+            var newReleases = new List<DetectedRelease>();
+
+            foreach (var (edition, previous) in previousUpdates)
+            {
+                try
+                {
+                    var current = await windowsVersionsService.GetStoredUpdatesAsync(edition);
+                    var record = await changeHistoryService.RecordWindowsChangesAsync(edition, previous, current);
+                    if (record != null)
+                    {
+                        newReleases.AddRange(record.Changes
+                            .Where(c => c.Type == ReleaseChangeTypes.Added)
+                            .Select(c => DetectedRelease.FromChange(c, record.DetectedUtc)));
+                    }
+                }
+                catch (Exception ex)
+                {
+                    _logger.LogError(ex, "Error recording Windows changes for {Edition}", edition);
+                }
+            }
+
+            return newReleases;
+        }
+
+        /// <summary>
+        /// Tells browsers on /api/live that the Windows data was rewritten and which KBs are new
+        /// </summary>
+        private void PublishLiveUpdates(IServiceProvider services, List<DetectedRelease> newReleases)
+        {
+            try
+            {
+                var liveUpdateService = services.GetRequiredService<ILiveUpdateService>();
+                liveUpdateService.Publish(LiveUpdateEventTypes.ScrapeCompleted, BuildLookupProducts.Windows);
+                if (newReleases.Any())
+                {
+                    liveUpdateService.Publish(LiveUpdateEventTypes.ReleasesDetected, BuildLookupProducts.Windows, newReleases);
+                }
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, "Error publishing Windows live updates");
+            }
+        }
     }
 }
@@ -0,0 +1,336 @@
+using System.Globalization;
+using System.Text.RegularExpressions;
+using Microsoft.Extensions.Logging;
+using OfficeVersionsCore.Models;
+
+namespace OfficeVersionsCore.Services
+{
+    /// <summary>
+    /// Interface for resolving Windows and Office build numbers
+    /// </summary>
+    public interface IBuildLookupService
+    {
+        bool IsRecognizedBuildFormat(string build);
+        Task<ApiResponse<List<BuildLookupResult>>> LookupAsync(string build);
+    }
+
+    /// <summary>
+    /// Resolves a build number to product, edition, feature version, KB, channel and support status.
+    /// Windows builds are resolved through <see cref="IWindowsVersionMapper"/> and the stored update lists,
+    /// Office builds through the channel release history JSON.
+    /// </summary>
+    public class BuildLookupService : IBuildLookupService
+    {
+        private readonly IWindowsVersionsService _windowsService;
+        private readonly IWindowsVersionMapper _versionMapper;
+        private readonly IOffice365Service _office365Service;
+        private readonly ILogger<BuildLookupService> _logger;
+
+        // "26100.4349", "26100" or "10.0.26100.4349"
+        private static readonly Regex WindowsBuildRegex = new(@"^(?:10\.0\.)?(\d{4,5})(?:\.(\d+))?$", RegexOptions.Compiled);
+
+        // "17928.20156" or "16.0.17928.20156"
+        private static readonly Regex OfficeBuildRegex = new(@"^(?:16\.0\.)?(\d{5})\.(\d{3,5})$", RegexOptions.Compiled);
+
+        // Editions with scraped update history (Windows Server 2012 R2 is mapped but not scraped)
+        private static readonly WindowsEdition[] ScrapedEditions =
+        {
+            WindowsEdition.Windows10,
+            WindowsEdition.Windows11,
+            WindowsEdition.WindowsServer2016,
+            WindowsEdition.WindowsServer2019,
+            WindowsEdition.WindowsServer2022,
+            WindowsEdition.WindowsServer2025
+        };
+
+        private static readonly WindowsEdition[] ServerEditions =
+        {
+            WindowsEdition.WindowsServer2012R2,
+            WindowsEdition.WindowsServer2016,
+            WindowsEdition.WindowsServer2019,
+            WindowsEdition.WindowsServer2022,
+            WindowsEdition.WindowsServer2025
+        };
+
+        // Channels with a full release history file
+        private static readonly string[] OfficeChannels =
+        {
+            "Current Channel",
+            "Monthly Enterprise Channel",
+            "Semi-Annual Enterprise Channel"
+        };
+
+        public BuildLookupService(
+            IWindowsVersionsService windowsService,
+            IWindowsVersionMapper versionMapper,
+            IOffice365Service office365Service,
+            ILogger<BuildLookupService> logger)
+        {
+            _windowsService = windowsService;
+            _versionMapper = versionMapper;
+            _office365Service = office365Service;
+            _logger = logger;
+        }
+
+        public bool IsRecognizedBuildFormat(string build)
+        {
+            if (string.IsNullOrWhiteSpace(build)) return false;
+
+            var query = build.Trim();
+            return WindowsBuildRegex.IsMatch(query) || OfficeBuildRegex.IsMatch(query);
+        }
+
+        public async Task<ApiResponse<List<BuildLookupResult>>> LookupAsync(string build)
+        {
+            try
+            {
+                var query = build?.Trim() ?? string.Empty;
+                _logger.LogInformation("Looking up build {Build}", query);
+
+                var results = new List<BuildLookupResult>();
+
+                // "16.0.x.y" is always Office; a bare "x.y" may be either, so both lookups run
+                if (!query.StartsWith("16.0.", StringComparison.Ordinal))
+                {
+                    var windowsMatch = WindowsBuildRegex.Match(query);
+                    if (windowsMatch.Success)
+                    {
+                        results.AddRange(await LookupWindowsBuildAsync(query, windowsMatch));
+                    }
+                }
+
+                var officeMatch = OfficeBuildRegex.Match(query);
+                if (officeMatch.Success)
+                {
+                    results.AddRange(await LookupOfficeBuildAsync(query, officeMatch));
+                }
+
+                _logger.LogInformation("Build {Build} resolved to {Count} result(s)", query, results.Count);
+
+                return new ApiResponse<List<BuildLookupResult>>
+                {
+                    Success = true,
+                    Data = results,
+                    Message = results.Count > 0
+                        ? $"Build {query} matched {results.Count} release(s)"
+                        : $"Build {query} was not recognized",
+                    Source = "Azure Storage"
+                };
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, "Error looking up build {Build}", build);
+                return new ApiResponse<List<BuildLookupResult>>
+                {
+                    Success = false,
+                    Message = $"Error looking up build: {ex.Message}",
+                    Data = new List<BuildLookupResult>()
+                };
+            }
+        }
+
+        private async Task<List<BuildLookupResult>> LookupWindowsBuildAsync(string query, Match match)
+        {
+            var results = new List<BuildLookupResult>();
+
+            var majorBuild = match.Groups[1].Value;
+            var revision = match.Groups[2].Success ? match.Groups[2].Value : null;
+            var build = revision != null ? $"{majorBuild}.{revision}" : majorBuild;
+            var featureVersion = _versionMapper.DetermineVersionFromBuild(build);
+
+            foreach (var edition in GetCandidateEditions(majorBuild))
+            {
+                var updates = new List<WindowsUpdate>();
+                var versions = new List<WindowsVersion>();
+                if (ScrapedEditions.Contains(edition))
+                {
+                    var updatesResponse = await _windowsService.GetWindowsUpdatesAsync(edition);
+                    updates = updatesResponse.Data ?? new List<WindowsUpdate>();
+
+                    var versionsResponse = await _windowsService.GetWindowsVersionsAsync(edition);
+                    versions = versionsResponse.Data ?? new List<WindowsVersion>();
+                }
+
+                var sameMajor = updates
+                    .Where(u => GetMajorBuild(u.Build) == majorBuild)
+                    .ToList();
+                var update = revision != null
+                    ? sameMajor.FirstOrDefault(u => u.Build == build)
+                    : null;
+
+                // Unknown build families are only reported when the update history knows them
+                if (update == null && sameMajor.Count == 0 && string.IsNullOrEmpty(featureVersion))
+                {
+                    continue;
+                }
+
+                var latest = sameMajor
+                    .OrderByDescending(u => GetRevision(u.Build))
+                    .FirstOrDefault();
+                var versionInfo = FindVersionInfo(versions, featureVersion, edition);
+                var (supportEndDate, isSupported) = GetWindowsSupportStatus(versionInfo);
+
+                results.Add(new BuildLookupResult
+                {
+                    Query = query,
+                    Product = BuildLookupProducts.Windows,
+                    Edition = edition.GetDisplayName(),
+                    FeatureVersion = !string.IsNullOrEmpty(featureVersion) ? featureVersion : update?.Version ?? string.Empty,
+                    Build = build,
+                    KBNumber = update?.KBNumber,
+                    ReleaseDate = update?.ReleaseDate,
+                    Channel = update?.ServicingChannel ?? versionInfo?.ServiceOption,
+                    UpdateType = update?.Type,
+                    IsSupported = isSupported,
+                    SupportEndDate = supportEndDate,
+                    IsCurrent = update != null && latest != null && latest.Build == update.Build,
+                    LatestBuild = latest?.Build,
+                    IsExactMatch = update != null,
+                    Url = update != null && !string.IsNullOrEmpty(update.SupportUrl) ? update.SupportUrl : update?.SourceUrl
+                });
+            }
+
+            return results;
+        }
+
+        private async Task<List<BuildLookupResult>> LookupOfficeBuildAsync(string query, Match match)
+        {
+            var results = new List<BuildLookupResult>();
+            var build = $"{match.Groups[1].Value}.{match.Groups[2].Value}";
+
+            var latestVersions = await _office365Service.GetLatestVersionsAsync();
+
+            foreach (var channel in OfficeChannels)
+            {
+                var history = await _office365Service.GetVersionsByChannelAsync(channel);
+                var release = history.FirstOrDefault(v => v.Build == build);
+                if (release == null) continue;
+
+                var sameVersion = history
+                    .Where(v => v.Version == release.Version)
+                    .OrderBy(v => ParseDate(v.ReleaseDate) ?? DateTime.MinValue)
+                    .ToList();
+
+                // Aggregated latest file lists only the versions still in service for each channel
+                var inService = latestVersions?.Data?.FirstOrDefault(v =>
+                    v.Channel.Equals(release.Channel, StringComparison.OrdinalIgnoreCase) &&
+                    v.Version == release.Version);
+
+                var latestBuild = inService?.Build ?? sameVersion.LastOrDefault()?.Build;
+
+                bool? isSupported = null;
+                if (inService != null)
+                {
+                    // End of service is either a date or text such as "Version 2309 is released"
+                    var endOfService = ParseDate(inService.EndOfService);
+                    isSupported = endOfService == null || endOfService.Value.Date >= DateTime.UtcNow.Date;
+                }
+                else if (latestVersions?.Data?.Count > 0)
+                {
+                    isSupported = false;
+                }
+
+                results.Add(new BuildLookupResult
+                {
+                    Query = query,
+                    Product = BuildLookupProducts.Microsoft365Apps,
+                    Edition = BuildLookupProducts.Microsoft365Apps,
+                    FeatureVersion = release.Version,
+                    Build = release.Build,
+                    ReleaseDate = ParseDate(release.ReleaseDate),
+                    Channel = release.Channel,
+                    UpdateType = sameVersion.FirstOrDefault()?.Build == release.Build ? "Feature" : "Cumulative",
+                    IsSupported = isSupported,
+                    SupportEndDate = inService?.EndOfService,
+                    IsCurrent = latestBuild == release.Build,
+                    LatestBuild = latestBuild,
+                    IsExactMatch = true,
+                    Url = release.Url
+                });
+            }
+
+            return results;
+        }
+
+        /// <summary>
+        /// Editions whose update history may contain a given major build
+        /// </summary>
+        private IEnumerable<WindowsEdition> GetCandidateEditions(string majorBuild)
+        {
+            var serverEditions = ServerEditions
+                .Where(e => _versionMapper.IsValidBuildForEdition(majorBuild, e))
+                .ToList();
+
+            // Windows Server 2022 and 2012 R2 have no client counterpart
+            if (majorBuild != "20348" && majorBuild != "9600")
+            {
+                yield return int.Parse(majorBuild) >= 22000 ? WindowsEdition.Windows11 : WindowsEdition.Windows10;
+            }
+
+            foreach (var edition in serverEditions)
+            {
+                yield return edition;
+            }
+        }
+
+        /// <summary>
+        /// Finds the release information row for a feature version, preferring LTSC rows for Windows Server
+        /// </summary>
+        private static WindowsVersion? FindVersionInfo(List<WindowsVersion> versions, string featureVersion, WindowsEdition edition)
+        {
+            if (string.IsNullOrEmpty(featureVersion)) return null;
+
+            var matches = versions
+                .Where(v => v.Version.Equals(featureVersion, StringComparison.OrdinalIgnoreCase))
+                .ToList();
+
+            var isServer = edition != WindowsEdition.Windows10 && edition != WindowsEdition.Windows11;
+            return matches.FirstOrDefault(v => (v.ServicingType != ServicingType.Regular) == isServer)
+                ?? matches.FirstOrDefault();
+        }
+
+        /// <summary>
+        /// Uses the latest end-of-servicing date known for the version (enterprise/extended where available)
+        /// </summary>
+        private static (string? SupportEndDate, bool? IsSupported) GetWindowsSupportStatus(WindowsVersion? version)
+        {
+            if (version == null) return (null, null);
+
+            var latestEnd = new[]
+                {
+                    version.EndOfServicingEnterprise,
+                    version.EndOfServicingStandard,
+                    version.ExtendedSupportEndDate,
+                    version.MainstreamSupportEndDate,
+                    version.SupportEndDate
+                }
+                .Select(ParseDate)
+                .Where(d => d.HasValue)
+                .Select(d => d!.Value)
+                .DefaultIfEmpty(DateTime.MinValue)
+                .Max();
+
+            if (latestEnd == DateTime.MinValue) return (null, null);
+
+            return (latestEnd.ToString("yyyy-MM-dd"), latestEnd.Date >= DateTime.UtcNow.Date);
+        }
+
+        private static string GetMajorBuild(string build) =>
+            string.IsNullOrEmpty(build) ? string.Empty : build.Split('.')[0];
+
+        private static int GetRevision(string build)
+        {
+            var parts = (build ?? string.Empty).Split('.');
+            return parts.Length > 1 && int.TryParse(parts[1], out var revision) ? revision : 0;
+        }
+
+        private static DateTime? ParseDate(string? value)
+        {
+            if (string.IsNullOrWhiteSpace(value)) return null;
+
+            return DateTime.TryParse(value, CultureInfo.InvariantCulture, DateTimeStyles.AssumeUniversal | DateTimeStyles.AdjustToUniversal, out var date)
+                ? date
+                : null;
+        }
+    }
+}
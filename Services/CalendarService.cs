@@ -0,0 +1,216 @@
+using System.Globalization;
+using System.Text;
+using System.Text.RegularExpressions;
+using Microsoft.Extensions.Logging;
+using OfficeVersionsCore.Models;
+
+namespace OfficeVersionsCore.Services
+{
+    /// <summary>
+    /// Interface for building subscribable iCalendar (.ics) feeds
+    /// </summary>
+    public interface ICalendarService
+    {
+        IReadOnlyCollection<string> FeedNames { get; }
+        bool IsKnownFeed(string feed);
+        Task<string> BuildFeedAsync(string feed);
+    }
+
+    /// <summary>
+    /// Builds iCalendar feeds (RFC 5545) of upcoming Patch Tuesdays and the end-of-servicing dates
+    /// from the lifecycle timeline, filtered per product family or Office channel.
+    /// </summary>
+    public class CalendarService : ICalendarService
+    {
+        private readonly ILifecycleService _lifecycleService;
+        private readonly ILogger<CalendarService> _logger;
+
+        private const string UidDomain = "office365versions.com";
+        private const string ProductId = "-//office365versions.com//Release Calendar//EN";
+        private const int PatchTuesdayMonths = 12;
+
+        // End-of-servicing dates further in the past than this are left out of the feeds
+        private static readonly TimeSpan PastMilestoneWindow = TimeSpan.FromDays(365);
+
+        private static readonly Regex SlugRegex = new(@"[^a-z0-9]+", RegexOptions.Compiled);
+
+        /// <summary>
+        /// Feed definitions: title, whether Patch Tuesdays are included and which timeline entries are included
+        /// </summary>
+        private static readonly Dictionary<string, (string Title, bool PatchTuesdays, Func<LifecycleTimelineEntry, bool> Include)> Feeds =
+            new(StringComparer.OrdinalIgnoreCase)
+            {
+                ["all"] = ("Windows & Microsoft 365 Apps", true, _ => true),
+                ["patch-tuesday"] = ("Patch Tuesday", true, _ => false),
+                ["windows"] = ("Windows", true, e => e.Family != LifecycleFamilies.Microsoft365Apps),
+                ["windows10"] = ("Windows 10", true, e => e.Family == LifecycleFamilies.Windows10),
+                ["windows11"] = ("Windows 11", true, e => e.Family == LifecycleFamilies.Windows11),
+                ["windows-server"] = ("Windows Server", true, e => e.Family == LifecycleFamilies.WindowsServer),
+                ["office"] = ("Microsoft 365 Apps", false, e => e.Family == LifecycleFamilies.Microsoft365Apps),
+                ["office-cc"] = ("Microsoft 365 Apps Current Channel", false, e => IsOfficeChannel(e, "Current Channel")),
+                ["office-cc-preview"] = ("Microsoft 365 Apps Current Channel (Preview)", false, e => IsOfficeChannel(e, "Current Channel (Preview)")),
+                ["office-mec"] = ("Microsoft 365 Apps Monthly Enterprise Channel", false, e => IsOfficeChannel(e, "Monthly Enterprise Channel")),
+                ["office-sac"] = ("Microsoft 365 Apps Semi-Annual Enterprise Channel", false, e => IsOfficeChannel(e, "Semi-Annual Enterprise Channel")),
+                ["office-sac-preview"] = ("Microsoft 365 Apps Semi-Annual Enterprise Channel (Preview)", false, e => IsOfficeChannel(e, "Semi-Annual Enterprise Channel (Preview)"))
+            };
+
+        public CalendarService(ILifecycleService lifecycleService, ILogger<CalendarService> logger)
+        {
+            _lifecycleService = lifecycleService;
+            _logger = logger;
+        }
+
+        public IReadOnlyCollection<string> FeedNames => Feeds.Keys;
+
+        public bool IsKnownFeed(string feed) => !string.IsNullOrWhiteSpace(feed) && Feeds.ContainsKey(feed);
+
+        public async Task<string> BuildFeedAsync(string feed)
+        {
+            var (title, patchTuesdays, include) = Feeds[feed];
+            var today = DateTime.UtcNow.Date;
+            var events = new List<CalendarEvent>();
+
+            if (patchTuesdays)
+            {
+                events.AddRange(GetPatchTuesdays(today, PatchTuesdayMonths).Select(date => new CalendarEvent(
+                    $"patch-tuesday-{date:yyyyMMdd}",
+                    "Patch Tuesday",
+                    date,
+                    "Monthly Windows security and quality updates are released (B release).",
+                    "https://msrc.microsoft.com/update-guide")));
+            }
+
+            var timeline = await _lifecycleService.GetTimelineAsync();
+            if (!timeline.Success)
+            {
+                _logger.LogWarning("Calendar feed {Feed} built without lifecycle dates: {Message}", feed, timeline.Message);
+            }
+
+            foreach (var entry in (timeline.Data ?? new List<LifecycleTimelineEntry>()).Where(include))
+            {
+                foreach (var milestone in entry.Milestones.Where(m => m.Date.Date >= today - PastMilestoneWindow))
+                {
+                    events.Add(new CalendarEvent(
+                        $"{Slugify(entry.Name)}-{Slugify(milestone.Name)}-{milestone.Date:yyyyMMdd}",
+                        $"{entry.Name}: {milestone.Name}",
+                        milestone.Date.Date,
+                        BuildDescription(entry),
+                        null));
+                }
+            }
+
+            _logger.LogInformation("Built calendar feed {Feed} with {Count} events", feed, events.Count);
+
+            return WriteCalendar($"{title} - Release Calendar", events.OrderBy(e => e.Date).ToList());
+        }
+
+        /// <summary>
+        /// Second Tuesday of each month, starting with the current month
+        /// </summary>
+        private static IEnumerable<DateTime> GetPatchTuesdays(DateTime today, int months)
+        {
+            var month = new DateTime(today.Year, today.Month, 1);
+            for (var i = 0; i < months; i++, month = month.AddMonths(1))
+            {
+                yield return GetPatchTuesday(month.Year, month.Month);
+            }
+        }
+
+        /// <summary>
+        /// Second Tuesday of the month
+        /// </summary>
+        internal static DateTime GetPatchTuesday(int year, int month)
+        {
+            var first = new DateTime(year, month, 1);
+            var firstTuesday = first.AddDays(((int)DayOfWeek.Tuesday - (int)first.DayOfWeek + 7) % 7);
+            return firstTuesday.AddDays(7);
+        }
+
+        private static bool IsOfficeChannel(LifecycleTimelineEntry entry, string channel) =>
+            entry.Family == LifecycleFamilies.Microsoft365Apps &&
+            string.Equals(entry.Channel, channel, StringComparison.OrdinalIgnoreCase);
+
+        private static string BuildDescription(LifecycleTimelineEntry entry)
+        {
+            var lines = new List<string> { entry.Name };
+            if (!string.IsNullOrEmpty(entry.Channel)) lines.Add($"Channel: {entry.Channel}");
+            if (!string.IsNullOrEmpty(entry.LatestBuild)) lines.Add($"Latest build: {entry.LatestBuild}");
+            lines.AddRange(entry.Milestones.Select(m => $"{m.Name}: {m.Date:yyyy-MM-dd}"));
+            return string.Join("\n", lines);
+        }
+
+        private static string Slugify(string value) =>
+            SlugRegex.Replace(value.ToLowerInvariant(), "-").Trim('-');
+
+        private static string WriteCalendar(string name, List<CalendarEvent> events)
+        {
+            var stamp = DateTime.UtcNow.ToString("yyyyMMdd'T'HHmmss'Z'", CultureInfo.InvariantCulture);
+            var builder = new StringBuilder();
+
+            void Line(string text) => builder.Append(FoldLine(text)).Append("\r\n");
+
+            Line("BEGIN:VCALENDAR");
+            Line("VERSION:2.0");
+            Line($"PRODID:{ProductId}");
+            Line("CALSCALE:GREGORIAN");
+            Line("METHOD:PUBLISH");
+            Line($"X-WR-CALNAME:{Escape(name)}");
+            Line("REFRESH-INTERVAL;VALUE=DURATION:PT12H");
+            Line("X-PUBLISHED-TTL:PT12H");
+
+            foreach (var calendarEvent in events)
+            {
+                Line("BEGIN:VEVENT");
+                Line($"UID:{calendarEvent.Uid}@{UidDomain}");
+                Line($"DTSTAMP:{stamp}");
+                Line($"DTSTART;VALUE=DATE:{calendarEvent.Date:yyyyMMdd}");
+                Line($"DTEND;VALUE=DATE:{calendarEvent.Date.AddDays(1):yyyyMMdd}");
+                Line($"SUMMARY:{Escape(calendarEvent.Summary)}");
+                Line($"DESCRIPTION:{Escape(calendarEvent.Description)}");
+                if (!string.IsNullOrEmpty(calendarEvent.Url)) Line($"URL:{calendarEvent.Url}");
+                Line("TRANSP:TRANSPARENT");
+                Line("END:VEVENT");
+            }
+
+            Line("END:VCALENDAR");
+            return builder.ToString();
+        }
+
+        /// <summary>
+        /// Escapes TEXT values (RFC 5545 section 3.3.11)
+        /// </summary>
+        private static string Escape(string value) =>
+            value
+                .Replace("\\", "\\\\")
+                .Replace(";", "\\;")
+                .Replace(",", "\\,")
+                .Replace("\r\n", "\\n")
+                .Replace("\n", "\\n")
+                .Replace("\r", "\\n");
+
+        /// <summary>
+        /// Folds content lines longer than 75 octets (RFC 5545 section 3.1) without splitting UTF-8 sequences
+        /// </summary>
+        private static string FoldLine(string line)
+        {
+            if (Encoding.UTF8.GetByteCount(line) <= 75) return line;
+
+            var folded = new StringBuilder();
+            var octets = 0;
+            foreach (var rune in line.EnumerateRunes())
+            {
+                var size = rune.Utf8SequenceLength;
+                if (octets + size > 75)
+                {
+                    folded.Append("\r\n ");
+                    octets = 1;
+                }
+                folded.Append(rune.ToString());
+                octets += size;
+            }
+            return folded.ToString();
+        }
+
+        private record CalendarEvent(string Uid, string Summary, DateTime Date, string Description, string? Url);
+    }
+}
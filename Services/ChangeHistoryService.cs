@@ -0,0 +1,303 @@
+using System.Globalization;
+using System.Text.Json;
+using OfficeVersionsCore.Models;
+
+namespace OfficeVersionsCore.Services
+{
+    /// <summary>
+    /// Interface for recording what changed between scraper runs
+    /// </summary>
+    public interface IChangeHistoryService
+    {
+        /// <summary>
+        /// Diffs the stored updates of a Windows edition against the freshly scraped ones and stores the change record.
+        /// Returns null when there is no previous dataset (first run) or nothing changed.
+        /// </summary>
+        Task<ChangeRecord?> RecordWindowsChangesAsync(WindowsEdition edition, List<WindowsUpdate>? previous, List<WindowsUpdate>? current);
+
+        /// <summary>
+        /// Diffs the Office release history against the freshly scraped one and stores the change record.
+        /// Returns null when there is no previous dataset (first run) or nothing changed.
+        /// </summary>
+        Task<ChangeRecord?> RecordOfficeChangesAsync(List<Office365Version>? previous, List<Office365Version>? current);
+
+        /// <summary>
+        /// Gets change records detected since a point in time, newest first
+        /// </summary>
+        Task<ApiResponse<List<ChangeRecord>>> GetChangesAsync(DateTime since, string? product = null, string? type = null);
+    }
+
+    /// <summary>
+    /// Stores one change record per scraper run and dataset in monthly JSON files (changes/yyyy-MM.json),
+    /// keyed by KB + build for Windows and channel + build for Office
+    /// </summary>
+    public class ChangeHistoryService : IChangeHistoryService
+    {
+        private readonly IStorageService _storageService;
+        private readonly ILogger<ChangeHistoryService> _logger;
+        private readonly string _storagePath;
+        private const int MaxHistoryYears = 3;
+
+        // Scoped service used by both scrapers, so the lock is static to serialize writes to the monthly files
+        private static readonly SemaphoreSlim _fileLock = new(1, 1);
+
+        private static readonly JsonSerializerOptions _jsonOptions = new(JsonSerializerDefaults.Web) { WriteIndented = true };
+
+        public ChangeHistoryService(IStorageService storageService, ILogger<ChangeHistoryService> logger, IConfiguration configuration)
+        {
+            _storageService = storageService;
+            _logger = logger;
+            _storagePath = configuration["ChangeHistory:StoragePath"] ?? "changes";
+        }
+
+        public Task<ChangeRecord?> RecordWindowsChangesAsync(WindowsEdition edition, List<WindowsUpdate>? previous, List<WindowsUpdate>? current)
+        {
+            var changes = Diff(
+                previous,
+                current,
+                u => $"{u.KBNumber}|{u.Build}",
+                u => new ReleaseChange
+                {
+                    Product = BuildLookupProducts.Windows,
+                    Edition = edition.GetDisplayName(),
+                    Channel = u.ServicingChannel,
+                    Version = u.Version,
+                    Build = u.Build,
+                    KBNumber = u.KBNumber,
+                    Title = u.UpdateTitle,
+                    UpdateType = u.Type,
+                    ReleaseDate = u.ReleaseDate,
+                    Url = u.SupportUrl ?? u.SourceUrl
+                },
+                u => new Dictionary<string, string?>
+                {
+                    ["Version"] = u.Version,
+                    ["Release date"] = FormatDate(u.ReleaseDate),
+                    ["Title"] = u.UpdateTitle,
+                    ["Description"] = u.Description,
+                    ["Type"] = u.Type,
+                    ["Highlights"] = FormatList(u.Highlights),
+                    ["Known issues"] = FormatList(u.KnownIssues),
+                    ["Support URL"] = u.SupportUrl,
+                    ["Security update"] = u.IsSecurityUpdate.ToString(),
+                    ["Optional update"] = u.IsOptionalUpdate.ToString(),
+                    ["Servicing channel"] = u.ServicingChannel
+                });
+
+            return SaveAsync(changes, BuildLookupProducts.Windows, edition.GetDisplayName());
+        }
+
+        public Task<ChangeRecord?> RecordOfficeChangesAsync(List<Office365Version>? previous, List<Office365Version>? current)
+        {
+            var changes = Diff(
+                previous,
+                current,
+                r => $"{r.Channel}|{r.Build}",
+                r => new ReleaseChange
+                {
+                    Product = BuildLookupProducts.Microsoft365Apps,
+                    Channel = r.Channel,
+                    Version = r.Version,
+                    Build = r.FullBuild,
+                    Title = $"Version {r.Version} (Build {r.Build})",
+                    ReleaseDate = ParseDate(r.ReleaseDate),
+                    Url = r.Url
+                },
+                r => new Dictionary<string, string?>
+                {
+                    ["Version"] = r.Version,
+                    ["Release date"] = FormatDate(ParseDate(r.ReleaseDate)) ?? r.ReleaseDate,
+                    ["Full build"] = r.FullBuild,
+                    ["Release notes URL"] = r.Url
+                });
+
+            return SaveAsync(changes, BuildLookupProducts.Microsoft365Apps, null);
+        }
+
+        public async Task<ApiResponse<List<ChangeRecord>>> GetChangesAsync(DateTime since, string? product = null, string? type = null)
+        {
+            try
+            {
+                // Dates without an offset (e.g. ?since=2025-10-01) are taken as UTC; history is kept for at most MaxHistoryYears
+                since = since.Kind == DateTimeKind.Unspecified ? DateTime.SpecifyKind(since, DateTimeKind.Utc) : since.ToUniversalTime();
+                var earliest = DateTime.UtcNow.AddYears(-MaxHistoryYears);
+                if (since < earliest)
+                {
+                    since = earliest;
+                }
+
+                var records = new List<ChangeRecord>();
+
+                // Walk the monthly files from the month of "since" up to now
+                for (var month = new DateTime(since.Year, since.Month, 1); month <= DateTime.UtcNow; month = month.AddMonths(1))
+                {
+                    records.AddRange((await LoadMonthAsync(month)).Where(r => r.DetectedUtc >= since));
+                }
+
+                if (!string.IsNullOrWhiteSpace(product))
+                {
+                    records = records
+                        .Where(r => r.Product.Equals(product.Trim(), StringComparison.OrdinalIgnoreCase) ||
+                                    (r.Edition?.Equals(product.Trim(), StringComparison.OrdinalIgnoreCase) ?? false))
+                        .ToList();
+                }
+
+                if (!string.IsNullOrWhiteSpace(type))
+                {
+                    records = records
+                        .Select(r => new ChangeRecord
+                        {
+                            Id = r.Id,
+                            Product = r.Product,
+                            Edition = r.Edition,
+                            DetectedUtc = r.DetectedUtc,
+                            AddedCount = r.AddedCount,
+                            RemovedCount = r.RemovedCount,
+                            ModifiedCount = r.ModifiedCount,
+                            Changes = r.Changes.Where(c => c.Type.Equals(type.Trim(), StringComparison.OrdinalIgnoreCase)).ToList()
+                        })
+                        .Where(r => r.Changes.Any())
+                        .ToList();
+                }
+
+                records = records.OrderByDescending(r => r.DetectedUtc).ToList();
+
+                return new ApiResponse<List<ChangeRecord>>
+                {
+                    Success = true,
+                    Data = records,
+                    Message = $"Retrieved {records.Count} change records since {since:yyyy-MM-dd HH:mm} UTC",
+                    Source = "Change history"
+                };
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, "Error getting changes since {Since}", since);
+                return new ApiResponse<List<ChangeRecord>>
+                {
+                    Success = false,
+                    Message = $"Error retrieving changes: {ex.Message}",
+                    Data = new List<ChangeRecord>()
+                };
+            }
+        }
+
+        /// <summary>
+        /// Compares two datasets by key. Returns null when there is nothing to compare against, or when the
+        /// current dataset is empty (a failed scrape should not be reported as every row being removed).
+        /// </summary>
+        private static List<ReleaseChange>? Diff<T>(
+            List<T>? previous,
+            List<T>? current,
+            Func<T, string> key,
+            Func<T, ReleaseChange> describe,
+            Func<T, Dictionary<string, string?>> fields)
+        {
+            if (previous == null || !previous.Any() || current == null || !current.Any())
+            {
+                return null;
+            }
+
+            // Duplicate keys are possible in scraped data; the first occurrence wins, as on the site
+            var before = previous.GroupBy(key, StringComparer.OrdinalIgnoreCase).ToDictionary(g => g.Key, g => g.First(), StringComparer.OrdinalIgnoreCase);
+            var after = current.GroupBy(key, StringComparer.OrdinalIgnoreCase).ToDictionary(g => g.Key, g => g.First(), StringComparer.OrdinalIgnoreCase);
+            var changes = new List<ReleaseChange>();
+
+            foreach (var (rowKey, row) in after)
+            {
+                if (!before.TryGetValue(rowKey, out var oldRow))
+                {
+                    var added = describe(row);
+                    added.Type = ReleaseChangeTypes.Added;
+                    changes.Add(added);
+                    continue;
+                }
+
+                var oldFields = fields(oldRow);
+                var modifiedFields = fields(row)
+                    .Where(f => !string.Equals(Clean(oldFields.GetValueOrDefault(f.Key)), Clean(f.Value), StringComparison.Ordinal))
+                    .Select(f => new ReleaseFieldChange { Field = f.Key, OldValue = oldFields.GetValueOrDefault(f.Key), NewValue = f.Value })
+                    .ToList();
+
+                if (modifiedFields.Any())
+                {
+                    var modified = describe(row);
+                    modified.Type = ReleaseChangeTypes.Modified;
+                    modified.Fields = modifiedFields;
+                    changes.Add(modified);
+                }
+            }
+
+            foreach (var row in before.Where(b => !after.ContainsKey(b.Key)).Select(b => b.Value))
+            {
+                var removed = describe(row);
+                removed.Type = ReleaseChangeTypes.Removed;
+                changes.Add(removed);
+            }
+
+            return changes;
+        }
+
+        private async Task<ChangeRecord?> SaveAsync(List<ReleaseChange>? changes, string product, string? edition)
+        {
+            if (changes == null || !changes.Any())
+            {
+                return null;
+            }
+
+            var record = new ChangeRecord
+            {
+                Id = $"chg_{Guid.NewGuid():N}",
+                Product = product,
+                Edition = edition,
+                DetectedUtc = DateTime.UtcNow,
+                AddedCount = changes.Count(c => c.Type == ReleaseChangeTypes.Added),
+                RemovedCount = changes.Count(c => c.Type == ReleaseChangeTypes.Removed),
+                ModifiedCount = changes.Count(c => c.Type == ReleaseChangeTypes.Modified),
+                Changes = changes
+            };
+
+            await _fileLock.WaitAsync();
+            try
+            {
+                var records = await LoadMonthAsync(record.DetectedUtc);
+                records.Add(record);
+                await _storageService.WriteAsync(GetMonthFileName(record.DetectedUtc), JsonSerializer.Serialize(records, _jsonOptions));
+            }
+            finally
+            {
+                _fileLock.Release();
+            }
+
+            _logger.LogInformation("Recorded {Product} {Edition} changes: {Added} added, {Removed} removed, {Modified} modified",
+                product, edition ?? string.Empty, record.AddedCount, record.RemovedCount, record.ModifiedCount);
+            return record;
+        }
+
+        private async Task<List<ChangeRecord>> LoadMonthAsync(DateTime month)
+        {
+            var fileName = GetMonthFileName(month);
+            if (!await _storageService.ExistsAsync(fileName))
+            {
+                return new List<ChangeRecord>();
+            }
+
+            var json = await _storageService.ReadAsync(fileName);
+            return JsonSerializer.Deserialize<List<ChangeRecord>>(json, _jsonOptions) ?? new List<ChangeRecord>();
+        }
+
+        private string GetMonthFileName(DateTime date) => $"{_storagePath}/{date:yyyy-MM}.json";
+
+        private static string? Clean(string? value) => string.IsNullOrWhiteSpace(value) ? null : value.Trim();
+
+        private static string? FormatDate(DateTime? date) => date?.ToString("yyyy-MM-dd", CultureInfo.InvariantCulture);
+
+        private static string? FormatList(List<string>? items) =>
+            items == null || !items.Any() ? null : string.Join("\n", items.Select(i => i.Trim()));
+
+        private static DateTime? ParseDate(string? value) =>
+            DateTime.TryParse(value, CultureInfo.InvariantCulture, DateTimeStyles.AssumeUniversal | DateTimeStyles.AdjustToUniversal, out var date)
+                ? date
+                : null;
+    }
+}
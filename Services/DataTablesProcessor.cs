@@ -0,0 +1,316 @@
+using System.Globalization;
+using System.Text.RegularExpressions;
+using Microsoft.Extensions.Primitives;
+using OfficeVersionsCore.Models;
+
+namespace OfficeVersionsCore.Services
+{
+    /// <summary>
+    /// A column the server can search and order by: the text value of a row and how values compare
+    /// </summary>
+    public class DataTablesField<T>
+    {
+        public DataTablesField(Func<T, string?> value, IComparer<string?>? comparer = null)
+        {
+            Value = value;
+            Comparer = comparer ?? ReleaseComparers.Natural;
+        }
+
+        public Func<T, string?> Value { get; }
+        public IComparer<string?> Comparer { get; }
+    }
+
+    /// <summary>
+    /// Implements the DataTables server-side processing protocol over an in-memory list:
+    /// paging, multi-column ordering, global and per-column search and SearchBuilder criteria.
+    /// Endpoints keep returning the full array unless the request carries a "draw" parameter.
+    /// </summary>
+    public static class DataTablesProcessor
+    {
+        /// <summary>
+        /// Largest page returned for one draw; length=-1 ("All") is clamped to it too, so exports page through
+        /// </summary>
+        public const int MaxPageLength = 1000;
+
+        /// <summary>
+        /// True when the query string comes from a DataTables table with serverSide enabled
+        /// </summary>
+        public static bool IsServerSideRequest(IQueryCollection query) => query.ContainsKey("draw");
+
+        /// <summary>
+        /// Reads the jQuery-style nested parameters (columns[0][data], order[0][dir], searchBuilder[criteria][0][condition], ...)
+        /// </summary>
+        public static DataTablesRequest ParseRequest(IQueryCollection query)
+        {
+            var root = new QueryNode();
+            foreach (var (key, values) in query)
+            {
+                var node = root;
+                foreach (var part in SplitKey(key))
+                {
+                    node = node.Child(part);
+                }
+                node.Values = values;
+            }
+
+            return new DataTablesRequest
+            {
+                Draw = root.Int("draw"),
+                Start = Math.Max(0, root.Int("start")),
+                Length = root.Int("length", 10),
+                Search = ReadSearch(root.Get("search")),
+                Columns = root.Get("columns")?.Items().Select(c => new DataTablesColumn
+                {
+                    Data = c.Text("data"),
+                    Name = c.Text("name"),
+                    Searchable = c.Bool("searchable", true),
+                    Orderable = c.Bool("orderable", true),
+                    Search = ReadSearch(c.Get("search"))
+                }).ToList() ?? new List<DataTablesColumn>(),
+                Order = root.Get("order")?.Items().Select(o => new DataTablesOrder
+                {
+                    Column = o.Int("column"),
+                    Dir = o.Text("dir") ?? "asc"
+                }).ToList() ?? new List<DataTablesOrder>(),
+                SearchBuilder = ReadGroup(root.Get("searchBuilder"))
+            };
+        }
+
+        /// <summary>
+        /// Filters, orders and pages rows for one draw
+        /// </summary>
+        /// <param name="rows">Full dataset</param>
+        /// <param name="request">Parsed request (see ParseRequest)</param>
+        /// <param name="fields">Searchable/orderable fields keyed by the column data property, case-insensitive</param>
+        public static DataTablesResponse<T> Process<T>(IReadOnlyCollection<T> rows, DataTablesRequest request, IReadOnlyDictionary<string, DataTablesField<T>> fields)
+        {
+            IEnumerable<T> filtered = rows;
+
+            // Global search, DataTables "smart" style: every word must appear in some searchable column
+            var searchable = request.Columns
+                .Where(c => c.Searchable && c.Data != null && fields.ContainsKey(c.Data))
+                .Select(c => fields[c.Data!])
+                .ToList();
+            var globalMatcher = CreateMatcher(request.Search);
+            if (globalMatcher != null && searchable.Any())
+            {
+                filtered = filtered.Where(row => globalMatcher(searchable.Select(f => f.Value(row) ?? string.Empty)));
+            }
+
+            // Per-column search
+            foreach (var column in request.Columns.Where(c => c.Searchable && c.Data != null && fields.ContainsKey(c.Data)))
+            {
+                var matcher = CreateMatcher(column.Search);
+                if (matcher != null)
+                {
+                    var field = fields[column.Data!];
+                    filtered = filtered.Where(row => matcher(new[] { field.Value(row) ?? string.Empty }));
+                }
+            }
+
+            if (request.SearchBuilder != null)
+            {
+                var group = request.SearchBuilder;
+                filtered = filtered.Where(row => Evaluate(group, row, fields));
+            }
+
+            var result = filtered.ToList();
+
+            // Multi-column ordering; unknown or non-orderable columns (e.g. the Details button) are skipped
+            IOrderedEnumerable<T>? ordered = null;
+            foreach (var order in request.Order)
+            {
+                if (order.Column < 0 || order.Column >= request.Columns.Count) continue;
+
+                var column = request.Columns[order.Column];
+                if (!column.Orderable || column.Data == null || !fields.TryGetValue(column.Data, out var field)) continue;
+
+                var descending = string.Equals(order.Dir, "desc", StringComparison.OrdinalIgnoreCase);
+                ordered = ordered == null
+                    ? (descending ? result.OrderByDescending(field.Value, field.Comparer) : result.OrderBy(field.Value, field.Comparer))
+                    : (descending ? ordered.ThenByDescending(field.Value, field.Comparer) : ordered.ThenBy(field.Value, field.Comparer));
+            }
+
+            var sorted = ordered?.ToList() ?? result;
+            var length = request.Length < 0 ? MaxPageLength : Math.Min(request.Length, MaxPageLength);
+            var page = sorted.Skip(request.Start).Take(length);
+
+            return new DataTablesResponse<T>
+            {
+                Draw = request.Draw,
+                RecordsTotal = rows.Count,
+                RecordsFiltered = sorted.Count,
+                Data = page.ToList()
+            };
+        }
+
+        /// <summary>
+        /// Returns a predicate over a row's column values, or null when the search is empty.
+        /// Values are always literal text: search[regex]=true is ignored, because running a client's pattern over
+        /// every row and column of a public endpoint lets one request burn seconds of CPU.
+        /// </summary>
+        private static Func<IEnumerable<string>, bool>? CreateMatcher(DataTablesSearch search)
+        {
+            if (string.IsNullOrWhiteSpace(search.Value)) return null;
+
+            var terms = search.Value.Split(' ', StringSplitOptions.RemoveEmptyEntries | StringSplitOptions.TrimEntries);
+            return values =>
+            {
+                var list = values as IList<string> ?? values.ToList();
+                return terms.All(term => list.Any(v => v.Contains(term, StringComparison.OrdinalIgnoreCase)));
+            };
+        }
+
+        private static bool Evaluate<T>(SearchBuilderGroup group, T row, IReadOnlyDictionary<string, DataTablesField<T>> fields)
+        {
+            var results = group.Criteria
+                .Select(criterion => Evaluate(criterion, row, fields))
+                .Where(result => result.HasValue)
+                .Select(result => result!.Value)
+                .ToList();
+
+            if (!results.Any()) return true;
+            return string.Equals(group.Logic, "OR", StringComparison.OrdinalIgnoreCase) ? results.Any(r => r) : results.All(r => r);
+        }
+
+        /// <summary>
+        /// Evaluates one criterion; null when it is incomplete or targets an unknown column (SearchBuilder ignores those)
+        /// </summary>
+        private static bool? Evaluate<T>(SearchBuilderCriterion criterion, T row, IReadOnlyDictionary<string, DataTablesField<T>> fields)
+        {
+            if (criterion.Group != null) return Evaluate(criterion.Group, row, fields);
+            if (string.IsNullOrEmpty(criterion.Condition) || criterion.OrigData == null || !fields.TryGetValue(criterion.OrigData, out var field)) return null;
+
+            var value = field.Value(row) ?? string.Empty;
+            var negate = criterion.Condition.StartsWith('!') && criterion.Condition != "!=";
+            var condition = negate ? criterion.Condition[1..] : criterion.Condition;
+            var v1 = criterion.Value.ElementAtOrDefault(0);
+            var v2 = criterion.Value.ElementAtOrDefault(1);
+
+            if (condition == "null") return negate ? value.Length > 0 : value.Length == 0;
+            if (string.IsNullOrEmpty(v1) || (condition == "between" && string.IsNullOrEmpty(v2))) return null;
+
+            bool match;
+            switch (condition)
+            {
+                case "=": match = field.Comparer.Compare(value, v1) == 0 || value.Equals(v1, StringComparison.OrdinalIgnoreCase); break;
+                case "!=": match = field.Comparer.Compare(value, v1) != 0 && !value.Equals(v1, StringComparison.OrdinalIgnoreCase); break;
+                case "<": match = field.Comparer.Compare(value, v1) < 0; break;
+                case "<=": match = field.Comparer.Compare(value, v1) <= 0; break;
+                case ">": match = field.Comparer.Compare(value, v1) > 0; break;
+                case ">=": match = field.Comparer.Compare(value, v1) >= 0; break;
+                case "between":
+                    var (low, high) = field.Comparer.Compare(v1, v2) <= 0 ? (v1, v2) : (v2, v1);
+                    match = field.Comparer.Compare(value, low) >= 0 && field.Comparer.Compare(value, high) <= 0;
+                    break;
+                case "contains": match = value.Contains(v1, StringComparison.OrdinalIgnoreCase); break;
+                case "starts": match = value.StartsWith(v1, StringComparison.OrdinalIgnoreCase); break;
+                case "ends": match = value.EndsWith(v1, StringComparison.OrdinalIgnoreCase); break;
+                default: return null;
+            }
+
+            return negate ? !match : match;
+        }
+
+        private static DataTablesSearch ReadSearch(QueryNode? node) => new()
+        {
+            Value = node?.Text("value"),
+            Regex = node?.Bool("regex", false) ?? false
+        };
+
+        private static SearchBuilderGroup? ReadGroup(QueryNode? node)
+        {
+            var criteria = node?.Get("criteria")?.Items().Select(c =>
+            {
+                var nested = c.Get("criteria") != null ? ReadGroup(c) : null;
+                return new SearchBuilderCriterion
+                {
+                    Condition = c.Text("condition"),
+                    OrigData = c.Text("origData") ?? c.Text("data"),
+                    Type = c.Text("type"),
+                    // jQuery sends value[]=a&value[]=b; SearchBuilder also sends value1/value2
+                    Value = c.Get("value")?.List() is { Count: > 0 } values
+                        ? values
+                        : new[] { c.Text("value1"), c.Text("value2") }.Where(v => v != null).Select(v => v!).ToList(),
+                    Group = nested
+                };
+            }).ToList();
+
+            if (criteria == null || !criteria.Any()) return null;
+
+            return new SearchBuilderGroup
+            {
+                Logic = node!.Text("logic") ?? "AND",
+                Criteria = criteria
+            };
+        }
+
+        /// <summary>
+        /// Splits "columns[0][search][value]" into columns, 0, search, value; "value[]" ends with an empty part
+        /// </summary>
+        private static IEnumerable<string> SplitKey(string key)
+        {
+            var bracket = key.IndexOf('[');
+            if (bracket < 0)
+            {
+                yield return key;
+                yield break;
+            }
+
+            yield return key[..bracket];
+            foreach (Match match in Regex.Matches(key[bracket..], @"\[([^\]]*)\]"))
+            {
+                yield return match.Groups[1].Value;
+            }
+        }
+
+        /// <summary>
+        /// Tree of nested query string keys
+        /// </summary>
+        private sealed class QueryNode
+        {
+            private readonly Dictionary<string, QueryNode> _children = new(StringComparer.Ordinal);
+
+            public StringValues Values { get; set; }
+
+            public QueryNode Child(string name)
+            {
+                if (!_children.TryGetValue(name, out var child))
+                {
+                    child = new QueryNode();
+                    _children[name] = child;
+                }
+                return child;
+            }
+
+            public QueryNode? Get(string name) => _children.GetValueOrDefault(name);
+
+            public string? Text(string name) => Get(name)?.Values.LastOrDefault();
+
+            public int Int(string name, int fallback = 0) =>
+                int.TryParse(Text(name), NumberStyles.Integer, CultureInfo.InvariantCulture, out var value) ? value : fallback;
+
+            public bool Bool(string name, bool fallback) =>
+                bool.TryParse(Text(name), out var value) ? value : fallback;
+
+            /// <summary>
+            /// Indexed children (0, 1, 2, ...) in numeric order
+            /// </summary>
+            public IEnumerable<QueryNode> Items() =>
+                _children
+                    .Where(c => int.TryParse(c.Key, out _))
+                    .OrderBy(c => int.Parse(c.Key, CultureInfo.InvariantCulture))
+                    .Select(c => c.Value);
+
+            /// <summary>
+            /// Scalar array values, sent either as name[]=a&amp;name[]=b or name[0]=a&amp;name[1]=b
+            /// </summary>
+            public List<string> List()
+            {
+                var values = Get("")?.Values.Where(v => v != null).Select(v => v!).ToList() ?? new List<string>();
+                values.AddRange(Items().Select(i => i.Values.LastOrDefault()).Where(v => v != null).Select(v => v!));
+                return values;
+            }
+        }
+    }
+}
@@ -0,0 +1,117 @@
+using Microsoft.Extensions.Caching.Memory;
+using OfficeVersionsCore.Models;
+
+namespace OfficeVersionsCore.Services
+{
+    /// <summary>
+    /// Datasets whose stored blobs back the public data APIs
+    /// </summary>
+    public enum ReleaseDataSet
+    {
+        Office365,
+        WindowsVersions
+    }
+
+    /// <summary>
+    /// Interface for reading when a dataset was last written by the scrapers
+    /// </summary>
+    public interface IDataVersionService
+    {
+        /// <summary>
+        /// Gets the newest last-modified time (UTC) of the blobs behind a dataset, or null when none are stored yet
+        /// </summary>
+        Task<DateTime?> GetLastModifiedAsync(ReleaseDataSet dataSet);
+    }
+
+    /// <summary>
+    /// Derives dataset versions from the blob timestamps in storage, so validators change when the scrapers write.
+    /// ConditionalGetAttribute asks on every API request and a dataset spans up to ~40 storage calls, so the result
+    /// is cached for a few seconds (DataVersion:CacheSeconds); validators can lag a scraper write by that long.
+    /// </summary>
+    public class DataVersionService : IDataVersionService
+    {
+        private static readonly string[] OfficeBlobs =
+        {
+            "m365LatestVersions.json",
+            "m365releases.json",
+            "m365CurrentReleases.json",
+            "m365MonthlyReleases.json",
+            "m365SACReleases.json",
+            "m365SACPreviewReleases.json"
+        };
+
+        private static readonly string[] WindowsEditionBlobs = { "updates", "versions", "feature-updates" };
+
+        private readonly IStorageService _storageService;
+        private readonly IMemoryCache _memoryCache;
+        private readonly ILogger<DataVersionService> _logger;
+        private readonly string _office365StoragePath;
+        private readonly string _windowsStoragePath;
+        private readonly TimeSpan _cacheDuration;
+
+        public DataVersionService(IStorageService storageService, IMemoryCache memoryCache, ILogger<DataVersionService> logger, IConfiguration configuration)
+        {
+            _storageService = storageService;
+            _memoryCache = memoryCache;
+            _logger = logger;
+            _office365StoragePath = configuration["Office365:StoragePath"] ?? "officeversions";
+            _windowsStoragePath = configuration["WindowsVersions:StoragePath"] ?? "windowsversions";
+            _cacheDuration = TimeSpan.FromSeconds(Math.Max(0, configuration.GetValue("DataVersion:CacheSeconds", 30)));
+        }
+
+        public async Task<DateTime?> GetLastModifiedAsync(ReleaseDataSet dataSet)
+        {
+            var cacheKey = $"data-version:{dataSet}";
+            if (_memoryCache.TryGetValue(cacheKey, out DateTime? cached))
+            {
+                return cached;
+            }
+
+            var latest = await ReadLastModifiedAsync(dataSet);
+            if (_cacheDuration > TimeSpan.Zero)
+            {
+                _memoryCache.Set(cacheKey, latest, _cacheDuration);
+            }
+
+            return latest;
+        }
+
+        private async Task<DateTime?> ReadLastModifiedAsync(ReleaseDataSet dataSet)
+        {
+            DateTime? latest = null;
+
+            foreach (var fileName in GetBlobNames(dataSet))
+            {
+                try
+                {
+                    // Not every edition has every blob; skip missing ones quietly
+                    if (!await _storageService.ExistsAsync(fileName)) continue;
+
+                    var modified = await _storageService.GetLastModifiedAsync(fileName);
+                    if (modified.HasValue && (latest == null || modified.Value > latest))
+                    {
+                        latest = modified.Value;
+                    }
+                }
+                catch (Exception ex)
+                {
+                    _logger.LogWarning(ex, "Could not read last modified time of {FileName}", fileName);
+                }
+            }
+
+            return latest;
+        }
+
+        private IEnumerable<string> GetBlobNames(ReleaseDataSet dataSet)
+        {
+            if (dataSet == ReleaseDataSet.Office365)
+            {
+                return OfficeBlobs.Select(blob => $"{_office365StoragePath}/{blob}");
+            }
+
+            return Enum.GetValues<WindowsEdition>()
+                .SelectMany(edition => WindowsEditionBlobs.Select(blob => $"{_windowsStoragePath}/{WindowsVersionsService.GetEditionStorageKey(edition)}-{blob}.json"))
+                .Append($"{_windowsStoragePath}/last-update.json");
+        }
+    }
+}
@@ -0,0 +1,272 @@
+using System.Globalization;
+using System.Net;
+using System.Text;
+using System.Xml.Linq;
+using Microsoft.Extensions.Logging;
+using OfficeVersionsCore.Models;
+
+namespace OfficeVersionsCore.Services
+{
+    /// <summary>
+    /// Syndication formats served by <see cref="IFeedService"/>
+    /// </summary>
+    public enum FeedFormat
+    {
+        Rss,
+        Atom
+    }
+
+    /// <summary>
+    /// Interface for building RSS 2.0 and Atom feeds of new Office builds and Windows KBs
+    /// </summary>
+    public interface IFeedService
+    {
+        IReadOnlyCollection<string> FeedNames { get; }
+        bool IsKnownFeed(string feed);
+        Task<string> BuildFeedAsync(string feed, FeedFormat format, string baseUrl);
+    }
+
+    /// <summary>
+    /// Builds release feeds from the stored scraper output: the Office channel history files written by
+    /// Office365VersionScraper and the Windows update lists written by WindowsVersionsScraper.
+    /// Entries link to the build lookup page, which is the detail view for a single build.
+    /// </summary>
+    public class FeedService : IFeedService
+    {
+        private readonly IOffice365Service _office365Service;
+        private readonly IWindowsVersionsService _windowsService;
+        private readonly ILogger<FeedService> _logger;
+
+        private const int MaxItems = 50;
+
+        private static readonly XNamespace AtomNamespace = "http://www.w3.org/2005/Atom";
+
+        /// <summary>
+        /// Feed definitions: title plus the Windows editions and Office channels included
+        /// </summary>
+        private static readonly Dictionary<string, (string Title, WindowsEdition[] Editions, string[] Channels)> Feeds =
+            new(StringComparer.OrdinalIgnoreCase)
+            {
+                ["windows"] = ("Windows updates", new[]
+                {
+                    WindowsEdition.Windows10, WindowsEdition.Windows11,
+                    WindowsEdition.WindowsServer2016, WindowsEdition.WindowsServer2019,
+                    WindowsEdition.WindowsServer2022, WindowsEdition.WindowsServer2025
+                }, Array.Empty<string>()),
+                ["windows10"] = ("Windows 10 updates", new[] { WindowsEdition.Windows10 }, Array.Empty<string>()),
+                ["windows11"] = ("Windows 11 updates", new[] { WindowsEdition.Windows11 }, Array.Empty<string>()),
+                ["server2016"] = ("Windows Server 2016 updates", new[] { WindowsEdition.WindowsServer2016 }, Array.Empty<string>()),
+                ["server2019"] = ("Windows Server 2019 updates", new[] { WindowsEdition.WindowsServer2019 }, Array.Empty<string>()),
+                ["server2022"] = ("Windows Server 2022 updates", new[] { WindowsEdition.WindowsServer2022 }, Array.Empty<string>()),
+                ["server2025"] = ("Windows Server 2025 updates", new[] { WindowsEdition.WindowsServer2025 }, Array.Empty<string>()),
+                ["office"] = ("Microsoft 365 Apps builds", Array.Empty<WindowsEdition>(), new[]
+                {
+                    "Current Channel", "Monthly Enterprise Channel", "Semi-Annual Enterprise Channel"
+                }),
+                ["office-cc"] = ("Microsoft 365 Apps Current Channel builds", Array.Empty<WindowsEdition>(), new[] { "Current Channel" }),
+                ["office-mec"] = ("Microsoft 365 Apps Monthly Enterprise Channel builds", Array.Empty<WindowsEdition>(), new[] { "Monthly Enterprise Channel" }),
+                ["office-sac"] = ("Microsoft 365 Apps Semi-Annual Enterprise Channel builds", Array.Empty<WindowsEdition>(), new[] { "Semi-Annual Enterprise Channel" })
+            };
+
+        public FeedService(
+            IOffice365Service office365Service,
+            IWindowsVersionsService windowsService,
+            ILogger<FeedService> logger)
+        {
+            _office365Service = office365Service;
+            _windowsService = windowsService;
+            _logger = logger;
+        }
+
+        public IReadOnlyCollection<string> FeedNames => Feeds.Keys;
+
+        public bool IsKnownFeed(string feed) => !string.IsNullOrWhiteSpace(feed) && Feeds.ContainsKey(feed);
+
+        public async Task<string> BuildFeedAsync(string feed, FeedFormat format, string baseUrl)
+        {
+            var (title, editions, channels) = Feeds[feed];
+            var items = new List<FeedItem>();
+
+            foreach (var edition in editions)
+            {
+                var updates = await _windowsService.GetWindowsUpdatesAsync(edition);
+                if (!updates.Success || updates.Data == null)
+                {
+                    _logger.LogWarning("No updates for {Edition} in feed {Feed}: {Message}", edition, feed, updates.Message);
+                    continue;
+                }
+
+                items.AddRange(updates.Data
+                    .Where(u => u.ReleaseDate.HasValue)
+                    .Select(u => FromWindowsUpdate(u, baseUrl)));
+            }
+
+            foreach (var channel in channels)
+            {
+                var history = await _office365Service.GetVersionsByChannelAsync(channel);
+                items.AddRange(history
+                    .Select(v => FromOfficeRelease(v, channel, baseUrl))
+                    .Where(i => i != null)
+                    .Select(i => i!));
+            }
+
+            var latest = items
+                .GroupBy(i => i.Id)
+                .Select(g => g.First())
+                .OrderByDescending(i => i.Published)
+                .Take(MaxItems)
+                .ToList();
+
+            _logger.LogInformation("Built {Format} feed {Feed} with {Count} items", format, feed, latest.Count);
+
+            var selfUrl = $"{baseUrl}/feeds/{feed.ToLowerInvariant()}.{(format == FeedFormat.Atom ? "atom" : "rss")}";
+            var document = format == FeedFormat.Atom
+                ? WriteAtom(title, selfUrl, baseUrl, latest)
+                : WriteRss(title, selfUrl, baseUrl, latest);
+
+            return $"<?xml version=\"1.0\" encoding=\"utf-8\"?>\n{document}";
+        }
+
+        private static FeedItem FromWindowsUpdate(WindowsUpdate update, string baseUrl)
+        {
+            var edition = update.Edition.GetDisplayName();
+            var kb = string.IsNullOrEmpty(update.KBNumber) ? null : $"KB{update.KBNumber.Replace("KB", string.Empty, StringComparison.OrdinalIgnoreCase)}";
+            var title = $"{edition} {update.Version}: {kb ?? "Update"} (OS Build {update.Build})";
+
+            var content = new StringBuilder();
+            AppendParagraph(content, !string.IsNullOrWhiteSpace(update.UpdateTitle) ? update.UpdateTitle : title);
+            AppendParagraph(content, update.Description);
+            if (!string.IsNullOrEmpty(update.Type)) AppendParagraph(content, $"Update type: {update.Type}");
+            AppendList(content, "Highlights", update.Highlights);
+            AppendList(content, "Known issues", update.KnownIssues);
+
+            var sourceUrl = !string.IsNullOrEmpty(update.SupportUrl) ? update.SupportUrl : update.SourceUrl;
+            if (!string.IsNullOrEmpty(sourceUrl))
+            {
+                content.Append($"<p><a href=\"{WebUtility.HtmlEncode(sourceUrl)}\">Microsoft release notes</a></p>");
+            }
+
+            return new FeedItem(
+                $"urn:office365versions:windows:{update.Edition}:{kb ?? "build"}:{update.Build}".ToLowerInvariant(),
+                title,
+                BuildLookupLink(baseUrl, update.Build),
+                update.ReleaseDate!.Value,
+                content.ToString(),
+                edition);
+        }
+
+        private static FeedItem? FromOfficeRelease(Office365Version release, string channel, string baseUrl)
+        {
+            var published = ParseDate(release.ReleaseDate) ?? ParseDate(release.LatestReleaseDate);
+            if (published == null || string.IsNullOrEmpty(release.Build)) return null;
+
+            var channelName = string.IsNullOrEmpty(release.Channel) ? channel : release.Channel;
+            var title = $"Microsoft 365 Apps {channelName}: Version {release.Version} (Build {release.Build})";
+
+            var content = new StringBuilder();
+            AppendParagraph(content, title);
+            if (!string.IsNullOrEmpty(release.FullBuild)) AppendParagraph(content, $"Full build: {release.FullBuild}");
+            if (!string.IsNullOrEmpty(release.Url))
+            {
+                content.Append($"<p><a href=\"{WebUtility.HtmlEncode(release.Url)}\">Release notes</a></p>");
+            }
+
+            return new FeedItem(
+                $"urn:office365versions:m365apps:{channelName.Replace(' ', '-')}:{release.Build}".ToLowerInvariant(),
+                title,
+                BuildLookupLink(baseUrl, release.Build),
+                published.Value,
+                content.ToString(),
+                channelName);
+        }
+
+        private static string BuildLookupLink(string baseUrl, string build) =>
+            $"{baseUrl}/build-lookup?build={Uri.EscapeDataString(build)}";
+
+        private static void AppendParagraph(StringBuilder content, string? text)
+        {
+            if (!string.IsNullOrWhiteSpace(text)) content.Append($"<p>{WebUtility.HtmlEncode(text)}</p>");
+        }
+
+        private static void AppendList(StringBuilder content, string heading, List<string> items)
+        {
+            if (items == null || items.Count == 0) return;
+
+            content.Append($"<h4>{WebUtility.HtmlEncode(heading)}</h4><ul>");
+            foreach (var item in items.Where(i => !string.IsNullOrWhiteSpace(i)))
+            {
+                content.Append($"<li>{WebUtility.HtmlEncode(item)}</li>");
+            }
+            content.Append("</ul>");
+        }
+
+        private static XElement WriteRss(string title, string selfUrl, string baseUrl, List<FeedItem> items)
+        {
+            var channel = new XElement("channel",
+                new XElement("title", $"{title} - Office 365 Versions"),
+                new XElement("link", baseUrl),
+                new XElement("description", $"{title} detected by office365versions.com"),
+                new XElement("language", "en-us"),
+                new XElement("lastBuildDate", (items.FirstOrDefault()?.Published ?? DateTime.UtcNow).ToString("R", CultureInfo.InvariantCulture)),
+                new XElement(AtomNamespace + "link",
+                    new XAttribute("href", selfUrl),
+                    new XAttribute("rel", "self"),
+                    new XAttribute("type", "application/rss+xml")));
+
+            foreach (var item in items)
+            {
+                channel.Add(new XElement("item",
+                    new XElement("title", item.Title),
+                    new XElement("link", item.Link),
+                    new XElement("guid", new XAttribute("isPermaLink", "false"), item.Id),
+                    new XElement("pubDate", item.Published.ToString("R", CultureInfo.InvariantCulture)),
+                    new XElement("category", item.Category),
+                    new XElement("description", item.Content)));
+            }
+
+            return new XElement("rss",
+                new XAttribute("version", "2.0"),
+                new XAttribute(XNamespace.Xmlns + "atom", AtomNamespace.NamespaceName),
+                channel);
+        }
+
+        private static XElement WriteAtom(string title, string selfUrl, string baseUrl, List<FeedItem> items)
+        {
+            var feed = new XElement(AtomNamespace + "feed",
+                new XElement(AtomNamespace + "title", $"{title} - Office 365 Versions"),
+                new XElement(AtomNamespace + "id", selfUrl),
+                new XElement(AtomNamespace + "updated", ToAtomDate(items.FirstOrDefault()?.Published ?? DateTime.UtcNow)),
+                new XElement(AtomNamespace + "link", new XAttribute("href", selfUrl), new XAttribute("rel", "self")),
+                new XElement(AtomNamespace + "link", new XAttribute("href", baseUrl)),
+                new XElement(AtomNamespace + "author", new XElement(AtomNamespace + "name", "Office 365 Versions")));
+
+            foreach (var item in items)
+            {
+                feed.Add(new XElement(AtomNamespace + "entry",
+                    new XElement(AtomNamespace + "title", item.Title),
+                    new XElement(AtomNamespace + "id", item.Id),
+                    new XElement(AtomNamespace + "link", new XAttribute("href", item.Link)),
+                    new XElement(AtomNamespace + "updated", ToAtomDate(item.Published)),
+                    new XElement(AtomNamespace + "published", ToAtomDate(item.Published)),
+                    new XElement(AtomNamespace + "category", new XAttribute("term", item.Category)),
+                    new XElement(AtomNamespace + "content", new XAttribute("type", "html"), item.Content)));
+            }
+
+            return feed;
+        }
+
+        private static string ToAtomDate(DateTime date) =>
+            DateTime.SpecifyKind(date, DateTimeKind.Utc).ToString("yyyy-MM-dd'T'HH:mm:ss'Z'", CultureInfo.InvariantCulture);
+
+        private static DateTime? ParseDate(string? value)
+        {
+            if (string.IsNullOrWhiteSpace(value)) return null;
+
+            return DateTime.TryParse(value, CultureInfo.InvariantCulture, DateTimeStyles.AssumeUniversal | DateTimeStyles.AdjustToUniversal, out var date)
+                ? date
+                : null;
+        }
+
+        private record FeedItem(string Id, string Title, string Link, DateTime Published, string Content, string Category);
+    }
+}
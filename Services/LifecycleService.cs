@@ -0,0 +1,210 @@
+using System.Globalization;
+using Microsoft.Extensions.Logging;
+using OfficeVersionsCore.Models;
+
+namespace OfficeVersionsCore.Services
+{
+    /// <summary>
+    /// Interface for building the Windows and Office support lifecycle timeline
+    /// </summary>
+    public interface ILifecycleService
+    {
+        Task<ApiResponse<List<LifecycleTimelineEntry>>> GetTimelineAsync();
+    }
+
+    /// <summary>
+    /// Combines Windows release information (regular and LTSC servicing), Windows Server fixed lifecycle
+    /// dates and the Microsoft 365 Apps in-service channel versions into one list of timeline entries.
+    /// </summary>
+    public class LifecycleService : ILifecycleService
+    {
+        private readonly IWindowsVersionsService _windowsService;
+        private readonly IOffice365Service _office365Service;
+        private readonly ILogger<LifecycleService> _logger;
+
+        // Client editions with a release information table
+        private static readonly (WindowsEdition Edition, string Family)[] ClientEditions =
+        {
+            (WindowsEdition.Windows10, LifecycleFamilies.Windows10),
+            (WindowsEdition.Windows11, LifecycleFamilies.Windows11)
+        };
+
+        // Windows Server follows the Fixed Lifecycle Policy and is not part of the scraped release information
+        // (the server editions share the client pages), so its dates are listed here
+        private static readonly (WindowsEdition Edition, string Version, DateTime Start, DateTime MainstreamEnd, DateTime ExtendedEnd)[] ServerLifecycles =
+        {
+            (WindowsEdition.WindowsServer2012R2, "9600", new DateTime(2013, 11, 25), new DateTime(2018, 10, 9), new DateTime(2023, 10, 10)),
+            (WindowsEdition.WindowsServer2016, "1607", new DateTime(2016, 10, 15), new DateTime(2022, 1, 11), new DateTime(2027, 1, 12)),
+            (WindowsEdition.WindowsServer2019, "1809", new DateTime(2018, 11, 13), new DateTime(2024, 1, 9), new DateTime(2029, 1, 9)),
+            (WindowsEdition.WindowsServer2022, "21H2", new DateTime(2021, 8, 18), new DateTime(2026, 10, 13), new DateTime(2031, 10, 14)),
+            (WindowsEdition.WindowsServer2025, "24H2", new DateTime(2024, 11, 1), new DateTime(2029, 10, 9), new DateTime(2034, 10, 10))
+        };
+
+        public LifecycleService(
+            IWindowsVersionsService windowsService,
+            IOffice365Service office365Service,
+            ILogger<LifecycleService> logger)
+        {
+            _windowsService = windowsService;
+            _office365Service = office365Service;
+            _logger = logger;
+        }
+
+        public async Task<ApiResponse<List<LifecycleTimelineEntry>>> GetTimelineAsync()
+        {
+            try
+            {
+                var entries = new List<LifecycleTimelineEntry>();
+
+                foreach (var (edition, family) in ClientEditions)
+                {
+                    var summary = await _windowsService.GetReleaseSummaryAsync(edition);
+                    if (!summary.Success || summary.Data == null)
+                    {
+                        _logger.LogWarning("No release summary for {Edition}: {Message}", edition, summary.Message);
+                        continue;
+                    }
+
+                    entries.AddRange(summary.Data.RegularVersions.Select(v => FromRegularVersion(v, family)));
+                    entries.AddRange(summary.Data.LtscVersions.Select(v => FromLtscVersion(v, family)));
+                }
+
+                entries.AddRange(ServerLifecycles.Select(FromServerLifecycle));
+                entries.AddRange(await GetOfficeEntriesAsync());
+
+                var timeline = entries
+                    .Where(e => e.StartDate.HasValue)
+                    .GroupBy(e => e.Name, StringComparer.OrdinalIgnoreCase)
+                    .Select(g => g.First())
+                    .OrderBy(e => e.Family)
+                    .ThenBy(e => e.StartDate)
+                    .ToList();
+
+                _logger.LogInformation("Built lifecycle timeline with {Count} entries", timeline.Count);
+
+                return new ApiResponse<List<LifecycleTimelineEntry>>
+                {
+                    Success = true,
+                    Data = timeline,
+                    Message = $"Retrieved {timeline.Count} lifecycle entries",
+                    Source = "Azure Storage"
+                };
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, "Error building lifecycle timeline");
+                return new ApiResponse<List<LifecycleTimelineEntry>>
+                {
+                    Success = false,
+                    Message = $"Error building lifecycle timeline: {ex.Message}",
+                    Data = new List<LifecycleTimelineEntry>()
+                };
+            }
+        }
+
+        private static LifecycleTimelineEntry FromRegularVersion(RegularServicingVersion version, string family) =>
+            CreateEntry(
+                family,
+                $"{family} {version.Version}",
+                version.Version,
+                version.ServicingOption,
+                version.LatestBuild,
+                version.ReleaseDate ?? ParseDate(version.AvailabilityDate),
+                ("End of servicing (Home/Pro)", ParseDate(version.EndOfServicingConsumer)),
+                ("End of servicing (Enterprise/Education)", ParseDate(version.EndOfServicingEnterprise)));
+
+        private static LifecycleTimelineEntry FromLtscVersion(LtscServicingVersion version, string family)
+        {
+            var servicingType = version.ServicingOption.Contains("LTSB", StringComparison.OrdinalIgnoreCase)
+                ? ServicingType.LTSB
+                : ServicingType.LTSC;
+
+            return CreateEntry(
+                family,
+                ServicingTypeNames.GetFullProductName(version.Edition, version.Version, servicingType),
+                version.Version,
+                version.ServicingOption,
+                version.LatestBuild,
+                version.ReleaseDate ?? ParseDate(version.AvailabilityDate),
+                ("Mainstream support ends", ParseDate(version.MainstreamSupportEndDate)),
+                ("Extended support ends", ParseDate(version.ExtendedSupportEndDate)));
+        }
+
+        private static LifecycleTimelineEntry FromServerLifecycle(
+            (WindowsEdition Edition, string Version, DateTime Start, DateTime MainstreamEnd, DateTime ExtendedEnd) server) =>
+            CreateEntry(
+                LifecycleFamilies.WindowsServer,
+                server.Edition.GetDisplayName(),
+                server.Version,
+                "LTSC",
+                null,
+                server.Start,
+                ("Mainstream support ends", server.MainstreamEnd),
+                ("Extended support ends", server.ExtendedEnd));
+
+        /// <summary>
+        /// Only the versions still in service are listed for each channel
+        /// </summary>
+        private async Task<List<LifecycleTimelineEntry>> GetOfficeEntriesAsync()
+        {
+            var latestVersions = await _office365Service.GetLatestVersionsAsync();
+            if (latestVersions?.Data == null)
+            {
+                _logger.LogWarning("No Microsoft 365 Apps versions available for the lifecycle timeline");
+                return new List<LifecycleTimelineEntry>();
+            }
+
+            // End of service is either a date or text such as "Version 2309 is released"; text leaves the bar open-ended
+            return latestVersions.Data
+                .Select(v => CreateEntry(
+                    LifecycleFamilies.Microsoft365Apps,
+                    $"{v.Channel} {v.Version}",
+                    v.Version,
+                    v.Channel,
+                    v.Build,
+                    ParseDate(v.FirstAvailabilityDate) ?? ParseDate(v.LatestReleaseDate),
+                    ("End of service", ParseDate(v.EndOfService))))
+                .ToList();
+        }
+
+        private static LifecycleTimelineEntry CreateEntry(
+            string family,
+            string name,
+            string version,
+            string? channel,
+            string? latestBuild,
+            DateTime? startDate,
+            params (string Name, DateTime? Date)[] milestones)
+        {
+            var dated = milestones
+                .Where(m => m.Date.HasValue)
+                .Select(m => new LifecycleMilestone { Name = m.Name, Date = m.Date!.Value })
+                .OrderBy(m => m.Date)
+                .ToList();
+
+            var endDate = dated.Count > 0 ? dated[^1].Date : (DateTime?)null;
+
+            return new LifecycleTimelineEntry
+            {
+                Family = family,
+                Name = name,
+                Version = version,
+                Channel = string.IsNullOrWhiteSpace(channel) ? null : channel,
+                LatestBuild = string.IsNullOrWhiteSpace(latestBuild) ? null : latestBuild,
+                StartDate = startDate,
+                EndDate = endDate,
+                Milestones = dated,
+                IsSupported = startDate.HasValue && (endDate == null || endDate.Value.Date >= DateTime.UtcNow.Date)
+            };
+        }
+
+        private static DateTime? ParseDate(string? value)
+        {
+            if (string.IsNullOrWhiteSpace(value)) return null;
+
+            return DateTime.TryParse(value, CultureInfo.InvariantCulture, DateTimeStyles.AssumeUniversal | DateTimeStyles.AdjustToUniversal, out var date)
+                ? date
+                : null;
+        }
+    }
+}
@@ -0,0 +1,161 @@
+using System.Collections.Concurrent;
+using System.Threading.Channels;
+using OfficeVersionsCore.Models;
+
+namespace OfficeVersionsCore.Services
+{
+    /// <summary>
+    /// Interface for broadcasting scraper events to browsers connected to /api/live
+    /// </summary>
+    public interface ILiveUpdateService
+    {
+        /// <summary>
+        /// Number of connected subscribers
+        /// </summary>
+        int SubscriberCount { get; }
+
+        /// <summary>
+        /// Raised after each event is published, for in-process listeners such as MCP resource subscriptions
+        /// </summary>
+        event EventHandler<LiveUpdateEvent>? Published;
+
+        /// <summary>
+        /// Sends an event to every connected subscriber and keeps it for replay to reconnecting clients
+        /// </summary>
+        LiveUpdateEvent Publish(string type, string product, List<DetectedRelease>? releases = null);
+
+        /// <summary>
+        /// Opens a subscription, or returns null when the connection limit is reached.
+        /// Events newer than lastEventId that are still buffered are replayed first.
+        /// </summary>
+        LiveUpdateSubscription? Subscribe(long? lastEventId);
+    }
+
+    /// <summary>
+    /// A connected client; dispose it when the connection closes
+    /// </summary>
+    public sealed class LiveUpdateSubscription : IDisposable
+    {
+        private readonly Action _unsubscribe;
+
+        internal LiveUpdateSubscription(ChannelReader<LiveUpdateEvent> reader, List<LiveUpdateEvent> missed, Action unsubscribe)
+        {
+            Reader = reader;
+            Missed = missed;
+            _unsubscribe = unsubscribe;
+        }
+
+        public ChannelReader<LiveUpdateEvent> Reader { get; }
+
+        /// <summary>
+        /// Buffered events the client missed while disconnected, oldest first
+        /// </summary>
+        public List<LiveUpdateEvent> Missed { get; }
+
+        public void Dispose() => _unsubscribe();
+    }
+
+    /// <summary>
+    /// In-process fan-out of live updates. Singleton: the scrapers publish and every SSE connection reads its own
+    /// bounded channel, so a slow client drops its oldest events instead of holding up the others.
+    /// Each app instance only sees the scrapers running in that instance.
+    /// </summary>
+    public class LiveUpdateService : ILiveUpdateService
+    {
+        private const int ReplayBufferSize = 50;
+        private const int SubscriberBufferSize = 100;
+
+        private readonly ConcurrentDictionary<Guid, Channel<LiveUpdateEvent>> _subscribers = new();
+        private readonly LinkedList<LiveUpdateEvent> _recent = new();
+        private readonly object _lock = new();
+        private readonly ILogger<LiveUpdateService> _logger;
+        private readonly int _maxSubscribers;
+        private long _lastId;
+
+        public LiveUpdateService(ILogger<LiveUpdateService> logger, IConfiguration configuration)
+        {
+            _logger = logger;
+            _maxSubscribers = configuration.GetValue("LiveUpdates:MaxConnections", 500);
+        }
+
+        public int SubscriberCount => _subscribers.Count;
+
+        public event EventHandler<LiveUpdateEvent>? Published;
+
+        public LiveUpdateEvent Publish(string type, string product, List<DetectedRelease>? releases = null)
+        {
+            LiveUpdateEvent liveEvent;
+            lock (_lock)
+            {
+                liveEvent = new LiveUpdateEvent
+                {
+                    Id = ++_lastId,
+                    Type = type,
+                    Product = product,
+                    TimestampUtc = DateTime.UtcNow,
+                    Releases = releases
+                };
+
+                _recent.AddLast(liveEvent);
+                if (_recent.Count > ReplayBufferSize)
+                {
+                    _recent.RemoveFirst();
+                }
+
+                // Writes never block (DropOldest), and doing them under the lock keeps Subscribe's replay exact
+                foreach (var channel in _subscribers.Values)
+                {
+                    channel.Writer.TryWrite(liveEvent);
+                }
+            }
+
+            _logger.LogInformation("Published live update {Type} for {Product} to {Count} subscribers", type, product, _subscribers.Count);
+
+            try
+            {
+                Published?.Invoke(this, liveEvent);
+            }
+            catch (Exception ex)
+            {
+                // A failing listener must not fail the scraper run that published the event
+                _logger.LogWarning(ex, "Live update listener failed for {Type} {Product}", type, product);
+            }
+
+            return liveEvent;
+        }
+
+        public LiveUpdateSubscription? Subscribe(long? lastEventId)
+        {
+            if (_subscribers.Count >= _maxSubscribers)
+            {
+                _logger.LogWarning("Live update connection refused: {Count} subscribers connected", _subscribers.Count);
+                return null;
+            }
+
+            var id = Guid.NewGuid();
+            var channel = Channel.CreateBounded<LiveUpdateEvent>(new BoundedChannelOptions(SubscriberBufferSize)
+            {
+                FullMode = BoundedChannelFullMode.DropOldest,
+                SingleReader = true
+            });
+
+            List<LiveUpdateEvent> missed;
+            lock (_lock)
+            {
+                // Registering under the lock means each event is either replayed or streamed, never both or neither
+                _subscribers[id] = channel;
+                missed = lastEventId.HasValue
+                    ? _recent.Where(e => e.Id > lastEventId.Value).ToList()
+                    : new List<LiveUpdateEvent>();
+            }
+
+            return new LiveUpdateSubscription(channel.Reader, missed, () =>
+            {
+                if (_subscribers.TryRemove(id, out var removed))
+                {
+                    removed.Writer.TryComplete();
+                }
+            });
+        }
+    }
+}
@@ -0,0 +1,397 @@
+using System.Globalization;
+using System.Text;
+using System.Text.Json;
+using OfficeVersionsCore.Models;
+
+namespace OfficeVersionsCore.Services
+{
+    /// <summary>
+    /// Interface for the ready-made report prompts exposed by the MCP endpoint
+    /// </summary>
+    public interface IMcpPromptService
+    {
+        /// <summary>
+        /// Prompt definitions, for prompts/list
+        /// </summary>
+        IReadOnlyList<McpPrompt> GetPrompts();
+
+        /// <summary>
+        /// Builds a prompt filled with the current release data
+        /// </summary>
+        /// <exception cref="ArgumentException">Unknown prompt, or a missing or invalid argument</exception>
+        Task<McpPromptResult> GetAsync(string name, IReadOnlyDictionary<string, string> arguments);
+    }
+
+    /// <summary>
+    /// Admin report prompts (monthly patch status, build support check, Office channel recommendation, Patch Tuesday
+    /// summary). Each prompt embeds the relevant release data as JSON so every client reports from the same facts
+    /// instead of its training data.
+    /// </summary>
+    public class McpPromptService : IMcpPromptService
+    {
+        private const int RecentOfficeDays = 90;
+
+        private static readonly JsonSerializerOptions _jsonOptions = new(JsonSerializerDefaults.Web) { WriteIndented = true };
+
+        // Channels with a full release history file
+        private static readonly string[] OfficeChannels =
+        {
+            "Current Channel",
+            "Monthly Enterprise Channel",
+            "Semi-Annual Enterprise Channel"
+        };
+
+        private static readonly List<McpPrompt> Prompts = new()
+        {
+            new()
+            {
+                Name = "monthly_patch_status_report",
+                Title = "Monthly patch status report",
+                Description = "Patch status report for a month: Windows client and server updates released, latest builds and Microsoft 365 Apps channel releases.",
+                Arguments = new()
+                {
+                    new() { Name = "month", Description = "Month to report on as yyyy-MM; defaults to the current month" }
+                }
+            },
+            new()
+            {
+                Name = "is_build_supported",
+                Title = "Is build X supported?",
+                Description = "Checks whether a Windows or Microsoft 365 Apps build is still supported and current, and what to update to.",
+                Arguments = new()
+                {
+                    new() { Name = "build", Description = "Build number, e.g. 26100.4349, 19045.5854 or 17928.20156", Required = true }
+                }
+            },
+            new()
+            {
+                Name = "office_channel_recommendation",
+                Title = "Microsoft 365 Apps channel recommendation",
+                Description = "Recommends a Microsoft 365 Apps update channel from the current channel versions, release cadence and support dates.",
+                Arguments = new()
+                {
+                    new() { Name = "environment", Description = "Organization context, e.g. \"2,000 seats, VDI, many Excel add-ins\"" }
+                }
+            },
+            new()
+            {
+                Name = "patch_tuesday_whats_new",
+                Title = "What's new this Patch Tuesday",
+                Description = "Summarizes the Windows and Microsoft 365 Apps updates released on a Patch Tuesday, with highlights and known issues.",
+                Arguments = new()
+                {
+                    new() { Name = "date", Description = "Patch Tuesday as yyyy-MM-dd; defaults to the most recent one" }
+                }
+            }
+        };
+
+        private readonly IOffice365Service _office365Service;
+        private readonly IWindowsVersionsService _windowsVersionsService;
+        private readonly IBuildLookupService _buildLookupService;
+        private readonly ILogger<McpPromptService> _logger;
+
+        public McpPromptService(
+            IOffice365Service office365Service,
+            IWindowsVersionsService windowsVersionsService,
+            IBuildLookupService buildLookupService,
+            ILogger<McpPromptService> logger)
+        {
+            _office365Service = office365Service;
+            _windowsVersionsService = windowsVersionsService;
+            _buildLookupService = buildLookupService;
+            _logger = logger;
+        }
+
+        public IReadOnlyList<McpPrompt> GetPrompts() => Prompts;
+
+        public async Task<McpPromptResult> GetAsync(string name, IReadOnlyDictionary<string, string> arguments)
+        {
+            var prompt = Prompts.FirstOrDefault(p => p.Name == name)
+                ?? throw new ArgumentException($"Unknown prompt '{name}'");
+
+            foreach (var argument in prompt.Arguments.Where(a => a.Required))
+            {
+                if (!arguments.TryGetValue(argument.Name, out var value) || string.IsNullOrWhiteSpace(value))
+                {
+                    throw new ArgumentException($"Missing required argument '{argument.Name}'");
+                }
+            }
+
+            _logger.LogInformation("Building MCP prompt {Prompt}", name);
+
+            var text = name switch
+            {
+                "monthly_patch_status_report" => await BuildMonthlyReportAsync(arguments),
+                "is_build_supported" => await BuildSupportCheckAsync(arguments),
+                "office_channel_recommendation" => await BuildChannelRecommendationAsync(arguments),
+                _ => await BuildPatchTuesdayAsync(arguments)
+            };
+
+            return new McpPromptResult
+            {
+                Description = prompt.Description,
+                Messages = new List<McpPromptMessage>
+                {
+                    new() { Role = "user", Content = new McpContent { Text = text } }
+                }
+            };
+        }
+
+        private async Task<string> BuildMonthlyReportAsync(IReadOnlyDictionary<string, string> arguments)
+        {
+            var month = GetMonth(arguments);
+            var monthEnd = month.AddMonths(1);
+
+            var windows = new List<object>();
+            foreach (var edition in McpToolService.Editions.Values)
+            {
+                var updates = (await _windowsVersionsService.GetWindowsUpdatesAsync(edition)).Data ?? new List<WindowsUpdate>();
+                var released = updates.Where(u => u.ReleaseDate >= month && u.ReleaseDate < monthEnd).ToList();
+
+                windows.Add(new
+                {
+                    edition = edition.GetDisplayName(),
+                    releasedThisMonth = released
+                        .OrderBy(u => u.ReleaseDate)
+                        .ThenBy(u => u.Version)
+                        .Select(ToUpdateSummary)
+                        .ToList(),
+                    latestBuildPerVersion = updates
+                        .Where(u => u.ReleaseDate < monthEnd)
+                        .GroupBy(u => u.Version)
+                        .Select(g => g.OrderByDescending(u => u.ReleaseDate).ThenByDescending(u => u.Build, ReleaseComparers.BuildNumber).First())
+                        .OrderByDescending(u => u.Version, ReleaseComparers.WindowsVersion)
+                        .Select(u => new { version = u.Version, build = u.Build, kb = u.KBNumber, releaseDate = FormatDate(u.ReleaseDate) })
+                        .ToList()
+                });
+            }
+
+            var office = new List<object>();
+            foreach (var channel in OfficeChannels)
+            {
+                var history = await _office365Service.GetVersionsByChannelAsync(channel);
+                office.Add(new
+                {
+                    channel,
+                    releasedThisMonth = history
+                        .Where(r => ParseDate(r.ReleaseDate) >= month && ParseDate(r.ReleaseDate) < monthEnd)
+                        .OrderBy(r => ParseDate(r.ReleaseDate))
+                        .Select(r => new { version = r.Version, build = r.Build, releaseDate = FormatDate(ParseDate(r.ReleaseDate)) })
+                        .ToList()
+                });
+            }
+
+            return Compose(
+                $"Write a patch status report for {month:MMMM yyyy} for IT administrators.",
+                new[]
+                {
+                    "Start with a short executive summary: how many Windows updates and Microsoft 365 Apps builds shipped, and whether any were security updates or out-of-band releases.",
+                    "Give a table per product (Windows client, Windows Server, Microsoft 365 Apps) listing KB or version, build and release date.",
+                    "List the latest build of each Windows feature version so admins can check their fleet against it.",
+                    "Call out known issues mentioned in the data, and end with recommended actions.",
+                    "Only use the data below; say so when a product had no releases this month."
+                },
+                new { month = month.ToString("yyyy-MM", CultureInfo.InvariantCulture), windows, office });
+        }
+
+        private async Task<string> BuildSupportCheckAsync(IReadOnlyDictionary<string, string> arguments)
+        {
+            var build = arguments["build"].Trim();
+            if (!_buildLookupService.IsRecognizedBuildFormat(build))
+            {
+                throw new ArgumentException($"'{build}' is not a recognized Windows or Microsoft 365 Apps build number");
+            }
+
+            var lookup = await _buildLookupService.LookupAsync(build);
+
+            return Compose(
+                $"Is build {build} still supported?",
+                new[]
+                {
+                    "Answer yes or no in the first sentence, naming the product, edition and feature version the build belongs to.",
+                    "State the end-of-servicing or end-of-support date and how long is left (or how long ago it ended).",
+                    "Say whether it is the latest build of its version; if not, name the latest build and KB to update to.",
+                    "If the lookup found nothing or only matched the feature version, say so instead of guessing."
+                },
+                new
+                {
+                    build,
+                    asOf = FormatDate(DateTime.UtcNow),
+                    found = lookup.Success && lookup.Data?.Count > 0,
+                    results = lookup.Data ?? new List<BuildLookupResult>()
+                });
+        }
+
+        private async Task<string> BuildChannelRecommendationAsync(IReadOnlyDictionary<string, string> arguments)
+        {
+            arguments.TryGetValue("environment", out var environment);
+            var latest = await _office365Service.GetLatestVersionsAsync();
+            var since = DateTime.UtcNow.Date.AddDays(-RecentOfficeDays);
+
+            var cadence = new List<object>();
+            foreach (var channel in OfficeChannels)
+            {
+                var history = await _office365Service.GetVersionsByChannelAsync(channel);
+                var recent = history.Where(r => ParseDate(r.ReleaseDate) >= since).ToList();
+                cadence.Add(new
+                {
+                    channel,
+                    buildsLast90Days = recent.Count,
+                    versionsLast90Days = recent.Select(r => r.Version).Distinct().Count()
+                });
+            }
+
+            return Compose(
+                "Recommend a Microsoft 365 Apps update channel" +
+                    (string.IsNullOrWhiteSpace(environment) ? "." : $" for this environment: {environment.Trim()}"),
+                new[]
+                {
+                    "Compare Current Channel, Monthly Enterprise Channel and Semi-Annual Enterprise Channel on feature freshness, update frequency, predictability and support window.",
+                    "Use the release cadence and end-of-service dates in the data below rather than general knowledge.",
+                    "Recommend one primary channel and, where it helps, a preview or pilot ring, with a short justification.",
+                    "Mention the version and build the organization would land on today."
+                },
+                new
+                {
+                    asOf = FormatDate(DateTime.UtcNow),
+                    channels = (latest?.Data ?? new List<Office365Version>())
+                        .OrderBy(v => v.Channel)
+                        .Select(v => new
+                        {
+                            channel = v.Channel,
+                            version = v.Version,
+                            build = v.Build,
+                            latestReleaseDate = FormatDate(ParseDate(v.LatestReleaseDate)),
+                            endOfService = FormatDate(ParseDate(v.EndOfService))
+                        })
+                        .ToList(),
+                    cadence
+                });
+        }
+
+        private async Task<string> BuildPatchTuesdayAsync(IReadOnlyDictionary<string, string> arguments)
+        {
+            var patchTuesday = GetPatchTuesday(arguments);
+
+            var windows = new List<object>();
+            foreach (var edition in McpToolService.Editions.Values)
+            {
+                var updates = (await _windowsVersionsService.GetWindowsUpdatesAsync(edition)).Data ?? new List<WindowsUpdate>();
+                windows.AddRange(updates
+                    .Where(u => u.ReleaseDate?.Date == patchTuesday)
+                    .OrderByDescending(u => u.Version, ReleaseComparers.WindowsVersion)
+                    .Select(u => new
+                    {
+                        edition = edition.GetDisplayName(),
+                        version = u.Version,
+                        kb = u.KBNumber,
+                        build = u.Build,
+                        title = u.UpdateTitle,
+                        isSecurityUpdate = u.IsSecurityUpdate,
+                        highlights = u.Highlights,
+                        knownIssues = u.KnownIssues,
+                        url = u.SupportUrl ?? u.SourceUrl
+                    }));
+            }
+
+            var office = new List<object>();
+            foreach (var channel in OfficeChannels)
+            {
+                var history = await _office365Service.GetVersionsByChannelAsync(channel);
+                office.AddRange(history
+                    .Where(r => ParseDate(r.ReleaseDate)?.Date == patchTuesday)
+                    .Select(r => new { channel, version = r.Version, build = r.Build, url = r.Url }));
+            }
+
+            return Compose(
+                $"Summarize what's new in the Patch Tuesday of {patchTuesday:MMMM d, yyyy}.",
+                new[]
+                {
+                    "Group the Windows updates by edition, giving KB, build and the notable highlights in plain language.",
+                    "List every known issue with the affected editions; admins read this to decide whether to pause deployment.",
+                    "Include the Microsoft 365 Apps builds released the same day.",
+                    "End with a one-paragraph deployment recommendation. Only use the data below."
+                },
+                new { patchTuesday = FormatDate(patchTuesday), windows, office });
+        }
+
+        /// <summary>
+        /// Instructions followed by the data as a JSON block
+        /// </summary>
+        private static string Compose(string task, IEnumerable<string> instructions, object data)
+        {
+            var text = new StringBuilder();
+            text.AppendLine(task);
+            text.AppendLine();
+            foreach (var instruction in instructions)
+            {
+                text.Append("- ").AppendLine(instruction);
+            }
+            text.AppendLine();
+            text.AppendLine("Current data from office365versions.com:");
+            text.AppendLine("```json");
+            text.AppendLine(JsonSerializer.Serialize(data, _jsonOptions));
+            text.Append("```");
+            return text.ToString();
+        }
+
+        private static object ToUpdateSummary(WindowsUpdate update) => new
+        {
+            version = update.Version,
+            kb = update.KBNumber,
+            build = update.Build,
+            releaseDate = FormatDate(update.ReleaseDate),
+            type = update.Type,
+            isSecurityUpdate = update.IsSecurityUpdate,
+            isOptionalUpdate = update.IsOptionalUpdate,
+            knownIssues = update.KnownIssues
+        };
+
+        private static DateTime GetMonth(IReadOnlyDictionary<string, string> arguments)
+        {
+            if (!arguments.TryGetValue("month", out var value) || string.IsNullOrWhiteSpace(value))
+            {
+                var today = DateTime.UtcNow;
+                return new DateTime(today.Year, today.Month, 1);
+            }
+
+            return DateTime.TryParseExact(value.Trim(), "yyyy-MM", CultureInfo.InvariantCulture, DateTimeStyles.None, out var month)
+                ? month
+                : throw new ArgumentException("Argument 'month' must be in yyyy-MM format");
+        }
+
+        private static DateTime GetPatchTuesday(IReadOnlyDictionary<string, string> arguments)
+        {
+            if (arguments.TryGetValue("date", out var value) && !string.IsNullOrWhiteSpace(value))
+            {
+                return DateTime.TryParseExact(value.Trim(), "yyyy-MM-dd", CultureInfo.InvariantCulture, DateTimeStyles.None, out var date)
+                    ? date
+                    : throw new ArgumentException("Argument 'date' must be in yyyy-MM-dd format");
+            }
+
+            var today = DateTime.UtcNow.Date;
+            var thisMonth = CalendarService.GetPatchTuesday(today.Year, today.Month);
+            if (thisMonth <= today)
+            {
+                return thisMonth;
+            }
+
+            var lastMonth = today.AddMonths(-1);
+            return CalendarService.GetPatchTuesday(lastMonth.Year, lastMonth.Month);
+        }
+
+        private static string? FormatDate(DateTime? value) => value?.ToString("yyyy-MM-dd", CultureInfo.InvariantCulture);
+
+        private static DateTime? ParseDate(string? value)
+        {
+            if (string.IsNullOrWhiteSpace(value))
+            {
+                return null;
+            }
+
+            return DateTime.TryParse(value, CultureInfo.InvariantCulture, DateTimeStyles.AssumeUniversal | DateTimeStyles.AdjustToUniversal, out var date)
+                ? date
+                : null;
+        }
+    }
+}
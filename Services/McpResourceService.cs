@@ -0,0 +1,175 @@
+using System.Text.Json;
+using System.Text.Json.Serialization;
+using OfficeVersionsCore.Models;
+
+namespace OfficeVersionsCore.Services
+{
+    /// <summary>
+    /// Interface for the data exposed as MCP resources
+    /// </summary>
+    public interface IMcpResourceService
+    {
+        /// <summary>
+        /// Every concrete resource, for resources/list
+        /// </summary>
+        IReadOnlyList<McpResource> GetResources();
+
+        /// <summary>
+        /// URI templates covering the per-channel and per-edition resources, for resources/templates/list
+        /// </summary>
+        IReadOnlyList<McpResourceTemplate> GetResourceTemplates();
+
+        bool Exists(string uri);
+
+        /// <summary>
+        /// Reads a resource as JSON, or returns null for an unknown URI
+        /// </summary>
+        Task<McpResourceContents?> ReadAsync(string uri);
+    }
+
+    /// <summary>
+    /// Exposes the stored release data as officeversions:// resources: the Office latest-versions JSON,
+    /// the full history of each Office channel and the update list of each Windows edition.
+    /// The contents are the same JSON the REST API returns.
+    /// </summary>
+    public class McpResourceService : IMcpResourceService
+    {
+        private const string Scheme = "officeversions://";
+        private const string OfficeLatestUri = Scheme + "office/latest";
+        private const string OfficeChannelPrefix = Scheme + "office/channels/";
+        private const string WindowsPrefix = Scheme + "windows/";
+        private const string WindowsUpdatesSuffix = "/updates";
+
+        private static readonly JsonSerializerOptions _jsonOptions = new(JsonSerializerDefaults.Web)
+        {
+            WriteIndented = true,
+            Converters = { new JsonStringEnumConverter() }
+        };
+
+        // Channel slug used in URIs -> channel name
+        private static readonly Dictionary<string, string> OfficeChannels = new()
+        {
+            ["current"] = "Current Channel",
+            ["monthly-enterprise"] = "Monthly Enterprise Channel",
+            ["semi-annual-enterprise"] = "Semi-Annual Enterprise Channel"
+        };
+
+        private readonly IOffice365Service _office365Service;
+        private readonly IWindowsVersionsService _windowsVersionsService;
+        private readonly ILogger<McpResourceService> _logger;
+
+        public McpResourceService(
+            IOffice365Service office365Service,
+            IWindowsVersionsService windowsVersionsService,
+            ILogger<McpResourceService> logger)
+        {
+            _office365Service = office365Service;
+            _windowsVersionsService = windowsVersionsService;
+            _logger = logger;
+        }
+
+        /// <summary>
+        /// Product whose scraper rewrites the data behind a resource (see BuildLookupProducts), or null for an unknown URI
+        /// </summary>
+        public static string? GetProduct(string uri) =>
+            uri.StartsWith(Scheme + "office/", StringComparison.Ordinal) ? BuildLookupProducts.Microsoft365Apps
+            : uri.StartsWith(WindowsPrefix, StringComparison.Ordinal) ? BuildLookupProducts.Windows
+            : null;
+
+        public IReadOnlyList<McpResource> GetResources()
+        {
+            var resources = new List<McpResource>
+            {
+                new()
+                {
+                    Uri = OfficeLatestUri,
+                    Name = "office-latest",
+                    Title = "Microsoft 365 Apps latest versions",
+                    Description = "Latest version and build of every in-service Microsoft 365 Apps channel version"
+                }
+            };
+
+            resources.AddRange(OfficeChannels.Select(c => new McpResource
+            {
+                Uri = OfficeChannelPrefix + c.Key,
+                Name = $"office-{c.Key}",
+                Title = $"{c.Value} release history",
+                Description = $"Every build released to {c.Value}"
+            }));
+
+            resources.AddRange(McpToolService.Editions.Select(e => new McpResource
+            {
+                Uri = WindowsPrefix + e.Key + WindowsUpdatesSuffix,
+                Name = $"{e.Key}-updates",
+                Title = $"{e.Value.GetDisplayName()} updates",
+                Description = $"Every {e.Value.GetDisplayName()} update (KB) with build, release date, highlights and known issues"
+            }));
+
+            return resources;
+        }
+
+        public IReadOnlyList<McpResourceTemplate> GetResourceTemplates() => new List<McpResourceTemplate>
+        {
+            new()
+            {
+                UriTemplate = OfficeChannelPrefix + "{channel}",
+                Name = "office-channel-history",
+                Title = "Microsoft 365 Apps channel release history",
+                Description = $"Every build released to a channel; channel is one of {string.Join(", ", OfficeChannels.Keys)}"
+            },
+            new()
+            {
+                UriTemplate = WindowsPrefix + "{edition}" + WindowsUpdatesSuffix,
+                Name = "windows-edition-updates",
+                Title = "Windows edition updates",
+                Description = $"Every update (KB) of a Windows edition; edition is one of {string.Join(", ", McpToolService.Editions.Keys)}"
+            }
+        };
+
+        public bool Exists(string uri) => GetResources().Any(r => r.Uri == uri);
+
+        public async Task<McpResourceContents?> ReadAsync(string uri)
+        {
+            object? data = null;
+
+            if (uri == OfficeLatestUri)
+            {
+                data = await _office365Service.GetLatestVersionsAsync();
+            }
+            else if (uri.StartsWith(OfficeChannelPrefix, StringComparison.Ordinal) &&
+                     OfficeChannels.ContainsKey(uri[OfficeChannelPrefix.Length..]))
+            {
+                data = uri[OfficeChannelPrefix.Length..] switch
+                {
+                    "current" => await _office365Service.GetCurrentChannelReleasesAsync(),
+                    "monthly-enterprise" => await _office365Service.GetMonthlyEnterpriseChannelReleasesAsync(),
+                    _ => await _office365Service.GetSemiAnnualChannelReleasesAsync()
+                };
+            }
+            else if (uri.Length > WindowsPrefix.Length + WindowsUpdatesSuffix.Length &&
+                     uri.StartsWith(WindowsPrefix, StringComparison.Ordinal) && uri.EndsWith(WindowsUpdatesSuffix, StringComparison.Ordinal) &&
+                     McpToolService.Editions.TryGetValue(uri[WindowsPrefix.Length..^WindowsUpdatesSuffix.Length], out var edition))
+            {
+                var response = await _windowsVersionsService.GetWindowsUpdatesAsync(edition);
+                if (!response.Success)
+                {
+                    throw new InvalidOperationException(response.Message);
+                }
+                data = response.Data ?? new List<WindowsUpdate>();
+            }
+            else
+            {
+                return null;
+            }
+
+            _logger.LogInformation("Read MCP resource {Uri}", uri);
+
+            return new McpResourceContents
+            {
+                Uri = uri,
+                // A missing data file reads as null rather than failing, like the REST API's empty responses
+                Text = JsonSerializer.Serialize(data, _jsonOptions)
+            };
+        }
+    }
+}
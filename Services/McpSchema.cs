@@ -0,0 +1,238 @@
+using System.Globalization;
+using System.Text.Json;
+using System.Text.Json.Nodes;
+using System.Text.RegularExpressions;
+
+namespace OfficeVersionsCore.Services
+{
+    /// <summary>
+    /// Builders for the JSON Schemas of the MCP tools, and validation of tool arguments against them.
+    /// Only the keywords the tools use are supported: type, properties, required, additionalProperties,
+    /// enum, pattern, format (date), minimum/maximum, items and minItems/maxItems.
+    /// </summary>
+    public static class McpSchema
+    {
+        /// <summary>
+        /// Input schema: an object that rejects unknown arguments
+        /// </summary>
+        public static JsonObject Input(JsonObject properties, params string[] required)
+        {
+            var schema = Object(properties, required);
+            schema["additionalProperties"] = false;
+            return schema;
+        }
+
+        public static JsonObject Object(JsonObject properties, params string[] required)
+        {
+            var schema = new JsonObject
+            {
+                ["type"] = "object",
+                ["properties"] = properties
+            };
+
+            if (required.Length > 0)
+            {
+                schema["required"] = new JsonArray(required.Select(r => (JsonNode?)JsonValue.Create(r)).ToArray());
+            }
+
+            return schema;
+        }
+
+        public static JsonObject String(string? description = null, string? pattern = null) =>
+            Describe(new JsonObject { ["type"] = "string" }, description, ("pattern", pattern));
+
+        /// <summary>
+        /// Calendar date in yyyy-MM-dd form
+        /// </summary>
+        public static JsonObject Date(string? description = null) =>
+            Describe(new JsonObject { ["type"] = "string", ["format"] = "date" }, description);
+
+        public static JsonObject Enum(string? description, params string[] values) =>
+            Describe(new JsonObject
+            {
+                ["type"] = "string",
+                ["enum"] = new JsonArray(values.Select(v => (JsonNode?)JsonValue.Create(v)).ToArray())
+            }, description);
+
+        public static JsonObject Integer(string? description = null, int? minimum = null, int? maximum = null) =>
+            Describe(new JsonObject { ["type"] = "integer" }, description, ("minimum", minimum), ("maximum", maximum));
+
+        public static JsonObject Boolean(string? description = null) =>
+            Describe(new JsonObject { ["type"] = "boolean" }, description);
+
+        public static JsonObject Array(JsonObject items, string? description = null, int? minItems = null, int? maxItems = null) =>
+            Describe(new JsonObject { ["type"] = "array", ["items"] = items }, description, ("minItems", minItems), ("maxItems", maxItems));
+
+        /// <summary>
+        /// Allows null in addition to the schema's type
+        /// </summary>
+        public static JsonObject Nullable(JsonObject schema)
+        {
+            schema["type"] = new JsonArray(schema["type"]!.GetValue<string>(), "null");
+            return schema;
+        }
+
+        /// <summary>
+        /// Validates a value against a schema built with this class
+        /// </summary>
+        /// <returns>Human-readable errors; empty when the value is valid</returns>
+        public static List<string> Validate(JsonObject schema, JsonElement value, string path = "arguments")
+        {
+            var errors = new List<string>();
+            ValidateValue(schema, value, path, errors);
+            return errors;
+        }
+
+        private static void ValidateValue(JsonObject schema, JsonElement value, string path, List<string> errors)
+        {
+            var types = schema["type"] switch
+            {
+                JsonArray array => array.Select(t => t!.GetValue<string>()).ToList(),
+                JsonNode node => new List<string> { node.GetValue<string>() },
+                _ => new List<string>()
+            };
+
+            if (value.ValueKind == JsonValueKind.Null && types.Contains("null"))
+            {
+                return;
+            }
+
+            var type = types.FirstOrDefault(t => t != "null");
+            if (type != null && !IsType(value, type))
+            {
+                errors.Add($"{path} must be {(type is "integer" or "array" or "object" ? "an" : "a")} {type}");
+                return;
+            }
+
+            switch (value.ValueKind)
+            {
+                case JsonValueKind.Object:
+                    ValidateObject(schema, value, path, errors);
+                    break;
+
+                case JsonValueKind.Array:
+                    ValidateArray(schema, value, path, errors);
+                    break;
+
+                case JsonValueKind.String:
+                    ValidateString(schema, value.GetString()!, path, errors);
+                    break;
+
+                case JsonValueKind.Number:
+                    var number = value.GetDouble();
+                    if (schema["minimum"] is JsonNode minimum && number < minimum.GetValue<int>())
+                    {
+                        errors.Add($"{path} must be at least {minimum}");
+                    }
+                    if (schema["maximum"] is JsonNode maximum && number > maximum.GetValue<int>())
+                    {
+                        errors.Add($"{path} must be at most {maximum}");
+                    }
+                    break;
+            }
+        }
+
+        private static void ValidateObject(JsonObject schema, JsonElement value, string path, List<string> errors)
+        {
+            var properties = schema["properties"] as JsonObject ?? new JsonObject();
+
+            if (schema["required"] is JsonArray required)
+            {
+                foreach (var name in required.Select(r => r!.GetValue<string>()))
+                {
+                    if (!value.TryGetProperty(name, out _))
+                    {
+                        errors.Add($"{path}.{name} is required");
+                    }
+                }
+            }
+
+            var closed = schema["additionalProperties"] is JsonValue additional && !additional.GetValue<bool>();
+            foreach (var property in value.EnumerateObject())
+            {
+                if (properties[property.Name] is JsonObject propertySchema)
+                {
+                    ValidateValue(propertySchema, property.Value, $"{path}.{property.Name}", errors);
+                }
+                else if (closed)
+                {
+                    errors.Add($"{path}.{property.Name} is not a known argument (expected: {string.Join(", ", properties.Select(p => p.Key))})");
+                }
+            }
+        }
+
+        private static void ValidateArray(JsonObject schema, JsonElement value, string path, List<string> errors)
+        {
+            var length = value.GetArrayLength();
+            if (schema["minItems"] is JsonNode minItems && length < minItems.GetValue<int>())
+            {
+                errors.Add($"{path} must contain at least {minItems} items");
+            }
+            if (schema["maxItems"] is JsonNode maxItems && length > maxItems.GetValue<int>())
+            {
+                errors.Add($"{path} must contain at most {maxItems} items");
+            }
+
+            if (schema["items"] is JsonObject items)
+            {
+                var index = 0;
+                foreach (var item in value.EnumerateArray())
+                {
+                    ValidateValue(items, item, $"{path}[{index++}]", errors);
+                }
+            }
+        }
+
+        private static void ValidateString(JsonObject schema, string value, string path, List<string> errors)
+        {
+            if (schema["enum"] is JsonArray allowed)
+            {
+                var values = allowed.Select(a => a!.GetValue<string>()).ToList();
+                if (!values.Contains(value))
+                {
+                    errors.Add($"{path} must be one of: {string.Join(", ", values)}");
+                }
+            }
+
+            if (schema["pattern"] is JsonNode pattern && !Regex.IsMatch(value, pattern.GetValue<string>()))
+            {
+                errors.Add($"{path} does not match the pattern {pattern}");
+            }
+
+            if (schema["format"]?.GetValue<string>() == "date" &&
+                !DateTime.TryParseExact(value, "yyyy-MM-dd", CultureInfo.InvariantCulture, DateTimeStyles.None, out _))
+            {
+                errors.Add($"{path} must be a date in yyyy-MM-dd format");
+            }
+        }
+
+        private static bool IsType(JsonElement value, string type) => type switch
+        {
+            "object" => value.ValueKind == JsonValueKind.Object,
+            "array" => value.ValueKind == JsonValueKind.Array,
+            "string" => value.ValueKind == JsonValueKind.String,
+            "boolean" => value.ValueKind is JsonValueKind.True or JsonValueKind.False,
+            "number" => value.ValueKind == JsonValueKind.Number,
+            "integer" => value.ValueKind == JsonValueKind.Number && value.TryGetInt64(out _),
+            _ => true
+        };
+
+        private static JsonObject Describe(JsonObject schema, string? description, params (string Keyword, JsonNode? Value)[] keywords)
+        {
+            if (description != null)
+            {
+                schema["description"] = description;
+            }
+
+            foreach (var (keyword, value) in keywords)
+            {
+                if (value != null)
+                {
+                    schema[keyword] = value;
+                }
+            }
+
+            return schema;
+        }
+    }
+}
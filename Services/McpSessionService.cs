@@ -0,0 +1,173 @@
+using System.Collections.Concurrent;
+using System.Security.Cryptography;
+
+namespace OfficeVersionsCore.Services
+{
+    /// <summary>
+    /// Interface for MCP Streamable HTTP sessions (Mcp-Session-Id)
+    /// </summary>
+    public interface IMcpSessionService
+    {
+        /// <summary>
+        /// Starts a session for an initialize request, or returns null when the session limit is reached
+        /// </summary>
+        McpSession? Create(string protocolVersion);
+
+        /// <summary>
+        /// Returns a live session and marks it active, or null when it is unknown, expired or terminated
+        /// </summary>
+        McpSession? Get(string sessionId);
+
+        /// <summary>
+        /// Ends a session (DELETE /mcp): in-flight requests are cancelled and its subscriptions dropped
+        /// </summary>
+        bool Terminate(string sessionId);
+    }
+
+    /// <summary>
+    /// A client session and its in-flight requests, which notifications/cancelled can cancel
+    /// </summary>
+    public sealed class McpSession
+    {
+        private readonly ConcurrentDictionary<string, CancellationTokenSource> _inFlight = new();
+
+        internal McpSession(string id, string protocolVersion)
+        {
+            Id = id;
+            ProtocolVersion = protocolVersion;
+            LastActivityUtc = DateTime.UtcNow;
+        }
+
+        public string Id { get; }
+        public string ProtocolVersion { get; }
+        public DateTime LastActivityUtc { get; internal set; }
+
+        /// <summary>
+        /// Registers a request so it can be cancelled by id; dispose the result when the request completes
+        /// </summary>
+        /// <param name="requestKey">Raw JSON of the request id, so "1" and 1 stay distinct</param>
+        /// <param name="aborted">Cancelled when the HTTP request is aborted</param>
+        public CancellationTokenSource BeginRequest(string requestKey, CancellationToken aborted)
+        {
+            var cancellation = CancellationTokenSource.CreateLinkedTokenSource(aborted);
+            _inFlight[requestKey] = cancellation;
+            return cancellation;
+        }
+
+        public void EndRequest(string requestKey) => _inFlight.TryRemove(requestKey, out _);
+
+        /// <summary>
+        /// Cancels an in-flight request; unknown or finished requests are ignored, as the spec requires
+        /// </summary>
+        public bool Cancel(string requestKey)
+        {
+            if (!_inFlight.TryGetValue(requestKey, out var cancellation))
+            {
+                return false;
+            }
+
+            try
+            {
+                cancellation.Cancel();
+                return true;
+            }
+            catch (ObjectDisposedException)
+            {
+                return false;
+            }
+        }
+
+        internal void CancelAll()
+        {
+            foreach (var key in _inFlight.Keys)
+            {
+                Cancel(key);
+            }
+        }
+    }
+
+    /// <summary>
+    /// In-memory session store. Singleton; sessions are not shared between app instances, so clients of a
+    /// scaled-out deployment need session affinity (ARR affinity on App Service).
+    /// </summary>
+    public class McpSessionService : IMcpSessionService
+    {
+        private const int MaxSessions = 5000;
+        private static readonly TimeSpan IdleTimeout = TimeSpan.FromHours(2);
+
+        private readonly ConcurrentDictionary<string, McpSession> _sessions = new();
+        private readonly IMcpSubscriptionService _subscriptionService;
+        private readonly ILogger<McpSessionService> _logger;
+
+        public McpSessionService(IMcpSubscriptionService subscriptionService, ILogger<McpSessionService> logger)
+        {
+            _subscriptionService = subscriptionService;
+            _logger = logger;
+        }
+
+        public McpSession? Create(string protocolVersion)
+        {
+            RemoveIdleSessions();
+
+            if (_sessions.Count >= MaxSessions)
+            {
+                _logger.LogWarning("MCP session refused: {Count} sessions active", _sessions.Count);
+                return null;
+            }
+
+            // Cryptographically random and visible ASCII only, as the spec requires
+            var session = new McpSession(Convert.ToHexString(RandomNumberGenerator.GetBytes(16)).ToLowerInvariant(), protocolVersion);
+            _sessions[session.Id] = session;
+
+            _logger.LogInformation("MCP session {SessionId} started (protocol {ProtocolVersion})", session.Id, protocolVersion);
+            return session;
+        }
+
+        public McpSession? Get(string sessionId)
+        {
+            if (!_sessions.TryGetValue(sessionId, out var session))
+            {
+                return null;
+            }
+
+            if (session.LastActivityUtc < DateTime.UtcNow - IdleTimeout)
+            {
+                Remove(session);
+                return null;
+            }
+
+            session.LastActivityUtc = DateTime.UtcNow;
+            return session;
+        }
+
+        public bool Terminate(string sessionId)
+        {
+            if (!_sessions.TryGetValue(sessionId, out var session))
+            {
+                return false;
+            }
+
+            Remove(session);
+            _logger.LogInformation("MCP session {SessionId} terminated by the client", sessionId);
+            return true;
+        }
+
+        private void RemoveIdleSessions()
+        {
+            var cutoff = DateTime.UtcNow - IdleTimeout;
+            foreach (var session in _sessions.Values.Where(s => s.LastActivityUtc < cutoff))
+            {
+                Remove(session);
+            }
+        }
+
+        private void Remove(McpSession session)
+        {
+            if (_sessions.TryRemove(session.Id, out _))
+            {
+                session.CancelAll();
+                _subscriptionService.RemoveSession(session.Id);
+            }
+        }
+    }
+}
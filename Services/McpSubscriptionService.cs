@@ -0,0 +1,126 @@
+using System.Collections.Concurrent;
+using System.Threading.Channels;
+using OfficeVersionsCore.Models;
+
+namespace OfficeVersionsCore.Services
+{
+    /// <summary>
+    /// Interface for MCP resource subscriptions and the notifications sent to subscribed sessions
+    /// </summary>
+    public interface IMcpSubscriptionService
+    {
+        void Subscribe(string sessionId, string uri);
+
+        void Unsubscribe(string sessionId, string uri);
+
+        /// <summary>
+        /// Pending and future JSON-RPC notifications of a session, read by its GET /mcp stream
+        /// </summary>
+        ChannelReader<object> GetNotifications(string sessionId);
+
+        /// <summary>
+        /// Drops the subscriptions of an ended session (see IMcpSessionService)
+        /// </summary>
+        void RemoveSession(string sessionId);
+    }
+
+    /// <summary>
+    /// Tracks resources/subscribe per MCP session and queues notifications/resources/updated when a scraper
+    /// publishes a completed run for the product behind a subscribed resource (via ILiveUpdateService).
+    /// Singleton; like the live updates, only scraper runs of this app instance are seen. Session ids are
+    /// validated by IMcpSessionService, which also bounds how many exist.
+    /// </summary>
+    public class McpSubscriptionService : IMcpSubscriptionService
+    {
+        private const int NotificationBufferSize = 50;
+
+        private readonly ConcurrentDictionary<string, SubscriptionSession> _sessions = new();
+        private readonly ILogger<McpSubscriptionService> _logger;
+
+        public McpSubscriptionService(ILiveUpdateService liveUpdateService, ILogger<McpSubscriptionService> logger)
+        {
+            _logger = logger;
+            liveUpdateService.Published += OnLiveUpdatePublished;
+        }
+
+        public void Subscribe(string sessionId, string uri)
+        {
+            var session = _sessions.GetOrAdd(sessionId, _ => new SubscriptionSession());
+            lock (session)
+            {
+                session.Uris.Add(uri);
+            }
+
+            _logger.LogInformation("MCP session {SessionId} subscribed to {Uri}", sessionId, uri);
+        }
+
+        public void Unsubscribe(string sessionId, string uri)
+        {
+            if (_sessions.TryGetValue(sessionId, out var session))
+            {
+                lock (session)
+                {
+                    session.Uris.Remove(uri);
+                }
+            }
+        }
+
+        public ChannelReader<object> GetNotifications(string sessionId) =>
+            _sessions.GetOrAdd(sessionId, _ => new SubscriptionSession()).Notifications.Reader;
+
+        public void RemoveSession(string sessionId)
+        {
+            if (_sessions.TryRemove(sessionId, out var session))
+            {
+                // Ends any open GET stream of the session
+                session.Notifications.Writer.TryComplete();
+            }
+        }
+
+        private void OnLiveUpdatePublished(object? sender, LiveUpdateEvent liveEvent)
+        {
+            // Only a completed run means the stored data was rewritten
+            if (liveEvent.Type != LiveUpdateEventTypes.ScrapeCompleted)
+            {
+                return;
+            }
+
+            foreach (var (sessionId, session) in _sessions)
+            {
+                List<string> updated;
+                lock (session)
+                {
+                    updated = session.Uris.Where(uri => McpResourceService.GetProduct(uri) == liveEvent.Product).ToList();
+                }
+
+                foreach (var uri in updated)
+                {
+                    session.Notifications.Writer.TryWrite(new
+                    {
+                        jsonrpc = "2.0",
+                        method = "notifications/resources/updated",
+                        @params = new { uri }
+                    });
+                }
+
+                if (updated.Count > 0)
+                {
+                    _logger.LogInformation("Queued {Count} MCP resource notifications for session {SessionId}", updated.Count, sessionId);
+                }
+            }
+        }
+
+        private sealed class SubscriptionSession
+        {
+            public HashSet<string> Uris { get; } = new(StringComparer.Ordinal);
+
+            /// <summary>
+            /// Notifications wait here until the session's stream reads them; the oldest are dropped when nobody reads
+            /// </summary>
+            public Channel<object> Notifications { get; } = Channel.CreateBounded<object>(new BoundedChannelOptions(NotificationBufferSize)
+            {
+                FullMode = BoundedChannelFullMode.DropOldest
+            });
+        }
+    }
+}
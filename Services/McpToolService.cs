@@ -0,0 +1,1019 @@
+using System.Globalization;
+using System.Text.Json;
+using System.Text.Json.Nodes;
+using OfficeVersionsCore.Models;
+
+namespace OfficeVersionsCore.Services
+{
+    /// <summary>
+    /// Interface for the tools exposed by the MCP endpoint
+    /// </summary>
+    public interface IMcpToolService
+    {
+        /// <summary>
+        /// Tool definitions with their input and output schemas, for tools/list
+        /// </summary>
+        IReadOnlyList<McpToolDefinition> GetTools();
+
+        /// <summary>
+        /// Validates the arguments against the tool's input schema and runs the tool.
+        /// Unknown tools, invalid arguments and failures are returned as error results; a cancelled call
+        /// throws OperationCanceledException. Multi-step tools report their steps to progress.
+        /// </summary>
+        Task<McpToolResult> CallAsync(
+            string name,
+            JsonElement arguments,
+            IProgress<McpProgress>? progress = null,
+            CancellationToken cancellationToken = default);
+    }
+
+    /// <summary>
+    /// MCP tool catalog covering the public API: Office and Windows latest versions, release history with date
+    /// filters, KB and build lookup, feature updates, version comparison and end-of-servicing dates.
+    /// Results are returned both as structuredContent (matching each tool's outputSchema) and as JSON text
+    /// for clients that only read content.
+    /// </summary>
+    public class McpToolService : IMcpToolService
+    {
+        private const int DefaultHistoryLimit = 50;
+        private const int MaxHistoryLimit = 500;
+
+        private static readonly JsonSerializerOptions _jsonOptions = new(JsonSerializerDefaults.Web) { WriteIndented = true };
+
+        // Edition argument values, in the slug form used by the API routes (also used in MCP resource URIs)
+        internal static readonly Dictionary<string, WindowsEdition> Editions = new()
+        {
+            ["windows10"] = WindowsEdition.Windows10,
+            ["windows11"] = WindowsEdition.Windows11,
+            ["server2016"] = WindowsEdition.WindowsServer2016,
+            ["server2019"] = WindowsEdition.WindowsServer2019,
+            ["server2022"] = WindowsEdition.WindowsServer2022,
+            ["server2025"] = WindowsEdition.WindowsServer2025
+        };
+
+        private static readonly string[] ClientEditions = { "windows10", "windows11" };
+
+        // Channels with a full release history file
+        private static readonly string[] OfficeChannels =
+        {
+            "Current Channel",
+            "Monthly Enterprise Channel",
+            "Semi-Annual Enterprise Channel"
+        };
+
+        private static readonly string[] LifecycleFamilyNames =
+        {
+            LifecycleFamilies.Windows10,
+            LifecycleFamilies.Windows11,
+            LifecycleFamilies.WindowsServer,
+            LifecycleFamilies.Microsoft365Apps
+        };
+
+        private readonly IOffice365Service _office365Service;
+        private readonly IWindowsVersionsService _windowsVersionsService;
+        private readonly IBuildLookupService _buildLookupService;
+        private readonly ILifecycleService _lifecycleService;
+        private readonly IWindowsComparisonService _comparisonService;
+        private readonly ILogger<McpToolService> _logger;
+        private readonly Dictionary<string, (McpToolDefinition Definition, ToolHandler Handler)> _tools;
+
+        public McpToolService(
+            IOffice365Service office365Service,
+            IWindowsVersionsService windowsVersionsService,
+            IBuildLookupService buildLookupService,
+            ILifecycleService lifecycleService,
+            IWindowsComparisonService comparisonService,
+            ILogger<McpToolService> logger)
+        {
+            _office365Service = office365Service;
+            _windowsVersionsService = windowsVersionsService;
+            _buildLookupService = buildLookupService;
+            _lifecycleService = lifecycleService;
+            _comparisonService = comparisonService;
+            _logger = logger;
+            _tools = BuildTools().ToDictionary(t => t.Definition.Name, StringComparer.Ordinal);
+        }
+
+        public IReadOnlyList<McpToolDefinition> GetTools() => _tools.Values.Select(t => t.Definition).ToList();
+
+        public async Task<McpToolResult> CallAsync(
+            string name,
+            JsonElement arguments,
+            IProgress<McpProgress>? progress = null,
+            CancellationToken cancellationToken = default)
+        {
+            if (!_tools.TryGetValue(name, out var tool))
+            {
+                return Error($"Unknown tool '{name}'");
+            }
+
+            // Omitted arguments are validated as an empty object so required arguments are still reported
+            if (arguments.ValueKind == JsonValueKind.Undefined)
+            {
+                arguments = JsonDocument.Parse("{}").RootElement;
+            }
+
+            var errors = McpSchema.Validate(tool.Definition.InputSchema, arguments);
+            if (errors.Count > 0)
+            {
+                _logger.LogInformation("MCP tool {Tool} called with invalid arguments: {Errors}", name, string.Join("; ", errors));
+                return Error($"Invalid arguments for '{name}': {string.Join("; ", errors)}");
+            }
+
+            try
+            {
+                var payload = await tool.Handler(arguments, progress ?? NoProgress.Instance, cancellationToken);
+                return new McpToolResult
+                {
+                    Content = new List<McpContent> { new() { Text = JsonSerializer.Serialize(payload, _jsonOptions) } },
+                    StructuredContent = JsonSerializer.SerializeToNode(payload, _jsonOptions),
+                    IsError = false
+                };
+            }
+            catch (McpToolException ex)
+            {
+                return Error(ex.Message);
+            }
+            catch (OperationCanceledException) when (cancellationToken.IsCancellationRequested)
+            {
+                // A cancelled request gets no response, so this is not turned into an error result
+                throw;
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, "MCP tool {Tool} failed", name);
+                return Error($"Tool '{name}' failed: {ex.Message}");
+            }
+        }
+
+        private IEnumerable<(McpToolDefinition Definition, ToolHandler Handler)> BuildTools()
+        {
+            yield return Tool(
+                "get_site_overview",
+                "Site overview",
+                "Returns summary information about the Office Versions website and its current data availability.",
+                McpSchema.Input(new JsonObject()),
+                McpSchema.Object(new JsonObject
+                {
+                    ["site"] = McpSchema.Object(new JsonObject
+                    {
+                        ["name"] = McpSchema.String(),
+                        ["description"] = McpSchema.String(),
+                        ["homepage"] = McpSchema.String(),
+                        ["apiDocs"] = McpSchema.String(),
+                        ["mcpEndpoint"] = McpSchema.String()
+                    }),
+                    ["office"] = McpSchema.Object(new JsonObject
+                    {
+                        ["available"] = McpSchema.Boolean(),
+                        ["channels"] = McpSchema.Array(OfficeChannelSummarySchema())
+                    }),
+                    ["windows"] = McpSchema.Object(new JsonObject
+                    {
+                        ["windows10"] = McpSchema.Nullable(WindowsVersionSchema()),
+                        ["windows11"] = McpSchema.Nullable(WindowsVersionSchema())
+                    })
+                }, "site", "office", "windows"),
+                (_, progress, cancellationToken) => GetSiteOverviewAsync(progress, cancellationToken));
+
+            yield return Tool(
+                "get_latest_office_versions",
+                "Latest Microsoft 365 Apps versions",
+                "Returns the latest Microsoft 365 Apps release information by channel.",
+                McpSchema.Input(new JsonObject()),
+                McpSchema.Object(new JsonObject
+                {
+                    ["available"] = McpSchema.Boolean(),
+                    ["count"] = McpSchema.Integer(),
+                    ["channels"] = McpSchema.Array(OfficeChannelSummarySchema())
+                }, "available", "count", "channels"),
+                _ => GetLatestOfficeVersionsAsync());
+
+            yield return Tool(
+                "get_office_channel_latest",
+                "Latest release of a Microsoft 365 Apps channel",
+                "Returns the latest Microsoft 365 Apps release for a specific channel.",
+                McpSchema.Input(new JsonObject
+                {
+                    ["channel"] = McpSchema.String("Channel name, e.g. Current Channel, Monthly Enterprise Channel, Semi-Annual Enterprise Channel")
+                }, "channel"),
+                McpSchema.Object(new JsonObject
+                {
+                    ["requestedChannel"] = McpSchema.String(),
+                    ["found"] = McpSchema.Boolean(),
+                    ["version"] = McpSchema.Nullable(McpSchema.Object(new JsonObject
+                    {
+                        ["channel"] = McpSchema.String(),
+                        ["version"] = McpSchema.String(),
+                        ["build"] = McpSchema.String(),
+                        ["latestReleaseDate"] = McpSchema.Nullable(McpSchema.Date()),
+                        ["firstAvailabilityDate"] = McpSchema.Nullable(McpSchema.Date()),
+                        ["endOfService"] = McpSchema.Nullable(McpSchema.Date())
+                    }))
+                }, "requestedChannel", "found", "version"),
+                GetOfficeChannelLatestAsync);
+
+            yield return Tool(
+                "get_windows_latest_version",
+                "Latest Windows version",
+                "Returns the latest Windows release information for Windows 10, Windows 11 or a Windows Server edition.",
+                McpSchema.Input(new JsonObject { ["edition"] = EditionArgument() }, "edition"),
+                McpSchema.Object(new JsonObject
+                {
+                    ["edition"] = McpSchema.String(),
+                    ["found"] = McpSchema.Boolean(),
+                    ["version"] = McpSchema.Nullable(WindowsVersionSchema())
+                }, "edition", "found", "version"),
+                GetWindowsLatestVersionAsync);
+
+            yield return Tool(
+                "get_windows_release_history",
+                "Windows update history",
+                "Returns the cumulative and out-of-band updates (KBs) released for a Windows edition, newest first, " +
+                "optionally filtered by feature version, release date range and security updates only.",
+                McpSchema.Input(new JsonObject
+                {
+                    ["edition"] = EditionArgument(),
+                    ["version"] = McpSchema.String("Feature version, e.g. 24H2 or 22H2 (client editions only)"),
+                    ["since"] = McpSchema.Date("Only updates released on or after this date (yyyy-MM-dd)"),
+                    ["until"] = McpSchema.Date("Only updates released on or before this date (yyyy-MM-dd)"),
+                    ["securityOnly"] = McpSchema.Boolean("Only return security updates"),
+                    ["limit"] = McpSchema.Integer($"Maximum number of updates to return (default {DefaultHistoryLimit})", 1, MaxHistoryLimit)
+                }, "edition"),
+                McpSchema.Object(new JsonObject
+                {
+                    ["edition"] = McpSchema.String(),
+                    ["total"] = McpSchema.Integer("Number of updates matching the filters"),
+                    ["returned"] = McpSchema.Integer(),
+                    ["updates"] = McpSchema.Array(WindowsUpdateSchema())
+                }, "edition", "total", "returned", "updates"),
+                GetWindowsReleaseHistoryAsync);
+
+            yield return Tool(
+                "get_office_release_history",
+                "Microsoft 365 Apps release history",
+                "Returns the builds released to a Microsoft 365 Apps channel, newest first, optionally filtered by version and release date range.",
+                McpSchema.Input(new JsonObject
+                {
+                    ["channel"] = McpSchema.Enum("Microsoft 365 Apps update channel", OfficeChannels),
+                    ["version"] = McpSchema.String("Version, e.g. 2508"),
+                    ["since"] = McpSchema.Date("Only builds released on or after this date (yyyy-MM-dd)"),
+                    ["until"] = McpSchema.Date("Only builds released on or before this date (yyyy-MM-dd)"),
+                    ["limit"] = McpSchema.Integer($"Maximum number of builds to return (default {DefaultHistoryLimit})", 1, MaxHistoryLimit)
+                }, "channel"),
+                McpSchema.Object(new JsonObject
+                {
+                    ["channel"] = McpSchema.String(),
+                    ["total"] = McpSchema.Integer("Number of builds matching the filters"),
+                    ["returned"] = McpSchema.Integer(),
+                    ["releases"] = McpSchema.Array(McpSchema.Object(new JsonObject
+                    {
+                        ["version"] = McpSchema.String(),
+                        ["build"] = McpSchema.String(),
+                        ["fullBuild"] = McpSchema.String(),
+                        ["releaseDate"] = McpSchema.Nullable(McpSchema.Date()),
+                        ["url"] = McpSchema.Nullable(McpSchema.String())
+                    }, "version", "build", "releaseDate"))
+                }, "channel", "total", "returned", "releases"),
+                GetOfficeReleaseHistoryAsync);
+
+            yield return Tool(
+                "lookup_kb",
+                "KB lookup",
+                "Finds a Windows update by KB number across Windows 10, Windows 11 and Windows Server, with its builds, " +
+                "release date, highlights and known issues.",
+                McpSchema.Input(new JsonObject
+                {
+                    ["kb"] = McpSchema.String("KB number, e.g. KB5060842 or 5060842", "^([Kk][Bb])?\\d{6,8}$")
+                }, "kb"),
+                McpSchema.Object(new JsonObject
+                {
+                    ["kb"] = McpSchema.String(),
+                    ["found"] = McpSchema.Boolean(),
+                    ["updates"] = McpSchema.Array(WindowsUpdateSchema(withDetails: true))
+                }, "kb", "found", "updates"),
+                LookupKbAsync);
+
+            yield return Tool(
+                "lookup_build",
+                "Build lookup",
+                "Resolves a Windows or Microsoft 365 Apps build number to its product, version, KB, release date, channel and support status.",
+                McpSchema.Input(new JsonObject
+                {
+                    ["build"] = McpSchema.String("Build number, e.g. 26100.4349, 10.0.19045.5854, 22631, 17928.20156 or 16.0.17928.20156")
+                }, "build"),
+                McpSchema.Object(new JsonObject
+                {
+                    ["build"] = McpSchema.String(),
+                    ["found"] = McpSchema.Boolean(),
+                    ["results"] = McpSchema.Array(McpSchema.Object(new JsonObject
+                    {
+                        ["product"] = McpSchema.String(),
+                        ["edition"] = McpSchema.String(),
+                        ["featureVersion"] = McpSchema.String(),
+                        ["build"] = McpSchema.String(),
+                        ["kbNumber"] = McpSchema.Nullable(McpSchema.String()),
+                        ["releaseDate"] = McpSchema.Nullable(McpSchema.Date()),
+                        ["channel"] = McpSchema.Nullable(McpSchema.String()),
+                        ["updateType"] = McpSchema.Nullable(McpSchema.String()),
+                        ["isSupported"] = McpSchema.Nullable(McpSchema.Boolean("Null when no end-of-servicing date is known")),
+                        ["supportEndDate"] = McpSchema.Nullable(McpSchema.String()),
+                        ["isCurrent"] = McpSchema.Boolean("Whether this is the newest build of its feature version"),
+                        ["latestBuild"] = McpSchema.Nullable(McpSchema.String()),
+                        ["isExactMatch"] = McpSchema.Boolean("False when only the feature version could be determined"),
+                        ["url"] = McpSchema.Nullable(McpSchema.String())
+                    }, "product", "edition", "featureVersion", "build", "isCurrent", "isExactMatch"))
+                }, "build", "found", "results"),
+                LookupBuildAsync);
+
+            yield return Tool(
+                "get_windows_feature_updates",
+                "Windows feature updates",
+                "Returns the feature versions of Windows 10 or Windows 11 (including LTSC releases) with availability, " +
+                "latest build, end-of-servicing dates and key features.",
+                McpSchema.Input(new JsonObject
+                {
+                    ["edition"] = McpSchema.Enum("Windows client edition", ClientEditions)
+                }, "edition"),
+                McpSchema.Object(new JsonObject
+                {
+                    ["edition"] = McpSchema.String(),
+                    ["featureUpdates"] = McpSchema.Array(McpSchema.Object(new JsonObject
+                    {
+                        ["version"] = McpSchema.String(),
+                        ["servicingType"] = McpSchema.Enum(null, "Regular", "LTSC", "LTSB"),
+                        ["servicingOption"] = McpSchema.Nullable(McpSchema.String()),
+                        ["availabilityDate"] = McpSchema.Nullable(McpSchema.String()),
+                        ["latestBuild"] = McpSchema.Nullable(McpSchema.String()),
+                        ["latestRevisionDate"] = McpSchema.Nullable(McpSchema.String()),
+                        ["isCurrentVersion"] = McpSchema.Boolean(),
+                        ["endOfServicingStandard"] = McpSchema.Nullable(McpSchema.String()),
+                        ["endOfServicingEnterprise"] = McpSchema.Nullable(McpSchema.String()),
+                        ["mainstreamSupportEndDate"] = McpSchema.Nullable(McpSchema.String()),
+                        ["extendedSupportEndDate"] = McpSchema.Nullable(McpSchema.String()),
+                        ["keyFeatures"] = McpSchema.Array(McpSchema.String())
+                    }, "version", "servicingType", "isCurrentVersion", "keyFeatures"))
+                }, "edition", "featureUpdates"),
+                GetWindowsFeatureUpdatesAsync);
+
+            yield return Tool(
+                "list_comparable_windows_versions",
+                "Comparable Windows versions",
+                "Lists the Windows 10, Windows 11, LTSC and Windows Server versions with the ids accepted by compare_windows_versions.",
+                McpSchema.Input(new JsonObject()),
+                McpSchema.Object(new JsonObject
+                {
+                    ["versions"] = McpSchema.Array(ComparableVersionSchema())
+                }, "versions"),
+                _ => ListComparableVersionsAsync());
+
+            yield return Tool(
+                "compare_windows_versions",
+                "Compare Windows versions",
+                "Compares 2 to 6 Windows versions side by side: latest build and KB, update and security update counts, " +
+                "servicing end dates and the features that differ between them.",
+                McpSchema.Input(new JsonObject
+                {
+                    ["versions"] = McpSchema.Array(
+                        McpSchema.String("Version id from list_comparable_windows_versions, e.g. windows11-24h2"),
+                        "Versions to compare, e.g. [\"windows10-22h2\", \"windows11-23h2\", \"windows11-24h2\"]",
+                        2, 6)
+                }, "versions"),
+                McpSchema.Object(new JsonObject
+                {
+                    ["versions"] = McpSchema.Array(ComparisonColumnSchema()),
+                    ["commonFeatures"] = McpSchema.Array(McpSchema.String(), "Features shared by all compared versions"),
+                    ["notFound"] = McpSchema.Array(McpSchema.String(), "Requested ids that did not match a known version")
+                }, "versions", "commonFeatures", "notFound"),
+                CompareWindowsVersionsAsync);
+
+            yield return Tool(
+                "get_end_of_servicing",
+                "End of servicing dates",
+                "Returns upcoming end-of-servicing and end-of-support dates of Windows versions, Windows Server releases " +
+                "and Microsoft 365 Apps channel versions, soonest first.",
+                McpSchema.Input(new JsonObject
+                {
+                    ["family"] = McpSchema.Enum("Product family; all families when omitted", LifecycleFamilyNames),
+                    ["withinDays"] = McpSchema.Integer("Only dates within this many days from today", 1, 3650),
+                    ["includePast"] = McpSchema.Boolean("Also return dates that have already passed (default false)")
+                }),
+                McpSchema.Object(new JsonObject
+                {
+                    ["asOf"] = McpSchema.Date(),
+                    ["milestones"] = McpSchema.Array(McpSchema.Object(new JsonObject
+                    {
+                        ["family"] = McpSchema.String(),
+                        ["name"] = McpSchema.String(),
+                        ["version"] = McpSchema.String(),
+                        ["channel"] = McpSchema.Nullable(McpSchema.String()),
+                        ["milestone"] = McpSchema.String("e.g. End of servicing (Enterprise) or Extended support ends"),
+                        ["date"] = McpSchema.Date(),
+                        ["daysRemaining"] = McpSchema.Integer("Negative when the date has passed"),
+                        ["isSupported"] = McpSchema.Boolean()
+                    }, "family", "name", "version", "milestone", "date", "daysRemaining", "isSupported"))
+                }, "asOf", "milestones"),
+                GetEndOfServicingAsync);
+        }
+
+        private static (McpToolDefinition, ToolHandler) Tool(
+            string name,
+            string title,
+            string description,
+            JsonObject inputSchema,
+            JsonObject outputSchema,
+            Func<JsonElement, Task<object>> handler) =>
+            Tool(name, title, description, inputSchema, outputSchema, (arguments, _, _) => handler(arguments));
+
+        private static (McpToolDefinition, ToolHandler) Tool(
+            string name,
+            string title,
+            string description,
+            JsonObject inputSchema,
+            JsonObject outputSchema,
+            ToolHandler handler) =>
+            (new McpToolDefinition
+            {
+                Name = name,
+                Title = title,
+                Description = description,
+                InputSchema = inputSchema,
+                OutputSchema = outputSchema
+            }, handler);
+
+        // Schema nodes can only have one parent, so shared schemas are built per use
+
+        private static JsonObject EditionArgument() => McpSchema.Enum("Windows edition", Editions.Keys.ToArray());
+
+        private static JsonObject OfficeChannelSummarySchema() => McpSchema.Object(new JsonObject
+        {
+            ["channel"] = McpSchema.String(),
+            ["latestVersion"] = McpSchema.String(),
+            ["latestBuild"] = McpSchema.String()
+        }, "channel", "latestVersion", "latestBuild");
+
+        private static JsonObject WindowsVersionSchema() => McpSchema.Object(new JsonObject
+        {
+            ["edition"] = McpSchema.String(),
+            ["version"] = McpSchema.String(),
+            ["build"] = McpSchema.String(),
+            ["kbNumber"] = McpSchema.Nullable(McpSchema.String()),
+            ["releaseDate"] = McpSchema.Nullable(McpSchema.Date()),
+            ["servicingOption"] = McpSchema.Nullable(McpSchema.String()),
+            ["endOfServicingStandard"] = McpSchema.Nullable(McpSchema.String()),
+            ["endOfServicingEnterprise"] = McpSchema.Nullable(McpSchema.String()),
+            ["supportEndDate"] = McpSchema.Nullable(McpSchema.String())
+        }, "edition", "version", "build");
+
+        private static JsonObject WindowsUpdateSchema(bool withDetails = false)
+        {
+            var properties = new JsonObject
+            {
+                ["edition"] = McpSchema.String(),
+                ["version"] = McpSchema.String(),
+                ["build"] = McpSchema.String(),
+                ["kbNumber"] = McpSchema.String(),
+                ["releaseDate"] = McpSchema.Nullable(McpSchema.Date()),
+                ["title"] = McpSchema.String(),
+                ["type"] = McpSchema.Nullable(McpSchema.String()),
+                ["isSecurityUpdate"] = McpSchema.Boolean(),
+                ["isOptionalUpdate"] = McpSchema.Boolean(),
+                ["servicingChannel"] = McpSchema.Nullable(McpSchema.String("LTSC or AC for Windows Server")),
+                ["url"] = McpSchema.Nullable(McpSchema.String())
+            };
+
+            if (withDetails)
+            {
+                properties["highlights"] = McpSchema.Array(McpSchema.String());
+                properties["knownIssues"] = McpSchema.Array(McpSchema.String());
+            }
+
+            return McpSchema.Object(properties, "edition", "version", "build", "kbNumber", "releaseDate", "isSecurityUpdate");
+        }
+
+        private static JsonObject ComparableVersionSchema() => McpSchema.Object(ComparableVersionProperties(), "id", "name", "edition", "version");
+
+        private static JsonObject ComparableVersionProperties() => new()
+        {
+            ["id"] = McpSchema.String(),
+            ["name"] = McpSchema.String(),
+            ["edition"] = McpSchema.String(),
+            ["version"] = McpSchema.String(),
+            ["servicingOption"] = McpSchema.Nullable(McpSchema.String()),
+            ["isLtsc"] = McpSchema.Boolean(),
+            ["isServer"] = McpSchema.Boolean(),
+            ["releaseDate"] = McpSchema.Nullable(McpSchema.Date()),
+            ["isSupported"] = McpSchema.Boolean()
+        };
+
+        private static JsonObject ComparisonColumnSchema()
+        {
+            var properties = ComparableVersionProperties();
+            properties["latestBuild"] = McpSchema.Nullable(McpSchema.String());
+            properties["latestKB"] = McpSchema.Nullable(McpSchema.String());
+            properties["latestUpdateDate"] = McpSchema.Nullable(McpSchema.Date());
+            properties["updateCount"] = McpSchema.Integer();
+            properties["securityUpdateCount"] = McpSchema.Integer();
+            properties["servicingEndDates"] = McpSchema.Array(McpSchema.Object(new JsonObject
+            {
+                ["name"] = McpSchema.String(),
+                ["date"] = McpSchema.Date()
+            }, "name", "date"));
+            properties["endOfSupportDate"] = McpSchema.Nullable(McpSchema.Date("Null while no end date is announced"));
+            properties["uniqueFeatures"] = McpSchema.Array(McpSchema.String(), "Features not listed for every other compared version");
+            return McpSchema.Object(properties, "id", "name", "edition", "version", "updateCount", "securityUpdateCount");
+        }
+
+        private async Task<object> GetSiteOverviewAsync(IProgress<McpProgress> progress, CancellationToken cancellationToken)
+        {
+            progress.Report(new McpProgress { Progress = 0, Total = 3, Message = "Reading Microsoft 365 Apps versions" });
+            var officeData = await _office365Service.GetLatestVersionsAsync();
+            cancellationToken.ThrowIfCancellationRequested();
+
+            progress.Report(new McpProgress { Progress = 1, Total = 3, Message = "Reading Windows 10 versions" });
+            var windows10 = await _windowsVersionsService.GetLatestVersionAsync(WindowsEdition.Windows10);
+            cancellationToken.ThrowIfCancellationRequested();
+
+            progress.Report(new McpProgress { Progress = 2, Total = 3, Message = "Reading Windows 11 versions" });
+            var windows11 = await _windowsVersionsService.GetLatestVersionAsync(WindowsEdition.Windows11);
+            progress.Report(new McpProgress { Progress = 3, Total = 3 });
+
+            return new
+            {
+                site = new
+                {
+                    name = "Office Versions",
+                    description = "Website tracking Microsoft 365 Apps and Windows release information.",
+                    homepage = "https://www.office365versions.com",
+                    apiDocs = "/swagger",
+                    mcpEndpoint = "/mcp"
+                },
+                office = new
+                {
+                    available = officeData?.Data?.Any() == true,
+                    channels = SummarizeChannels(officeData)
+                },
+                windows = new
+                {
+                    windows10 = windows10.Success ? ToVersion(windows10.Data, WindowsEdition.Windows10) : null,
+                    windows11 = windows11.Success ? ToVersion(windows11.Data, WindowsEdition.Windows11) : null
+                }
+            };
+        }
+
+        private async Task<object> GetLatestOfficeVersionsAsync()
+        {
+            var data = await _office365Service.GetLatestVersionsAsync();
+            return new
+            {
+                available = data?.Data?.Any() == true,
+                count = data?.Data?.Count ?? 0,
+                channels = SummarizeChannels(data)
+            };
+        }
+
+        private async Task<object> GetOfficeChannelLatestAsync(JsonElement arguments)
+        {
+            var channel = GetString(arguments, "channel")!;
+            var latest = await _office365Service.GetLatestVersionForChannelAsync(channel);
+
+            return new
+            {
+                requestedChannel = channel,
+                found = latest != null,
+                version = latest == null ? null : new
+                {
+                    channel = latest.Channel,
+                    version = latest.Version,
+                    build = latest.Build,
+                    latestReleaseDate = FormatDate(ParseDate(latest.LatestReleaseDate)),
+                    firstAvailabilityDate = FormatDate(ParseDate(latest.FirstAvailabilityDate)),
+                    endOfService = FormatDate(ParseDate(latest.EndOfService))
+                }
+            };
+        }
+
+        private async Task<object> GetWindowsLatestVersionAsync(JsonElement arguments)
+        {
+            var edition = Editions[GetString(arguments, "edition")!];
+            var result = await _windowsVersionsService.GetLatestVersionAsync(edition);
+
+            return new
+            {
+                edition = edition.GetDisplayName(),
+                found = result.Success && result.Data != null,
+                version = result.Success ? ToVersion(result.Data, edition) : null
+            };
+        }
+
+        private async Task<object> GetWindowsReleaseHistoryAsync(JsonElement arguments)
+        {
+            var edition = Editions[GetString(arguments, "edition")!];
+            var version = GetString(arguments, "version");
+            var since = GetDate(arguments, "since");
+            var until = GetDate(arguments, "until");
+            var securityOnly = GetBool(arguments, "securityOnly") ?? false;
+            var limit = GetInt(arguments, "limit") ?? DefaultHistoryLimit;
+
+            var response = await _windowsVersionsService.GetWindowsUpdatesAsync(edition);
+            if (!response.Success)
+            {
+                throw new McpToolException(response.Message);
+            }
+
+            var updates = (response.Data ?? new List<WindowsUpdate>())
+                .Where(u => version == null || string.Equals(u.Version, version, StringComparison.OrdinalIgnoreCase))
+                .Where(u => since == null || u.ReleaseDate?.Date >= since)
+                .Where(u => until == null || u.ReleaseDate?.Date <= until)
+                .Where(u => !securityOnly || u.IsSecurityUpdate)
+                .OrderByDescending(u => u.ReleaseDate ?? DateTime.MinValue)
+                .ThenByDescending(u => u.Build, ReleaseComparers.BuildNumber)
+                .ToList();
+
+            return new
+            {
+                edition = edition.GetDisplayName(),
+                total = updates.Count,
+                returned = Math.Min(limit, updates.Count),
+                updates = updates.Take(limit).Select(u => ToUpdate(u)).ToList()
+            };
+        }
+
+        private async Task<object> GetOfficeReleaseHistoryAsync(JsonElement arguments)
+        {
+            var channel = GetString(arguments, "channel")!;
+            var version = GetString(arguments, "version");
+            var since = GetDate(arguments, "since");
+            var until = GetDate(arguments, "until");
+            var limit = GetInt(arguments, "limit") ?? DefaultHistoryLimit;
+
+            var releases = (await _office365Service.GetVersionsByChannelAsync(channel))
+                .Select(r => (Release: r, Date: ParseDate(r.ReleaseDate)))
+                .Where(r => version == null || r.Release.Version == version)
+                .Where(r => since == null || r.Date >= since)
+                .Where(r => until == null || r.Date <= until)
+                .OrderByDescending(r => r.Date ?? DateTime.MinValue)
+                .ThenByDescending(r => r.Release.Build, ReleaseComparers.BuildNumber)
+                .ToList();
+
+            return new
+            {
+                channel,
+                total = releases.Count,
+                returned = Math.Min(limit, releases.Count),
+                releases = releases.Take(limit).Select(r => new
+                {
+                    version = r.Release.Version,
+                    build = r.Release.Build,
+                    fullBuild = r.Release.FullBuild,
+                    releaseDate = FormatDate(r.Date),
+                    url = string.IsNullOrEmpty(r.Release.Url) ? null : r.Release.Url
+                }).ToList()
+            };
+        }
+
+        private async Task<object> LookupKbAsync(JsonElement arguments, IProgress<McpProgress> progress, CancellationToken cancellationToken)
+        {
+            var digits = GetString(arguments, "kb")!.ToUpperInvariant().Replace("KB", string.Empty);
+            var matches = new List<WindowsUpdate>();
+            var searched = 0;
+
+            // Every edition's update list is read, so report each one as a step
+            foreach (var edition in Editions.Values)
+            {
+                cancellationToken.ThrowIfCancellationRequested();
+                progress.Report(new McpProgress { Progress = searched++, Total = Editions.Count, Message = $"Searching {edition.GetDisplayName()}" });
+
+                var response = await _windowsVersionsService.GetWindowsUpdatesAsync(edition);
+                matches.AddRange((response.Data ?? new List<WindowsUpdate>())
+                    .Where(u => string.Equals((u.KBNumber ?? string.Empty).ToUpperInvariant().Replace("KB", string.Empty).Trim(), digits, StringComparison.Ordinal)));
+            }
+
+            progress.Report(new McpProgress { Progress = searched, Total = Editions.Count });
+
+            return new
+            {
+                kb = $"KB{digits}",
+                found = matches.Count > 0,
+                updates = matches
+                    .OrderBy(u => u.Edition)
+                    .ThenBy(u => u.Build, ReleaseComparers.BuildNumber)
+                    .Select(u => ToUpdate(u, withDetails: true))
+                    .ToList()
+            };
+        }
+
+        private async Task<object> LookupBuildAsync(JsonElement arguments)
+        {
+            var build = GetString(arguments, "build")!.Trim();
+            if (!_buildLookupService.IsRecognizedBuildFormat(build))
+            {
+                throw new McpToolException(
+                    $"'{build}' is not a recognized build number. Windows builds look like 26100.4349, 10.0.19045.5854 or 22631; " +
+                    "Office builds like 17928.20156 or 16.0.17928.20156.");
+            }
+
+            var response = await _buildLookupService.LookupAsync(build);
+            if (!response.Success)
+            {
+                throw new McpToolException(response.Message);
+            }
+
+            var results = response.Data ?? new List<BuildLookupResult>();
+            return new
+            {
+                build,
+                found = results.Count > 0,
+                results = results.Select(r => new
+                {
+                    product = r.Product,
+                    edition = r.Edition,
+                    featureVersion = r.FeatureVersion,
+                    build = r.Build,
+                    kbNumber = r.KBNumber,
+                    releaseDate = FormatDate(r.ReleaseDate),
+                    channel = r.Channel,
+                    updateType = r.UpdateType,
+                    isSupported = r.IsSupported,
+                    supportEndDate = r.SupportEndDate,
+                    isCurrent = r.IsCurrent,
+                    latestBuild = r.LatestBuild,
+                    isExactMatch = r.IsExactMatch,
+                    url = r.Url
+                }).ToList()
+            };
+        }
+
+        private async Task<object> GetWindowsFeatureUpdatesAsync(JsonElement arguments)
+        {
+            var edition = Editions[GetString(arguments, "edition")!];
+
+            var versions = await _windowsVersionsService.GetWindowsVersionsAsync(edition);
+            if (!versions.Success)
+            {
+                throw new McpToolException(versions.Message);
+            }
+
+            var featureUpdates = (await _windowsVersionsService.GetFeatureUpdatesAsync(edition)).Data ?? new List<WindowsFeatureUpdate>();
+
+            return new
+            {
+                edition = edition.GetDisplayName(),
+                featureUpdates = (versions.Data ?? new List<WindowsVersion>())
+                    .OrderByDescending(v => v.ReleaseDate ?? DateTime.MinValue)
+                    .Select(v => new
+                    {
+                        version = v.Version,
+                        servicingType = v.ServicingType.ToString(),
+                        servicingOption = NullIfEmpty(v.ServiceOption),
+                        availabilityDate = NullIfEmpty(v.Availability),
+                        latestBuild = NullIfEmpty(v.Build),
+                        latestRevisionDate = v.LatestRevisionDate,
+                        isCurrentVersion = v.IsCurrentVersion,
+                        endOfServicingStandard = v.EndOfServicingStandard,
+                        endOfServicingEnterprise = v.EndOfServicingEnterprise,
+                        mainstreamSupportEndDate = v.MainstreamSupportEndDate,
+                        extendedSupportEndDate = v.ExtendedSupportEndDate,
+                        keyFeatures = v.NewFeatures
+                            .Concat(featureUpdates
+                                .Where(f => string.Equals(f.Version, v.Version, StringComparison.OrdinalIgnoreCase))
+                                .SelectMany(f => f.KeyFeatures))
+                            .Distinct(StringComparer.OrdinalIgnoreCase)
+                            .ToList()
+                    })
+                    .ToList()
+            };
+        }
+
+        private async Task<object> ListComparableVersionsAsync()
+        {
+            var response = await _comparisonService.GetComparableVersionsAsync();
+            if (!response.Success)
+            {
+                throw new McpToolException(response.Message);
+            }
+
+            return new
+            {
+                versions = (response.Data ?? new List<ComparableWindowsVersion>())
+                    .Select(v => new
+                    {
+                        id = v.Id,
+                        name = v.Name,
+                        edition = v.Edition,
+                        version = v.Version,
+                        servicingOption = v.ServicingOption,
+                        isLtsc = v.IsLtsc,
+                        isServer = v.IsServer,
+                        releaseDate = FormatDate(v.ReleaseDate),
+                        isSupported = v.IsSupported
+                    })
+                    .ToList()
+            };
+        }
+
+        private async Task<object> CompareWindowsVersionsAsync(JsonElement arguments)
+        {
+            var ids = arguments.GetProperty("versions").EnumerateArray().Select(v => v.GetString()!.Trim()).ToList();
+
+            var response = await _comparisonService.CompareAsync(ids);
+            if (!response.Success || response.Data == null)
+            {
+                throw new McpToolException(response.Message);
+            }
+
+            var comparison = response.Data;
+            return new
+            {
+                versions = comparison.Versions.Select(c => new
+                {
+                    id = c.Id,
+                    name = c.Name,
+                    edition = c.Edition,
+                    version = c.Version,
+                    servicingOption = c.ServicingOption,
+                    isLtsc = c.IsLtsc,
+                    isServer = c.IsServer,
+                    releaseDate = FormatDate(c.ReleaseDate),
+                    isSupported = c.IsSupported,
+                    latestBuild = c.LatestBuild,
+                    latestKB = c.LatestKB,
+                    latestUpdateDate = FormatDate(c.LatestUpdateDate),
+                    updateCount = c.UpdateCount,
+                    securityUpdateCount = c.SecurityUpdateCount,
+                    servicingEndDates = c.ServicingEndDates.Select(m => new { name = m.Name, date = FormatDate(m.Date) }).ToList(),
+                    endOfSupportDate = FormatDate(c.EndOfSupportDate),
+                    uniqueFeatures = c.UniqueFeatures
+                }).ToList(),
+                commonFeatures = comparison.CommonFeatures,
+                notFound = comparison.NotFound
+            };
+        }
+
+        private async Task<object> GetEndOfServicingAsync(JsonElement arguments)
+        {
+            var family = GetString(arguments, "family");
+            var withinDays = GetInt(arguments, "withinDays");
+            var includePast = GetBool(arguments, "includePast") ?? false;
+
+            var timeline = await _lifecycleService.GetTimelineAsync();
+            if (!timeline.Success || timeline.Data == null)
+            {
+                throw new McpToolException(timeline.Message);
+            }
+
+            var today = DateTime.UtcNow.Date;
+            var milestones = timeline.Data
+                .Where(e => family == null || e.Family == family)
+                .SelectMany(e => e.Milestones.Select(m => (Entry: e, Milestone: m, Days: (int)(m.Date.Date - today).TotalDays)))
+                .Where(m => includePast || m.Days >= 0)
+                .Where(m => withinDays == null || m.Days <= withinDays)
+                .OrderBy(m => m.Milestone.Date)
+                .ThenBy(m => m.Entry.Name)
+                .Select(m => new
+                {
+                    family = m.Entry.Family,
+                    name = m.Entry.Name,
+                    version = m.Entry.Version,
+                    channel = m.Entry.Channel,
+                    milestone = m.Milestone.Name,
+                    date = FormatDate(m.Milestone.Date),
+                    daysRemaining = m.Days,
+                    isSupported = m.Entry.IsSupported
+                })
+                .ToList();
+
+            return new
+            {
+                asOf = FormatDate(today),
+                milestones
+            };
+        }
+
+        private static List<object> SummarizeChannels(Office365VersionsData? data) =>
+            (data?.Data ?? new List<Office365Version>())
+                .GroupBy(v => v.Channel)
+                .Select(g => new
+                {
+                    channel = g.Key,
+                    latestVersion = g.OrderByDescending(v => v.LatestReleaseDate).FirstOrDefault()?.Version ?? "Unknown",
+                    latestBuild = g.OrderByDescending(v => v.LatestReleaseDate).FirstOrDefault()?.Build ?? "Unknown"
+                })
+                .OrderBy(x => x.channel)
+                .Cast<object>()
+                .ToList();
+
+        private static object? ToVersion(WindowsVersion? version, WindowsEdition edition) => version == null ? null : new
+        {
+            edition = edition.GetDisplayName(),
+            version = version.Version,
+            build = version.Build,
+            kbNumber = NullIfEmpty(version.KBNumber),
+            releaseDate = FormatDate(version.ReleaseDate),
+            servicingOption = NullIfEmpty(version.ServiceOption),
+            endOfServicingStandard = version.EndOfServicingStandard,
+            endOfServicingEnterprise = version.EndOfServicingEnterprise,
+            supportEndDate = version.SupportEndDate
+        };
+
+        private static object ToUpdate(WindowsUpdate update, bool withDetails = false)
+        {
+            var url = NullIfEmpty(update.SupportUrl) ?? NullIfEmpty(update.SourceUrl);
+            if (withDetails)
+            {
+                return new
+                {
+                    edition = update.Edition.GetDisplayName(),
+                    version = update.Version,
+                    build = update.Build,
+                    kbNumber = update.KBNumber,
+                    releaseDate = FormatDate(update.ReleaseDate),
+                    title = update.UpdateTitle,
+                    type = update.Type,
+                    isSecurityUpdate = update.IsSecurityUpdate,
+                    isOptionalUpdate = update.IsOptionalUpdate,
+                    servicingChannel = update.ServicingChannel,
+                    url,
+                    highlights = update.Highlights,
+                    knownIssues = update.KnownIssues
+                };
+            }
+
+            return new
+            {
+                edition = update.Edition.GetDisplayName(),
+                version = update.Version,
+                build = update.Build,
+                kbNumber = update.KBNumber,
+                releaseDate = FormatDate(update.ReleaseDate),
+                title = update.UpdateTitle,
+                type = update.Type,
+                isSecurityUpdate = update.IsSecurityUpdate,
+                isOptionalUpdate = update.IsOptionalUpdate,
+                servicingChannel = update.ServicingChannel,
+                url
+            };
+        }
+
+        private static McpToolResult Error(string message) => new()
+        {
+            Content = new List<McpContent> { new() { Text = message } },
+            IsError = true
+        };
+
+        private static string? NullIfEmpty(string? value) => string.IsNullOrWhiteSpace(value) ? null : value;
+
+        private static string? FormatDate(DateTime? value) => value?.ToString("yyyy-MM-dd", CultureInfo.InvariantCulture);
+
+        private static DateTime? ParseDate(string? value)
+        {
+            if (string.IsNullOrWhiteSpace(value))
+            {
+                return null;
+            }
+
+            return DateTime.TryParse(value, CultureInfo.InvariantCulture, DateTimeStyles.AssumeUniversal | DateTimeStyles.AdjustToUniversal, out var date)
+                ? date
+                : null;
+        }
+
+        // Arguments have been validated against the input schema, so types are known
+        private static string? GetString(JsonElement arguments, string name) =>
+            arguments.TryGetProperty(name, out var value) && value.ValueKind == JsonValueKind.String ? value.GetString() : null;
+
+        private static int? GetInt(JsonElement arguments, string name) =>
+            arguments.TryGetProperty(name, out var value) && value.ValueKind == JsonValueKind.Number ? value.GetInt32() : null;
+
+        private static bool? GetBool(JsonElement arguments, string name) =>
+            arguments.TryGetProperty(name, out var value) && value.ValueKind is JsonValueKind.True or JsonValueKind.False ? value.GetBoolean() : null;
+
+        private static DateTime? GetDate(JsonElement arguments, string name) =>
+            GetString(arguments, name) is string value
+                ? DateTime.ParseExact(value, "yyyy-MM-dd", CultureInfo.InvariantCulture)
+                : null;
+
+        /// <summary>
+        /// A tool failure whose message is meant for the caller (bad input the schema cannot express, missing data)
+        /// </summary>
+        private sealed class McpToolException : Exception
+        {
+            public McpToolException(string message) : base(message)
+            {
+            }
+        }
+
+        private delegate Task<object> ToolHandler(JsonElement arguments, IProgress<McpProgress> progress, CancellationToken cancellationToken);
+
+        /// <summary>
+        /// Progress sink for calls without a progressToken
+        /// </summary>
+        private sealed class NoProgress : IProgress<McpProgress>
+        {
+            public static readonly NoProgress Instance = new();
+
+            public void Report(McpProgress value)
+            {
+            }
+        }
+    }
+}
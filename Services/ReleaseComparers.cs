@@ -0,0 +1,123 @@
+using System.Globalization;
+using System.Text.RegularExpressions;
+
+namespace OfficeVersionsCore.Services
+{
+    /// <summary>
+    /// Server-side equivalents of the release table sort types (windows-version-sort.js and numeric builds),
+    /// used when tables are paged and ordered on the server
+    /// </summary>
+    public static class ReleaseComparers
+    {
+        private static readonly Regex HalfReleaseRegex = new(@"\b(\d{2})h([12])\b", RegexOptions.Compiled);
+        private static readonly Regex YearMonthRegex = new(@"\b(1[5-9]|20)(0[1-9]|1[0-2])\b", RegexOptions.Compiled);
+        private static readonly Regex FullYearRegex = new(@"\b(20\d{2})\b", RegexOptions.Compiled);
+        private static readonly Regex R2Regex = new(@"\b20\d{2}\s*r2\b", RegexOptions.Compiled);
+
+        /// <summary>
+        /// Numbers compare numerically, everything else case-insensitively; empty values sort first
+        /// </summary>
+        public static readonly IComparer<string?> Natural = Comparer<string?>.Create((a, b) =>
+        {
+            if (string.IsNullOrEmpty(a) || string.IsNullOrEmpty(b))
+            {
+                return (string.IsNullOrEmpty(a) ? 0 : 1) - (string.IsNullOrEmpty(b) ? 0 : 1);
+            }
+
+            if (decimal.TryParse(a, NumberStyles.Number, CultureInfo.InvariantCulture, out var x) &&
+                decimal.TryParse(b, NumberStyles.Number, CultureInfo.InvariantCulture, out var y))
+            {
+                return x.CompareTo(y);
+            }
+
+            return StringComparer.OrdinalIgnoreCase.Compare(a, b);
+        });
+
+        /// <summary>
+        /// Dotted build numbers part by part, so 26100.10000 sorts after 26100.4349
+        /// </summary>
+        public static readonly IComparer<string?> BuildNumber = Comparer<string?>.Create((a, b) =>
+        {
+            var partsA = SplitBuild(a);
+            var partsB = SplitBuild(b);
+            if (partsA == null || partsB == null)
+            {
+                return partsA != null ? 1 : partsB != null ? -1 : Natural.Compare(a, b);
+            }
+
+            for (var i = 0; i < Math.Max(partsA.Length, partsB.Length); i++)
+            {
+                var result = (i < partsA.Length ? partsA[i] : 0).CompareTo(i < partsB.Length ? partsB[i] : 0);
+                if (result != 0) return result;
+            }
+
+            return 0;
+        });
+
+        /// <summary>
+        /// Windows version labels oldest first (1507 ... 22H2, 24H2, Enterprise LTSC 2024, Server 2012 R2);
+        /// matches WindowsVersionSort.compare. Unparseable labels sort first.
+        /// </summary>
+        public static readonly IComparer<string?> WindowsVersion = Comparer<string?>.Create((a, b) =>
+        {
+            var pa = ParseWindowsVersion(a);
+            var pb = ParseWindowsVersion(b);
+            if (pa == null || pb == null)
+            {
+                return pa != null ? 1 : pb != null ? -1 : Natural.Compare(a, b);
+            }
+
+            var result = pa.Value.Year.CompareTo(pb.Value.Year);
+            if (result == 0) result = pa.Value.Half.CompareTo(pb.Value.Half);
+            if (result == 0) result = pa.Value.Month.CompareTo(pb.Value.Month);
+            if (result == 0) result = pa.Value.Ltsc.CompareTo(pb.Value.Ltsc);
+            if (result == 0) result = pa.Value.Server.CompareTo(pb.Value.Server);
+            return result != 0 ? result : string.Compare(a, b, StringComparison.OrdinalIgnoreCase);
+        });
+
+        private static long[]? SplitBuild(string? value)
+        {
+            if (string.IsNullOrWhiteSpace(value)) return null;
+
+            var parts = value.Trim().Split('.');
+            var numbers = new long[parts.Length];
+            for (var i = 0; i < parts.Length; i++)
+            {
+                if (!long.TryParse(parts[i], NumberStyles.None, CultureInfo.InvariantCulture, out numbers[i])) return null;
+            }
+
+            return numbers;
+        }
+
+        private static (int Year, int Half, int Month, bool Ltsc, bool Server)? ParseWindowsVersion(string? value)
+        {
+            var text = (value ?? string.Empty).Trim().ToLowerInvariant().Replace("®", "").Replace("™", "");
+            if (text.Length == 0) return null;
+
+            var server = Regex.IsMatch(text, @"\bserver\b");
+            var ltsc = Regex.IsMatch(text, @"\blts[bc]\b");
+            var halfRelease = HalfReleaseRegex.Match(text);
+            var yearMonth = YearMonthRegex.Match(text);
+            var fullYear = FullYearRegex.Match(text);
+
+            if (halfRelease.Success)
+            {
+                return (2000 + int.Parse(halfRelease.Groups[1].Value), int.Parse(halfRelease.Groups[2].Value), 0, ltsc, server);
+            }
+
+            if (fullYear.Success && (server || ltsc || !yearMonth.Success))
+            {
+                // Server and LTSC labels carry a calendar year ("Server 2012" is not December 2020)
+                return (int.Parse(fullYear.Groups[1].Value), R2Regex.IsMatch(text) ? 2 : 0, 0, ltsc, server);
+            }
+
+            if (yearMonth.Success)
+            {
+                var month = int.Parse(yearMonth.Groups[2].Value);
+                return (2000 + int.Parse(yearMonth.Groups[1].Value), month <= 6 ? 1 : 2, month, ltsc, server);
+            }
+
+            return null;
+        }
+    }
+}
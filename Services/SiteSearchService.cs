@@ -0,0 +1,332 @@
+using System.Globalization;
+using OfficeVersionsCore.Models;
+
+namespace OfficeVersionsCore.Services
+{
+    /// <summary>
+    /// Interface for the site-wide search behind the command palette
+    /// </summary>
+    public interface ISiteSearchService
+    {
+        /// <summary>
+        /// Fuzzy-matches KB numbers, builds, versions and channels across the Office and Windows datasets
+        /// </summary>
+        /// <param name="query">Search text, e.g. "KB5060842", "26100.43", "24h2" or "monthly"</param>
+        /// <param name="limit">Maximum number of results, best first</param>
+        Task<ApiResponse<List<SiteSearchResult>>> SearchAsync(string query, int limit);
+    }
+
+    /// <summary>
+    /// Searches an index of every Windows update (by KB and build), Windows feature version, Microsoft 365 Apps
+    /// release (by version and build) and update channel. Each result links to the release page that lists it.
+    /// The index is shared between requests and rebuilt when the stored data changes (see IDataVersionService).
+    /// </summary>
+    public class SiteSearchService : ISiteSearchService
+    {
+        private const int MinQueryLength = 2;
+
+        // Fuzzy (in-order characters) matching on shorter queries matches nearly every build
+        private const int MinFuzzyQueryLength = 3;
+        private const int MaxFuzzyGaps = 10;
+
+        // Editions with scraped update history and the page listing them
+        private static readonly Dictionary<WindowsEdition, string> WindowsPages = new()
+        {
+            [WindowsEdition.Windows10] = "/Windows/Releases",
+            [WindowsEdition.Windows11] = "/Windows/Releases",
+            [WindowsEdition.WindowsServer2016] = "/Windows/Server2016",
+            [WindowsEdition.WindowsServer2019] = "/Windows/Server2019",
+            [WindowsEdition.WindowsServer2022] = "/Windows/Server2022",
+            [WindowsEdition.WindowsServer2025] = "/Windows/Server2025"
+        };
+
+        // Channels with a full release history file, their page and the abbreviations admins use
+        private static readonly (string Name, string Page, string[] Aliases)[] OfficeChannels =
+        {
+            ("Current Channel", "/Current", new[] { "cc" }),
+            ("Monthly Enterprise Channel", "/Monthly", new[] { "mec" }),
+            ("Semi-Annual Enterprise Channel", "/SemiAnnual", new[] { "sac", "saec", "semiannual" })
+        };
+
+        private static readonly SemaphoreSlim _indexLock = new(1, 1);
+        private static SearchIndex? _index;
+
+        private readonly IWindowsVersionsService _windowsService;
+        private readonly IOffice365Service _office365Service;
+        private readonly IDataVersionService _dataVersionService;
+        private readonly ILogger<SiteSearchService> _logger;
+
+        public SiteSearchService(
+            IWindowsVersionsService windowsService,
+            IOffice365Service office365Service,
+            IDataVersionService dataVersionService,
+            ILogger<SiteSearchService> logger)
+        {
+            _windowsService = windowsService;
+            _office365Service = office365Service;
+            _dataVersionService = dataVersionService;
+            _logger = logger;
+        }
+
+        public async Task<ApiResponse<List<SiteSearchResult>>> SearchAsync(string query, int limit)
+        {
+            try
+            {
+                var normalized = Normalize(query);
+                if (normalized.Length < MinQueryLength)
+                {
+                    return new ApiResponse<List<SiteSearchResult>>
+                    {
+                        Success = true,
+                        Data = new List<SiteSearchResult>(),
+                        Message = $"Type at least {MinQueryLength} characters to search",
+                        Source = "Azure Storage"
+                    };
+                }
+
+                var index = await GetIndexAsync();
+
+                var results = index.Entries
+                    .Select(entry => (Entry: entry, Score: entry.Keys.Max(key => Score(normalized, key))))
+                    .Where(match => match.Score > 0)
+                    .OrderByDescending(match => match.Score)
+                    .ThenByDescending(match => match.Entry.ReleaseDate ?? DateTime.MinValue)
+                    .Take(limit)
+                    .Select(match => new SiteSearchResult
+                    {
+                        Kind = match.Entry.Result.Kind,
+                        Title = match.Entry.Result.Title,
+                        Subtitle = match.Entry.Result.Subtitle,
+                        Product = match.Entry.Result.Product,
+                        Url = match.Entry.Result.Url,
+                        Score = match.Score
+                    })
+                    .ToList();
+
+                _logger.LogInformation("Site search for {Query} returned {Count} result(s)", query, results.Count);
+
+                return new ApiResponse<List<SiteSearchResult>>
+                {
+                    Success = true,
+                    Data = results,
+                    Message = $"Found {results.Count} result(s) for '{query.Trim()}'",
+                    Source = "Azure Storage"
+                };
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, "Error searching for {Query}", query);
+                return new ApiResponse<List<SiteSearchResult>>
+                {
+                    Success = false,
+                    Message = $"Error searching: {ex.Message}",
+                    Data = new List<SiteSearchResult>()
+                };
+            }
+        }
+
+        /// <summary>
+        /// Scores a normalized query against a normalized key: 100 for an exact match, then prefix, substring and
+        /// fuzzy matches (every query character in order, tighter spans scoring higher); 0 for no match
+        /// </summary>
+        internal static int Score(string query, string key)
+        {
+            if (key == query) return 100;
+            if (key.StartsWith(query, StringComparison.Ordinal)) return 90 - Math.Min(20, key.Length - query.Length);
+
+            var index = key.IndexOf(query, StringComparison.Ordinal);
+            if (index >= 0) return 60 - Math.Min(20, index);
+
+            if (query.Length < MinFuzzyQueryLength) return 0;
+
+            var first = -1;
+            var position = -1;
+            foreach (var c in query)
+            {
+                position = key.IndexOf(c, position + 1);
+                if (position < 0) return 0;
+                if (first < 0) first = position;
+            }
+
+            // Characters scattered across the whole key are noise rather than a match
+            var gaps = position - first + 1 - query.Length;
+            return gaps > MaxFuzzyGaps ? 0 : 30 - gaps * 2;
+        }
+
+        /// <summary>
+        /// Lowercase without whitespace or trademark signs, so "KB 5060842" matches "kb5060842"
+        /// </summary>
+        internal static string Normalize(string? value) =>
+            new string((value ?? string.Empty)
+                .ToLowerInvariant()
+                .Where(c => !char.IsWhiteSpace(c) && c != '®' && c != '™')
+                .ToArray());
+
+        private async Task<SearchIndex> GetIndexAsync()
+        {
+            var version = string.Join("|",
+                (await _dataVersionService.GetLastModifiedAsync(ReleaseDataSet.Office365))?.ToString("O") ?? "none",
+                (await _dataVersionService.GetLastModifiedAsync(ReleaseDataSet.WindowsVersions))?.ToString("O") ?? "none");
+
+            var index = _index;
+            if (index != null && index.Version == version)
+            {
+                return index;
+            }
+
+            await _indexLock.WaitAsync();
+            try
+            {
+                // Another request may have rebuilt it while this one waited
+                if (_index != null && _index.Version == version)
+                {
+                    return _index;
+                }
+
+                var entries = new List<IndexEntry>();
+                entries.AddRange(await BuildWindowsEntriesAsync());
+                entries.AddRange(await BuildOfficeEntriesAsync());
+
+                _index = new SearchIndex(version, entries);
+                _logger.LogInformation("Built site search index with {Count} entries (data version {Version})", entries.Count, version);
+                return _index;
+            }
+            finally
+            {
+                _indexLock.Release();
+            }
+        }
+
+        private async Task<List<IndexEntry>> BuildWindowsEntriesAsync()
+        {
+            var entries = new List<IndexEntry>();
+
+            foreach (var (edition, page) in WindowsPages)
+            {
+                var response = await _windowsService.GetWindowsUpdatesAsync(edition);
+                var updates = (response.Data ?? new List<WindowsUpdate>())
+                    .OrderByDescending(u => u.ReleaseDate ?? DateTime.MinValue)
+                    .ToList();
+                var editionName = edition.GetDisplayName();
+
+                foreach (var update in updates)
+                {
+                    var kbDigits = (update.KBNumber ?? string.Empty).ToUpperInvariant().Replace("KB", string.Empty).Trim();
+                    var details = Describe(
+                        string.IsNullOrEmpty(update.Version) ? editionName : $"{editionName} {update.Version}",
+                        FormatDate(update.ReleaseDate));
+
+                    if (kbDigits.Length > 0)
+                    {
+                        entries.Add(new IndexEntry(new SiteSearchResult
+                        {
+                            Kind = SiteSearchKinds.Kb,
+                            Title = $"KB{kbDigits}",
+                            Subtitle = Describe(details, string.IsNullOrEmpty(update.Build) ? null : $"Build {update.Build}"),
+                            Product = BuildLookupProducts.Windows,
+                            Url = RowUrl(page, "kb", $"KB{kbDigits}")
+                        }, new[] { $"kb{kbDigits}".ToLowerInvariant(), kbDigits.ToLowerInvariant() }, update.ReleaseDate));
+                    }
+
+                    if (!string.IsNullOrEmpty(update.Build))
+                    {
+                        entries.Add(new IndexEntry(new SiteSearchResult
+                        {
+                            Kind = SiteSearchKinds.Build,
+                            Title = $"Build {update.Build}",
+                            Subtitle = Describe(details, kbDigits.Length > 0 ? $"KB{kbDigits}" : null),
+                            Product = BuildLookupProducts.Windows,
+                            Url = RowUrl(page, "build", update.Build)
+                        }, new[] { Normalize(update.Build), Normalize($"10.0.{update.Build}") }, update.ReleaseDate));
+                    }
+                }
+
+                // Feature versions, newest update first so the subtitle shows the latest build
+                foreach (var latest in updates.Where(u => !string.IsNullOrEmpty(u.Version)).GroupBy(u => u.Version).Select(g => g.First()))
+                {
+                    entries.Add(new IndexEntry(new SiteSearchResult
+                    {
+                        Kind = SiteSearchKinds.Version,
+                        Title = $"{editionName} {latest.Version}",
+                        Subtitle = Describe($"Latest build {latest.Build}", FormatDate(latest.ReleaseDate)),
+                        Product = BuildLookupProducts.Windows,
+                        Url = RowUrl(page, "highlight", latest.Version)
+                    }, new[] { Normalize(latest.Version), Normalize($"{editionName} {latest.Version}") }, latest.ReleaseDate));
+                }
+            }
+
+            return entries;
+        }
+
+        private async Task<List<IndexEntry>> BuildOfficeEntriesAsync()
+        {
+            var entries = new List<IndexEntry>();
+
+            foreach (var (channel, page, aliases) in OfficeChannels)
+            {
+                entries.Add(new IndexEntry(new SiteSearchResult
+                {
+                    Kind = SiteSearchKinds.Channel,
+                    Title = channel,
+                    Subtitle = "Microsoft 365 Apps update channel release history",
+                    Product = BuildLookupProducts.Microsoft365Apps,
+                    Url = page
+                }, aliases.Append(Normalize(channel)).ToArray(), null));
+
+                var releases = (await _office365Service.GetVersionsByChannelAsync(channel))
+                    .Select(r => (Release: r, Date: ParseDate(r.ReleaseDate) ?? ParseDate(r.LatestReleaseDate)))
+                    .OrderByDescending(r => r.Date ?? DateTime.MinValue)
+                    .ToList();
+
+                foreach (var (release, date) in releases)
+                {
+                    var build = string.IsNullOrEmpty(release.FullBuild) ? release.Build : release.FullBuild;
+                    if (string.IsNullOrEmpty(build)) continue;
+
+                    var shortBuild = build.StartsWith("16.0.", StringComparison.Ordinal) ? build["16.0.".Length..] : build;
+                    entries.Add(new IndexEntry(new SiteSearchResult
+                    {
+                        Kind = SiteSearchKinds.Build,
+                        Title = $"Build {shortBuild}",
+                        Subtitle = Describe(channel, $"Version {release.Version}", FormatDate(date)),
+                        Product = BuildLookupProducts.Microsoft365Apps,
+                        Url = RowUrl(page, "build", build)
+                    }, new[] { Normalize(shortBuild), Normalize($"16.0.{shortBuild}") }, date));
+                }
+
+                foreach (var (latest, date) in releases.Where(r => !string.IsNullOrEmpty(r.Release.Version)).GroupBy(r => r.Release.Version).Select(g => g.First()))
+                {
+                    entries.Add(new IndexEntry(new SiteSearchResult
+                    {
+                        Kind = SiteSearchKinds.Version,
+                        Title = $"Version {latest.Version}",
+                        Subtitle = Describe(channel, $"Latest build {(string.IsNullOrEmpty(latest.FullBuild) ? latest.Build : latest.FullBuild)}"),
+                        Product = BuildLookupProducts.Microsoft365Apps,
+                        Url = RowUrl(page, "highlight", latest.Version)
+                    }, new[] { Normalize(latest.Version), Normalize($"version{latest.Version}") }, date));
+                }
+            }
+
+            return entries;
+        }
+
+        // ?kb= and ?build= open the row's details modal, ?highlight= only marks the row (see release-table.js)
+        private static string RowUrl(string page, string parameter, string value) =>
+            $"{page}?{parameter}={Uri.EscapeDataString(value)}";
+
+        private static string Describe(params string?[] parts) =>
+            string.Join(" · ", parts.Where(part => !string.IsNullOrEmpty(part)));
+
+        private static string FormatDate(DateTime? date) =>
+            date?.ToString("yyyy-MM-dd", CultureInfo.InvariantCulture) ?? string.Empty;
+
+        private static DateTime? ParseDate(string? value) =>
+            DateTime.TryParse(value, CultureInfo.InvariantCulture, DateTimeStyles.AssumeUniversal | DateTimeStyles.AdjustToUniversal, out var date)
+                ? date
+                : null;
+
+        private sealed record IndexEntry(SiteSearchResult Result, string[] Keys, DateTime? ReleaseDate);
+
+        private sealed record SearchIndex(string Version, List<IndexEntry> Entries);
+    }
+}
@@ -0,0 +1,46 @@
+using System.Threading.Channels;
+using OfficeVersionsCore.Models;
+
+namespace OfficeVersionsCore.Services
+{
+    /// <summary>
+    /// One event waiting to be POSTed to one subscription
+    /// </summary>
+    public sealed record WebhookDeliveryJob(WebhookSubscription Subscription, string EventType, DetectedRelease Release);
+
+    /// <summary>
+    /// Interface for the queue between the scrapers and the webhook delivery background service
+    /// </summary>
+    public interface IWebhookDeliveryQueue
+    {
+        /// <summary>
+        /// Queues a delivery without waiting; returns false when the queue is full and the delivery was dropped
+        /// </summary>
+        bool TryEnqueue(WebhookDeliveryJob job);
+
+        ChannelReader<WebhookDeliveryJob> Reader { get; }
+    }
+
+    /// <summary>
+    /// Bounded in-memory queue of webhook deliveries. Singleton: scrapers only enqueue, so a slow or dead
+    /// receiver never holds up a scrape. Queued deliveries are lost if the app stops before they are sent.
+    /// </summary>
+    public class WebhookDeliveryQueue : IWebhookDeliveryQueue
+    {
+        private readonly Channel<WebhookDeliveryJob> _channel;
+
+        public WebhookDeliveryQueue(IConfiguration configuration)
+        {
+            var capacity = Math.Max(1, configuration.GetValue("Webhooks:QueueCapacity", 10000));
+            _channel = Channel.CreateBounded<WebhookDeliveryJob>(new BoundedChannelOptions(capacity)
+            {
+                FullMode = BoundedChannelFullMode.Wait,
+                SingleReader = true
+            });
+        }
+
+        public bool TryEnqueue(WebhookDeliveryJob job) => _channel.Writer.TryWrite(job);
+
+        public ChannelReader<WebhookDeliveryJob> Reader => _channel.Reader;
+    }
+}
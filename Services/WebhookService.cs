@@ -0,0 +1,563 @@
+using System.Collections.Concurrent;
+using System.Diagnostics;
+using System.Net;
+using System.Net.Sockets;
+using System.Security.Cryptography;
+using System.Text;
+using System.Text.Json;
+using OfficeVersionsCore.Models;
+
+namespace OfficeVersionsCore.Services
+{
+    /// <summary>
+    /// Interface for managing webhook subscriptions and delivering release events
+    /// </summary>
+    public interface IWebhookService
+    {
+        Task<List<WebhookSubscription>> GetSubscriptionsAsync();
+        Task<WebhookSubscription?> GetSubscriptionAsync(string id);
+
+        /// <summary>
+        /// Validates and stores a new subscription; the returned copy is the only one that includes the signing secret
+        /// </summary>
+        /// <exception cref="ArgumentException">The URL is invalid or points at a non-public host, or a filter value is invalid</exception>
+        Task<WebhookSubscription> CreateSubscriptionAsync(WebhookSubscriptionRequest request);
+        Task<bool> DeleteSubscriptionAsync(string id);
+
+        /// <summary>
+        /// Sends a webhook.test event to one subscription and returns the final delivery attempt
+        /// </summary>
+        Task<WebhookDelivery?> SendTestAsync(string id);
+
+        /// <summary>
+        /// Queues a release.detected event per release for every subscription whose filters match; the
+        /// deliveries are sent by WebhookDeliveryBackgroundService, so this returns without waiting for receivers
+        /// </summary>
+        Task PublishAsync(IReadOnlyCollection<DetectedRelease> releases, CancellationToken cancellationToken = default);
+
+        /// <summary>
+        /// Sends queued deliveries with retries and writes them to the delivery log
+        /// </summary>
+        Task DeliverQueuedAsync(IReadOnlyList<WebhookDeliveryJob> jobs, CancellationToken cancellationToken);
+        Task<List<WebhookDelivery>> GetDeliveriesAsync(string subscriptionId, int count = 50);
+    }
+
+    /// <summary>
+    /// Stores webhook subscriptions and the delivery log as JSON and POSTs HMAC-signed events with retries.
+    /// Receivers verify X-Webhook-Signature ("t={unix time},v1={hex}") as HMAC-SHA256(secret, "{t}.{body}").
+    /// </summary>
+    public class WebhookService : IWebhookService
+    {
+        private readonly IStorageService _storageService;
+        private readonly IWebhookDeliveryQueue _queue;
+        private readonly HttpClient _httpClient;
+        private readonly ILogger<WebhookService> _logger;
+        private readonly string _subscriptionsFile;
+        private readonly string _deliveriesFile;
+        private readonly int _maxAttempts;
+        private readonly int _maxLoggedDeliveries;
+        private readonly int _maxConcurrentDeliveries;
+
+        // IPv6 prefixes with an IPv4 address inside: NAT64 (64:ff9b::/96) and 6to4 (2002::/16)
+        private static readonly byte[] _nat64Prefix = { 0x00, 0x64, 0xFF, 0x9B };
+        private static readonly byte[] _sixToFourPrefix = { 0x20, 0x02 };
+
+        // Scoped service, so the lock is static to serialize read-modify-write of the JSON files across requests and scrapers
+        private static readonly SemaphoreSlim _fileLock = new(1, 1);
+
+        private static readonly JsonSerializerOptions _jsonOptions = new(JsonSerializerDefaults.Web) { WriteIndented = true };
+        private static readonly JsonSerializerOptions _payloadOptions = new(JsonSerializerDefaults.Web);
+
+        private static readonly string[] _officeChannels =
+        {
+            "Current Channel",
+            "Monthly Enterprise Channel",
+            "Semi-Annual Enterprise Channel",
+            "Semi-Annual Enterprise Preview"
+        };
+
+        public WebhookService(
+            IStorageService storageService,
+            IWebhookDeliveryQueue queue,
+            IHttpClientFactory httpClientFactory,
+            ILogger<WebhookService> logger,
+            IConfiguration configuration)
+        {
+            _storageService = storageService;
+            _queue = queue;
+            _httpClient = httpClientFactory.CreateClient("Webhooks");
+            _logger = logger;
+
+            var storagePath = configuration["Webhooks:StoragePath"] ?? "webhooks";
+            _subscriptionsFile = $"{storagePath}/subscriptions.json";
+            _deliveriesFile = $"{storagePath}/deliveries.json";
+            _maxAttempts = Math.Max(1, configuration.GetValue("Webhooks:MaxAttempts", 3));
+            _maxLoggedDeliveries = Math.Max(1, configuration.GetValue("Webhooks:MaxLoggedDeliveries", 1000));
+            _maxConcurrentDeliveries = Math.Max(1, configuration.GetValue("Webhooks:MaxConcurrentDeliveries", 4));
+        }
+
+        public async Task<List<WebhookSubscription>> GetSubscriptionsAsync()
+        {
+            var subscriptions = await LoadAsync<WebhookSubscription>(_subscriptionsFile);
+            return subscriptions.Select(WithoutSecret).ToList();
+        }
+
+        public async Task<WebhookSubscription?> GetSubscriptionAsync(string id)
+        {
+            var subscriptions = await LoadAsync<WebhookSubscription>(_subscriptionsFile);
+            var subscription = subscriptions.FirstOrDefault(s => s.Id == id);
+            return subscription == null ? null : WithoutSecret(subscription);
+        }
+
+        public async Task<WebhookSubscription> CreateSubscriptionAsync(WebhookSubscriptionRequest request)
+        {
+            if (!Uri.TryCreate(request.Url?.Trim(), UriKind.Absolute, out var uri) || uri.Scheme != Uri.UriSchemeHttps)
+            {
+                throw new ArgumentException("Url must be an absolute https:// URL");
+            }
+
+            await EnsurePublicHostAsync(uri);
+
+            var editions = (request.Editions ?? new List<string>())
+                .Where(e => !string.IsNullOrWhiteSpace(e))
+                .Select(e => ParseEdition(e)?.GetDisplayName() ?? throw new ArgumentException($"Unknown Windows edition: {e}"))
+                .Distinct()
+                .ToList();
+
+            var channels = (request.Channels ?? new List<string>())
+                .Where(c => !string.IsNullOrWhiteSpace(c))
+                .Select(c => _officeChannels.FirstOrDefault(known => Normalize(known) == Normalize(c))
+                    ?? throw new ArgumentException($"Unknown Office channel: {c}. Expected one of: {string.Join(", ", _officeChannels)}"))
+                .Distinct()
+                .ToList();
+
+            var products = (request.Products ?? new List<string>())
+                .Where(p => !string.IsNullOrWhiteSpace(p))
+                .Select(p => ParseProduct(p) ?? throw new ArgumentException($"Unknown product: {p}. Expected \"{BuildLookupProducts.Windows}\" or \"{BuildLookupProducts.Microsoft365Apps}\""))
+                .Distinct()
+                .ToList();
+
+            // Edition and channel filters only apply to their own product, so infer the products from them
+            // when none were given; otherwise an edition-only subscription would also receive every Office build
+            if (!products.Any())
+            {
+                if (editions.Any()) products.Add(BuildLookupProducts.Windows);
+                if (channels.Any()) products.Add(BuildLookupProducts.Microsoft365Apps);
+            }
+
+            var subscription = new WebhookSubscription
+            {
+                Id = $"wh_{Guid.NewGuid():N}",
+                Url = uri.ToString(),
+                Description = request.Description?.Trim(),
+                Products = products,
+                Editions = editions,
+                Channels = channels,
+                Secret = Convert.ToHexString(RandomNumberGenerator.GetBytes(32)).ToLowerInvariant(),
+                CreatedUtc = DateTime.UtcNow
+            };
+
+            await _fileLock.WaitAsync();
+            try
+            {
+                var subscriptions = await LoadAsync<WebhookSubscription>(_subscriptionsFile);
+                subscriptions.Add(subscription);
+                await SaveAsync(_subscriptionsFile, subscriptions);
+            }
+            finally
+            {
+                _fileLock.Release();
+            }
+
+            _logger.LogInformation("Registered webhook {SubscriptionId} for {Url}", subscription.Id, subscription.Url);
+            return subscription;
+        }
+
+        public async Task<bool> DeleteSubscriptionAsync(string id)
+        {
+            await _fileLock.WaitAsync();
+            try
+            {
+                var subscriptions = await LoadAsync<WebhookSubscription>(_subscriptionsFile);
+                if (subscriptions.RemoveAll(s => s.Id == id) == 0)
+                {
+                    return false;
+                }
+
+                await SaveAsync(_subscriptionsFile, subscriptions);
+            }
+            finally
+            {
+                _fileLock.Release();
+            }
+
+            _logger.LogInformation("Deleted webhook {SubscriptionId}", id);
+            return true;
+        }
+
+        public async Task<WebhookDelivery?> SendTestAsync(string id)
+        {
+            var subscriptions = await LoadAsync<WebhookSubscription>(_subscriptionsFile);
+            var subscription = subscriptions.FirstOrDefault(s => s.Id == id);
+            if (subscription == null)
+            {
+                return null;
+            }
+
+            var sample = new DetectedRelease
+            {
+                Product = BuildLookupProducts.Windows,
+                Edition = WindowsEdition.Windows11.GetDisplayName(),
+                Version = "24H2",
+                Build = "26100.0000",
+                KBNumber = "KB0000000",
+                UpdateType = "Test",
+                ReleaseDate = DateTime.UtcNow.Date
+            };
+
+            var deliveries = await DeliverAsync(subscription, WebhookEventTypes.Test, sample, CancellationToken.None);
+            await AppendDeliveriesAsync(deliveries);
+            return deliveries.LastOrDefault();
+        }
+
+        public async Task PublishAsync(IReadOnlyCollection<DetectedRelease> releases, CancellationToken cancellationToken = default)
+        {
+            if (releases.Count == 0)
+            {
+                return;
+            }
+
+            var subscriptions = await LoadAsync<WebhookSubscription>(_subscriptionsFile);
+            if (!subscriptions.Any())
+            {
+                _logger.LogDebug("No webhook subscriptions registered, skipping {Count} detected releases", releases.Count);
+                return;
+            }
+
+            var queued = 0;
+            var dropped = 0;
+            foreach (var release in releases)
+            {
+                foreach (var subscription in subscriptions.Where(s => Matches(s, release)))
+                {
+                    if (_queue.TryEnqueue(new WebhookDeliveryJob(subscription, WebhookEventTypes.ReleaseDetected, release)))
+                    {
+                        queued++;
+                    }
+                    else
+                    {
+                        dropped++;
+                    }
+                }
+            }
+
+            if (dropped > 0)
+            {
+                _logger.LogError("Webhook delivery queue is full, dropped {DroppedCount} deliveries", dropped);
+            }
+
+            if (queued > 0)
+            {
+                _logger.LogInformation("Queued {DeliveryCount} webhook deliveries for {ReleaseCount} detected releases", queued, releases.Count);
+            }
+        }
+
+        public async Task DeliverQueuedAsync(IReadOnlyList<WebhookDeliveryJob> jobs, CancellationToken cancellationToken)
+        {
+            if (jobs.Count == 0)
+            {
+                return;
+            }
+
+            // Each subscription gets its events in order, one at a time; different subscriptions are sent in
+            // parallel so a receiver that times out and is retried does not delay the others
+            var deliveries = new ConcurrentQueue<WebhookDelivery>();
+            var failed = 0;
+            var bySubscription = jobs.GroupBy(job => job.Subscription.Id).ToList();
+
+            await Parallel.ForEachAsync(bySubscription,
+                new ParallelOptions { MaxDegreeOfParallelism = _maxConcurrentDeliveries, CancellationToken = cancellationToken },
+                async (group, token) =>
+                {
+                    foreach (var job in group)
+                    {
+                        var attempts = await DeliverAsync(job.Subscription, job.EventType, job.Release, token);
+                        if (!attempts.Last().Success) Interlocked.Increment(ref failed);
+                        foreach (var attempt in attempts)
+                        {
+                            deliveries.Enqueue(attempt);
+                        }
+                    }
+                });
+
+            await AppendDeliveriesAsync(deliveries.ToList());
+            _logger.LogInformation("Delivered {EventCount} webhook events to {SubscriptionCount} subscriptions ({FailedCount} failed after retries)",
+                jobs.Count, bySubscription.Count, failed);
+        }
+
+        public async Task<List<WebhookDelivery>> GetDeliveriesAsync(string subscriptionId, int count = 50)
+        {
+            var deliveries = await LoadAsync<WebhookDelivery>(_deliveriesFile);
+            return deliveries
+                .Where(d => d.SubscriptionId == subscriptionId)
+                .OrderByDescending(d => d.TimestampUtc)
+                .Take(Math.Clamp(count, 1, 500))
+                .ToList();
+        }
+
+        /// <summary>
+        /// POSTs one event, retrying network errors, timeouts, 429 and 5xx with exponential backoff
+        /// </summary>
+        private async Task<List<WebhookDelivery>> DeliverAsync(WebhookSubscription subscription, string eventType, DetectedRelease release, CancellationToken cancellationToken)
+        {
+            var payload = new WebhookPayload
+            {
+                Id = $"evt_{Guid.NewGuid():N}",
+                Type = eventType,
+                CreatedUtc = DateTime.UtcNow,
+                SubscriptionId = subscription.Id,
+                Data = release
+            };
+            var body = JsonSerializer.Serialize(payload, _payloadOptions);
+            var attempts = new List<WebhookDelivery>();
+
+            for (var attempt = 1; attempt <= _maxAttempts; attempt++)
+            {
+                if (attempt > 1)
+                {
+                    await Task.Delay(TimeSpan.FromSeconds(Math.Pow(2, attempt - 1)), cancellationToken);
+                }
+
+                var delivery = new WebhookDelivery
+                {
+                    SubscriptionId = subscription.Id,
+                    EventId = payload.Id,
+                    EventType = eventType,
+                    Url = subscription.Url,
+                    Attempt = attempt,
+                    TimestampUtc = DateTime.UtcNow
+                };
+                var stopwatch = Stopwatch.StartNew();
+                var retry = true;
+
+                try
+                {
+                    var timestamp = DateTimeOffset.UtcNow.ToUnixTimeSeconds();
+                    using var request = new HttpRequestMessage(HttpMethod.Post, subscription.Url)
+                    {
+                        Content = new StringContent(body, Encoding.UTF8, "application/json")
+                    };
+                    request.Headers.Add("X-Webhook-Id", payload.Id);
+                    request.Headers.Add("X-Webhook-Event", eventType);
+                    request.Headers.Add("X-Webhook-Signature", $"t={timestamp},v1={Sign(subscription.Secret ?? string.Empty, timestamp, body)}");
+
+                    using var response = await _httpClient.SendAsync(request, cancellationToken);
+                    delivery.StatusCode = (int)response.StatusCode;
+                    delivery.Success = response.IsSuccessStatusCode;
+                    retry = response.StatusCode == HttpStatusCode.TooManyRequests || (int)response.StatusCode >= 500;
+                    if (!delivery.Success)
+                    {
+                        delivery.Error = $"HTTP {(int)response.StatusCode} {response.ReasonPhrase}";
+                    }
+                }
+                catch (Exception ex) when (ex is HttpRequestException || (ex is TaskCanceledException && !cancellationToken.IsCancellationRequested))
+                {
+                    delivery.Error = ex is TaskCanceledException ? "Timed out" : ex.Message;
+                }
+
+                delivery.DurationMs = stopwatch.ElapsedMilliseconds;
+                attempts.Add(delivery);
+
+                if (delivery.Success || !retry)
+                {
+                    break;
+                }
+
+                _logger.LogWarning("Webhook {SubscriptionId} delivery of {EventId} failed on attempt {Attempt}/{MaxAttempts}: {Error}",
+                    subscription.Id, payload.Id, attempt, _maxAttempts, delivery.Error);
+            }
+
+            return attempts;
+        }
+
+        /// <summary>
+        /// Rejects hosts that are, or resolve to, loopback, private, link-local or other non-public addresses, so a
+        /// subscription cannot make the server POST to itself or to its internal network
+        /// </summary>
+        private static async Task EnsurePublicHostAsync(Uri uri)
+        {
+            IPAddress[] addresses;
+            if (IPAddress.TryParse(uri.IdnHost, out var literal))
+            {
+                addresses = new[] { literal };
+            }
+            else
+            {
+                try
+                {
+                    addresses = await Dns.GetHostAddressesAsync(uri.IdnHost);
+                }
+                catch (SocketException)
+                {
+                    throw new ArgumentException($"Url host {uri.Host} could not be resolved");
+                }
+            }
+
+            if (addresses.Length == 0 || !addresses.All(IsPublicAddress))
+            {
+                throw new ArgumentException("Url must point at a public host, not a loopback, private or link-local address");
+            }
+        }
+
+        /// <summary>
+        /// True for addresses on the public internet. Also used by the Webhooks HttpClient at connect time,
+        /// so a host that resolved to a public address on registration cannot later be rebound to an internal one.
+        /// </summary>
+        public static bool IsPublicAddress(IPAddress address)
+        {
+            if (address.IsIPv4MappedToIPv6)
+            {
+                address = address.MapToIPv4();
+            }
+
+            if (IPAddress.IsLoopback(address) || address.Equals(IPAddress.Any) || address.Equals(IPAddress.IPv6Any)
+                || address.Equals(IPAddress.Broadcast))
+            {
+                return false;
+            }
+
+            var bytes = address.GetAddressBytes();
+            if (address.AddressFamily == AddressFamily.InterNetwork)
+            {
+                return !(bytes[0] == 0                                      // 0.0.0.0/8 "this network"
+                    || bytes[0] == 10                                       // 10.0.0.0/8 private
+                    || (bytes[0] == 100 && (bytes[1] & 0xC0) == 64)         // 100.64.0.0/10 carrier-grade NAT
+                    || (bytes[0] == 169 && bytes[1] == 254)                 // 169.254.0.0/16 link-local, cloud metadata
+                    || (bytes[0] == 172 && (bytes[1] & 0xF0) == 16)         // 172.16.0.0/12 private
+                    || (bytes[0] == 192 && bytes[1] == 168)                 // 192.168.0.0/16 private
+                    || bytes[0] >= 224);                                    // multicast and reserved
+            }
+
+            if (address.IsIPv6LinkLocal
+                || address.IsIPv6SiteLocal
+                || address.IsIPv6Multicast
+                || address.IsIPv6Teredo                                     // 2001::/32 Teredo tunnels to an IPv4 client
+                || (bytes[0] & 0xFE) == 0xFC)                               // fc00::/7 unique local
+            {
+                return false;
+            }
+
+            // Prefixes that carry an IPv4 address reach that host, so they are only as public as it is
+            ReadOnlySpan<byte> span = bytes;
+            if (span.StartsWith(_nat64Prefix))
+            {
+                // Only the well-known 64:ff9b::/96 embeds an address; the rest (64:ff9b:1::/48 local-use) is internal
+                return span.Slice(4, 8).IndexOfAnyExcept((byte)0) < 0 && IsPublicAddress(new IPAddress(span.Slice(12, 4)));
+            }
+
+            if (span.StartsWith(_sixToFourPrefix))
+            {
+                return IsPublicAddress(new IPAddress(span.Slice(2, 4)));    // 2002:AABB:CCDD::/48 6to4
+            }
+
+            if (span.Slice(0, 12).IndexOfAnyExcept((byte)0) < 0)
+            {
+                return IsPublicAddress(new IPAddress(span.Slice(12, 4)));   // ::a.b.c.d IPv4-compatible
+            }
+
+            return true;
+        }
+
+        private static string Sign(string secret, long timestamp, string body)
+        {
+            using var hmac = new HMACSHA256(Encoding.UTF8.GetBytes(secret));
+            var hash = hmac.ComputeHash(Encoding.UTF8.GetBytes($"{timestamp}.{body}"));
+            return Convert.ToHexString(hash).ToLowerInvariant();
+        }
+
+        private static bool Matches(WebhookSubscription subscription, DetectedRelease release)
+        {
+            if (subscription.Products.Any() && !subscription.Products.Any(p => Normalize(p) == Normalize(release.Product)))
+            {
+                return false;
+            }
+
+            if (release.Product == BuildLookupProducts.Windows)
+            {
+                return !subscription.Editions.Any() || subscription.Editions.Any(e => Normalize(e) == Normalize(release.Edition));
+            }
+
+            return !subscription.Channels.Any() || subscription.Channels.Any(c => Normalize(c) == Normalize(release.Channel));
+        }
+
+        private async Task AppendDeliveriesAsync(List<WebhookDelivery> deliveries)
+        {
+            await _fileLock.WaitAsync();
+            try
+            {
+                var log = await LoadAsync<WebhookDelivery>(_deliveriesFile);
+                log.AddRange(deliveries);
+
+                // Keep only the newest entries so the log does not grow without bound
+                if (log.Count > _maxLoggedDeliveries)
+                {
+                    log = log.Skip(log.Count - _maxLoggedDeliveries).ToList();
+                }
+
+                await SaveAsync(_deliveriesFile, log);
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, "Error writing webhook delivery log");
+            }
+            finally
+            {
+                _fileLock.Release();
+            }
+        }
+
+        private async Task<List<T>> LoadAsync<T>(string fileName)
+        {
+            if (!await _storageService.ExistsAsync(fileName))
+            {
+                return new List<T>();
+            }
+
+            var json = await _storageService.ReadAsync(fileName);
+            return JsonSerializer.Deserialize<List<T>>(json, _jsonOptions) ?? new List<T>();
+        }
+
+        private Task SaveAsync<T>(string fileName, List<T> items) =>
+            _storageService.WriteAsync(fileName, JsonSerializer.Serialize(items, _jsonOptions));
+
+        private static WebhookSubscription WithoutSecret(WebhookSubscription subscription) => new()
+        {
+            Id = subscription.Id,
+            Url = subscription.Url,
+            Description = subscription.Description,
+            Products = subscription.Products,
+            Editions = subscription.Editions,
+            Channels = subscription.Channels,
+            CreatedUtc = subscription.CreatedUtc
+        };
+
+        private static WindowsEdition? ParseEdition(string value) =>
+            Enum.GetValues<WindowsEdition>()
+                .Cast<WindowsEdition?>()
+                .FirstOrDefault(e => Normalize(e!.Value.ToString()) == Normalize(value) || Normalize(e.Value.GetDisplayName()) == Normalize(value));
+
+        private static string? ParseProduct(string value) =>
+            Normalize(value) switch
+            {
+                "windows" => BuildLookupProducts.Windows,
+                "microsoft365apps" or "office" or "m365" or "m365apps" => BuildLookupProducts.Microsoft365Apps,
+                _ => null
+            };
+
+        /// <summary>
+        /// Lowercases and strips everything but letters and digits, so "Windows 11" matches "Windows11"
+        /// </summary>
+        private static string Normalize(string? value) =>
+            new string((value ?? string.Empty).Where(char.IsLetterOrDigit).Select(char.ToLowerInvariant).ToArray());
+    }
+}
@@ -0,0 +1,291 @@
+using OfficeVersionsCore.Models;
+
+namespace OfficeVersionsCore.Services
+{
+    /// <summary>
+    /// Interface for comparing Windows versions side by side
+    /// </summary>
+    public interface IWindowsComparisonService
+    {
+        /// <summary>
+        /// Gets every Windows client version, LTSC release and Windows Server release that can be compared
+        /// </summary>
+        Task<ApiResponse<List<ComparableWindowsVersion>>> GetComparableVersionsAsync();
+
+        /// <summary>
+        /// Compares versions by id (see ComparableWindowsVersion.Id), in the order given
+        /// </summary>
+        Task<ApiResponse<WindowsVersionComparison>> CompareAsync(IReadOnlyList<string> ids);
+    }
+
+    /// <summary>
+    /// Builds comparisons from the lifecycle timeline (versions and servicing end dates) and the stored
+    /// update history of each edition (latest build/KB, update and security update counts, features)
+    /// </summary>
+    public class WindowsComparisonService : IWindowsComparisonService
+    {
+        private const int MaxHighlightFeatures = 20;
+
+        private readonly IWindowsVersionsService _windowsService;
+        private readonly ILifecycleService _lifecycleService;
+        private readonly ILogger<WindowsComparisonService> _logger;
+
+        public WindowsComparisonService(
+            IWindowsVersionsService windowsService,
+            ILifecycleService lifecycleService,
+            ILogger<WindowsComparisonService> logger)
+        {
+            _windowsService = windowsService;
+            _lifecycleService = lifecycleService;
+            _logger = logger;
+        }
+
+        public async Task<ApiResponse<List<ComparableWindowsVersion>>> GetComparableVersionsAsync()
+        {
+            try
+            {
+                var versions = (await GetWindowsEntriesAsync())
+                    .Select(e => ToComparable(e.Entry, e.Edition, new ComparableWindowsVersion()))
+                    .OrderBy(v => v.IsServer)
+                    .ThenBy(v => v.Edition)
+                    .ThenByDescending(v => v.ReleaseDate)
+                    .ToList();
+
+                return new ApiResponse<List<ComparableWindowsVersion>>
+                {
+                    Success = true,
+                    Data = versions,
+                    Message = $"Retrieved {versions.Count} comparable versions",
+                    Source = "Azure Storage"
+                };
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, "Error listing comparable Windows versions");
+                return new ApiResponse<List<ComparableWindowsVersion>>
+                {
+                    Success = false,
+                    Message = $"Error listing comparable versions: {ex.Message}",
+                    Data = new List<ComparableWindowsVersion>()
+                };
+            }
+        }
+
+        public async Task<ApiResponse<WindowsVersionComparison>> CompareAsync(IReadOnlyList<string> ids)
+        {
+            try
+            {
+                var entries = (await GetWindowsEntriesAsync())
+                    .GroupBy(e => GetId(e.Entry, e.Edition), StringComparer.OrdinalIgnoreCase)
+                    .ToDictionary(g => g.Key, g => g.First(), StringComparer.OrdinalIgnoreCase);
+
+                var comparison = new WindowsVersionComparison();
+                var updatesByEdition = new Dictionary<WindowsEdition, List<WindowsUpdate>>();
+                var featuresByEdition = new Dictionary<WindowsEdition, List<WindowsFeatureUpdate>>();
+
+                foreach (var id in ids.Distinct(StringComparer.OrdinalIgnoreCase))
+                {
+                    if (!entries.TryGetValue(id, out var match))
+                    {
+                        comparison.NotFound.Add(id);
+                        continue;
+                    }
+
+                    if (!updatesByEdition.TryGetValue(match.Edition, out var updates))
+                    {
+                        var response = await _windowsService.GetWindowsUpdatesAsync(match.Edition);
+                        updates = response.Data ?? new List<WindowsUpdate>();
+                        updatesByEdition[match.Edition] = updates;
+                    }
+
+                    if (!featuresByEdition.TryGetValue(match.Edition, out var featureUpdates))
+                    {
+                        var response = await _windowsService.GetFeatureUpdatesAsync(match.Edition);
+                        featureUpdates = response.Data ?? new List<WindowsFeatureUpdate>();
+                        featuresByEdition[match.Edition] = featureUpdates;
+                    }
+
+                    comparison.Versions.Add(BuildColumn(match.Entry, match.Edition, updates, featureUpdates));
+                }
+
+                MarkFeatureDifferences(comparison);
+
+                _logger.LogInformation("Compared {Count} Windows versions ({NotFound} not found)",
+                    comparison.Versions.Count, comparison.NotFound.Count);
+
+                return new ApiResponse<WindowsVersionComparison>
+                {
+                    Success = true,
+                    Data = comparison,
+                    Message = $"Compared {comparison.Versions.Count} versions",
+                    Source = "Azure Storage"
+                };
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, "Error comparing Windows versions {Ids}", string.Join(",", ids));
+                return new ApiResponse<WindowsVersionComparison>
+                {
+                    Success = false,
+                    Message = $"Error comparing versions: {ex.Message}",
+                    Data = null
+                };
+            }
+        }
+
+        /// <summary>
+        /// Windows entries of the lifecycle timeline with the edition whose update history backs them
+        /// </summary>
+        private async Task<List<(LifecycleTimelineEntry Entry, WindowsEdition Edition)>> GetWindowsEntriesAsync()
+        {
+            var timeline = await _lifecycleService.GetTimelineAsync();
+            if (!timeline.Success || timeline.Data == null)
+            {
+                throw new InvalidOperationException(timeline.Message);
+            }
+
+            var entries = new List<(LifecycleTimelineEntry, WindowsEdition)>();
+            foreach (var entry in timeline.Data)
+            {
+                var edition = GetEdition(entry);
+                if (edition.HasValue)
+                {
+                    entries.Add((entry, edition.Value));
+                }
+            }
+
+            return entries;
+        }
+
+        private static WindowsEdition? GetEdition(LifecycleTimelineEntry entry) => entry.Family switch
+        {
+            LifecycleFamilies.Windows10 => WindowsEdition.Windows10,
+            LifecycleFamilies.Windows11 => WindowsEdition.Windows11,
+            LifecycleFamilies.WindowsServer => Enum.GetValues<WindowsEdition>()
+                .Cast<WindowsEdition?>()
+                .FirstOrDefault(e => string.Equals(e!.Value.GetDisplayName(), entry.Name, StringComparison.OrdinalIgnoreCase)),
+            _ => null
+        };
+
+        private static bool IsServer(WindowsEdition edition) =>
+            edition is not (WindowsEdition.Windows10 or WindowsEdition.Windows11);
+
+        private static bool IsLtsc(LifecycleTimelineEntry entry, WindowsEdition edition) =>
+            IsServer(edition) ||
+            entry.Name.Contains("LTSC", StringComparison.OrdinalIgnoreCase) ||
+            entry.Name.Contains("LTSB", StringComparison.OrdinalIgnoreCase);
+
+        /// <summary>
+        /// windows11-24h2, windows10-21h2-ltsc (LTSC shares the version label of the regular release), windowsserver2022
+        /// </summary>
+        private static string GetId(LifecycleTimelineEntry entry, WindowsEdition edition)
+        {
+            var key = WindowsVersionsService.GetEditionStorageKey(edition);
+            if (IsServer(edition))
+            {
+                return key;
+            }
+
+            var id = $"{key}-{entry.Version.Trim().Replace(' ', '-')}".ToLowerInvariant();
+            return IsLtsc(entry, edition) ? $"{id}-ltsc" : id;
+        }
+
+        private static T ToComparable<T>(LifecycleTimelineEntry entry, WindowsEdition edition, T target) where T : ComparableWindowsVersion
+        {
+            target.Id = GetId(entry, edition);
+            target.Name = entry.Name;
+            target.Edition = edition.GetDisplayName();
+            target.Version = entry.Version;
+            target.ServicingOption = entry.Channel;
+            target.IsLtsc = IsLtsc(entry, edition);
+            target.IsServer = IsServer(edition);
+            target.ReleaseDate = entry.StartDate;
+            target.IsSupported = entry.IsSupported;
+            return target;
+        }
+
+        private static WindowsVersionComparisonColumn BuildColumn(
+            LifecycleTimelineEntry entry,
+            WindowsEdition edition,
+            List<WindowsUpdate> editionUpdates,
+            List<WindowsFeatureUpdate> featureUpdates)
+        {
+            // Client updates are matched on the version label; server editions have a single LTSC release,
+            // so only Annual Channel updates are left out
+            var updates = IsServer(edition)
+                ? editionUpdates.Where(u => !string.Equals(u.ServicingChannel, "AC", StringComparison.OrdinalIgnoreCase)).ToList()
+                : editionUpdates.Where(u => string.Equals(u.Version, entry.Version, StringComparison.OrdinalIgnoreCase)).ToList();
+
+            var latest = updates
+                .OrderByDescending(u => u.ReleaseDate ?? DateTime.MinValue)
+                .ThenByDescending(u => u.Build, ReleaseComparers.BuildNumber)
+                .FirstOrDefault();
+
+            var column = ToComparable(entry, edition, new WindowsVersionComparisonColumn());
+            column.LatestBuild = latest?.Build ?? entry.LatestBuild;
+            column.LatestKB = latest?.KBNumber;
+            column.LatestUpdateDate = latest?.ReleaseDate;
+            column.LatestUpdateTitle = latest?.UpdateTitle;
+            column.LatestUpdateUrl = latest?.SupportUrl ?? latest?.SourceUrl;
+            column.UpdateCount = updates.Count;
+            column.SecurityUpdateCount = updates.Count(u => u.IsSecurityUpdate);
+            column.ServicingEndDates = entry.Milestones;
+            column.EndOfSupportDate = entry.EndDate;
+            column.Features = GetFeatures(entry, featureUpdates, updates);
+            return column;
+        }
+
+        private static List<string> GetFeatures(LifecycleTimelineEntry entry, List<WindowsFeatureUpdate> featureUpdates, List<WindowsUpdate> updates)
+        {
+            var keyFeatures = featureUpdates
+                .Where(f => string.Equals(f.Version, entry.Version, StringComparison.OrdinalIgnoreCase))
+                .SelectMany(f => f.KeyFeatures);
+
+            var features = CleanFeatures(keyFeatures);
+            if (features.Count > 0)
+            {
+                return features;
+            }
+
+            return CleanFeatures(updates
+                .OrderByDescending(u => u.ReleaseDate ?? DateTime.MinValue)
+                .SelectMany(u => u.Highlights))
+                .Take(MaxHighlightFeatures)
+                .ToList();
+        }
+
+        private static List<string> CleanFeatures(IEnumerable<string> features) => features
+            .Select(f => f.Trim())
+            .Where(f => f.Length > 0)
+            .Distinct(StringComparer.OrdinalIgnoreCase)
+            .ToList();
+
+        /// <summary>
+        /// Splits features into those shared by every compared version and those unique to each one
+        /// </summary>
+        private static void MarkFeatureDifferences(WindowsVersionComparison comparison)
+        {
+            var withFeatures = comparison.Versions.Where(v => v.Features.Count > 0).ToList();
+            if (withFeatures.Count < 2)
+            {
+                foreach (var column in comparison.Versions)
+                {
+                    column.UniqueFeatures = column.Features.ToList();
+                }
+                return;
+            }
+
+            var common = new HashSet<string>(withFeatures[0].Features, StringComparer.OrdinalIgnoreCase);
+            foreach (var column in withFeatures.Skip(1))
+            {
+                common.IntersectWith(column.Features);
+            }
+
+            comparison.CommonFeatures = withFeatures[0].Features.Where(common.Contains).ToList();
+            foreach (var column in comparison.Versions)
+            {
+                column.UniqueFeatures = column.Features.Where(f => !common.Contains(f)).ToList();
+            }
+        }
+    }
+}
@@ -67,6 +67,7 @@ public class WindowsVersionMapper : IWindowsVersionMapper
         return majorBuild switch
         {
             // Windows 11 build numbers
+            "28000" => "26H1", // Windows 11 26H1 (new hardware only)
             "26200" => "25H2", // Windows 11 25H2
             "26100" => "24H2", // Windows 11 24H2 / Windows Server 2025
             "22631" => "23H2", // Windows 11 23H2
@@ -21,6 +21,11 @@ namespace OfficeVersionsCore.Services
         Task<ApiResponse<VersionComparison>> CompareVersionsAsync(string version1, string version2);
         Task<bool> RefreshDataAsync();
         Task<DateTime?> GetLastUpdateTimeAsync();
+
+        /// <summary>
+        /// Reads the stored updates for an edition without scraping when none are stored yet
+        /// </summary>
+        Task<List<WindowsUpdate>?> GetStoredUpdatesAsync(WindowsEdition edition);
         string GenerateProductName(WindowsEdition edition, string version, ServicingType servicingType);
     }
 
@@ -448,6 +453,9 @@ namespace OfficeVersionsCore.Services
             }
         }
 
+        public Task<List<WindowsUpdate>?> GetStoredUpdatesAsync(WindowsEdition edition) =>
+            LoadUpdatesFromStorageAsync(edition);
+
         public async Task<DateTime?> GetLastUpdateTimeAsync()
         {
             try
@@ -1768,7 +1776,7 @@ namespace OfficeVersionsCore.Services
         /// to return the numeric value ("0", "1", ...) and silently splitting reads/writes across
         /// different files. This explicit map keeps filenames deterministic.
         /// </summary>
-        private static string GetEditionStorageKey(WindowsEdition edition)
+        internal static string GetEditionStorageKey(WindowsEdition edition)
         {
             return edition switch
             {
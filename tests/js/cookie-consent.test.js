@@ -0,0 +1,253 @@
+// Automated versions of the flows on /CookieTest: wwwroot/js/cookie-consent.js and
+// wwwroot/js/appinsights-loader.js run in jsdom the way _Layout loads them.
+'use strict';
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const path = require('node:path');
+const { JSDOM, VirtualConsole } = require('jsdom');
+
+const scriptsDir = path.join(__dirname, '..', '..', 'wwwroot', 'js');
+const consentScript = fs.readFileSync(path.join(scriptsDir, 'cookie-consent.js'), 'utf8');
+const loaderScript = fs.readFileSync(path.join(scriptsDir, 'appinsights-loader.js'), 'utf8');
+
+const CONSENT_COOKIE = 'office365versions_cookie_consent';
+const ORIGIN = 'https://www.office365versions.com/';
+
+/**
+ * A page with the consent manager (and, with a connection string, the App Insights loader) running,
+ * resolved once the DOM is ready and the banner has been shown if it is going to be
+ * @param {{cookies?: string[], gpc?: boolean, gtmId?: string, appInsights?: boolean}} [options]
+ */
+async function openPage(options = {}) {
+    const dom = new JSDOM('<!DOCTYPE html><html><head><script></script></head><body><footer></footer></body></html>', {
+        url: ORIGIN,
+        runScripts: 'outside-only',
+        virtualConsole: new VirtualConsole()
+    });
+    const { window } = dom;
+
+    (options.cookies || []).forEach(cookie => { window.document.cookie = cookie; });
+    if (options.gpc) {
+        Object.defineProperty(window.navigator, 'globalPrivacyControl', { value: true });
+    }
+
+    window.gtmId = options.gtmId === undefined ? 'GTM-TEST' : options.gtmId;
+    window.eval(consentScript);
+
+    if (options.appInsights) {
+        window.appInsightsConnectionString = 'InstrumentationKey=00000000-0000-0000-0000-000000000000';
+        window.eval(loaderScript);
+    }
+
+    const events = [];
+    window.document.addEventListener('consent:changed', e => events.push(e.detail));
+
+    if (window.document.readyState === 'loading') {
+        await new Promise(resolve => window.document.addEventListener('DOMContentLoaded', resolve));
+    }
+
+    return { dom, window, document: window.document, consent: window.cookieConsent, events };
+}
+
+/**
+ * Copies a value out of the jsdom realm so deepStrictEqual compares structure, not prototypes
+ */
+function plain(value) {
+    return JSON.parse(JSON.stringify(value));
+}
+
+function cookieNames(document) {
+    return document.cookie.split(';').map(part => part.split('=')[0].trim()).filter(Boolean);
+}
+
+function storedConsent(document) {
+    const cookie = document.cookie.split(';').map(part => part.trim()).find(part => part.startsWith(CONSENT_COOKIE + '='));
+    return cookie ? JSON.parse(decodeURIComponent(cookie.substring(CONSENT_COOKIE.length + 1))) : null;
+}
+
+function consentEntries(window) {
+    return plain(Array.from(window.dataLayer).filter(entry => entry && entry[0] === 'consent').map(entry => Array.from(entry)));
+}
+
+// The loader appends the SDK script on a zero-delay timer
+const nextTick = () => new Promise(resolve => setTimeout(resolve, 10));
+
+test('accept all then reject all tears down GTM and Application Insights and deletes their cookies and storage', async () => {
+    const { window, document, consent } = await openPage({ appInsights: true });
+    assert.equal(window.appInsights, undefined, 'App Insights waits for analytics consent');
+
+    consent.acceptConsent();
+    await nextTick();
+
+    assert.ok(window.appInsights, 'App Insights loads once analytics is granted');
+    assert.ok(document.querySelector('script[data-ai-name]'), 'App Insights SDK script is added');
+    assert.ok(document.querySelector('script[src*="googletagmanager.com/gtm.js?id=GTM-TEST"]'), 'GTM script is added');
+    assert.ok(document.querySelector('noscript[data-gtm]'), 'GTM noscript fallback is added');
+
+    // What the trackers would have written once loaded
+    let unloaded = 0;
+    window.appInsights.unload = () => { unloaded++; };
+    window.google_tag_manager = { 'GTM-TEST': {} };
+    window.google_tag_data = {};
+    ['ai_user=u1', 'ai_session=s1', '_ga=GA1.1.1', '_ga_ABC123=GS1.1', '_gid=GA1.2', '_gcl_au=1.1',
+        '_ga=GA1.1.2;domain=.office365versions.com', 'theme=dark']
+        .forEach(cookie => { document.cookie = cookie + ';path=/'; });
+    window.localStorage.setItem('ai_session', '1');
+    window.localStorage.setItem('_gcl_ls', '1');
+    window.localStorage.setItem('theme', 'dark');
+    window.sessionStorage.setItem('AI_buffer', '[]');
+    window.sessionStorage.setItem('AI_sentBuffer', '[]');
+    window.sessionStorage.setItem('releaseTableState', '{}');
+
+    consent.rejectConsent();
+
+    assert.equal(unloaded, 1, 'App Insights is unloaded');
+    assert.equal(window.appInsights, undefined);
+    assert.equal(window.appInsightsSDK, undefined);
+    assert.equal(window.google_tag_manager, undefined);
+    assert.equal(window.google_tag_data, undefined);
+    assert.equal(document.querySelector('script[data-ai-name]'), null);
+    assert.equal(document.querySelector('script[src*="googletagmanager.com"]'), null);
+    assert.equal(document.querySelector('noscript[data-gtm]'), null);
+    assert.equal(consent.gtmLoaded, false);
+
+    assert.deepEqual(cookieNames(document).sort(), [CONSENT_COOKIE, 'theme']);
+    assert.deepEqual(plain(Object.keys(window.localStorage)), ['theme']);
+    assert.deepEqual(plain(Object.keys(window.sessionStorage)), ['releaseTableState']);
+
+    assert.deepEqual(consentEntries(window).pop(), ['consent', 'update', {
+        analytics_storage: 'denied',
+        ad_storage: 'denied',
+        ad_user_data: 'denied',
+        ad_personalization: 'denied'
+    }]);
+});
+
+test('granting analytics again after revoking it reloads Application Insights', async () => {
+    const { window, consent } = await openPage({ appInsights: true });
+
+    consent.acceptConsent();
+    await nextTick();
+    consent.rejectConsent();
+    assert.equal(window.appInsights, undefined);
+
+    consent.savePreferences({ analytics: true, marketing: false });
+    await nextTick();
+    assert.ok(window.appInsights);
+    assert.ok(window.document.querySelector('script[data-ai-name]'));
+});
+
+test('consent:changed reports the consent, previous consent and granted and revoked categories', async () => {
+    const { window, consent, events } = await openPage();
+    let bubbledToWindow = 0;
+    window.addEventListener('consent:changed', () => { bubbledToWindow++; });
+
+    consent.acceptConsent();
+    consent.savePreferences({ analytics: true, marketing: false });
+    consent.rejectConsent();
+
+    assert.equal(events.length, 3);
+    assert.equal(bubbledToWindow, 3);
+
+    // Accept all
+    assert.equal(events[0].previous, null);
+    assert.deepEqual(plain(events[0].granted), ['analytics', 'marketing']);
+    assert.deepEqual(plain(events[0].revoked), []);
+    assert.equal(events[0].consent.analytics, true);
+    assert.equal(events[0].consent.marketing, true);
+
+    // Update: marketing off
+    assert.equal(events[1].previous, events[0].consent);
+    assert.deepEqual(plain(events[1].granted), []);
+    assert.deepEqual(plain(events[1].revoked), ['marketing']);
+    assert.equal(events[1].consent.analytics, true);
+    assert.equal(events[1].consent.marketing, false);
+
+    // Reject all
+    assert.deepEqual(plain(events[2].granted), []);
+    assert.deepEqual(plain(events[2].revoked), ['analytics']);
+    assert.equal(events[2].consent.analytics, false);
+    assert.equal(events[2].consent.marketing, false);
+});
+
+test('Global Privacy Control keeps marketing off', async () => {
+    const { window, document, consent, events } = await openPage({ gpc: true });
+
+    assert.ok(document.querySelector('#cookie-consent-banner .cookie-consent-gpc'), 'banner explains GPC');
+    assert.ok(Array.from(window.dataLayer).some(entry => entry[0] === 'set' && entry[1] === 'ads_data_redaction' && entry[2] === true));
+
+    consent.acceptConsent();
+
+    assert.equal(consent.consent.analytics, true);
+    assert.equal(consent.consent.marketing, false);
+    assert.equal(storedConsent(document).marketing, false);
+    assert.deepEqual(plain(events[0].granted), ['analytics']);
+    assert.equal(consent.gtmLoaded, false);
+    assert.equal(document.querySelector('script[src*="googletagmanager.com"]'), null);
+    assert.equal(consentEntries(window).pop()[2].ad_storage, 'denied');
+});
+
+test('Global Privacy Control overrides a stored marketing grant', async () => {
+    const stored = encodeURIComponent(JSON.stringify({ v: 2, analytics: true, marketing: true }));
+    const { document, consent } = await openPage({ gpc: true, cookies: [`${CONSENT_COOKIE}=${stored};path=/`] });
+
+    assert.equal(consent.isGranted('analytics'), true);
+    assert.equal(consent.isGranted('marketing'), false);
+    assert.equal(document.querySelector('script[src*="googletagmanager.com"]'), null);
+});
+
+test('a legacy "true" consent cookie grants analytics and marketing without showing the banner', async () => {
+    const { window, document, consent } = await openPage({ cookies: [`${CONSENT_COOKIE}=true;path=/`] });
+
+    assert.equal(consent.isGranted('analytics'), true);
+    assert.equal(consent.isGranted('marketing'), true);
+    assert.equal(document.getElementById('cookie-consent-banner'), null);
+    assert.ok(document.querySelector('script[src*="googletagmanager.com"]'));
+    assert.deepEqual(consentEntries(window).pop()[2], {
+        analytics_storage: 'granted',
+        ad_storage: 'granted',
+        ad_user_data: 'granted',
+        ad_personalization: 'granted'
+    });
+});
+
+test('a legacy "false" consent cookie denies analytics and marketing without showing the banner', async () => {
+    const { document, consent } = await openPage({ cookies: [`${CONSENT_COOKIE}=false;path=/`] });
+
+    assert.equal(consent.isGranted('analytics'), false);
+    assert.equal(consent.isGranted('marketing'), false);
+    assert.equal(document.getElementById('cookie-consent-banner'), null);
+    assert.equal(document.querySelector('script[src*="googletagmanager.com"]'), null);
+});
+
+test('a legacy cookie is rewritten in the category format on the next choice', async () => {
+    const { document, consent, events } = await openPage({ cookies: [`${CONSENT_COOKIE}=true;path=/`] });
+
+    consent.savePreferences({ analytics: false, marketing: true });
+
+    const stored = storedConsent(document);
+    assert.equal(stored.v, 2);
+    assert.equal(stored.analytics, false);
+    assert.equal(stored.marketing, true);
+    assert.deepEqual(plain(events[0].revoked), ['analytics']);
+});
+
+test('no or unreadable consent cookie shows the banner and keeps everything denied', async () => {
+    for (const cookies of [[], [`${CONSENT_COOKIE}=%7Bnot-json;path=/`]]) {
+        const { window, document, consent } = await openPage({ cookies });
+
+        assert.equal(consent.consent, null);
+        assert.ok(document.getElementById('cookie-consent-banner'));
+        assert.deepEqual(consentEntries(window), [['consent', 'default', {
+            analytics_storage: 'denied',
+            ad_storage: 'denied',
+            ad_user_data: 'denied',
+            ad_personalization: 'denied',
+            functionality_storage: 'granted',
+            security_storage: 'granted',
+            wait_for_update: 500
+        }]]);
+    }
+});
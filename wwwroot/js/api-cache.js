@@ -0,0 +1,171 @@
+/**
+ * API Cache
+ * Client fetch layer for the data APIs. Responses carrying an ETag or
+ * Last-Modified are kept in Cache Storage (in memory when it is unavailable)
+ * and revalidated with If-None-Match / If-Modified-Since, so a repeat visit
+ * or refresh costs a 304 instead of the full payload. When the network fails
+ * or the server answers with an error (e.g. 429 or 503) the last cached copy
+ * is served.
+ *
+ *   ApiCache.getJson('/api/M365AppsReleases').then(data => ...);
+ *
+ *   $('#table').DataTable({
+ *       ajax: ApiCache.dataTablesAjax('/api/M365AppsReleases/data', {
+ *           onError: error => showError('Could not load data.')
+ *       })
+ *   });
+ */
+(function (window) {
+    'use strict';
+
+    const CACHE_NAME = 'api-data-v1';
+
+    const memory = new Map();
+    const pending = new Map();
+    let storePromise = null;
+
+    function openStore() {
+        if (!storePromise) {
+            storePromise = window.caches && window.isSecureContext
+                ? window.caches.open(CACHE_NAME).catch(() => null)
+                : Promise.resolve(null);
+        }
+        return storePromise;
+    }
+
+    async function readEntry(store, url) {
+        if (memory.has(url)) return memory.get(url);
+        if (!store) return null;
+
+        const response = await store.match(url).catch(() => undefined);
+        if (!response) return null;
+
+        const entry = {
+            etag: response.headers.get('ETag'),
+            lastModified: response.headers.get('Last-Modified'),
+            text: await response.text()
+        };
+        memory.set(url, entry);
+        return entry;
+    }
+
+    function writeEntry(store, url, entry) {
+        memory.set(url, entry);
+        if (!store) return;
+
+        const headers = { 'Content-Type': 'application/json' };
+        if (entry.etag) headers['ETag'] = entry.etag;
+        if (entry.lastModified) headers['Last-Modified'] = entry.lastModified;
+
+        store.put(url, new Response(entry.text, { headers: headers }))
+            .catch(error => console.warn('ApiCache: could not store', url, error));
+    }
+
+    async function load(url) {
+        const store = await openStore();
+        const cached = await readEntry(store, url);
+
+        const headers = { 'Accept': 'application/json' };
+        if (cached && cached.etag) {
+            headers['If-None-Match'] = cached.etag;
+        } else if (cached && cached.lastModified) {
+            headers['If-Modified-Since'] = cached.lastModified;
+        }
+
+        let response;
+        try {
+            // Bypass the HTTP cache so 304s reach this layer instead of being resolved by the browser
+            response = await fetch(url, { headers: headers, cache: 'no-store' });
+        } catch (error) {
+            if (cached) {
+                console.warn('ApiCache: network error, serving cached copy of', url, error);
+                return JSON.parse(cached.text);
+            }
+            throw error;
+        }
+
+        if (response.status === 304 && cached) {
+            return JSON.parse(cached.text);
+        }
+        if (!response.ok) {
+            if (cached) {
+                console.warn(`ApiCache: HTTP ${response.status}, serving cached copy of`, url);
+                return JSON.parse(cached.text);
+            }
+            throw new Error(`HTTP ${response.status} for ${url}`);
+        }
+
+        const text = await response.text();
+        const etag = response.headers.get('ETag');
+        const lastModified = response.headers.get('Last-Modified');
+        if (etag || lastModified) {
+            writeEntry(store, url, { etag: etag, lastModified: lastModified, text: text });
+        }
+
+        return JSON.parse(text);
+    }
+
+    /**
+     * Fetches JSON, revalidating any cached copy. Concurrent calls for the same URL share one request.
+     * Every call resolves to a fresh object, so callers may modify the result.
+     * @param {string} url - Same-origin API URL
+     * @returns {Promise<*>} Parsed response body
+     */
+    function getJson(url) {
+        if (!pending.has(url)) {
+            pending.set(url, load(url).finally(() => pending.delete(url)));
+        }
+        return pending.get(url).then(data => structuredClone(data));
+    }
+
+    /**
+     * Builds a DataTables ajax function (client-side processing) backed by getJson.
+     * When a reload (e.g. ajax.reload() on a live update) fails, the table keeps the rows it has;
+     * only a failed first load clears it.
+     * @param {string} url - Endpoint returning the rows
+     * @param {object} [options]
+     * @param {string} [options.dataSrc] - Property holding the rows; '' or omitted when the body is the array
+     * @param {Function} [options.onError] - Called with the error after a failed first load has cleared the table
+     * @returns {Function} Value for the DataTables ajax option
+     */
+    function dataTablesAjax(url, options) {
+        const settings = options || {};
+        let loadedRows = null;
+
+        return function (data, callback) {
+            getJson(url)
+                .then(json => {
+                    const rows = settings.dataSrc ? json[settings.dataSrc] : json;
+                    loadedRows = Array.isArray(rows) ? rows : [];
+                    callback({ data: loadedRows });
+                })
+                .catch(error => {
+                    if (loadedRows) {
+                        console.warn('ApiCache: could not reload table data, keeping the current rows', url, error);
+                        callback({ data: loadedRows });
+                        return;
+                    }
+                    console.error('ApiCache: could not load table data', url, error);
+                    callback({ data: [] });
+                    if (settings.onError) settings.onError(error);
+                });
+        };
+    }
+
+    /**
+     * Drops every cached response (e.g. after a manual data refresh)
+     * @returns {Promise<void>}
+     */
+    function clear() {
+        memory.clear();
+        return openStore().then(store => {
+            if (store) return window.caches.delete(CACHE_NAME).then(() => { storePromise = null; });
+        });
+    }
+
+    window.ApiCache = {
+        getJson: getJson,
+        dataTablesAjax: dataTablesAjax,
+        clear: clear
+    };
+})(window);
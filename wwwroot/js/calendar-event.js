@@ -0,0 +1,146 @@
+/**
+ * Calendar Event Utilities
+ * Builds a single all-day iCalendar (.ics) event in the browser so a release
+ * or end-of-servicing date can be added to Outlook, Google or Apple calendars.
+ * Subscribable feeds with every date are served from /calendar/{feed}.ics.
+ *
+ *   CalendarEvent.download({
+ *       uid: 'kb5066835',
+ *       title: 'KB5066835 - Windows 11 24H2',
+ *       date: '2025-10-14',
+ *       description: 'Build 26100.6899',
+ *       url: 'https://support.microsoft.com/help/5066835'
+ *   });
+ */
+(function (window) {
+    'use strict';
+
+    const PRODUCT_ID = '-//office365versions.com//Release Calendar//EN';
+    const UID_DOMAIN = 'office365versions.com';
+
+    /**
+     * Escapes a TEXT value (RFC 5545 section 3.3.11)
+     */
+    function escapeText(value) {
+        return String(value === null || value === undefined ? '' : value)
+            .replace(/\\/g, '\\\\')
+            .replace(/;/g, '\\;')
+            .replace(/,/g, '\\,')
+            .replace(/\r\n|\r|\n/g, '\\n');
+    }
+
+    /**
+     * Folds a content line at 75 octets (RFC 5545 section 3.1) without splitting characters
+     */
+    function foldLine(line) {
+        const encoder = new TextEncoder();
+        if (encoder.encode(line).length <= 75) return line;
+
+        let result = '';
+        let octets = 0;
+        for (const char of line) {
+            const size = encoder.encode(char).length;
+            if (octets + size > 75) {
+                result += '\r\n ';
+                octets = 1;
+            }
+            result += char;
+            octets += size;
+        }
+        return result;
+    }
+
+    /**
+     * Formats a date as an iCalendar DATE (yyyymmdd); null when unparseable
+     */
+    function toIcsDate(value) {
+        if (!value) return null;
+        const match = String(value).match(/^(\d{4})-(\d{2})-(\d{2})/);
+        const date = match
+            ? new Date(Date.UTC(Number(match[1]), Number(match[2]) - 1, Number(match[3])))
+            : new Date(value);
+        if (isNaN(date.getTime())) return null;
+
+        const day = match ? date : new Date(Date.UTC(date.getFullYear(), date.getMonth(), date.getDate()));
+        return day.toISOString().slice(0, 10).replace(/-/g, '');
+    }
+
+    function nextDay(icsDate) {
+        const date = new Date(Date.UTC(Number(icsDate.slice(0, 4)), Number(icsDate.slice(4, 6)) - 1, Number(icsDate.slice(6, 8)) + 1));
+        return date.toISOString().slice(0, 10).replace(/-/g, '');
+    }
+
+    function slugify(value) {
+        return String(value || '').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '');
+    }
+
+    /**
+     * An allow-listed link as the absolute URI a URL property needs; same-origin paths are resolved
+     */
+    function absoluteUrl(value) {
+        const safe = value && window.SafeHtml ? window.SafeHtml.url(value) : null;
+        if (!safe) return null;
+        try {
+            return new URL(safe, window.location.origin).href;
+        } catch (e) {
+            return null;
+        }
+    }
+
+    /**
+     * Builds the .ics text for one all-day event
+     * @param {{title: string, date: string|Date, description?: string, url?: string, uid?: string}} event
+     * @returns {string|null} Calendar text, or null when the date cannot be parsed
+     */
+    function build(event) {
+        const start = toIcsDate(event && event.date);
+        if (!start) return null;
+
+        const url = absoluteUrl(event.url);
+        const stamp = new Date().toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+        const lines = [
+            'BEGIN:VCALENDAR',
+            'VERSION:2.0',
+            `PRODID:${PRODUCT_ID}`,
+            'CALSCALE:GREGORIAN',
+            'METHOD:PUBLISH',
+            'BEGIN:VEVENT',
+            `UID:${slugify(event.uid || event.title)}-${start}@${UID_DOMAIN}`,
+            `DTSTAMP:${stamp}`,
+            `DTSTART;VALUE=DATE:${start}`,
+            `DTEND;VALUE=DATE:${nextDay(start)}`,
+            `SUMMARY:${escapeText(event.title)}`
+        ];
+
+        if (event.description) lines.push(`DESCRIPTION:${escapeText(event.description)}`);
+        if (url) lines.push(`URL:${url}`);
+        lines.push('TRANSP:TRANSPARENT', 'END:VEVENT', 'END:VCALENDAR');
+
+        return lines.map(foldLine).join('\r\n') + '\r\n';
+    }
+
+    /**
+     * Downloads the event as an .ics file, which calendar apps open as "add event"
+     * @param {object} event - See build()
+     * @returns {boolean} False when the event has no valid date
+     */
+    function download(event) {
+        const calendar = build(event);
+        if (!calendar) return false;
+
+        const blob = new Blob([calendar], { type: 'text/calendar;charset=utf-8' });
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(blob);
+        link.download = `${slugify(event.uid || event.title) || 'event'}.ics`;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        setTimeout(() => URL.revokeObjectURL(link.href), 0);
+        return true;
+    }
+
+    window.CalendarEvent = {
+        build: build,
+        download: download
+    };
+})(window);
@@ -0,0 +1,324 @@
+/**
+ * Command Palette
+ * Site-wide search overlay, opened with Ctrl+K (Cmd+K on macOS) or "/" from
+ * anywhere outside a text field, or by any [data-command-palette] element.
+ *
+ *   CommandPalette.open('KB5060842');
+ *
+ * Page names come from the navigation menu and are matched in the browser;
+ * KB numbers, builds, versions and channels come from /api/search. Data
+ * results link to the release page with ?kb= or ?build= (row selected and its
+ * details modal opened by ReleaseTable) or ?highlight= (row selected only).
+ *
+ * Requires Bootstrap and SafeHtml (loaded by _Layout).
+ */
+(function (window, document, SafeHtml) {
+    'use strict';
+
+    const html = SafeHtml.html;
+
+    const MODAL_ID = 'commandPalette';
+    const SEARCH_URL = '/api/search';
+    const SEARCH_LIMIT = 15;
+    const MAX_RESULTS = 20;
+    const MAX_PAGES = 6;
+    const MIN_QUERY_LENGTH = 2;
+    const DEBOUNCE_MS = 150;
+
+    const KIND_ICONS = {
+        page: 'bi-file-earmark-text',
+        kb: 'bi-file-text',
+        build: 'bi-hash',
+        version: 'bi-tag',
+        channel: 'bi-diagram-3'
+    };
+
+    let modalElement = null;
+    let pages = null;
+    let results = [];
+    let activeIndex = 0;
+    let searchTimer = null;
+    let searchController = null;
+
+    /**
+     * Lowercase without whitespace, as the server normalizes queries
+     */
+    function normalize(value) {
+        return String(value || '').toLowerCase().replace(/\s+/g, '');
+    }
+
+    /**
+     * Same scale as the server: exact 100, prefix, substring, then in-order characters
+     */
+    function score(query, key) {
+        if (!query || !key) return 0;
+        if (key === query) return 100;
+        if (key.startsWith(query)) return 90 - Math.min(20, key.length - query.length);
+
+        const index = key.indexOf(query);
+        if (index >= 0) return 60 - Math.min(20, index);
+        if (query.length < 3) return 0;
+
+        let first = -1;
+        let position = -1;
+        for (const c of query) {
+            position = key.indexOf(c, position + 1);
+            if (position < 0) return 0;
+            if (first < 0) first = position;
+        }
+
+        const gaps = position - first + 1 - query.length;
+        return gaps > 10 ? 0 : 30 - gaps * 2;
+    }
+
+    /**
+     * Pages listed in the navigation menu, labelled with their menu section
+     */
+    function collectPages() {
+        const seen = new Set();
+
+        return Array.from(document.querySelectorAll('#navbarNav a[href]'))
+            .filter(link => link.getAttribute('href') !== '#' && !link.classList.contains('dropdown-toggle'))
+            .map(link => {
+                const dropdown = link.closest('.dropdown');
+                const section = dropdown ? dropdown.querySelector('.dropdown-toggle') : null;
+                return {
+                    kind: 'page',
+                    title: link.textContent.trim().replace(/\s+/g, ' '),
+                    subtitle: section ? section.textContent.trim() : 'Page',
+                    url: link.getAttribute('href'),
+                    newTab: link.target === '_blank'
+                };
+            })
+            .filter(page => page.title && !seen.has(page.url) && seen.add(page.url));
+    }
+
+    function matchPages(query) {
+        pages = pages || collectPages();
+        const normalized = normalize(query);
+
+        if (!normalized) return pages.slice(0, MAX_PAGES);
+
+        return pages
+            .map(page => Object.assign({}, page, {
+                score: Math.max(score(normalized, normalize(page.title)), score(normalized, normalize(page.subtitle + page.title)))
+            }))
+            .filter(page => page.score > 0)
+            .sort((a, b) => b.score - a.score)
+            .slice(0, MAX_PAGES);
+    }
+
+    // ---------------------------------------------------------------------
+    // Rendering
+    // ---------------------------------------------------------------------
+
+    function ensureModal() {
+        if (modalElement) return modalElement;
+
+        modalElement = document.createElement('div');
+        modalElement.className = 'modal fade command-palette';
+        modalElement.id = MODAL_ID;
+        modalElement.tabIndex = -1;
+        modalElement.setAttribute('aria-label', 'Search');
+        modalElement.setAttribute('aria-hidden', 'true');
+        modalElement.innerHTML = `
+            <div class="modal-dialog modal-lg">
+                <div class="modal-content">
+                    <div class="modal-header">
+                        <i class="bi bi-search me-2 text-muted" aria-hidden="true"></i>
+                        <input type="search" class="form-control border-0 shadow-none command-palette-input"
+                               placeholder="Search KB numbers, builds, versions, channels and pages"
+                               autocomplete="off" spellcheck="false"
+                               role="combobox" aria-expanded="true" aria-autocomplete="list"
+                               aria-controls="${MODAL_ID}Results" aria-label="Search">
+                        <kbd class="ms-2 d-none d-md-inline">Esc</kbd>
+                    </div>
+                    <div class="modal-body p-0">
+                        <div class="list-group list-group-flush command-palette-results" id="${MODAL_ID}Results" role="listbox"></div>
+                        <p class="command-palette-status text-muted small px-3 py-2 mb-0" aria-live="polite"></p>
+                    </div>
+                    <div class="modal-footer justify-content-start small text-muted">
+                        <span><kbd>&uarr;</kbd> <kbd>&darr;</kbd> to navigate</span>
+                        <span><kbd>Enter</kbd> to open</span>
+                        <span><kbd>Ctrl</kbd> <kbd>K</kbd> or <kbd>/</kbd> to search from any page</span>
+                    </div>
+                </div>
+            </div>`;
+        document.body.appendChild(modalElement);
+
+        const input = modalElement.querySelector('.command-palette-input');
+        input.addEventListener('input', () => search(input.value));
+        input.addEventListener('keydown', onInputKeydown);
+
+        modalElement.querySelector('.command-palette-results').addEventListener('mousemove', e => {
+            const item = e.target.closest('[data-index]');
+            if (item) setActive(Number(item.dataset.index));
+        });
+        modalElement.addEventListener('shown.bs.modal', () => input.select());
+
+        return modalElement;
+    }
+
+    function render(statusText) {
+        const list = modalElement.querySelector('.command-palette-results');
+        const input = modalElement.querySelector('.command-palette-input');
+
+        list.innerHTML = String(html`${results.map((result, index) => html`
+            <a class="list-group-item list-group-item-action d-flex align-items-center command-palette-item"
+               id="${MODAL_ID}Item${index}" role="option" data-index="${index}"
+               href="${SafeHtml.url(result.url) || '#'}" ${result.newTab ? SafeHtml.raw('target="_blank" rel="noopener"') : ''}>
+                <i class="bi ${KIND_ICONS[result.kind] || 'bi-search'} me-3 text-muted" aria-hidden="true"></i>
+                <span class="flex-grow-1 text-truncate">
+                    <span class="command-palette-title">${result.title}</span>
+                    <small class="d-block text-muted text-truncate">${result.subtitle}</small>
+                </span>
+                ${result.product ? html`<span class="badge bg-light text-dark ms-2">${result.product}</span>` : ''}
+            </a>`)}`);
+
+        modalElement.querySelector('.command-palette-status').textContent =
+            statusText || (results.length ? '' : 'No matches');
+        setActive(Math.min(activeIndex, Math.max(0, results.length - 1)));
+
+        if (!results.length) input.removeAttribute('aria-activedescendant');
+    }
+
+    function setActive(index) {
+        activeIndex = index;
+        const input = modalElement.querySelector('.command-palette-input');
+
+        modalElement.querySelectorAll('.command-palette-item').forEach(item => {
+            const active = Number(item.dataset.index) === index;
+            item.classList.toggle('active', active);
+            item.setAttribute('aria-selected', active.toString());
+            if (active) {
+                input.setAttribute('aria-activedescendant', item.id);
+                item.scrollIntoView({ block: 'nearest' });
+            }
+        });
+    }
+
+    // ---------------------------------------------------------------------
+    // Searching
+    // ---------------------------------------------------------------------
+
+    /**
+     * Shows matching pages at once, then merges in the data matches when the API answers
+     */
+    function search(query) {
+        const pageMatches = matchPages(query);
+        results = pageMatches;
+        activeIndex = 0;
+
+        clearTimeout(searchTimer);
+        if (searchController) searchController.abort();
+
+        if (normalize(query).length < MIN_QUERY_LENGTH) {
+            render(query ? '' : 'Jump to a page, or type a KB number, build, version or channel');
+            return;
+        }
+
+        render('Searching releases…');
+
+        searchTimer = setTimeout(() => {
+            const controller = new AbortController();
+            searchController = controller;
+
+            fetch(`${SEARCH_URL}?q=${encodeURIComponent(query)}&limit=${SEARCH_LIMIT}`, {
+                headers: { 'Accept': 'application/json' },
+                signal: controller.signal
+            })
+                .then(response => {
+                    if (!response.ok) throw new Error(`HTTP ${response.status}`);
+                    return response.json();
+                })
+                .then(body => {
+                    results = pageMatches.concat(body.data || [])
+                        .sort((a, b) => (b.score || 0) - (a.score || 0))
+                        .slice(0, MAX_RESULTS);
+                    render();
+                })
+                .catch(error => {
+                    if (error.name === 'AbortError') return;
+                    console.warn('CommandPalette: search failed', error);
+                    render('Release search is unavailable right now; showing pages only');
+                });
+        }, DEBOUNCE_MS);
+    }
+
+    function onInputKeydown(e) {
+        if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+            e.preventDefault();
+            if (!results.length) return;
+            const step = e.key === 'ArrowDown' ? 1 : -1;
+            setActive((activeIndex + step + results.length) % results.length);
+        } else if (e.key === 'Enter') {
+            e.preventDefault();
+            const result = results[activeIndex];
+            if (result) go(result);
+        }
+    }
+
+    function go(result) {
+        const url = SafeHtml.url(result.url);
+        if (!url) return;
+
+        if (result.newTab) {
+            window.open(url, '_blank', 'noopener');
+        } else {
+            window.location.href = url;
+        }
+        close();
+    }
+
+    // ---------------------------------------------------------------------
+    // Opening
+    // ---------------------------------------------------------------------
+
+    /**
+     * Opens the palette, optionally with a query already typed
+     * @param {string} [query]
+     */
+    function open(query) {
+        if (!window.bootstrap) return;
+
+        const element = ensureModal();
+        const input = element.querySelector('.command-palette-input');
+        if (typeof query === 'string') input.value = query;
+
+        search(input.value);
+        bootstrap.Modal.getOrCreateInstance(element).show();
+    }
+
+    function close() {
+        if (modalElement) bootstrap.Modal.getOrCreateInstance(modalElement).hide();
+    }
+
+    function isOpen() {
+        return !!modalElement && modalElement.classList.contains('show');
+    }
+
+    function isTextField(element) {
+        return !!element && (element.isContentEditable || /^(INPUT|TEXTAREA|SELECT)$/.test(element.tagName));
+    }
+
+    document.addEventListener('keydown', e => {
+        if ((e.ctrlKey || e.metaKey) && !e.altKey && e.key.toLowerCase() === 'k') {
+            e.preventDefault();
+            if (isOpen()) close(); else open();
+        } else if (e.key === '/' && !e.ctrlKey && !e.metaKey && !e.altKey && !isTextField(e.target) && !isOpen()) {
+            e.preventDefault();
+            open();
+        }
+    });
+
+    document.addEventListener('click', e => {
+        if (!e.target.closest('[data-command-palette]')) return;
+        e.preventDefault();
+        open();
+    });
+
+    window.CommandPalette = {
+        open: open,
+        close: close
+    };
+})(window, document, window.SafeHtml);
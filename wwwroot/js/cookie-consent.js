@@ -1,56 +1,312 @@
 // Cookie Consent Manager
+// Consent is recorded per category and nothing optional loads until its category is granted:
+//   necessary - always on (this consent cookie, security and rate limiting)
+//   analytics - Application Insights (appinsights-loader.js waits on whenGranted('analytics'))
+//   marketing - Google Tag Manager and the tags it loads
+// Google Consent Mode v2 defaults (everything optional denied) are pushed to dataLayer as soon as this
+// script runs, and an update is pushed for every stored or changed choice. A Global Privacy Control
+// signal (navigator.globalPrivacyControl) keeps marketing denied whatever is chosen.
+// Revoking a category tears its tracker down and deletes the cookies and storage entries it set.
+// Every saved choice dispatches a 'consent:changed' event on document (it bubbles to window) with
+// { consent, previous, granted, revoked } in its detail.
+// The preferences dialog opens from any [data-cookie-preferences] element, such as the footer link,
+// or from window.cookieConsent.openPreferences().
 class CookieConsent {
     constructor() {
         this.consentKey = 'office365versions_cookie_consent';
         this.consentDuration = 365 * 24 * 60 * 60 * 1000; // 1 year in milliseconds
+        this.consentVersion = 2;
+        this.categories = ['analytics', 'marketing'];
+        this.gpc = navigator.globalPrivacyControl === true;
+        this.consent = this.getConsent();
+        this.listeners = { analytics: [], marketing: [] };
+        this.gtmLoaded = false;
+
+        // What each category leaves behind, removed when it is revoked
+        this.trackers = {
+            analytics: {
+                globals: ['appInsights', 'appInsightsSDK'],
+                scripts: 'script[data-ai-name]',
+                cookies: /^ai_/,
+                storage: /^ai_/i
+            },
+            marketing: {
+                globals: ['google_tag_manager', 'google_tag_data', 'gaGlobal'],
+                scripts: 'script[src*="googletagmanager.com"], script[src*="google-analytics.com"], noscript[data-gtm]',
+                cookies: /^_(ga|gid|gat|gcl_)/,
+                storage: /^_(ga|gcl_)/
+            }
+        };
+
         this.init();
     }
 
     init() {
         console.log('[Cookie Consent] Initializing Cookie Consent Manager');
-        
-        // Check if user has already made a choice
-        const hasConsent = this.getConsent();
-        console.log('[Cookie Consent] Current consent status:', hasConsent);
-        
-        if (hasConsent === null) {
-            // No consent recorded, show banner
-            console.log('[Cookie Consent] No consent found - showing banner');
-            this.showBanner();
-        } else if (hasConsent === true) {
-            // Load GTM only if consent given
-            console.log('[Cookie Consent] Consent granted - loading GTM');
-            this.loadGTM();
+        console.log('[Cookie Consent] Current consent:', this.consent, 'GPC:', this.gpc);
+
+        // Defaults go first so that no tag can read storage before a choice is known
+        this.pushConsentDefaults();
+
+        if (this.consent) {
+            this.applyConsent(this.categories.filter(category => this.consent[category]));
+        }
+
+        this.whenReady(() => {
+            document.addEventListener('click', e => {
+                if (!e.target.closest('[data-cookie-preferences]')) return;
+                e.preventDefault();
+                this.openPreferences();
+            });
+
+            if (!this.consent) {
+                console.log('[Cookie Consent] No consent found - showing banner');
+                this.showBanner();
+            }
+        });
+    }
+
+    whenReady(callback) {
+        if (document.readyState === 'loading') {
+            document.addEventListener('DOMContentLoaded', callback);
         } else {
-            console.log('[Cookie Consent] Consent denied - GTM not loaded');
+            callback();
+        }
+    }
+
+    /**
+     * Runs the callback whenever the category is granted: now if it already is, and again each time the
+     * user grants it after a revocation
+     * @param {'analytics'|'marketing'} category
+     * @param {Function} callback
+     */
+    whenGranted(category, callback) {
+        if (!this.listeners[category]) return;
+        this.listeners[category].push(callback);
+        if (this.isGranted(category)) {
+            this.runListener(category, callback);
+        }
+    }
+
+    runListener(category, callback) {
+        try {
+            callback();
+        } catch (error) {
+            console.error(`[Cookie Consent] ${category} callback failed:`, error);
+        }
+    }
+
+    isGranted(category) {
+        if (category === 'necessary') return true;
+        return !!(this.consent && this.consent[category]);
+    }
+
+    // ---------------------------------------------------------------------
+    // Google Consent Mode v2
+    // ---------------------------------------------------------------------
+
+    // Consent Mode reads the arguments object, as gtag.js does, not an array
+    gtag() {
+        window.dataLayer = window.dataLayer || [];
+        window.dataLayer.push(arguments);
+    }
+
+    consentSignals(consent) {
+        const state = granted => granted ? 'granted' : 'denied';
+        const marketing = state(!!(consent && consent.marketing));
+
+        return {
+            analytics_storage: state(!!(consent && consent.analytics)),
+            ad_storage: marketing,
+            ad_user_data: marketing,
+            ad_personalization: marketing
+        };
+    }
+
+    pushConsentDefaults() {
+        this.gtag('consent', 'default', Object.assign(this.consentSignals(null), {
+            functionality_storage: 'granted',
+            security_storage: 'granted',
+            wait_for_update: 500
+        }));
+
+        if (this.gpc) {
+            this.gtag('set', 'ads_data_redaction', true);
         }
     }
 
+    // ---------------------------------------------------------------------
+    // Applying choices
+    // ---------------------------------------------------------------------
+
+    /**
+     * Pushes the Consent Mode update and loads what the newly granted categories allow
+     * @param {string[]} granted
+     */
+    applyConsent(granted) {
+        const signals = this.consentSignals(this.consent);
+        console.log('[Cookie Consent] Consent Mode update:', signals);
+        this.gtag('consent', 'update', signals);
+
+        if (this.consent.marketing) {
+            this.loadGTM();
+        }
+
+        granted.forEach(category => {
+            this.listeners[category].forEach(callback => this.runListener(category, callback));
+        });
+    }
+
+    /**
+     * Records a choice for the optional categories and applies it
+     * @param {{analytics: boolean, marketing: boolean}} choices
+     */
+    savePreferences(choices) {
+        console.log('[Cookie Consent] Saving preferences:', choices);
+        const previous = this.consent;
+        this.setConsent(choices);
+        this.closeBanner();
+
+        const granted = this.categories.filter(category => this.consent[category] && !(previous && previous[category]));
+        const revoked = this.categories.filter(category => !this.consent[category] && previous && previous[category]);
+
+        // Consent Mode is updated first so the remaining tags stop before their cookies are deleted
+        this.applyConsent(granted);
+        revoked.forEach(category => this.revoke(category));
+
+        document.dispatchEvent(new CustomEvent('consent:changed', {
+            bubbles: true,
+            detail: { consent: this.consent, previous, granted, revoked }
+        }));
+    }
+
+    acceptConsent() {
+        console.log('[Cookie Consent] User accepted all cookies');
+        this.savePreferences({ analytics: true, marketing: true });
+    }
+
+    rejectConsent() {
+        console.log('[Cookie Consent] User rejected optional cookies');
+        this.savePreferences({ analytics: false, marketing: false });
+    }
+
+    // ---------------------------------------------------------------------
+    // Revocation
+    // ---------------------------------------------------------------------
+
+    /**
+     * Unloads the category's tracker and deletes its cookies and storage entries. Scripts already run
+     * cannot be taken out of the page, so their globals are removed and the Consent Mode update to
+     * denied stops the tags that remain; granting the category again loads a fresh copy.
+     * @param {'analytics'|'marketing'} category
+     */
+    revoke(category) {
+        const tracker = this.trackers[category];
+        if (!tracker) return;
+        console.log(`[Cookie Consent] Revoking ${category} - removing trackers, cookies and storage`);
+
+        if (category === 'analytics' && window.appInsights && typeof window.appInsights.unload === 'function') {
+            try {
+                window.appInsights.unload(false);
+            } catch (error) {
+                console.warn('[Cookie Consent] Application Insights unload failed:', error);
+            }
+        }
+
+        if (category === 'marketing') {
+            this.gtmLoaded = false;
+        }
+
+        tracker.globals.forEach(name => {
+            try {
+                delete window[name];
+            } catch (error) {
+                window[name] = undefined;
+            }
+        });
+
+        document.querySelectorAll(tracker.scripts).forEach(element => element.remove());
+
+        this.cookieNames()
+            .filter(name => tracker.cookies.test(name))
+            .forEach(name => this.deleteCookie(name));
+
+        [window.localStorage, window.sessionStorage].forEach(storage => this.clearStorage(storage, tracker.storage));
+    }
+
+    cookieNames() {
+        return document.cookie.split(';')
+            .map(part => part.split('=')[0].trim())
+            .filter(Boolean);
+    }
+
+    // Trackers set cookies on the registrable domain (".example.com") as well as the host, and a cookie
+    // is only deleted with the domain it was set with, so every parent domain is tried
+    deleteCookie(name) {
+        const expired = `${name}=;path=/;expires=Thu, 01 Jan 1970 00:00:00 GMT`;
+        const labels = location.hostname.split('.');
+
+        document.cookie = expired;
+        for (let i = 0; i < labels.length - 1; i++) {
+            const domain = labels.slice(i).join('.');
+            document.cookie = `${expired};domain=${domain}`;
+            document.cookie = `${expired};domain=.${domain}`;
+        }
+    }
+
+    clearStorage(storage, pattern) {
+        try {
+            if (!storage) return;
+            const keys = [];
+            for (let i = 0; i < storage.length; i++) {
+                keys.push(storage.key(i));
+            }
+            keys.filter(key => pattern.test(key)).forEach(key => storage.removeItem(key));
+        } catch (error) {
+            // Storage access throws when the browser blocks it; there is nothing to clear then
+        }
+    }
+
+    // ---------------------------------------------------------------------
+    // Banner
+    // ---------------------------------------------------------------------
+
     showBanner() {
+        if (document.getElementById('cookie-consent-banner')) return;
         console.log('[Cookie Consent] Creating and displaying banner');
-        
+
         const banner = document.createElement('div');
         banner.id = 'cookie-consent-banner';
         banner.className = 'cookie-consent-banner';
+        banner.setAttribute('role', 'region');
+        banner.setAttribute('aria-label', 'Cookie consent');
         banner.innerHTML = `
             <div class="cookie-consent-content">
                 <div class="cookie-consent-text">
                     <h5><i class="bi bi-cookie"></i> Cookie Consent</h5>
                     <p>
-                        We use cookies to analyze site traffic and improve your experience. 
-                        We collect only technical data (browser info, pages visited, performance metrics) 
+                        We use cookies to analyze site traffic and improve your experience.
+                        We collect only technical data (browser info, pages visited, performance metrics)
                         and <strong>never collect personal information</strong> (name, email, IP address, etc.).
+                        Choose which categories to allow; you can change this at any time from the footer.
                     </p>
+                    ${this.gpc ? `
+                    <p class="cookie-consent-gpc">
+                        <i class="bi bi-shield-check me-1"></i>Your browser sends a Global Privacy Control signal, so marketing cookies stay off.
+                    </p>` : ''}
                     <p>
                         <a href="/Privacy#cookies" target="_blank">Learn more about our cookie policy</a>
                     </p>
                 </div>
                 <div class="cookie-consent-buttons">
-                    <button class="btn btn-sm btn-outline-secondary" id="cookie-reject">
-                        <i class="bi bi-x-circle me-1"></i>Decline
+                    <button type="button" class="btn btn-sm btn-outline-secondary" id="cookie-reject">
+                        <i class="bi bi-x-circle me-1"></i>Reject all
                     </button>
-                    <button class="btn btn-sm btn-primary" id="cookie-accept">
-                        <i class="bi bi-check-circle me-1"></i>Accept
+                    <button type="button" class="btn btn-sm btn-outline-secondary" id="cookie-customize">
+                        <i class="bi bi-sliders me-1"></i>Customize
+                    </button>
+                    <button type="button" class="btn btn-sm btn-primary" id="cookie-accept">
+                        <i class="bi bi-check-circle me-1"></i>Accept all
                     </button>
                 </div>
             </div>
@@ -59,29 +315,10 @@ class CookieConsent {
         document.body.insertBefore(banner, document.body.firstChild);
         console.log('[Cookie Consent] Banner inserted into DOM');
 
-        // Add event listeners
+        // The banner stays until a choice is made; closing it without one would leave consent unrecorded
         document.getElementById('cookie-accept').addEventListener('click', () => this.acceptConsent());
         document.getElementById('cookie-reject').addEventListener('click', () => this.rejectConsent());
-
-        // Auto-hide after 10 seconds if not interacted (accessibility)
-        setTimeout(() => {
-            if (document.getElementById('cookie-consent-banner')) {
-                this.closeBanner();
-            }
-        }, 10000);
-    }
-
-    acceptConsent() {
-        console.log('[Cookie Consent] User accepted cookies');
-        this.setConsent(true);
-        this.closeBanner();
-        this.loadGTM();
-    }
-
-    rejectConsent() {
-        console.log('[Cookie Consent] User rejected cookies');
-        this.setConsent(false);
-        this.closeBanner();
+        document.getElementById('cookie-customize').addEventListener('click', () => this.openPreferences());
     }
 
     closeBanner() {
@@ -94,43 +331,176 @@ class CookieConsent {
         }
     }
 
-    setConsent(value) {
-        console.log('[Cookie Consent] Setting consent to:', value);
+    // ---------------------------------------------------------------------
+    // Preferences dialog
+    // ---------------------------------------------------------------------
+
+    ensurePreferences() {
+        let modal = document.getElementById('cookiePreferences');
+        if (modal) return modal;
+
+        const category = (name, title, description, options = {}) => `
+            <div class="cookie-preferences-category">
+                <div class="form-check form-switch">
+                    <input class="form-check-input" type="checkbox" role="switch" id="cookie-pref-${name}"
+                           data-category="${name}" ${options.checked ? 'checked' : ''} ${options.disabled ? 'disabled' : ''}
+                           aria-describedby="cookie-pref-${name}-help">
+                    <label class="form-check-label fw-semibold" for="cookie-pref-${name}">${title}</label>
+                </div>
+                <p class="small text-muted mb-0" id="cookie-pref-${name}-help">${description}</p>
+                ${options.note ? `<p class="small cookie-consent-gpc mb-0">${options.note}</p>` : ''}
+            </div>`;
+
+        modal = document.createElement('div');
+        modal.className = 'modal fade cookie-preferences';
+        modal.id = 'cookiePreferences';
+        modal.tabIndex = -1;
+        modal.setAttribute('aria-labelledby', 'cookiePreferencesTitle');
+        modal.setAttribute('aria-hidden', 'true');
+        modal.innerHTML = `
+            <div class="modal-dialog modal-dialog-centered">
+                <div class="modal-content">
+                    <div class="modal-header">
+                        <h5 class="modal-title" id="cookiePreferencesTitle"><i class="bi bi-cookie me-2"></i>Cookie preferences</h5>
+                        <button type="button" class="btn-close" data-bs-dismiss="modal" aria-label="Close"></button>
+                    </div>
+                    <div class="modal-body">
+                        ${category('necessary', 'Necessary',
+                            'Remembers these choices and keeps the site secure. Always on.',
+                            { checked: true, disabled: true })}
+                        ${category('analytics', 'Analytics',
+                            'Application Insights page views, performance and errors, so we can see which pages are used and fix problems.')}
+                        ${category('marketing', 'Marketing',
+                            'Google Tag Manager and the tags it loads, such as Google Analytics.',
+                            this.gpc ? { disabled: true, note: '<i class="bi bi-shield-check me-1"></i>Off because your browser sends a Global Privacy Control signal.' } : {})}
+                        <p class="small mb-0">
+                            <a href="/Privacy#cookies">Read the cookie policy</a>
+                        </p>
+                    </div>
+                    <div class="modal-footer">
+                        <button type="button" class="btn btn-outline-secondary me-auto" data-cookie-action="reject">Reject all</button>
+                        <button type="button" class="btn btn-outline-primary" data-cookie-action="save">Save choices</button>
+                        <button type="button" class="btn btn-primary" data-cookie-action="accept">Accept all</button>
+                    </div>
+                </div>
+            </div>`;
+        document.body.appendChild(modal);
+
+        modal.querySelector('.modal-footer').addEventListener('click', e => {
+            const button = e.target.closest('[data-cookie-action]');
+            if (!button) return;
+
+            const action = button.dataset.cookieAction;
+            if (action === 'accept') {
+                this.acceptConsent();
+            } else if (action === 'reject') {
+                this.rejectConsent();
+            } else {
+                this.savePreferences(this.readSwitches(modal));
+            }
+            bootstrap.Modal.getOrCreateInstance(modal).hide();
+        });
+
+        return modal;
+    }
+
+    readSwitches(modal) {
+        const choices = {};
+        this.categories.forEach(category => {
+            choices[category] = modal.querySelector(`#cookie-pref-${category}`).checked;
+        });
+        return choices;
+    }
+
+    openPreferences() {
+        if (!window.bootstrap) {
+            console.warn('[Cookie Consent] Bootstrap not loaded - cannot open preferences');
+            return;
+        }
+
+        const modal = this.ensurePreferences();
+        this.categories.forEach(category => {
+            modal.querySelector(`#cookie-pref-${category}`).checked = this.isGranted(category);
+        });
+
+        bootstrap.Modal.getOrCreateInstance(modal).show();
+    }
+
+    // ---------------------------------------------------------------------
+    // Storage
+    // ---------------------------------------------------------------------
+
+    setConsent(choices) {
+        this.consent = {
+            v: this.consentVersion,
+            necessary: true,
+            analytics: !!choices.analytics,
+            marketing: !!choices.marketing && !this.gpc,
+            updated: new Date().toISOString()
+        };
+
+        console.log('[Cookie Consent] Setting consent to:', this.consent);
         const expiryDate = new Date(Date.now() + this.consentDuration);
+        const value = encodeURIComponent(JSON.stringify(this.consent));
         document.cookie = `${this.consentKey}=${value};path=/;expires=${expiryDate.toUTCString()};SameSite=Strict`;
-        console.log('[Cookie Consent] Cookie set:', document.cookie);
+        return this.consent;
     }
 
+    /**
+     * The stored choice, or null when none was made. Cookies from the single accept/decline banner
+     * ("true"/"false") count as that choice for every category.
+     */
     getConsent() {
-        const cookies = document.cookie.split(';');
-        console.log('[Cookie Consent] Reading all cookies:', document.cookie);
-        
-        for (let cookie of cookies) {
-            const [key, value] = cookie.trim().split('=');
-            if (key === this.consentKey) {
-                console.log('[Cookie Consent] Found consent cookie:', key, '=', value);
-                return value === 'true';
+        const cookie = document.cookie.split(';')
+            .map(part => part.trim())
+            .find(part => part.startsWith(this.consentKey + '='));
+
+        if (!cookie) {
+            console.log('[Cookie Consent] No consent cookie found');
+            return null;
+        }
+
+        const raw = cookie.substring(this.consentKey.length + 1);
+        let stored;
+
+        if (raw === 'true' || raw === 'false') {
+            stored = { analytics: raw === 'true', marketing: raw === 'true' };
+        } else {
+            try {
+                stored = JSON.parse(decodeURIComponent(raw));
+            } catch (error) {
+                console.warn('[Cookie Consent] Unreadable consent cookie - asking again');
+                return null;
             }
         }
-        console.log('[Cookie Consent] No consent cookie found');
-        return null; // No consent recorded
+
+        if (!stored || typeof stored !== 'object') return null;
+
+        return {
+            v: this.consentVersion,
+            necessary: true,
+            analytics: stored.analytics === true,
+            marketing: stored.marketing === true && !this.gpc,
+            updated: stored.updated || null
+        };
     }
 
-    // Load GTM only after consent is given
+    // Load GTM only after marketing consent is given
     loadGTM() {
-        console.log('[Cookie Consent] Loading Google Tag Manager');
-        
-        // GTM ID from configuration will be injected here
-        const gtmId = window.gtmId; // This will be set in _Layout.cshtml
+        if (this.gtmLoaded) return;
+
+        // GTM ID from configuration, set in _Layout.cshtml
+        const gtmId = window.gtmId;
         console.log('[Cookie Consent] GTM ID:', gtmId);
-        
+
         if (!gtmId) {
             console.warn('[Cookie Consent] GTM ID not found - skipping GTM load');
             return;
         }
 
+        this.gtmLoaded = true;
         console.log('[Cookie Consent] Injecting GTM script for ID:', gtmId);
-        
+
         // Load Google Tag Manager
         (function(w,d,s,l,i){
             w[l]=w[l]||[];
@@ -145,23 +515,16 @@ class CookieConsent {
         })(window,document,'script','dataLayer',gtmId);
 
         // GTM noscript fallback
-        const noscript = document.createElement('noscript');
-        noscript.innerHTML = `<iframe src="https://www.googletagmanager.com/gtm.ns.html?id=${gtmId}" height="0" width="0" style="display:none;visibility:hidden"></iframe>`;
-        document.body.insertBefore(noscript, document.body.firstChild);
-        console.log('[Cookie Consent] GTM noscript fallback added');
+        this.whenReady(() => {
+            const noscript = document.createElement('noscript');
+            noscript.setAttribute('data-gtm', '');
+            noscript.innerHTML = `<iframe src="https://www.googletagmanager.com/gtm.ns.html?id=${gtmId}" height="0" width="0" style="display:none;visibility:hidden"></iframe>`;
+            document.body.insertBefore(noscript, document.body.firstChild);
+        });
     }
 }
 
-// Initialize when DOM is ready
-console.log('[Cookie Consent] Script loaded - waiting for DOM ready');
-
-if (document.readyState === 'loading') {
-    console.log('[Cookie Consent] DOM still loading - adding event listener');
-    document.addEventListener('DOMContentLoaded', () => {
-        console.log('[Cookie Consent] DOM ready - creating CookieConsent instance');
-        new CookieConsent();
-    });
-} else {
-    console.log('[Cookie Consent] DOM already ready - creating CookieConsent instance immediately');
-    new CookieConsent();
-}
+// Created as soon as the script runs so the Consent Mode defaults are in dataLayer before any tag, and
+// so appinsights-loader.js (deferred) can wait on it; the banner and dialog wait for the DOM
+console.log('[Cookie Consent] Script loaded - creating CookieConsent instance');
+window.cookieConsent = new CookieConsent();
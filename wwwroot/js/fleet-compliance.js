@@ -0,0 +1,602 @@
+/**
+ * Fleet Compliance Checker
+ * Rates the Windows and Microsoft 365 Apps patch level of every device in an
+ * inventory export (CSV or JSON, including Intune and ConfigMgr layouts).
+ *
+ * Everything runs in the browser: the inventory is read locally and never
+ * uploaded. Only the public release lists are fetched:
+ *   /api/WindowsVersions/{edition}/releases, /api/WindowsVersions/{Edition}
+ *   /api/M365AppsReleases/channel/{channel}, /api/M365AppsReleases
+ *
+ *   const inventory = FleetCompliance.parseInventory(text, file.name);
+ *   const rows = await FleetCompliance.evaluate(inventory.devices);
+ *   FleetCompliance.download(rows, 'csv');
+ *
+ * CSV is written by TableExport.toCsv (table-export.js, loaded by _Layout).
+ */
+(function (window) {
+    'use strict';
+
+    const DAY_MS = 1000 * 60 * 60 * 24;
+    const ENDING_SOON_DAYS = 90;
+    const CRITICAL_MONTHS_BEHIND = 3;
+
+    /**
+     * Header aliases per inventory field, compared after normalizeKey().
+     * Covers Intune (Device name, OS, OS version), Microsoft Graph managedDevice
+     * (deviceName, operatingSystem, osVersion) and ConfigMgr (Name0, Caption0,
+     * BuildExt, VersionToReport0, CDNBaseUrl0) exports.
+     */
+    const COLUMN_ALIASES = {
+        hostname: ['devicename', 'hostname', 'computername', 'computer', 'machinename', 'name', 'name0', 'netbiosname', 'netbiosname0', 'device'],
+        osName: ['os', 'operatingsystem', 'osname', 'caption', 'caption0', 'operatingsystemnameandversion', 'operatingsystemnameandversion0'],
+        osBuild: ['osversion', 'osbuild', 'osbuildnumber', 'windowsbuild', 'buildext', 'buildext0', 'build01', 'build'],
+        officeBuild: ['officebuild', 'officeversion', 'm365appsversion', 'microsoft365appsversion', 'office365version', 'versiontoreport', 'versiontoreport0', 'clientversiontoreport'],
+        officeChannel: ['officechannel', 'updatechannel', 'updatechannel0', 'channel', 'cdnbaseurl', 'cdnbaseurl0']
+    };
+
+    /**
+     * Windows editions with a releases endpoint; server editions are identified by major build
+     */
+    const WINDOWS_EDITIONS = {
+        windows10: { name: 'Windows 10', edition: 'Windows10' },
+        windows11: { name: 'Windows 11', edition: 'Windows11' },
+        server2016: { name: 'Windows Server 2016', edition: 'WindowsServer2016', major: '14393' },
+        server2019: { name: 'Windows Server 2019', edition: 'WindowsServer2019', major: '17763' },
+        server2022: { name: 'Windows Server 2022', edition: 'WindowsServer2022', major: '20348' },
+        server2025: { name: 'Windows Server 2025', edition: 'WindowsServer2025', major: '26100' }
+    };
+
+    /**
+     * Update types that are not monthly cumulative updates
+     */
+    const NON_CUMULATIVE_TYPES = ['Preview', 'Optional', 'Feature'];
+
+    /**
+     * Channels with a release history endpoint
+     */
+    const OFFICE_CHANNELS = ['Current Channel', 'Monthly Enterprise Channel', 'Semi-Annual Enterprise Channel'];
+
+    /**
+     * Office CDNBaseUrl channel GUIDs (as reported by ConfigMgr and the ClickToRun registry key)
+     */
+    const OFFICE_CHANNEL_IDS = {
+        '492350f6-3a01-4f97-b9c0-c7c6ddf67d60': 'Current Channel',
+        '55336b82-a18d-4dd6-b5f6-9e5095c314a6': 'Monthly Enterprise Channel',
+        '7ffbc6bf-bc32-4f92-8982-f9dd17fd3114': 'Semi-Annual Enterprise Channel'
+    };
+
+    const EXPORT_COLUMNS = [
+        { key: 'hostname', label: 'Hostname' },
+        { key: 'product', label: 'Product' },
+        { key: 'edition', label: 'Edition' },
+        { key: 'version', label: 'Version' },
+        { key: 'channel', label: 'Channel' },
+        { key: 'installedBuild', label: 'Installed Build' },
+        { key: 'latestBuild', label: 'Latest Build' },
+        { key: 'target', label: 'Target' },
+        { key: 'monthsBehind', label: 'Months Behind' },
+        { key: 'endOfServicing', label: 'End of Servicing' },
+        { key: 'servicingStatus', label: 'Servicing Status' },
+        { key: 'status', label: 'Status' },
+        { key: 'note', label: 'Note' }
+    ];
+
+    // ---------------------------------------------------------------------
+    // Inventory parsing
+    // ---------------------------------------------------------------------
+
+    function normalizeKey(key) {
+        return String(key || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+    }
+
+    /**
+     * Maps inventory fields to the first matching source column
+     * @param {string[]} headers - Column names from the file
+     * @returns {object} Field name -> original header
+     */
+    function detectColumns(headers) {
+        const byKey = {};
+        headers.forEach(header => {
+            const key = normalizeKey(header);
+            if (key && !(key in byKey)) byKey[key] = header;
+        });
+
+        const columns = {};
+        Object.keys(COLUMN_ALIASES).forEach(field => {
+            const alias = COLUMN_ALIASES[field].find(a => a in byKey);
+            if (alias) columns[field] = byKey[alias];
+        });
+        return columns;
+    }
+
+    /**
+     * RFC 4180 CSV parser; the delimiter (comma, semicolon or tab) is taken from the header line
+     * @param {string} text - CSV content
+     * @returns {string[][]} Rows of cells
+     */
+    function parseCsv(text) {
+        const content = text.replace(/^\uFEFF/, '');
+        const headerLine = content.split(/\r?\n/, 1)[0] || '';
+        const delimiter = [',', ';', '\t']
+            .map(d => ({ d: d, count: headerLine.split(d).length }))
+            .sort((a, b) => b.count - a.count)[0].d;
+
+        const rows = [];
+        let row = [];
+        let cell = '';
+        let quoted = false;
+
+        for (let i = 0; i < content.length; i++) {
+            const ch = content[i];
+            if (quoted) {
+                if (ch === '"' && content[i + 1] === '"') {
+                    cell += '"';
+                    i++;
+                } else if (ch === '"') {
+                    quoted = false;
+                } else {
+                    cell += ch;
+                }
+            } else if (ch === '"') {
+                quoted = true;
+            } else if (ch === delimiter) {
+                row.push(cell);
+                cell = '';
+            } else if (ch === '\n' || ch === '\r') {
+                if (ch === '\r' && content[i + 1] === '\n') i++;
+                row.push(cell);
+                rows.push(row);
+                row = [];
+                cell = '';
+            } else {
+                cell += ch;
+            }
+        }
+
+        if (cell !== '' || row.length) {
+            row.push(cell);
+            rows.push(row);
+        }
+
+        return rows.filter(r => r.some(c => c.trim() !== ''));
+    }
+
+    function recordsFromCsv(text) {
+        const rows = parseCsv(text);
+        if (rows.length < 2) return { headers: rows[0] || [], records: [] };
+
+        const headers = rows[0].map(h => h.trim());
+        const records = rows.slice(1).map(cells => {
+            const record = {};
+            headers.forEach((header, i) => { record[header] = (cells[i] || '').trim(); });
+            return record;
+        });
+        return { headers: headers, records: records };
+    }
+
+    function recordsFromJson(text) {
+        const json = JSON.parse(text.replace(/^\uFEFF/, ''));
+        // Plain array, Graph API page ({ value: [...] }) or a wrapped export
+        const records = Array.isArray(json) ? json : (json.value || json.devices || json.data || []);
+        if (!Array.isArray(records)) throw new Error('JSON inventory must be an array of devices.');
+
+        const headers = [];
+        records.forEach(record => {
+            Object.keys(record || {}).forEach(key => {
+                if (!headers.includes(key)) headers.push(key);
+            });
+        });
+        return { headers: headers, records: records };
+    }
+
+    /**
+     * Parses an inventory export into devices
+     * @param {string} text - File content
+     * @param {string} fileName - Used to tell JSON from CSV
+     * @returns {{devices: object[], columns: object}} Devices with hostname, osName, osBuild, officeBuild, officeChannel
+     */
+    function parseInventory(text, fileName) {
+        const trimmed = text.trim();
+        const isJson = /\.json$/i.test(fileName || '') || trimmed.startsWith('[') || trimmed.startsWith('{');
+        const parsed = isJson ? recordsFromJson(trimmed) : recordsFromCsv(text);
+        const columns = detectColumns(parsed.headers);
+
+        if (!columns.osBuild && !columns.officeBuild) {
+            throw new Error('No OS build or Office build column found. Expected a column such as "OS version", "OS build", "BuildExt" or "Office version".');
+        }
+
+        const value = (record, field) => {
+            const v = columns[field] ? record[columns[field]] : '';
+            return v === null || v === undefined ? '' : String(v).trim();
+        };
+
+        const devices = parsed.records
+            .map((record, i) => ({
+                hostname: value(record, 'hostname') || `Device ${i + 1}`,
+                osName: value(record, 'osName'),
+                osBuild: value(record, 'osBuild'),
+                officeBuild: value(record, 'officeBuild'),
+                officeChannel: value(record, 'officeChannel')
+            }))
+            .filter(d => d.osBuild || d.officeBuild);
+
+        return { devices: devices, columns: columns };
+    }
+
+    // ---------------------------------------------------------------------
+    // Release data
+    // ---------------------------------------------------------------------
+
+    const cache = {};
+
+    function loadJson(url) {
+        if (!cache[url]) {
+            cache[url] = window.ApiCache.getJson(url);
+        }
+        return cache[url];
+    }
+
+    function loadOrEmpty(url, select) {
+        return loadJson(url)
+            .then(data => (select ? select(data) : data) || [])
+            .catch(error => {
+                console.warn('Fleet compliance: could not load', url, error);
+                return [];
+            });
+    }
+
+    // ---------------------------------------------------------------------
+    // Helpers
+    // ---------------------------------------------------------------------
+
+    const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+
+    /**
+     * Parses API dates, including the Office "2023 Sep 12" format
+     */
+    function parseDate(value) {
+        if (!value) return null;
+
+        const office = String(value).match(/^(\d{4}) ([A-Za-z]{3}) (\d{1,2})$/);
+        if (office) {
+            const month = MONTHS.indexOf(office[2].toLowerCase());
+            if (month >= 0) return new Date(Date.UTC(Number(office[1]), month, Number(office[3])));
+        }
+
+        const date = new Date(value);
+        return isNaN(date) ? null : date;
+    }
+
+    function isoDate(date) {
+        return date ? date.toISOString().substring(0, 10) : '';
+    }
+
+    /**
+     * Whole calendar months from one release to a later one (never negative)
+     */
+    function monthsBetween(from, to) {
+        if (!from || !to) return null;
+        const months = (to.getUTCFullYear() - from.getUTCFullYear()) * 12 + (to.getUTCMonth() - from.getUTCMonth());
+        return Math.max(0, months);
+    }
+
+    function revisionOf(build) {
+        const parts = String(build || '').split('.');
+        return parts.length > 1 ? Number(parts[1]) || 0 : 0;
+    }
+
+    function majorOf(build) {
+        return String(build || '').split('.')[0];
+    }
+
+    /**
+     * Supported / Ending soon / End of servicing from an end date
+     */
+    function servicingStatus(endDate) {
+        if (!endDate) return 'Unknown';
+        const daysLeft = (endDate - new Date()) / DAY_MS;
+        if (daysLeft < 0) return 'End of servicing';
+        return daysLeft <= ENDING_SOON_DAYS ? 'Ending soon' : 'Supported';
+    }
+
+    /**
+     * Overall rating: End of servicing and being CRITICAL_MONTHS_BEHIND or more are critical
+     */
+    function overallStatus(row) {
+        if (row.servicingStatus === 'End of servicing') return 'Critical';
+        if (row.monthsBehind === null || row.monthsBehind === undefined) return 'Unknown';
+        if (row.monthsBehind === 0) return 'Up to date';
+        return row.monthsBehind >= CRITICAL_MONTHS_BEHIND ? 'Critical' : 'Behind';
+    }
+
+    function baseRow(device, product) {
+        return {
+            hostname: device.hostname,
+            product: product,
+            edition: '',
+            version: '',
+            channel: '',
+            installedBuild: '',
+            latestBuild: '',
+            target: '',
+            monthsBehind: null,
+            endOfServicing: '',
+            servicingStatus: 'Unknown',
+            status: 'Unknown',
+            note: ''
+        };
+    }
+
+    // ---------------------------------------------------------------------
+    // Windows
+    // ---------------------------------------------------------------------
+
+    /**
+     * Accepts "10.0.22631.3880", "22631.3880" or "22631"
+     */
+    function parseWindowsBuild(value) {
+        const match = String(value || '').trim().match(/^(?:10\.0\.)?(\d{4,5})(?:\.(\d+))?/);
+        if (!match) return null;
+        return {
+            major: match[1],
+            revision: match[2] !== undefined ? Number(match[2]) : null,
+            build: match[2] !== undefined ? `${match[1]}.${match[2]}` : match[1]
+        };
+    }
+
+    function windowsEditionKey(major, osName) {
+        const isServer = /server/i.test(osName || '') || major === '20348';
+        if (isServer) {
+            return Object.keys(WINDOWS_EDITIONS).find(key => WINDOWS_EDITIONS[key].major === major) || null;
+        }
+        return Number(major) >= 22000 ? 'windows11' : 'windows10';
+    }
+
+    /**
+     * End of servicing for a feature version: LTSC rows use extended support,
+     * Home/Pro devices the consumer date and everything else the enterprise date
+     */
+    function windowsEndOfServicing(versions, version, osName, isServer) {
+        const matches = versions.filter(v => v.version && version && v.version.toLowerCase() === version.toLowerCase());
+        const info = matches.find(v => (v.servicingType !== 'Regular') === isServer) || matches[0];
+        if (!info) return null;
+
+        const consumer = /\b(home|pro)\b/i.test(osName || '') && !/education|enterprise/i.test(osName || '');
+        const candidates = info.servicingType !== 'Regular'
+            ? [info.extendedSupportEndDate, info.mainstreamSupportEndDate]
+            : consumer
+                ? [info.endOfServicingStandard, info.endOfServicingEnterprise]
+                : [info.endOfServicingEnterprise, info.endOfServicingStandard];
+
+        return candidates.map(parseDate).find(Boolean) || parseDate(info.supportEndDate);
+    }
+
+    async function evaluateWindows(device) {
+        const row = baseRow(device, 'Windows');
+        row.installedBuild = device.osBuild;
+
+        const parsed = parseWindowsBuild(device.osBuild);
+        if (!parsed) {
+            row.note = 'Unrecognized Windows build';
+            return row;
+        }
+
+        const key = windowsEditionKey(parsed.major, device.osName);
+        if (!key) {
+            row.edition = device.osName;
+            row.note = 'Edition is not tracked';
+            return row;
+        }
+
+        const edition = WINDOWS_EDITIONS[key];
+        row.edition = edition.name;
+
+        const results = await Promise.all([
+            loadOrEmpty(`/api/WindowsVersions/${key}/releases`),
+            loadOrEmpty(`/api/WindowsVersions/${edition.edition}`, response => response.data)
+        ]);
+        const releases = results[0];
+        const versions = results[1];
+
+        const family = releases
+            .filter(r => majorOf(r.buildNumber) === parsed.major)
+            .sort((a, b) => revisionOf(b.buildNumber) - revisionOf(a.buildNumber));
+
+        if (!family.length) {
+            row.note = `Build ${parsed.major} is not in the ${edition.name} update history`;
+            return row;
+        }
+
+        const installed = family.find(r => r.buildNumber === parsed.build) || null;
+        const latest = family.find(r => !NON_CUMULATIVE_TYPES.includes(r.type)) || family[0];
+
+        row.version = (installed || latest).version;
+        row.latestBuild = latest.buildNumber;
+        row.target = latest.kb || '';
+
+        if (parsed.revision === null) {
+            row.note = 'Build has no revision; patch level unknown';
+        } else if (parsed.revision >= revisionOf(latest.buildNumber)) {
+            row.monthsBehind = 0;
+        } else {
+            // Unknown revisions (e.g. private fixes) are dated by the closest earlier release
+            const baseline = installed || family.find(r => revisionOf(r.buildNumber) <= parsed.revision);
+            const months = baseline ? monthsBetween(parseDate(baseline.releaseDate), parseDate(latest.releaseDate)) : null;
+            row.monthsBehind = months === null ? null : Math.max(1, months);
+            if (!installed) row.note = 'Installed build is not in the update history';
+        }
+
+        const endDate = windowsEndOfServicing(versions, row.version, device.osName, key.startsWith('server'));
+        row.endOfServicing = isoDate(endDate);
+        row.servicingStatus = servicingStatus(endDate);
+        row.status = overallStatus(row);
+        return row;
+    }
+
+    // ---------------------------------------------------------------------
+    // Microsoft 365 Apps
+    // ---------------------------------------------------------------------
+
+    /**
+     * Accepts "16.0.17928.20156" or "17928.20156"
+     */
+    function parseOfficeBuild(value) {
+        const match = String(value || '').trim().match(/^(?:16\.0\.)?(\d{5})\.(\d+)$/);
+        return match ? { major: match[1], revision: Number(match[2]), build: `${match[1]}.${match[2]}` } : null;
+    }
+
+    /**
+     * Maps channel names, ConfigMgr values and CDNBaseUrl GUIDs to a channel with release history
+     */
+    function officeChannelName(value) {
+        const text = String(value || '').toLowerCase();
+        if (!text) return null;
+
+        const id = Object.keys(OFFICE_CHANNEL_IDS).find(guid => text.includes(guid));
+        if (id) return OFFICE_CHANNEL_IDS[id];
+
+        if (text.includes('preview') || text.includes('targeted')) return null;
+        if (text.includes('monthly')) return 'Monthly Enterprise Channel';
+        if (text.includes('current')) return 'Current Channel';
+        if (text.includes('semi') || text.includes('broad') || text.includes('deferred')) return 'Semi-Annual Enterprise Channel';
+        return null;
+    }
+
+    async function evaluateOffice(device) {
+        const row = baseRow(device, 'Microsoft 365 Apps');
+        row.edition = 'Microsoft 365 Apps';
+        row.installedBuild = device.officeBuild;
+
+        const parsed = parseOfficeBuild(device.officeBuild);
+        if (!parsed) {
+            row.note = 'Unrecognized Office build';
+            return row;
+        }
+
+        // Without a known channel every channel history is searched
+        const knownChannel = officeChannelName(device.officeChannel);
+        const channels = knownChannel ? [knownChannel] : OFFICE_CHANNELS;
+
+        let history = [];
+        let release = null;
+        for (const channel of channels) {
+            history = await loadOrEmpty(`/api/M365AppsReleases/channel/${encodeURIComponent(channel)}`);
+            release = history.find(r => r.build === parsed.build)
+                || history.find(r => majorOf(r.build) === parsed.major);
+            if (release) break;
+        }
+
+        if (!release) {
+            row.channel = knownChannel || '';
+            row.note = 'Build is not in the channel release history';
+            return row;
+        }
+
+        row.channel = release.channel;
+        row.version = release.version;
+
+        // The aggregated latest file lists only versions still in service
+        const inService = (await loadOrEmpty('/api/M365AppsReleases', response => response.data))
+            .filter(v => v.channel === release.channel);
+        const supportedVersion = inService.find(v => v.version === release.version);
+        const newest = inService.slice().sort((a, b) => Number(b.version) - Number(a.version))[0];
+        const target = supportedVersion || newest || history[0];
+
+        row.latestBuild = target.build;
+        row.target = `Version ${target.version} (Build ${target.build})`;
+
+        const installed = history.find(r => r.build === parsed.build) || release;
+        const targetRelease = history.find(r => r.build === target.build);
+        if (majorOf(target.build) === parsed.major && parsed.revision >= revisionOf(target.build)) {
+            row.monthsBehind = 0;
+        } else {
+            const months = targetRelease ? monthsBetween(parseDate(installed.releaseDate), parseDate(targetRelease.releaseDate)) : null;
+            row.monthsBehind = months === null ? null : Math.max(1, months);
+        }
+
+        if (supportedVersion) {
+            // End of service is either a date or text such as "Version 2309 is released"
+            const endDate = parseDate(supportedVersion.endOfService);
+            row.endOfServicing = endDate ? isoDate(endDate) : supportedVersion.endOfService;
+            row.servicingStatus = endDate ? servicingStatus(endDate) : 'Supported';
+        } else if (inService.length) {
+            row.servicingStatus = 'End of servicing';
+        }
+
+        row.status = overallStatus(row);
+        return row;
+    }
+
+    // ---------------------------------------------------------------------
+    // Report
+    // ---------------------------------------------------------------------
+
+    /**
+     * Evaluates every device; a device yields one row per product found in the inventory
+     * @param {object[]} devices - From parseInventory()
+     * @param {function} [onProgress] - Called with (done, total)
+     * @returns {Promise<object[]>} Report rows
+     */
+    async function evaluate(devices, onProgress) {
+        const rows = [];
+        for (let i = 0; i < devices.length; i++) {
+            const device = devices[i];
+            if (device.osBuild) rows.push(await evaluateWindows(device));
+            if (device.officeBuild) rows.push(await evaluateOffice(device));
+            if (onProgress) onProgress(i + 1, devices.length);
+        }
+        return rows;
+    }
+
+    /**
+     * Counts rows per overall status
+     */
+    function summarize(rows) {
+        return rows.reduce((summary, row) => {
+            summary[row.status] = (summary[row.status] || 0) + 1;
+            return summary;
+        }, {});
+    }
+
+    /**
+     * The report as CSV, written by TableExport so formula-like hostnames and notes are escaped
+     * the same way as every other export
+     */
+    function toCsv(rows) {
+        return window.TableExport.toCsv({
+            headers: EXPORT_COLUMNS.map(c => c.label),
+            rows: rows.map(row => EXPORT_COLUMNS.map(c => row[c.key]))
+        });
+    }
+
+    /**
+     * Saves the report as a CSV or JSON file
+     * @param {object[]} rows - Report rows
+     * @param {string} format - 'csv' or 'json'
+     */
+    function download(rows, format) {
+        const isJson = format === 'json';
+        const content = isJson ? JSON.stringify(rows, null, 2) : toCsv(rows);
+        const blob = new Blob([content], { type: isJson ? 'application/json' : 'text/csv;charset=utf-8' });
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(blob);
+        link.download = `fleet-compliance-${isoDate(new Date())}.${isJson ? 'json' : 'csv'}`;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        setTimeout(() => URL.revokeObjectURL(link.href), 0);
+    }
+
+    window.FleetCompliance = {
+        parseInventory: parseInventory,
+        parseCsv: parseCsv,
+        evaluate: evaluate,
+        summarize: summarize,
+        toCsv: toCsv,
+        download: download,
+        parseWindowsBuild: parseWindowsBuild,
+        parseOfficeBuild: parseOfficeBuild,
+        officeChannelName: officeChannelName
+    };
+})(window);
@@ -0,0 +1,373 @@
+/**
+ * Lifecycle Timeline
+ * Gantt-style chart of Windows and Microsoft 365 Apps support windows
+ * (entries from /api/lifecycle) plotted against today.
+ *
+ *   const timeline = LifecycleTimeline.create(document.getElementById('timeline'));
+ *   timeline.setData(response.data);
+ *   timeline.setFilter(entry => entry.family !== 'Windows 10');
+ *   timeline.zoom(0.5);   // zoom in around the centre
+ *   timeline.pan(0.25);   // move a quarter of the visible span forward
+ *
+ * Bars are split at each milestone (e.g. Home/Pro end, then Enterprise end)
+ * and coloured by status: supported, ending soon, ended or upcoming.
+ * Hovering or focusing a bar shows its dates.
+ */
+(function (window) {
+    'use strict';
+
+    const DAY_MS = 1000 * 60 * 60 * 24;
+    const YEAR_MS = DAY_MS * 365.25;
+    const ENDING_SOON_DAYS = 180;
+    const MIN_SPAN_MS = DAY_MS * 90;
+    const MAX_SPAN_MS = YEAR_MS * 30;
+
+    /** Display order of the product families */
+    const FAMILIES = ['Windows 11', 'Windows 10', 'Windows Server', 'Microsoft 365 Apps'];
+
+    const STATUS_LABELS = {
+        supported: 'Supported',
+        ending: 'Ending soon',
+        ended: 'Out of support',
+        upcoming: 'Not yet available'
+    };
+
+    /**
+     * Parses an API date ("2024-10-01T00:00:00Z") as a UTC calendar date
+     * @param {string|null} value
+     * @returns {Date|null}
+     */
+    function parseDate(value) {
+        if (!value) return null;
+        const match = String(value).match(/^(\d{4})-(\d{2})-(\d{2})/);
+        if (match) return new Date(Date.UTC(Number(match[1]), Number(match[2]) - 1, Number(match[3])));
+        const date = new Date(value);
+        return isNaN(date.getTime()) ? null : date;
+    }
+
+    function formatDate(date) {
+        return date ? date.toISOString().slice(0, 10) : '';
+    }
+
+    function startOfToday() {
+        const now = new Date();
+        return new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate()));
+    }
+
+    /**
+     * Support status of an entry on a given day
+     * @param {object} entry - Timeline entry
+     * @param {Date} [today]
+     * @returns {'supported'|'ending'|'ended'|'upcoming'}
+     */
+    function status(entry, today) {
+        const day = today || startOfToday();
+        const start = parseDate(entry.startDate);
+        const end = parseDate(entry.endDate);
+
+        if (start && start > day) return 'upcoming';
+        if (end && end < day) return 'ended';
+        if (end && (end - day) / DAY_MS <= ENDING_SOON_DAYS) return 'ending';
+        return 'supported';
+    }
+
+    /**
+     * Axis ticks for a range: quarters below two years, years below twelve, otherwise every other year
+     * @param {Date} from
+     * @param {Date} to
+     * @returns {{date: Date, label: string, major: boolean}[]}
+     */
+    function ticks(from, to) {
+        const years = (to - from) / YEAR_MS;
+        const monthStep = years <= 2 ? 3 : (years <= 12 ? 12 : 24);
+        const result = [];
+
+        let year = from.getUTCFullYear();
+        let month = monthStep < 12 ? Math.floor(from.getUTCMonth() / monthStep) * monthStep : 0;
+        if (monthStep === 24) year -= year % 2;
+
+        for (let date = new Date(Date.UTC(year, month, 1)); date <= to; date = new Date(Date.UTC(year, month, 1))) {
+            if (date >= from) {
+                const major = date.getUTCMonth() === 0;
+                result.push({
+                    date: date,
+                    label: major ? String(date.getUTCFullYear()) : `Q${date.getUTCMonth() / 3 + 1}`,
+                    major: major
+                });
+            }
+            month += monthStep;
+            year += Math.floor(month / 12);
+            month %= 12;
+        }
+
+        return result;
+    }
+
+    /**
+     * Creates a timeline inside a container element
+     * @param {HTMLElement} container
+     * @param {{from?: Date, to?: Date, today?: Date}} [options] - Initial range (default: three years either side of today)
+     */
+    function create(container, options) {
+        const opts = options || {};
+        const html = window.SafeHtml.html;
+        const today = opts.today || startOfToday();
+
+        let entries = [];
+        let filter = function () { return true; };
+        let from = opts.from || new Date(today.getTime() - 3 * YEAR_MS);
+        let to = opts.to || new Date(today.getTime() + 3 * YEAR_MS);
+
+        const tooltip = document.createElement('div');
+        tooltip.className = 'lifecycle-tooltip';
+        tooltip.setAttribute('role', 'tooltip');
+        tooltip.hidden = true;
+        document.body.appendChild(tooltip);
+
+        container.addEventListener('mouseover', e => showTooltip(e.target, e));
+        container.addEventListener('mousemove', e => moveTooltip(e.clientX, e.clientY));
+        container.addEventListener('mouseout', e => {
+            if (!e.relatedTarget || !container.contains(e.relatedTarget)) tooltip.hidden = true;
+        });
+        container.addEventListener('focusin', e => {
+            const rect = e.target.getBoundingClientRect();
+            if (showTooltip(e.target)) moveTooltip(rect.left + rect.width / 2, rect.bottom);
+        });
+        container.addEventListener('focusout', () => { tooltip.hidden = true; });
+        container.addEventListener('wheel', e => {
+            if (!e.ctrlKey) return;
+            e.preventDefault();
+            zoom(e.deltaY > 0 ? 1.25 : 0.8, anchorAt(e.clientX));
+        }, { passive: false });
+
+        function position(date) {
+            return ((date - from) / (to - from)) * 100;
+        }
+
+        function clampPercent(value) {
+            return Math.max(0, Math.min(100, value));
+        }
+
+        function anchorAt(clientX) {
+            const track = container.querySelector('.lifecycle-axis .lifecycle-track');
+            if (!track) return 0.5;
+            const rect = track.getBoundingClientRect();
+            return rect.width ? Math.max(0, Math.min(1, (clientX - rect.left) / rect.width)) : 0.5;
+        }
+
+        function visibleEntries() {
+            return entries.filter(entry => {
+                if (!filter(entry)) return false;
+                const start = parseDate(entry.startDate);
+                const end = parseDate(entry.endDate);
+                return start && start <= to && (!end || end >= from);
+            });
+        }
+
+        function renderBar(entry, index) {
+            const start = parseDate(entry.startDate);
+            const end = parseDate(entry.endDate);
+            const barEnd = end || to;
+            const left = clampPercent(position(start));
+            const right = clampPercent(position(barEnd));
+
+            // Segment boundaries relative to the bar: availability, each milestone
+            const points = [start].concat((entry.milestones || []).map(m => parseDate(m.date)).filter(Boolean));
+            const segments = points.slice(0, -1).map((point, i) => {
+                const segLeft = clampPercent(position(point));
+                const segRight = clampPercent(position(points[i + 1]));
+                return { left: segLeft, width: segRight - segLeft, tier: i };
+            });
+            if (!end || segments.length === 0) {
+                const last = clampPercent(position(points[points.length - 1]));
+                segments.push({ left: last, width: right - last, tier: segments.length });
+            }
+
+            const width = Math.max(right - left, 0.3);
+            const statusClass = `lifecycle-bar--${status(entry, today)}`;
+
+            return html`
+                <div class="lifecycle-bar ${statusClass}${end ? '' : ' lifecycle-bar--open'}"
+                     style="left: ${left.toFixed(3)}%; width: ${width.toFixed(3)}%;"
+                     tabindex="0" data-entry="${index}" aria-label="${describe(entry)}">
+                    ${segments.filter(s => s.width > 0).map(s => html`
+                        <span class="lifecycle-segment lifecycle-segment--${Math.min(s.tier, 2)}"
+                              style="left: ${(((s.left - left) / width) * 100).toFixed(3)}%; width: ${((s.width / width) * 100).toFixed(3)}%;"></span>`)}
+                    <span class="lifecycle-bar-label">${entry.version}</span>
+                </div>`;
+        }
+
+        function describe(entry) {
+            const end = parseDate(entry.endDate);
+            return `${entry.name}: available ${formatDate(parseDate(entry.startDate))}, ` +
+                (end ? `support ends ${formatDate(end)}` : 'no end date announced') +
+                ` (${STATUS_LABELS[status(entry, today)]})`;
+        }
+
+        function render() {
+            const visible = visibleEntries();
+            const todayLeft = position(today);
+            const todayMarker = todayLeft >= 0 && todayLeft <= 100
+                ? html`<div class="lifecycle-today" style="left: ${todayLeft.toFixed(3)}%;"></div>`
+                : '';
+
+            const axis = html`
+                <div class="lifecycle-row lifecycle-axis">
+                    <div class="lifecycle-label"></div>
+                    <div class="lifecycle-track">
+                        ${ticks(from, to).map(t => html`
+                            <span class="lifecycle-tick${t.major ? ' lifecycle-tick--major' : ''}" style="left: ${position(t.date).toFixed(3)}%;">${t.label}</span>`)}
+                        ${todayLeft >= 0 && todayLeft <= 100
+                            ? html`<span class="lifecycle-today-label" style="left: ${todayLeft.toFixed(3)}%;">Today</span>`
+                            : ''}
+                    </div>
+                </div>`;
+
+            const families = FAMILIES.concat(visible.map(e => e.family).filter(f => !FAMILIES.includes(f)));
+            const groups = families
+                .map(family => ({ family: family, rows: visible.filter(e => e.family === family) }))
+                .filter(group => group.rows.length);
+
+            if (!groups.length) {
+                container.innerHTML = String(html`${axis}<p class="text-muted text-center py-4 mb-0">No versions in this range.</p>`);
+                return;
+            }
+
+            container.innerHTML = String(html`
+                ${axis}
+                ${groups.map(group => html`
+                    <div class="lifecycle-group">${group.family}</div>
+                    ${group.rows.map(entry => html`
+                        <div class="lifecycle-row">
+                            <div class="lifecycle-label" title="${entry.name}">${entry.name}</div>
+                            <div class="lifecycle-track">
+                                ${todayMarker}
+                                ${renderBar(entry, entries.indexOf(entry))}
+                            </div>
+                        </div>`)}`)}`);
+        }
+
+        function showTooltip(target, event) {
+            const bar = target.closest ? target.closest('[data-entry]') : null;
+            if (!bar) {
+                if (event) tooltip.hidden = true;
+                return false;
+            }
+
+            const entry = entries[Number(bar.dataset.entry)];
+            const state = status(entry, today);
+            const end = parseDate(entry.endDate);
+            const daysLeft = end ? Math.round((end - today) / DAY_MS) : null;
+
+            tooltip.innerHTML = String(html`
+                <div class="fw-semibold">${entry.name}</div>
+                <div class="small mb-1"><span class="lifecycle-dot lifecycle-bar--${state}"></span>${STATUS_LABELS[state]}
+                    ${daysLeft !== null && daysLeft >= 0 && state !== 'upcoming' ? html` &middot; ${daysLeft} days left` : ''}</div>
+                <table class="small">
+                    <tr><td class="pe-2 text-muted">Available</td><td>${formatDate(parseDate(entry.startDate))}</td></tr>
+                    ${(entry.milestones || []).map(m => html`<tr><td class="pe-2 text-muted">${m.name}</td><td>${formatDate(parseDate(m.date))}</td></tr>`)}
+                    ${end ? '' : html`<tr><td class="pe-2 text-muted">End</td><td>Not announced</td></tr>`}
+                    ${entry.channel ? html`<tr><td class="pe-2 text-muted">Channel</td><td>${entry.channel}</td></tr>` : ''}
+                    ${entry.latestBuild ? html`<tr><td class="pe-2 text-muted">Latest build</td><td>${entry.latestBuild}</td></tr>` : ''}
+                </table>`);
+            tooltip.hidden = false;
+            return true;
+        }
+
+        function moveTooltip(x, y) {
+            if (tooltip.hidden) return;
+            const margin = 12;
+            const width = tooltip.offsetWidth;
+            const height = tooltip.offsetHeight;
+            const left = Math.min(x + margin, window.innerWidth - width - margin);
+            const top = y + margin + height > window.innerHeight ? y - height - margin : y + margin;
+            tooltip.style.left = `${Math.max(margin, left)}px`;
+            tooltip.style.top = `${Math.max(margin, top)}px`;
+        }
+
+        /**
+         * Sets the visible range and redraws
+         * @param {Date} rangeFrom
+         * @param {Date} rangeTo
+         */
+        function setRange(rangeFrom, rangeTo) {
+            const span = Math.max(MIN_SPAN_MS, Math.min(MAX_SPAN_MS, rangeTo - rangeFrom));
+            const centre = (rangeFrom.getTime() + rangeTo.getTime()) / 2;
+            from = new Date(centre - span / 2);
+            to = new Date(centre + span / 2);
+            render();
+        }
+
+        /**
+         * Scales the visible span; factor below 1 zooms in
+         * @param {number} factor
+         * @param {number} [anchor] - Fraction of the width that stays in place (default: centre)
+         */
+        function zoom(factor, anchor) {
+            const fixed = anchor === undefined ? 0.5 : anchor;
+            const span = to - from;
+            const newSpan = Math.max(MIN_SPAN_MS, Math.min(MAX_SPAN_MS, span * factor));
+            const pivot = from.getTime() + span * fixed;
+            from = new Date(pivot - newSpan * fixed);
+            to = new Date(pivot + newSpan * (1 - fixed));
+            render();
+        }
+
+        /**
+         * Shifts the visible range by a fraction of its span (negative = back in time)
+         * @param {number} fraction
+         */
+        function pan(fraction) {
+            const shift = (to - from) * fraction;
+            from = new Date(from.getTime() + shift);
+            to = new Date(to.getTime() + shift);
+            render();
+        }
+
+        /**
+         * Shows a number of years around today: one third in the past, two thirds ahead
+         * @param {number|null} years - null fits every entry
+         */
+        function showYears(years) {
+            if (years) {
+                setRange(new Date(today.getTime() - (years / 3) * YEAR_MS), new Date(today.getTime() + (years * 2 / 3) * YEAR_MS));
+                return;
+            }
+
+            const dates = entries.filter(filter)
+                .flatMap(e => [parseDate(e.startDate), parseDate(e.endDate)])
+                .filter(Boolean)
+                .map(d => d.getTime());
+            if (!dates.length) return;
+            const padding = DAY_MS * 90;
+            setRange(new Date(Math.min(...dates) - padding), new Date(Math.max(...dates, today.getTime()) + padding));
+        }
+
+        return {
+            setData: function (data) {
+                entries = Array.isArray(data) ? data : [];
+                render();
+            },
+            setFilter: function (predicate) {
+                filter = predicate || function () { return true; };
+                render();
+            },
+            setRange: setRange,
+            showYears: showYears,
+            zoom: zoom,
+            pan: pan,
+            render: render,
+            getRange: function () {
+                return { from: from, to: to };
+            }
+        };
+    }
+
+    window.LifecycleTimeline = {
+        create: create,
+        status: status,
+        ticks: ticks,
+        parseDate: parseDate,
+        families: FAMILIES
+    };
+})(window);
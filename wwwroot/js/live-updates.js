@@ -0,0 +1,146 @@
+/**
+ * Live Updates
+ * Subscribes to the /api/live Server-Sent Events stream so pages can refresh
+ * their data in place when a scraper run finishes, without a reload.
+ *
+ *   LiveUpdates.on('Microsoft 365 Apps', function (event) {
+ *       if (event.type === 'scrape.completed') LiveUpdates.refreshTable(table);
+ *   });
+ *
+ * Events carry { id, type, product, timestampUtc, releases? } where type is
+ * 'scrape.completed' (the dataset was rewritten) or 'releases.detected'
+ * (releases lists the new builds/KBs). One EventSource is shared by every
+ * handler on the page and reconnects on its own; table reloads go through
+ * ApiCache, so a run that changed nothing costs a 304.
+ *
+ * Every connected page hears a scrape.completed at the same moment, so its
+ * handlers run after a random delay of up to REFRESH_SPREAD_MS to spread the
+ * refetches out instead of sending them all to the API at once.
+ */
+(function (window) {
+    'use strict';
+
+    const STREAM_URL = '/api/live';
+    const EVENT_TYPES = ['scrape.completed', 'releases.detected'];
+    const FLASH_CLASS = 'live-flash';
+    const FLASH_MS = 4000;
+    const REFRESH_SPREAD_MS = 30000;
+    const RECONNECT_MIN_MS = 30000;
+    const RECONNECT_SPREAD_MS = 60000;
+
+    const handlers = [];
+    const statusHandlers = [];
+    let source = null;
+
+    function dispatch(message) {
+        let event;
+        try {
+            event = JSON.parse(message.data);
+        } catch (error) {
+            console.warn('LiveUpdates: ignoring malformed event', message.data);
+            return;
+        }
+
+        const run = () => handlers
+            .filter(h => !h.product || h.product === event.product)
+            .forEach(h => {
+                try {
+                    h.handler(event);
+                } catch (error) {
+                    console.error('LiveUpdates: handler failed', error);
+                }
+            });
+
+        if (event.type === 'scrape.completed') {
+            setTimeout(run, Math.random() * REFRESH_SPREAD_MS);
+        } else {
+            run();
+        }
+    }
+
+    function setStatus(connected) {
+        statusHandlers.forEach(handler => handler(connected));
+    }
+
+    function connect() {
+        if (source || !window.EventSource) return;
+
+        source = new EventSource(STREAM_URL);
+        EVENT_TYPES.forEach(type => source.addEventListener(type, dispatch));
+        source.addEventListener('open', () => setStatus(true));
+        source.addEventListener('error', () => {
+            // EventSource retries by itself unless the server refused the stream outright (e.g. 503 when full),
+            // so reopen it after a while, at a random moment so refused pages do not all come back together
+            setStatus(false);
+            if (source.readyState === EventSource.CLOSED) {
+                source = null;
+                setTimeout(connect, RECONNECT_MIN_MS + Math.random() * RECONNECT_SPREAD_MS);
+            }
+        });
+    }
+
+    /**
+     * Registers a handler and opens the stream on first use
+     * @param {string|null} product - 'Windows', 'Microsoft 365 Apps' or null for both
+     * @param {Function} handler - Called with each event object
+     */
+    function on(product, handler) {
+        handlers.push({ product: product, handler: handler });
+        connect();
+    }
+
+    /**
+     * Registers a handler for connection state changes (true when the stream is open)
+     * @param {Function} handler
+     */
+    function onStatus(handler) {
+        statusHandlers.push(handler);
+        if (source && source.readyState === EventSource.OPEN) handler(true);
+    }
+
+    /**
+     * Briefly highlights an element (e.g. a table row that just arrived)
+     * @param {Element} element
+     */
+    function flash(element) {
+        if (!element) return;
+        element.classList.remove(FLASH_CLASS);
+        void element.offsetWidth; // Restart the animation when flashed twice in a row
+        element.classList.add(FLASH_CLASS);
+        setTimeout(() => element.classList.remove(FLASH_CLASS), FLASH_MS);
+    }
+
+    /**
+     * Reloads a DataTable in place (keeping paging) and flashes rows that are new or changed
+     * @param {object} table - DataTables API instance with an ajax source
+     * @param {Function} [key] - Row identity; defaults to the whole row, so changed rows flash too
+     * @returns {Promise<number>} Number of flashed rows
+     */
+    function refreshTable(table, key) {
+        const rowKey = key || (row => JSON.stringify(row));
+        const before = new Set(table.rows().data().toArray().map(rowKey));
+
+        return new Promise(resolve => {
+            table.ajax.reload(function () {
+                let flashed = 0;
+                // Nothing to compare against when the table was empty (e.g. the first load failed)
+                if (before.size > 0) {
+                    table.rows().every(function () {
+                        if (!before.has(rowKey(this.data()))) {
+                            flash(this.node());
+                            flashed++;
+                        }
+                    });
+                }
+                resolve(flashed);
+            }, false);
+        });
+    }
+
+    window.LiveUpdates = {
+        on: on,
+        onStatus: onStatus,
+        flash: flash,
+        refreshTable: refreshTable
+    };
+})(window);
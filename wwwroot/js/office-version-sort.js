@@ -0,0 +1,123 @@
+/**
+ * Office Version Sorting Utilities
+ * Parses Microsoft 365 Apps versions and builds into structured values and orders them.
+ *
+ * Understands every form the release tables show:
+ * - 2508, 2412 (version, YYMM)
+ * - 16731.20234 (build: major.minor)
+ * - 16.0.16731.20234 (full build)
+ * - Decorated labels such as "Version 2308 (Build 16731.20234)"
+ *
+ *   OfficeVersionSort.parse('16.0.16731.20234')
+ *   // { version: null, major: 16731, minor: 20234, raw: '16.0.16731.20234' }
+ *
+ *   builds.sort(OfficeVersionSort.compare); // oldest first
+ *
+ * Numbers are compared as numbers, so 9126.20000 sorts before 16731.20234.
+ * Registers the DataTables "office-version" column type on load.
+ */
+(function (window, $) {
+    'use strict';
+
+    /**
+     * Parses a version or build
+     * @param {string|number} value - Version (YYMM), build or full build
+     * @returns {{version: number|null, major: number|null, minor: number|null, raw: string}|null}
+     *   version is the YYMM release (e.g. 2308) when present; major and minor are the build parts.
+     *   Returns null when neither can be found.
+     */
+    function parse(value) {
+        if (value === null || value === undefined) return null;
+
+        const raw = String(value).trim();
+        if (!raw) return null;
+
+        let version = null;
+        let major = null;
+        let minor = null;
+
+        // 16.0.16731.20234 or 16731.20234
+        const build = raw.match(/(?:\b16\.0\.)?\b(\d{4,5})\.(\d{1,5})\b(?!\.\d)/);
+        if (build) {
+            major = Number(build[1]);
+            minor = Number(build[2]);
+        }
+
+        // A standalone four-digit YYMM (not part of a build number)
+        const release = raw.replace(/\d+(?:\.\d+)+/g, ' ').match(/\b(\d{2})(0[1-9]|1[0-2])\b/);
+        if (release) {
+            version = Number(release[1] + release[2]);
+        }
+
+        if (version === null && major === null) return null;
+
+        return {
+            version: version,
+            major: major,
+            minor: minor,
+            raw: raw
+        };
+    }
+
+    function toParsed(value) {
+        return value && typeof value === 'object' && 'major' in value ? value : parse(value);
+    }
+
+    /**
+     * Total-order comparator, oldest first.
+     * Orders by major build, minor build, then version; values that only carry a version
+     * (no build) sort before builds. Identical values fall back to the raw text so the order is stable.
+     * Unparseable values sort before everything else.
+     * @param {string|object} a - Version, build or parse() result
+     * @param {string|object} b - Version, build or parse() result
+     * @returns {number} Negative, zero or positive
+     */
+    function compare(a, b) {
+        const pa = toParsed(a);
+        const pb = toParsed(b);
+
+        if (!pa || !pb) {
+            if (pa) return 1;
+            if (pb) return -1;
+            return String(a || '').localeCompare(String(b || ''));
+        }
+
+        return ((pa.major || 0) - (pb.major || 0))
+            || ((pa.minor || 0) - (pb.minor || 0))
+            || ((pa.version || 0) - (pb.version || 0))
+            || pa.raw.localeCompare(pb.raw);
+    }
+
+    /**
+     * Numeric sort value (higher = newer); -1 when the value cannot be parsed.
+     * Consistent with compare() except for the raw-label tie-break.
+     * @param {string} value - Version or build
+     * @returns {number}
+     */
+    function sortValue(value) {
+        const parsed = toParsed(value);
+        if (!parsed) return -1;
+        return (parsed.major || 0) * 1e9
+            + (parsed.minor || 0) * 1e4
+            + (parsed.version || 0);
+    }
+
+    /**
+     * DataTables column type: columns: [{ data: 'fullBuild', type: 'office-version' }]
+     * Renderers should return the plain version or build for non-display types.
+     */
+    if ($ && $.fn && $.fn.dataTable) {
+        $.fn.dataTable.ext.type.order['office-version-asc'] = function (a, b) {
+            return compare(a, b);
+        };
+        $.fn.dataTable.ext.type.order['office-version-desc'] = function (a, b) {
+            return compare(b, a);
+        };
+    }
+
+    window.OfficeVersionSort = {
+        parse: parse,
+        compare: compare,
+        sortValue: sortValue
+    };
+})(window, window.jQuery);
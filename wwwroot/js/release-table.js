@@ -0,0 +1,1016 @@
+/**
+ * Release Table Utilities
+ * Shared DataTables setup, badges, filters and update-details modal for the
+ * Windows and Microsoft 365 Apps release pages.
+ *
+ * Pages describe their table declaratively and this module owns the behaviour:
+ *
+ *   ReleaseTable.init({
+ *       table: '#server2016Releases',
+ *       endpoint: '/api/WindowsVersions/server2016/releases',
+ *       columns: ReleaseTable.windowsColumns({ colorClass: 'server-2016' }),
+ *       order: [[2, 'desc'], [0, 'desc']],
+ *       searchBuilder: [0, 1, 4],
+ *       details: ReleaseTable.details.windows,
+ *       errorMessage: 'Could not load Windows Server 2016 releases data.'
+ *   });
+ *
+ * Large histories can be paged on the server with serverSide: true; the
+ * endpoint then implements the DataTables server-side protocol (paging,
+ * ordering, global/column search and SearchBuilder criteria). With live set
+ * to a product name the table reloads in place, flashing new rows, whenever
+ * that product's scraper finishes (see LiveUpdates).
+ *
+ * The page state lives in the query string, so a reload or a shared link
+ * restores it (see the URL state section): the active tab (?tab=24h2), search
+ * (?q=), sort (?sort=releaseDate:desc), page filters (?recent=1, ?channel=...)
+ * and the open details modal (?kb=KB5060842 or ?build=...). ?kb= and ?build=
+ * page to the matching row, mark it and open its details; ?highlight= (used by
+ * the command palette for versions) only marks the row.
+ *
+ * Every table gets the TableExport toolbar (CSV, Excel, JSON and Markdown
+ * downloads and clipboard copies of the filtered rows) unless export is false.
+ *
+ * All markup is built with SafeHtml so scraped values are escaped and links
+ * are allow-listed. Requires jQuery, DataTables, Bootstrap, SafeHtml and
+ * ApiCache; live tables also need LiveUpdates and exports TableExport (all
+ * loaded by _Layout).
+ */
+(function (window, $, SafeHtml, ApiCache) {
+    'use strict';
+
+    const html = SafeHtml.html;
+
+    const MODAL_ID = 'updateDetailsModal';
+    const DAY_MS = 1000 * 60 * 60 * 24;
+    const HIGHLIGHT_CLASS = 'release-row-highlight';
+
+    /**
+     * Row fields compared with ?kb=, ?build= and ?highlight=, covering the Windows and Office columns
+     */
+    const HIGHLIGHT_FIELDS = ['kb', 'buildNumber', 'fullBuild', 'build', 'version'];
+
+    /**
+     * Badge label and colour for each update type reported by the API
+     */
+    const TYPE_BADGES = {
+        'Out-of-band': { label: 'Out-of-band', className: 'bg-warning' },
+        'Preview': { label: 'Preview', className: 'bg-info' },
+        'Security Update': { label: 'Quality Update', className: 'bg-danger' },
+        'Optional': { label: 'Optional', className: 'bg-secondary' },
+        'Cumulative': { label: 'Cumulative', className: 'bg-primary' },
+        'Feature': { label: 'Feature', className: 'bg-success' }
+    };
+
+    /**
+     * Converts a version or edition name to a CSS class suffix
+     * e.g. "LTSC 2021" -> "ltsc-2021", "Windows Server® 2022" -> "windows-server-2022"
+     */
+    function slugify(value) {
+        return String(value || '')
+            .toLowerCase()
+            .replace(/[®™]/g, '')
+            .trim()
+            .replace(/\s+/g, '-');
+    }
+
+    // ---------------------------------------------------------------------
+    // Cell renderers
+    // ---------------------------------------------------------------------
+
+    function typeBadge(type) {
+        if (!type) return '<span class="badge bg-secondary">Unknown</span>';
+
+        const badge = TYPE_BADGES[type] || { label: type, className: 'bg-secondary' };
+        return String(html`<span class="badge ${badge.className}">${badge.label}</span>`);
+    }
+
+    function isoDate(value) {
+        if (!value) return '';
+        const date = new Date(value);
+        return isNaN(date) ? value : date.toISOString().substring(0, 10);
+    }
+
+    function longDate(value) {
+        if (!value) return 'Unknown';
+        const date = new Date(value);
+        return isNaN(date)
+            ? value
+            : date.toLocaleDateString('en-US', { year: 'numeric', month: 'long', day: 'numeric' });
+    }
+
+    /**
+     * Release date with an age indicator (new / recent / stale) and a tooltip
+     * showing local time and relative age
+     */
+    function releaseAge(value) {
+        if (!value) return '';
+        const date = new Date(value);
+        if (isNaN(date)) return SafeHtml.escape(value);
+
+        const diffDays = Math.floor((Date.now() - date.getTime()) / DAY_MS);
+        let cls = 'release-date-cell';
+        if (diffDays <= 7) cls += ' new';
+        else if (diffDays <= 30) cls += ' recent';
+        else cls += ' stale';
+
+        const relative = diffDays === 0 ? 'today' : diffDays + 'd ago';
+        return String(html`<span class="${cls}" data-bs-toggle="tooltip" data-bs-title="${date.toLocaleString()} (${relative})">${date.toISOString().substring(0, 10)}</span>`);
+    }
+
+    function channelTag(channelName) {
+        if (!channelName) return '';
+
+        let tagClass = 'channel-tag';
+        const lower = channelName.toLowerCase();
+        if (lower.includes('current')) tagClass += ' current';
+        else if (lower.includes('monthly')) tagClass += ' monthly';
+        else if (lower.includes('semi')) tagClass += ' semiannual';
+
+        return String(html`<span class="${tagClass}">${channelName}</span>`);
+    }
+
+    function kbSupportUrl(kb) {
+        const match = kb ? String(kb).match(/^\s*(?:KB)?(\d+)\s*$/i) : null;
+        return match ? `https://support.microsoft.com/help/${match[1]}` : null;
+    }
+
+    // ---------------------------------------------------------------------
+    // Column presets
+    // ---------------------------------------------------------------------
+
+    /**
+     * Resolves the colour class for a row.
+     * colorClass: fixed class (string) or function(row) returning one
+     * colorPrefix: prefix combined with the slugified row version (e.g. 'win11-')
+     */
+    function resolveColorClass(options, row) {
+        if (typeof options.colorClass === 'function') return options.colorClass(row) || '';
+        if (options.colorClass) return options.colorClass;
+        if (options.colorPrefix && row && row.version) return options.colorPrefix + slugify(row.version);
+        return '';
+    }
+
+    /**
+     * Standard Windows release columns:
+     * Version, Build, Release Date, Servicing, KB, Type
+     */
+    function windowsColumns(options) {
+        const opts = options || {};
+
+        return [
+            {
+                data: 'version',
+                className: 'version-column',
+                type: 'windows-version',
+                render: function (data, type, row) {
+                    if (!data) return '';
+                    if (type !== 'display') return data;
+                    return String(html`<span class="version-badge ${resolveColorClass(opts, row)}">${data}</span>`);
+                }
+            },
+            {
+                data: 'buildNumber',
+                className: 'build-column',
+                render: function (data, type, row) {
+                    if (!data) return '';
+                    if (type !== 'display') return data;
+                    return String(html`<code class="build-code ${resolveColorClass(opts, row)}">${data}</code>`);
+                }
+            },
+            {
+                data: 'releaseDate',
+                className: 'release-date-column',
+                render: function (data, type) {
+                    const value = isoDate(data);
+                    return type === 'display' ? SafeHtml.escape(value) : value;
+                }
+            },
+            {
+                data: 'servicingOption',
+                className: 'd-none d-md-table-cell',
+                render: function (data, type) {
+                    return type === 'display' ? SafeHtml.escape(data) : (data || '');
+                }
+            },
+            {
+                data: 'kb',
+                className: 'd-none d-lg-table-cell',
+                render: function (data, type, row) {
+                    if (!data) return '-';
+                    if (type !== 'display') return data;
+                    const href = SafeHtml.url(row.url);
+                    return href
+                        ? String(html`<a href="${href}" target="_blank" rel="noopener noreferrer">${data}</a>`)
+                        : SafeHtml.escape(data);
+                }
+            },
+            {
+                data: 'type',
+                className: 'd-none d-lg-table-cell',
+                render: function (data, type) {
+                    if (type !== 'display') return data || '';
+                    return typeBadge(data);
+                }
+            }
+        ];
+    }
+
+    /**
+     * Standard Microsoft 365 Apps release columns:
+     * Version, Release Date, Channel, Full Build
+     */
+    function officeColumns(options) {
+        const opts = options || {};
+
+        return [
+            {
+                data: 'version',
+                type: 'office-version',
+                render: function (data, type) {
+                    if (!data) return '';
+                    if (type !== 'display') return data;
+                    return String(html`<span class="version-badge" title="Version ${data}">${data}</span>`);
+                }
+            },
+            {
+                data: 'releaseDate',
+                render: function (data, type) {
+                    if (type !== 'display') return data || '';
+                    return releaseAge(data);
+                }
+            },
+            {
+                data: 'channel',
+                className: opts.channelClassName || '',
+                render: function (data, type) {
+                    if (type !== 'display') return data || '';
+                    return channelTag(data);
+                }
+            },
+            {
+                data: 'fullBuild',
+                type: 'office-version',
+                render: function (data, type, row) {
+                    if (!data) return '';
+                    if (type !== 'display') return data;
+                    const code = html`<code class="build-code" title="Build ${data}">${data}</code>`;
+                    const href = SafeHtml.url(row.url);
+                    return String(href
+                        ? html`<a href="${href}" target="_blank" rel="noopener noreferrer" class="build-link">${code}</a>`
+                        : code);
+                }
+            }
+        ];
+    }
+
+    function detailsColumn(buttonTitle) {
+        return {
+            data: null,
+            className: 'text-center',
+            orderable: false,
+            searchable: false,
+            render: function () {
+                return String(html`<button type="button" class="btn btn-sm btn-outline-primary btn-details"
+                            data-bs-toggle="tooltip"
+                            data-bs-placement="top"
+                            title="${buttonTitle || 'View details'}">
+                            <i class="bi bi-info-circle"></i>
+                        </button>`);
+            }
+        };
+    }
+
+    // ---------------------------------------------------------------------
+    // Details modal
+    // ---------------------------------------------------------------------
+
+    /**
+     * Detail field presets. Each field is { key, label, icon, format } where
+     * format is one of:
+     *   text (default), heading, code, date, typeBadge, channel - shown in the two-column summary
+     *   paragraph, list, issues - shown full width, omitted when empty
+     * Links are { label, icon, className, href(record) } and are de-duplicated by URL.
+     * calendarEvent(record) returns the CalendarEvent shown by the "Add to calendar" button.
+     */
+    const details = {
+        windows: {
+            title: 'Update Details',
+            icon: 'bi-windows',
+            buttonTitle: 'View update details',
+            fields: [
+                { key: 'version', label: 'Version', icon: 'bi-tag', format: 'heading' },
+                { key: 'buildNumber', label: 'Build Number', icon: 'bi-hash', format: 'code' },
+                { key: 'releaseDate', label: 'Release Date', icon: 'bi-calendar-event', format: 'date' },
+                { key: 'servicingOption', label: 'Servicing Option', icon: 'bi-gear' },
+                { key: 'kb', label: 'KB Article', icon: 'bi-file-text' },
+                { key: 'type', label: 'Update Type', icon: 'bi-tag-fill', format: 'typeBadge' },
+                { key: 'description', label: 'Description', icon: 'bi-file-text', format: 'paragraph' },
+                { key: 'highlights', label: 'Highlights', icon: 'bi-star', format: 'list' },
+                { key: 'knownIssues', label: 'Known Issues', icon: 'bi-exclamation-triangle', format: 'issues' }
+            ],
+            links: [
+                {
+                    label: 'View Microsoft Support Article',
+                    icon: 'bi-box-arrow-up-right',
+                    className: 'btn-primary',
+                    href: function (record) { return kbSupportUrl(record.kb); }
+                },
+                {
+                    label: 'Additional Information',
+                    icon: 'bi-link-45deg',
+                    className: 'btn-outline-secondary',
+                    href: function (record) { return record.url; }
+                }
+            ],
+            calendarEvent: function (record) {
+                const kb = record.kb ? `KB${String(record.kb).replace(/^KB/i, '')}` : null;
+                return {
+                    uid: `${kb || record.version}-${record.buildNumber}`,
+                    title: `${kb || 'Windows update'}${record.version ? ` (version ${record.version})` : ''} released`,
+                    date: record.releaseDate,
+                    description: [
+                        record.buildNumber ? `Build ${record.buildNumber}` : null,
+                        record.type ? `Update type: ${record.type}` : null,
+                        record.servicingOption
+                    ].filter(Boolean).join('\n'),
+                    url: kbSupportUrl(record.kb) || record.url
+                };
+            }
+        },
+        office: {
+            title: 'Release Details',
+            icon: 'bi-microsoft',
+            buttonTitle: 'View release details',
+            fields: [
+                { key: 'version', label: 'Version', icon: 'bi-tag', format: 'heading' },
+                { key: 'fullBuild', label: 'Full Build', icon: 'bi-hash', format: 'code' },
+                { key: 'releaseDate', label: 'Release Date', icon: 'bi-calendar-event', format: 'date' },
+                { key: 'channel', label: 'Channel', icon: 'bi-diagram-3', format: 'channel' },
+                { key: 'description', label: 'Description', icon: 'bi-file-text', format: 'paragraph' },
+                { key: 'highlights', label: 'Highlights', icon: 'bi-star', format: 'list' },
+                { key: 'newFeatures', label: 'New Features', icon: 'bi-lightning', format: 'list' },
+                { key: 'knownIssues', label: 'Known Issues', icon: 'bi-exclamation-triangle', format: 'issues' }
+            ],
+            links: [
+                {
+                    label: 'View Release Notes',
+                    icon: 'bi-box-arrow-up-right',
+                    className: 'btn-primary',
+                    href: function (record) { return record.url; }
+                }
+            ],
+            calendarEvent: function (record) {
+                return {
+                    uid: `m365apps-${record.channel}-${record.fullBuild || record.build}`,
+                    title: `Microsoft 365 Apps ${record.channel || ''} Version ${record.version} released`.replace(/\s+/g, ' '),
+                    date: record.releaseDate,
+                    description: `Build ${record.fullBuild || record.build}`,
+                    url: record.url
+                };
+            }
+        }
+    };
+
+    const BLOCK_FORMATS = ['paragraph', 'list', 'issues'];
+
+    // Record shown in the details modal, used by its "Add to calendar" button
+    let currentDetails = null;
+
+    function renderSummaryValue(field, value) {
+        switch (field.format) {
+            case 'heading':
+                return html`<p class="h5">${value || 'N/A'}</p>`;
+            case 'code':
+                return html`<p class="h5"><code class="build-code">${value || 'N/A'}</code></p>`;
+            case 'date':
+                return html`<p>${longDate(value)}</p>`;
+            case 'typeBadge':
+                return html`<p>${SafeHtml.raw(typeBadge(value))}</p>`;
+            case 'channel':
+                return html`<p>${value ? SafeHtml.raw(channelTag(value)) : 'N/A'}</p>`;
+            default:
+                return html`<p>${value || 'N/A'}</p>`;
+        }
+    }
+
+    function renderBlock(field, value) {
+        if (!value || (Array.isArray(value) && value.length === 0)) return '';
+
+        let body;
+        if (field.format === 'paragraph') {
+            body = html`<p class="text-muted">${value}</p>`;
+        } else {
+            const items = Array.isArray(value) ? value : [value];
+            const itemClass = field.format === 'issues' ? 'list-group-item text-warning' : 'list-group-item';
+            body = html`<ul class="list-group list-group-flush">${items.map(item => html`<li class="${itemClass}">${item}</li>`)}</ul>`;
+        }
+
+        return html`
+            <div class="mb-3">
+                <h6 class="text-muted mb-2"><i class="bi ${field.icon} me-2"></i>${field.label}</h6>
+                ${body}
+            </div>`;
+    }
+
+    function renderLinks(links, record) {
+        const seen = new Set();
+        const buttons = (links || [])
+            .map(link => ({ link: link, href: SafeHtml.url(link.href(record)) }))
+            .filter(item => {
+                if (!item.href || seen.has(item.href)) return false;
+                seen.add(item.href);
+                return true;
+            })
+            .map(item => html`
+                <a href="${item.href}" target="_blank" rel="noopener noreferrer" class="btn ${item.link.className}">
+                    <i class="bi ${item.link.icon} me-2"></i>${item.link.label}
+                </a>`);
+
+        return buttons.length ? html`<div class="d-grid gap-2">${buttons}</div>` : '';
+    }
+
+    function renderCalendarButton(spec, record) {
+        if (!spec.calendarEvent || !window.CalendarEvent || !CalendarEvent.build(spec.calendarEvent(record))) return '';
+
+        return html`
+            <div class="d-grid mt-2">
+                <button type="button" class="btn btn-outline-primary" data-action="add-to-calendar">
+                    <i class="bi bi-calendar-plus me-2"></i>Add to calendar
+                </button>
+            </div>`;
+    }
+
+    function renderDetails(record, spec) {
+        const summary = spec.fields.filter(field => !BLOCK_FORMATS.includes(field.format));
+        const blocks = spec.fields.filter(field => BLOCK_FORMATS.includes(field.format));
+
+        const rows = [];
+        for (let i = 0; i < summary.length; i += 2) {
+            const cells = summary.slice(i, i + 2).map(field => html`
+                <div class="col-md-6">
+                    <h6 class="text-muted mb-2"><i class="bi ${field.icon} me-2"></i>${field.label}</h6>
+                    ${renderSummaryValue(field, record[field.key])}
+                </div>`);
+            rows.push(html`<div class="row mb-3">${cells}</div>`);
+        }
+
+        return html`
+            <div class="update-details-content">
+                ${rows}
+                ${blocks.map(field => renderBlock(field, record[field.key]))}
+                ${renderLinks(spec.links, record)}
+                ${renderCalendarButton(spec, record)}
+            </div>`;
+    }
+
+    /**
+     * Returns the shared details modal, creating it on first use
+     */
+    function ensureModal(spec) {
+        let modalElement = document.getElementById(MODAL_ID);
+
+        if (!modalElement) {
+            modalElement = document.createElement('div');
+            modalElement.className = 'modal fade';
+            modalElement.id = MODAL_ID;
+            modalElement.tabIndex = -1;
+            modalElement.setAttribute('aria-labelledby', MODAL_ID + 'Label');
+            modalElement.setAttribute('aria-hidden', 'true');
+            modalElement.innerHTML = `
+                <div class="modal-dialog modal-lg modal-dialog-scrollable">
+                    <div class="modal-content">
+                        <div class="modal-header bg-primary text-white">
+                            <h5 class="modal-title" id="${MODAL_ID}Label"></h5>
+                            <button type="button" class="btn-close btn-close-white" data-bs-dismiss="modal" aria-label="Close"></button>
+                        </div>
+                        <div class="modal-body" id="updateDetailsBody"></div>
+                        <div class="modal-footer">
+                            <button type="button" class="btn btn-secondary" data-bs-dismiss="modal">Close</button>
+                        </div>
+                    </div>
+                </div>`;
+            document.body.appendChild(modalElement);
+
+            modalElement.addEventListener('click', function (e) {
+                if (!e.target.closest('[data-action="add-to-calendar"]') || !currentDetails) return;
+                CalendarEvent.download(currentDetails.spec.calendarEvent(currentDetails.record));
+            });
+
+            modalElement.addEventListener('hidden.bs.modal', function () {
+                updateUrl({ kb: null, build: null });
+            });
+        }
+
+        modalElement.querySelector('.modal-title').innerHTML =
+            String(html`<i class="bi ${spec.icon || 'bi-info-circle'} me-2"></i>${spec.title || 'Details'}`);
+
+        return modalElement;
+    }
+
+    /**
+     * Opens the details modal for a release record
+     * @param {object} record - Row data as returned by the API
+     * @param {object} spec - Detail spec, e.g. ReleaseTable.details.windows
+     */
+    function showDetails(record, spec) {
+        if (!record) return;
+
+        currentDetails = { record: record, spec: spec };
+        const modalElement = ensureModal(spec);
+        modalElement.querySelector('.modal-body').innerHTML = String(renderDetails(record, spec));
+        bootstrap.Modal.getOrCreateInstance(modalElement).show();
+    }
+
+    // ---------------------------------------------------------------------
+    // URL state
+    // ---------------------------------------------------------------------
+
+    /**
+     * Query parameters kept in sync with the page (defaults are left out):
+     *   tab=24h2                   active initTabs tab, its target id without the page prefix
+     *   q=text                     table search (and the page's search box)
+     *   sort=releaseDate:desc,...  sort order, columns named by their data field
+     *   recent=1                   "recent only" toggle
+     *   <select param>=value       select filters, named by their param or element id
+     *                              without "Filter" (#channelFilter -> channel)
+     *   kb=KB5060842 | build=...   open details modal
+     *   highlight=24H2             row marked on arrival (command palette), never written
+     * The URL describes one table: the first initialized, or the one in the active tab.
+     */
+    let urlTable = null;
+
+    // The URL is restored into the first table only; later tabs start from their defaults
+    let urlRestored = false;
+
+    // Table element -> function writing that table's state to the URL
+    const urlWriters = new WeakMap();
+
+    function readUrl() {
+        return new URLSearchParams(window.location.search);
+    }
+
+    /**
+     * Sets query parameters in place (no history entry); null or empty values remove them
+     */
+    function updateUrl(changes) {
+        const params = readUrl();
+        Object.keys(changes).forEach(name => {
+            const value = changes[name];
+            if (value === null || value === undefined || value === '') params.delete(name);
+            else params.set(name, value);
+        });
+
+        const query = params.toString();
+        const url = window.location.pathname + (query ? '?' + query : '') + window.location.hash;
+        if (url !== window.location.pathname + window.location.search + window.location.hash) {
+            window.history.replaceState(null, '', url);
+        }
+    }
+
+    function columnName(column, index) {
+        return column && typeof column.data === 'string' ? column.data : String(index);
+    }
+
+    /**
+     * [[2, 'desc'], [0, 'desc']] -> "releaseDate:desc,version:desc"
+     */
+    function formatOrder(order, columns) {
+        return order.map(item => `${columnName(columns[item[0]], item[0])}:${item[1]}`).join(',');
+    }
+
+    /**
+     * "releaseDate:desc,version:desc" -> [[2, 'desc'], [0, 'desc']]; null when any column is unknown
+     */
+    function parseOrder(value, columns) {
+        const order = String(value || '').split(',').filter(Boolean).map(part => {
+            const pieces = part.split(':');
+            const index = columns.findIndex((column, i) => columnName(column, i) === pieces[0]);
+            if (index < 0 || columns[index].orderable === false) return null;
+            return [index, pieces[1] === 'asc' ? 'asc' : 'desc'];
+        });
+
+        return order.length && order.every(Boolean) ? order : null;
+    }
+
+    function selectParam(select) {
+        return select.param || String(select.element).replace(/^#/, '').replace(/Filter$/, '');
+    }
+
+    /**
+     * Applies ?q=, ?sort= and the filter parameters to a table's options and filter state
+     * (and to the page controls) before the table is created
+     */
+    function restoreState(params, config, options, filterState) {
+        const filters = config.filters || {};
+
+        const query = params.get('q');
+        if (query) {
+            options.search = { search: query };
+            if (filters.search) $(filters.search).val(query);
+        }
+
+        const order = parseOrder(params.get('sort'), options.columns);
+        if (order) options.order = order;
+
+        if (filters.recent && params.get('recent') === '1') filterState.recentOnly = true;
+
+        (filters.selects || []).forEach((select, index) => {
+            const value = params.get(selectParam(select));
+            if (!value) return;
+
+            // Only keep values the select actually offers
+            const $select = $(select.element).val(value);
+            if ($select.val() === value) filterState.selects[index] = value;
+        });
+    }
+
+    /**
+     * Writes a table's search, sort and filters to the URL
+     */
+    function writeState(table, columns, filters, defaultOrder, filterState) {
+        filters = filters || {};
+        const order = table.order().map(item => [item[0], item[1]]);
+
+        const changes = {
+            q: table.search(),
+            sort: JSON.stringify(order) === JSON.stringify(defaultOrder) ? null : formatOrder(order, columns),
+            recent: filters.recent && filterState.recentOnly ? '1' : null
+        };
+        (filters.selects || []).forEach((select, index) => {
+            changes[selectParam(select)] = filterState.selects[index] || null;
+        });
+
+        updateUrl(changes);
+    }
+
+    /**
+     * ?kb= for records with a KB number (Windows), otherwise ?build=
+     */
+    function detailsParams(record) {
+        const match = record.kb ? String(record.kb).match(/^\s*(?:KB)?(\d+)\s*$/i) : null;
+        return {
+            kb: match ? 'KB' + match[1] : null,
+            build: match ? null : (record.fullBuild || record.buildNumber || record.build || null)
+        };
+    }
+
+    // ---------------------------------------------------------------------
+    // Row highlighting (?kb=, ?build=, ?highlight=)
+    // ---------------------------------------------------------------------
+
+    /**
+     * Comparable form of a KB, build or version: "KB5060842" -> "5060842",
+     * "10.0.26100.4349" -> "26100.4349", "16.0.18827.20128" -> "18827.20128"
+     */
+    function highlightKey(value) {
+        return String(value || '')
+            .toLowerCase()
+            .replace(/\s+/g, '')
+            .replace(/^kb/, '')
+            .replace(/^(?:10|16)\.0\./, '');
+    }
+
+    /**
+     * The row a link points at: ?kb= or ?build= also open its details, ?highlight= only marks it
+     */
+    function readHighlight(params) {
+        const name = ['kb', 'build', 'highlight'].find(key => params.get(key));
+        if (!name) return null;
+
+        const value = params.get(name);
+        return { value: value, key: highlightKey(value), details: name !== 'highlight' };
+    }
+
+    /**
+     * Pages to the first row (in the current order) matching the highlight, marks it and
+     * scrolls it into view; opens its details when asked to
+     * @returns {boolean} Whether a row matched
+     */
+    function highlightRow(table, highlight, detailsSpec) {
+        const indexes = table.rows({ order: 'applied', search: 'applied' }).indexes().toArray();
+        const position = indexes.findIndex(index => {
+            const row = table.row(index).data();
+            return !!row && HIGHLIGHT_FIELDS.some(field => row[field] && highlightKey(row[field]) === highlight.key);
+        });
+        if (position < 0) return false;
+
+        // Server-side tables only hold the current page, which the server already filtered to the value
+        const pageLength = table.page.len();
+        if (!table.page.info().serverSide && pageLength > 0) {
+            table.page(Math.floor(position / pageLength)).draw(false);
+        }
+
+        const row = table.row(indexes[position]);
+        const node = row.node();
+        if (node) {
+            node.classList.add(HIGHLIGHT_CLASS);
+            node.scrollIntoView({ block: 'center', behavior: 'smooth' });
+        }
+
+        if (highlight.details && detailsSpec) {
+            showDetails(row.data(), detailsSpec);
+        }
+
+        return true;
+    }
+
+    // ---------------------------------------------------------------------
+    // Table setup
+    // ---------------------------------------------------------------------
+
+    function initTooltips(container) {
+        if (!window.bootstrap || !bootstrap.Tooltip) return;
+        container.querySelectorAll('[data-bs-toggle="tooltip"]').forEach(el => bootstrap.Tooltip.getOrCreateInstance(el));
+    }
+
+    function showLoadError($table, message) {
+        const $container = $($table.DataTable().table().container());
+        $container.find('.release-table-error').remove();
+        $('<div class="alert alert-warning release-table-error" role="alert"></div>')
+            .append('<i class="bi bi-exclamation-triangle me-2"></i>')
+            .append(document.createTextNode(message || 'Could not load release data. Please try again later.'))
+            .prependTo($container);
+    }
+
+    /**
+     * Wires page controls to a table.
+     * filters.search: selector of a free-text input driving the global search
+     * filters.recent: { toggle, days, key } - button toggling "recent only" by date field
+     * filters.selects: [{ element, match(row, value), param }] - select boxes filtering rows;
+     *   server-side tables send the value as the query parameter named by param instead of calling match
+     * @param {object} state - Filter state, shared with the server-side request builder
+     */
+    function bindFilters(table, tableElement, filters, state) {
+        if (!filters) return;
+
+        if (filters.search) {
+            $(filters.search).on('keyup change', function () {
+                table.search(this.value).draw();
+            });
+        }
+
+        if (filters.recent) {
+            const $toggle = $(filters.recent.toggle);
+            const renderToggle = function () {
+                $toggle.text(state.recentOnly ? 'Show full history' : 'Show recent only');
+                $toggle.attr('aria-pressed', state.recentOnly.toString());
+            };
+
+            // Restored from ?recent=1
+            if (state.recentOnly) renderToggle();
+
+            $toggle.on('click', function () {
+                state.recentOnly = !state.recentOnly;
+                renderToggle();
+                table.draw();
+            });
+        }
+
+        (filters.selects || []).forEach((select, index) => {
+            $(select.element).on('change', function () {
+                state.selects[index] = this.value;
+                table.draw();
+            });
+        });
+
+        $.fn.dataTable.ext.search.push(function (settings, data, dataIndex) {
+            if (settings.nTable !== tableElement) return true;
+
+            const row = table.row(dataIndex).data();
+            if (!row) return true;
+
+            if (state.recentOnly) {
+                const date = new Date(row[filters.recent.key || 'releaseDate']);
+                if (!isNaN(date) && Math.floor((Date.now() - date.getTime()) / DAY_MS) > filters.recent.days) {
+                    return false;
+                }
+            }
+
+            return (filters.selects || []).every((select, index) => {
+                const value = state.selects[index];
+                return !value || select.match(row, value);
+            });
+        });
+    }
+
+    /**
+     * Adds the page's select filters to a server-side request as plain query parameters
+     */
+    function serverParams(d, filters, state) {
+        ((filters && filters.selects) || []).forEach((select, index) => {
+            const value = state.selects[index];
+            if (select.param && value) d[select.param] = value;
+        });
+        return d;
+    }
+
+    /**
+     * Creates a release DataTable from a declarative config.
+     * @param {object} config
+     * @param {string} config.table - Table selector
+     * @param {string} [config.endpoint] - API URL returning an array of releases
+     * @param {boolean} [config.serverSide] - Page, order and search on the server (endpoint must support it)
+     * @param {Array} [config.data] - Preloaded rows (used when no endpoint is given)
+     * @param {Array} config.columns - DataTables column definitions (see windowsColumns/officeColumns)
+     * @param {Array} [config.order] - Default sort
+     * @param {Array} [config.searchBuilder] - Column indexes exposed in SearchBuilder
+     * @param {object} [config.details] - Detail spec; adds a Details column and modal
+     * @param {object} [config.filters] - Page controls (see bindFilters)
+     * @param {string} [config.errorMessage] - Message shown when loading fails
+     * @param {string} [config.live] - Product ('Windows' or 'Microsoft 365 Apps') whose scraper runs refresh the table
+     * @param {boolean} [config.urlState] - Set to false to keep the table's state out of the URL (e.g. report tables)
+     * @param {boolean|string} [config.export] - Export file name (defaults to the table id), or false for no export toolbar
+     * @param {object} [config.options] - Extra DataTables options
+     * @returns {object} The DataTables API instance
+     */
+    function init(config) {
+        const $table = $(config.table);
+        const tableElement = $table.get(0);
+        const columns = config.columns.slice();
+
+        if (config.details) {
+            columns.push(detailsColumn(config.details.buttonTitle));
+        }
+
+        const serverSide = !!(config.serverSide && config.endpoint);
+        const filterState = { recentOnly: false, selects: {} };
+
+        const options = Object.assign({
+            processing: true,
+            serverSide: serverSide,
+            autoWidth: false,
+            columns: columns,
+            order: config.order || [[0, 'desc']],
+            pageLength: 25,
+            lengthMenu: [[10, 25, 50, 100], [10, 25, 50, 100]],
+            drawCallback: function () {
+                initTooltips(this.api().table().container());
+            }
+        }, config.options);
+
+        if (serverSide) {
+            options.ajax = {
+                url: config.endpoint,
+                type: 'GET',
+                dataType: 'json',
+                dataSrc: 'data',
+                data: function (d) { return serverParams(d, config.filters, filterState); },
+                error: function (xhr, error, code) {
+                    console.error('DataTable AJAX error:', config.endpoint, error, code);
+                    showLoadError($table, config.errorMessage);
+                }
+            };
+            if (options.searchDelay === undefined) {
+                // Each keystroke is a request, so wait for typing to pause
+                options.searchDelay = 400;
+            }
+        } else if (config.endpoint) {
+            // Whole dataset in one response: cached and revalidated with its ETag
+            options.ajax = ApiCache.dataTablesAjax(config.endpoint, {
+                dataSrc: config.dataSrc,
+                onError: () => showLoadError($table, config.errorMessage)
+            });
+        } else {
+            options.data = config.data || [];
+        }
+
+        const urlState = config.urlState !== false;
+        if (urlState && !urlTable) urlTable = tableElement;
+
+        const defaultOrder = options.order;
+        let highlight = null;
+        if (urlState && urlTable === tableElement && !urlRestored) {
+            urlRestored = true;
+            const params = readUrl();
+            restoreState(params, config, options, filterState);
+            highlight = readHighlight(params);
+        }
+
+        if (highlight) {
+            if (serverSide && !options.search) {
+                // Only one page is loaded at a time, so let the server find the row
+                options.search = { search: highlight.value };
+            }
+
+            const initComplete = options.initComplete;
+            options.initComplete = function () {
+                if (initComplete) initComplete.apply(this, arguments);
+                highlightRow(this.api(), highlight, config.details);
+            };
+        }
+
+        if (config.searchBuilder && $.fn.dataTable.SearchBuilder) {
+            options.dom = 'Qlfrtip';
+            options.searchBuilder = { columns: config.searchBuilder };
+        }
+
+        const table = $table.DataTable(options);
+
+        if (config.details) {
+            $table.on('click', '.btn-details', function () {
+                const record = table.row($(this).closest('tr')).data();
+                showDetails(record, config.details);
+                if (urlState && record) updateUrl(detailsParams(record));
+            });
+        }
+
+        bindFilters(table, tableElement, config.filters, filterState);
+
+        if (config.export !== false && window.TableExport) {
+            window.TableExport.attach(table, { filename: typeof config.export === 'string' ? config.export : undefined });
+        }
+
+        if (urlState) {
+            const write = () => writeState(table, columns, config.filters, defaultOrder, filterState);
+            urlWriters.set(tableElement, write);
+
+            // Search, sort and filter changes all end in a draw
+            table.on('draw', () => {
+                if (urlTable === tableElement) write();
+            });
+            if (urlTable === tableElement) write();
+        }
+
+        if (config.live && config.endpoint && window.LiveUpdates) {
+            window.LiveUpdates.on(config.live, event => {
+                if (event.type === 'scrape.completed') window.LiveUpdates.refreshTable(table);
+            });
+        }
+
+        return table;
+    }
+
+    /**
+     * Key of a tab in ?tab=: the target id without its page prefix,
+     * e.g. '#win11-24h2' -> '24h2', '#win10-ltsc-2021' -> 'ltsc-2021'
+     */
+    function tabKey(targetId) {
+        return String(targetId).replace(/^#?[^-]+-/, '').toLowerCase();
+    }
+
+    /**
+     * Lazily initializes one table per Bootstrap tab the first time it is shown.
+     * The active tab is kept in ?tab=, and a link with ?tab= opens on that tab.
+     * @param {string} tabList - Selector of the tab list
+     * @param {object} tabs - Map of tab target (e.g. '#win11-26h1') to init config
+     * @param {string} initialTab - Tab shown when the URL names none
+     */
+    function initTabs(tabList, tabs, initialTab) {
+        const initialized = new Set();
+
+        function ensureInitialized(targetId) {
+            if (initialized.has(targetId) || !tabs[targetId]) return;
+            init(tabs[targetId]);
+            initialized.add(targetId);
+        }
+
+        // The URL follows the table in the active tab
+        function activate(targetId) {
+            urlTable = $(tabs[targetId].table).get(0);
+
+            if (initialized.has(targetId)) {
+                const write = urlWriters.get(urlTable);
+                if (write) write();
+            } else {
+                ensureInitialized(targetId);
+            }
+        }
+
+        document.querySelectorAll(tabList + ' [data-bs-toggle="tab"]').forEach(tab => {
+            tab.addEventListener('shown.bs.tab', event => {
+                const targetId = event.target.getAttribute('data-bs-target');
+                if (!tabs[targetId]) return;
+
+                updateUrl({ tab: targetId === initialTab ? null : tabKey(targetId) });
+                activate(targetId);
+            });
+        });
+
+        const requested = String(readUrl().get('tab') || '').toLowerCase();
+        const linkedTab = Object.keys(tabs).find(targetId => targetId !== initialTab && tabKey(targetId) === requested);
+        const button = linkedTab ? document.querySelector(`${tabList} [data-bs-target="${linkedTab}"]`) : null;
+
+        if (button && window.bootstrap) {
+            // shown.bs.tab initializes the linked tab's table, which restores the rest of the URL
+            bootstrap.Tab.getOrCreateInstance(button).show();
+        } else {
+            activate(initialTab);
+        }
+    }
+
+    window.ReleaseTable = {
+        init: init,
+        initTabs: initTabs,
+        showDetails: showDetails,
+        windowsColumns: windowsColumns,
+        officeColumns: officeColumns,
+        details: details,
+        typeBadge: typeBadge,
+        channelTag: channelTag,
+        isoDate: isoDate,
+        releaseAge: releaseAge,
+        kbSupportUrl: kbSupportUrl,
+        slugify: slugify
+    };
+})(window, jQuery, window.SafeHtml, window.ApiCache);
@@ -0,0 +1,133 @@
+/**
+ * Safe HTML Utilities
+ * Escaping and URL allow-listing for markup built from API data.
+ *
+ * Release data (versions, descriptions, highlights, known issues, links) is
+ * scraped from Microsoft pages, so it must never be interpolated into HTML
+ * unescaped. Build markup with the `SafeHtml.html` tagged template, which
+ * escapes every interpolated value unless it is itself SafeHtml output:
+ *
+ *   const href = SafeHtml.url(row.url);
+ *   cell.innerHTML = SafeHtml.html`<a href="${href}">${row.kb}</a>`;
+ *
+ * Loaded globally by _Layout.
+ */
+(function (window) {
+    'use strict';
+
+    /**
+     * Hosts (and their subdomains) that release links may point to
+     */
+    const ALLOWED_HOSTS = [
+        'microsoft.com',
+        'office.com',
+        'microsoft365.com',
+        'windows.com',
+        'aka.ms'
+    ];
+
+    const ESCAPES = {
+        '&': '&amp;',
+        '<': '&lt;',
+        '>': '&gt;',
+        '"': '&quot;',
+        "'": '&#39;',
+        '`': '&#96;'
+    };
+
+    /**
+     * Markup that has already been escaped (or is trusted static HTML)
+     */
+    class SafeString {
+        constructor(value) {
+            this.value = value;
+        }
+
+        toString() {
+            return this.value;
+        }
+    }
+
+    /**
+     * Escapes a value for use in HTML text or a quoted attribute
+     * @param {*} value - Any value; null and undefined become an empty string
+     * @returns {string} The escaped string
+     */
+    function escape(value) {
+        if (value === null || value === undefined) return '';
+        return String(value).replace(/[&<>"'`]/g, ch => ESCAPES[ch]);
+    }
+
+    /**
+     * Marks trusted markup so `html` does not escape it. Never pass API data here.
+     * @param {string} markup - Static, trusted HTML
+     * @returns {SafeString}
+     */
+    function raw(markup) {
+        return new SafeString(markup === null || markup === undefined ? '' : String(markup));
+    }
+
+    function interpolate(value) {
+        if (value instanceof SafeString) return value.value;
+        if (Array.isArray(value)) return value.map(interpolate).join('');
+        if (value === null || value === undefined || value === false) return '';
+        return escape(value);
+    }
+
+    /**
+     * Tagged template that escapes every interpolated value.
+     * Arrays are joined; nested `html` results and `raw` values are kept as-is.
+     * @returns {SafeString} Markup; use String(result) or assign to innerHTML
+     */
+    function html(strings) {
+        let out = strings[0];
+        for (let i = 1; i < strings.length; i++) {
+            out += interpolate(arguments[i]) + strings[i];
+        }
+        return new SafeString(out);
+    }
+
+    function isAllowedHost(hostname) {
+        const host = hostname.toLowerCase();
+        return ALLOWED_HOSTS.some(allowed => host === allowed || host.endsWith('.' + allowed));
+    }
+
+    /**
+     * Validates a link target against the allow-list.
+     * Accepts same-origin relative paths and https URLs on allow-listed hosts;
+     * everything else (javascript:, data:, http:, unknown hosts) is rejected.
+     * @param {string} value - Candidate URL
+     * @returns {string|null} The normalized URL, or null when not allowed
+     */
+    function url(value) {
+        if (!value || typeof value !== 'string') return null;
+
+        const candidate = value.trim();
+        if (!candidate) return null;
+
+        // Same-origin relative path ("/windows/releases11"), but not protocol-relative ("//host")
+        if (candidate.startsWith('/') && !candidate.startsWith('//') && !candidate.startsWith('/\\')) {
+            return candidate;
+        }
+
+        let parsed;
+        try {
+            parsed = new URL(candidate);
+        } catch (e) {
+            return null;
+        }
+
+        if (parsed.protocol !== 'https:' || parsed.username || parsed.password) return null;
+        if (!isAllowedHost(parsed.hostname)) return null;
+
+        return parsed.href;
+    }
+
+    window.SafeHtml = {
+        escape: escape,
+        raw: raw,
+        html: html,
+        url: url,
+        allowedHosts: ALLOWED_HOSTS.slice()
+    };
+})(window);
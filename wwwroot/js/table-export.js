@@ -0,0 +1,519 @@
+/**
+ * Table Export
+ * Export toolbar for DataTables: downloads the filtered rows as CSV, Excel
+ * (.xlsx), JSON or Markdown, and copies rows to the clipboard as plain text,
+ * Markdown or HTML.
+ *
+ *   TableExport.attach(table, { filename: 'windows-11-releases' });
+ *
+ * Exports follow what the table shows: the current search and filters, the
+ * current sort and the visible columns (columns without a data field, such as
+ * the details button, are left out). Server-side tables are re-requested with
+ * the same criteria in pages of the server's largest page size, so every
+ * matching row is exported, not just the loaded page. Clicking a row selects it for copying; with nothing
+ * selected the copy buttons take every filtered row.
+ *
+ * Cells use each column's renderer with the 'export' type, falling back to the
+ * raw value when the renderer returns markup. Release tables get the toolbar
+ * from ReleaseTable.init. TableExport.toCsv({ headers, rows }) is the CSV
+ * writer for other client-side exports too. Requires jQuery, DataTables, Bootstrap and SafeHtml
+ * (loaded by _Layout).
+ */
+(function (window, document, $, SafeHtml) {
+    'use strict';
+
+    const html = SafeHtml.html;
+
+    const SELECTED_CLASS = 'table-export-selected';
+    const STATUS_MS = 3000;
+
+    // DataTablesProcessor.MaxPageLength: the server returns no more rows than this per request
+    const SERVER_PAGE_LENGTH = 1000;
+
+    const FORMATS = {
+        csv: { label: 'CSV', icon: 'bi-filetype-csv', extension: 'csv', type: 'text/csv;charset=utf-8' },
+        xlsx: { label: 'Excel (.xlsx)', icon: 'bi-file-earmark-excel', extension: 'xlsx', type: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet' },
+        json: { label: 'JSON', icon: 'bi-filetype-json', extension: 'json', type: 'application/json;charset=utf-8' },
+        markdown: { label: 'Markdown', icon: 'bi-markdown', extension: 'md', type: 'text/markdown;charset=utf-8' }
+    };
+
+    const COPY_FORMATS = {
+        text: { label: 'Plain text', icon: 'bi-file-text' },
+        markdown: { label: 'Markdown', icon: 'bi-markdown' },
+        html: { label: 'HTML table', icon: 'bi-filetype-html' }
+    };
+
+    // ---------------------------------------------------------------------
+    // Reading the table
+    // ---------------------------------------------------------------------
+
+    function cellText(value) {
+        if (value === null || value === undefined) return '';
+        if (Array.isArray(value)) return value.map(cellText).join(', ');
+        return String(value).trim();
+    }
+
+    /**
+     * Visible columns with a data field: header text and a cell reader
+     */
+    function exportColumns(table) {
+        const definitions = table.settings()[0].aoColumns;
+
+        return definitions
+            .map((column, index) => ({ column: column, index: index }))
+            .filter(item => typeof item.column.mData === 'string' && table.column(item.index).visible())
+            .map(item => ({
+                title: $(table.column(item.index).header()).text().trim() || item.column.mData,
+                read: function (row) {
+                    const raw = row[item.column.mData];
+                    const render = item.column.mRender;
+                    if (typeof render !== 'function') return cellText(raw);
+
+                    const rendered = render(raw, 'export', row, { row: -1, col: item.index, settings: table.settings()[0] });
+                    return /<[a-z!/]/i.test(String(rendered)) ? cellText(raw) : cellText(rendered);
+                }
+            }));
+    }
+
+    /**
+     * Row data in the applied order and filter; server-side tables fetch all matching rows, one
+     * server page at a time until recordsFiltered is reached
+     * @returns {Promise<object[]>}
+     */
+    function filteredRows(table) {
+        if (!table.page.info().serverSide) {
+            return Promise.resolve(table.rows({ search: 'applied', order: 'applied' }).data().toArray());
+        }
+
+        const baseParams = table.ajax.params();
+        const rows = [];
+
+        function fetchPage(start) {
+            const params = Object.assign({}, baseParams, { draw: 0, start: start, length: SERVER_PAGE_LENGTH });
+            return Promise.resolve($.ajax({ url: table.ajax.url(), type: 'GET', dataType: 'json', data: params }))
+                .then(response => {
+                    const page = (response && response.data) || [];
+                    Array.prototype.push.apply(rows, page);
+
+                    const total = Number(response && response.recordsFiltered) || 0;
+                    return page.length && rows.length < total ? fetchPage(start + page.length) : rows;
+                });
+        }
+
+        return fetchPage(0);
+    }
+
+    function selectedRows(table) {
+        return table.rows('.' + SELECTED_CLASS, { order: 'applied' }).data().toArray();
+    }
+
+    /**
+     * { headers: string[], rows: string[][] } for the given row data
+     */
+    function snapshot(table, data) {
+        const columns = exportColumns(table);
+        return {
+            headers: columns.map(column => column.title),
+            rows: data.map(row => columns.map(column => column.read(row)))
+        };
+    }
+
+    // ---------------------------------------------------------------------
+    // Formats
+    // ---------------------------------------------------------------------
+
+    /**
+     * True for cells spreadsheets would run as formulas: starting with =, @, tab or CR, or with + or -
+     * followed by anything but a plain number (so -5 and +1.5 stay numbers). The CSV formatter on the
+     * server (TabularOutputFormatters.cs) applies the same rule.
+     */
+    function isFormulaLike(value) {
+        return /^[=@\t\r]/.test(value)
+            || (/^[+\-]./.test(value) && !/^[+\-](?:\d+\.?\d*|\.\d+)(?:e[+\-]?\d+)?$/i.test(value));
+    }
+
+    /**
+     * RFC 4180 CSV with a BOM for Excel; formula-like cells (see isFormulaLike) are prefixed with '
+     * @param {{headers: string[], rows: Array<Array<*>>}} sheet
+     * @returns {string}
+     */
+    function toCsv(sheet) {
+        const cell = value => {
+            const text = value === null || value === undefined ? '' : String(value);
+            const safe = isFormulaLike(text) ? "'" + text : text;
+            return /[",\r\n]/.test(safe) ? `"${safe.replace(/"/g, '""')}"` : safe;
+        };
+        return '\uFEFF' + [sheet.headers].concat(sheet.rows).map(row => row.map(cell).join(',')).join('\r\n') + '\r\n';
+    }
+
+    function toJson(sheet) {
+        const objects = sheet.rows.map(row => {
+            const item = {};
+            sheet.headers.forEach((header, index) => { item[header] = row[index]; });
+            return item;
+        });
+        return JSON.stringify(objects, null, 2);
+    }
+
+    function toMarkdown(sheet) {
+        const cell = value => String(value).replace(/\\/g, '\\\\').replace(/\|/g, '\\|').replace(/\r\n|\r|\n/g, '<br>');
+        const line = row => `| ${row.map(cell).join(' | ')} |`;
+        return [line(sheet.headers), line(sheet.headers.map(() => '---'))]
+            .concat(sheet.rows.map(line))
+            .join('\n') + '\n';
+    }
+
+    /**
+     * Tab-separated, which pastes into spreadsheets as cells
+     */
+    function toText(sheet) {
+        const cell = value => String(value).replace(/[\t\r\n]+/g, ' ');
+        return [sheet.headers].concat(sheet.rows).map(row => row.map(cell).join('\t')).join('\n') + '\n';
+    }
+
+    function toHtml(sheet) {
+        return String(html`<table>
+<thead><tr>${sheet.headers.map(header => html`<th>${header}</th>`)}</tr></thead>
+<tbody>
+${sheet.rows.map(row => html`<tr>${row.map(value => html`<td>${value}</td>`)}</tr>
+`)}</tbody>
+</table>`);
+    }
+
+    // ---------------------------------------------------------------------
+    // XLSX (a single worksheet of text cells in a stored, uncompressed zip)
+    // ---------------------------------------------------------------------
+
+    const CRC_TABLE = (function () {
+        const table = new Uint32Array(256);
+        for (let n = 0; n < 256; n++) {
+            let c = n;
+            for (let k = 0; k < 8; k++) c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+            table[n] = c >>> 0;
+        }
+        return table;
+    })();
+
+    function crc32(bytes) {
+        let crc = 0xFFFFFFFF;
+        for (let i = 0; i < bytes.length; i++) crc = CRC_TABLE[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+        return (crc ^ 0xFFFFFFFF) >>> 0;
+    }
+
+    /**
+     * Zip archive of text files without compression
+     * @param {Array<{name: string, content: string}>} files
+     * @returns {Uint8Array[]} Archive parts, in order
+     */
+    function zip(files) {
+        const encoder = new TextEncoder();
+        const DOS_DATE = 0x21; // 1980-01-01, the earliest zip timestamp
+        const UTF8_NAMES = 0x0800;
+        const parts = [];
+        const directory = [];
+        let offset = 0;
+
+        files.forEach(file => {
+            const name = encoder.encode(file.name);
+            const data = encoder.encode(file.content);
+            const crc = crc32(data);
+
+            const local = new DataView(new ArrayBuffer(30));
+            local.setUint32(0, 0x04034b50, true);
+            local.setUint16(4, 20, true);
+            local.setUint16(6, UTF8_NAMES, true);
+            local.setUint16(12, DOS_DATE, true);
+            local.setUint32(14, crc, true);
+            local.setUint32(18, data.length, true);
+            local.setUint32(22, data.length, true);
+            local.setUint16(26, name.length, true);
+            parts.push(new Uint8Array(local.buffer), name, data);
+
+            const entry = new DataView(new ArrayBuffer(46));
+            entry.setUint32(0, 0x02014b50, true);
+            entry.setUint16(4, 20, true);
+            entry.setUint16(6, 20, true);
+            entry.setUint16(8, UTF8_NAMES, true);
+            entry.setUint16(14, DOS_DATE, true);
+            entry.setUint32(16, crc, true);
+            entry.setUint32(20, data.length, true);
+            entry.setUint32(24, data.length, true);
+            entry.setUint16(28, name.length, true);
+            entry.setUint32(42, offset, true);
+            directory.push(new Uint8Array(entry.buffer), name);
+
+            offset += 30 + name.length + data.length;
+        });
+
+        const directorySize = directory.reduce((size, part) => size + part.length, 0);
+        const end = new DataView(new ArrayBuffer(22));
+        end.setUint32(0, 0x06054b50, true);
+        end.setUint16(8, files.length, true);
+        end.setUint16(10, files.length, true);
+        end.setUint32(12, directorySize, true);
+        end.setUint32(16, offset, true);
+
+        return parts.concat(directory, [new Uint8Array(end.buffer)]);
+    }
+
+    function xmlEscape(value) {
+        return String(value)
+            // Control characters are not allowed in XML 1.0
+            .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, '')
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+    }
+
+    function columnLetter(index) {
+        let letters = '';
+        for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+            letters = String.fromCharCode(65 + ((n - 1) % 26)) + letters;
+        }
+        return letters;
+    }
+
+    /**
+     * Every cell is an inline string, so builds such as 26100.4349 are not read as numbers
+     */
+    function toXlsx(sheet, sheetName) {
+        const XML_HEADER = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n';
+        const MAIN_NS = 'http://schemas.openxmlformats.org/spreadsheetml/2006/main';
+        const REL_NS = 'http://schemas.openxmlformats.org/officeDocument/2006/relationships';
+        const all = [sheet.headers].concat(sheet.rows);
+
+        const widths = sheet.headers.map((header, index) =>
+            Math.min(60, Math.max.apply(null, all.map(row => String(row[index] || '').length)) + 2));
+
+        const rowsXml = all.map((row, r) => `<row r="${r + 1}">${row.map((value, c) =>
+            `<c r="${columnLetter(c)}${r + 1}" t="inlineStr"><is><t xml:space="preserve">${xmlEscape(value)}</t></is></c>`).join('')}</row>`).join('');
+
+        const worksheet = XML_HEADER +
+            `<worksheet xmlns="${MAIN_NS}">` +
+            '<sheetViews><sheetView workbookViewId="0"><pane ySplit="1" topLeftCell="A2" activePane="bottomLeft" state="frozen"/></sheetView></sheetViews>' +
+            (widths.length ? `<cols>${widths.map((width, index) => `<col min="${index + 1}" max="${index + 1}" width="${width}" customWidth="1"/>`).join('')}</cols>` : '') +
+            `<sheetData>${rowsXml}</sheetData></worksheet>`;
+
+        const name = xmlEscape(String(sheetName || 'Export').replace(/[\[\]:*?\/\\]/g, ' ').slice(0, 31) || 'Export');
+
+        return zip([
+            {
+                name: '[Content_Types].xml',
+                content: XML_HEADER + '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">' +
+                    '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>' +
+                    '<Default Extension="xml" ContentType="application/xml"/>' +
+                    '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>' +
+                    '<Override PartName="/xl/worksheets/sheet1.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>' +
+                    '</Types>'
+            },
+            {
+                name: '_rels/.rels',
+                content: XML_HEADER + '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+                    `<Relationship Id="rId1" Type="${REL_NS}/officeDocument" Target="xl/workbook.xml"/>` +
+                    '</Relationships>'
+            },
+            {
+                name: 'xl/workbook.xml',
+                content: XML_HEADER + `<workbook xmlns="${MAIN_NS}" xmlns:r="${REL_NS}">` +
+                    `<sheets><sheet name="${name}" sheetId="1" r:id="rId1"/></sheets></workbook>`
+            },
+            {
+                name: 'xl/_rels/workbook.xml.rels',
+                content: XML_HEADER + '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+                    `<Relationship Id="rId1" Type="${REL_NS}/worksheet" Target="worksheets/sheet1.xml"/>` +
+                    '</Relationships>'
+            },
+            { name: 'xl/worksheets/sheet1.xml', content: worksheet }
+        ]);
+    }
+
+    // ---------------------------------------------------------------------
+    // Output
+    // ---------------------------------------------------------------------
+
+    function download(parts, filename, type) {
+        const blob = new Blob(parts, { type: type });
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(blob);
+        link.download = filename;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        setTimeout(() => URL.revokeObjectURL(link.href), 0);
+    }
+
+    /**
+     * Copies text, with an HTML flavour where the browser supports it
+     * @returns {Promise}
+     */
+    function copyToClipboard(text, markup) {
+        const clipboard = navigator.clipboard;
+
+        if (markup && clipboard && clipboard.write && window.ClipboardItem) {
+            return clipboard.write([new ClipboardItem({
+                'text/html': new Blob([markup], { type: 'text/html' }),
+                'text/plain': new Blob([text], { type: 'text/plain' })
+            })]);
+        }
+        if (clipboard && clipboard.writeText) return clipboard.writeText(markup || text);
+
+        // Pages served over plain HTTP have no Clipboard API
+        return new Promise((resolve, reject) => {
+            const area = document.createElement('textarea');
+            area.value = markup || text;
+            area.setAttribute('readonly', '');
+            area.style.position = 'fixed';
+            area.style.opacity = '0';
+            document.body.appendChild(area);
+            area.select();
+            const copied = document.execCommand('copy');
+            area.remove();
+            if (copied) resolve(); else reject(new Error('Copy command was rejected'));
+        });
+    }
+
+    function dateStamp() {
+        return new Date().toISOString().slice(0, 10);
+    }
+
+    function plural(count, noun) {
+        return `${count} ${noun}${count === 1 ? '' : 's'}`;
+    }
+
+    // ---------------------------------------------------------------------
+    // Toolbar
+    // ---------------------------------------------------------------------
+
+    function renderToolbar() {
+        return String(html`
+            <div class="table-export-toolbar d-flex flex-wrap align-items-center gap-2 mb-2" role="toolbar" aria-label="Export table">
+                <div class="btn-group btn-group-sm">
+                    <button type="button" class="btn btn-outline-secondary dropdown-toggle" data-bs-toggle="dropdown" aria-expanded="false">
+                        <i class="bi bi-download me-1"></i>Export
+                    </button>
+                    <ul class="dropdown-menu">
+                        ${Object.keys(FORMATS).map(key => html`
+                            <li><button type="button" class="dropdown-item" data-export="${key}"><i class="bi ${FORMATS[key].icon} me-2"></i>${FORMATS[key].label}</button></li>`)}
+                    </ul>
+                </div>
+                <div class="btn-group btn-group-sm">
+                    <button type="button" class="btn btn-outline-secondary dropdown-toggle" data-bs-toggle="dropdown" aria-expanded="false">
+                        <i class="bi bi-clipboard me-1"></i>Copy
+                    </button>
+                    <ul class="dropdown-menu">
+                        <li><h6 class="dropdown-header table-export-copy-scope">Filtered rows</h6></li>
+                        ${Object.keys(COPY_FORMATS).map(key => html`
+                            <li><button type="button" class="dropdown-item" data-copy="${key}"><i class="bi ${COPY_FORMATS[key].icon} me-2"></i>${COPY_FORMATS[key].label}</button></li>`)}
+                    </ul>
+                </div>
+                <span class="table-export-selection small text-muted d-none">
+                    <span class="table-export-selection-count"></span>
+                    <button type="button" class="btn btn-link btn-sm p-0 ms-1 align-baseline" data-export-clear>Clear</button>
+                </span>
+                <span class="table-export-status small text-muted" aria-live="polite"></span>
+                <span class="table-export-hint small text-muted ms-auto d-none d-md-inline">Click rows to select them for copying</span>
+            </div>`);
+    }
+
+    /**
+     * Adds the export toolbar above a DataTable
+     * @param {object} table - DataTables API instance
+     * @param {object} [options]
+     * @param {string} [options.filename] - File name without extension (defaults to the table id); the date is appended
+     * @param {string} [options.sheetName] - Excel worksheet name
+     */
+    function attach(table, options) {
+        const opts = options || {};
+        const tableElement = table.table().node();
+        const container = table.table().container();
+        if (!container || container.querySelector('.table-export-toolbar')) return;
+
+        const baseName = opts.filename || String(tableElement.id || 'table')
+            .replace(/([a-z0-9])([A-Z])/g, '$1-$2')
+            .toLowerCase();
+
+        container.insertAdjacentHTML('afterbegin', renderToolbar());
+        const toolbar = container.querySelector('.table-export-toolbar');
+        const status = toolbar.querySelector('.table-export-status');
+        let statusTimer = null;
+
+        function showStatus(message) {
+            status.textContent = message;
+            clearTimeout(statusTimer);
+            statusTimer = setTimeout(() => { status.textContent = ''; }, STATUS_MS);
+        }
+
+        function updateSelection() {
+            const count = table.rows('.' + SELECTED_CLASS).count();
+            toolbar.querySelector('.table-export-selection').classList.toggle('d-none', count === 0);
+            toolbar.querySelector('.table-export-selection-count').textContent = `${plural(count, 'row')} selected`;
+            toolbar.querySelector('.table-export-copy-scope').textContent = count ? 'Selected rows' : 'Filtered rows';
+        }
+
+        toolbar.addEventListener('click', e => {
+            const exportButton = e.target.closest('[data-export]');
+            const copyButton = e.target.closest('[data-copy]');
+
+            if (exportButton) {
+                const format = FORMATS[exportButton.dataset.export];
+                showStatus('Preparing export…');
+
+                filteredRows(table)
+                    .then(rows => {
+                        const sheet = snapshot(table, rows);
+                        const filename = `${baseName}-${dateStamp()}.${format.extension}`;
+
+                        switch (exportButton.dataset.export) {
+                            case 'xlsx': download(toXlsx(sheet, opts.sheetName || baseName), filename, format.type); break;
+                            case 'json': download([toJson(sheet)], filename, format.type); break;
+                            case 'markdown': download([toMarkdown(sheet)], filename, format.type); break;
+                            default: download([toCsv(sheet)], filename, format.type);
+                        }
+                        showStatus(`Exported ${plural(sheet.rows.length, 'row')}`);
+                    })
+                    .catch(error => {
+                        console.error('TableExport: export failed', error);
+                        showStatus('Export failed. Please try again.');
+                    });
+            } else if (copyButton) {
+                const selected = selectedRows(table);
+
+                (selected.length ? Promise.resolve(selected) : filteredRows(table))
+                    .then(rows => {
+                        const sheet = snapshot(table, rows);
+                        const format = copyButton.dataset.copy;
+                        const copied = format === 'html'
+                            ? copyToClipboard(toText(sheet), toHtml(sheet))
+                            : copyToClipboard(format === 'markdown' ? toMarkdown(sheet) : toText(sheet));
+                        return copied.then(() => showStatus(`Copied ${plural(sheet.rows.length, 'row')}`));
+                    })
+                    .catch(error => {
+                        console.error('TableExport: copy failed', error);
+                        showStatus('Could not copy to the clipboard.');
+                    });
+            } else if (e.target.closest('[data-export-clear]')) {
+                table.rows('.' + SELECTED_CLASS).nodes().to$().removeClass(SELECTED_CLASS).attr('aria-selected', null);
+                updateSelection();
+            }
+        });
+
+        // Row selection, leaving links, buttons and text selection alone
+        $(tableElement).on('click', 'tbody tr', function (e) {
+            if ($(e.target).closest('a, button, input, select, label').length) return;
+            if (String(window.getSelection ? window.getSelection() : '').length) return;
+            if (!table.row(this).data()) return;
+
+            const selected = this.classList.toggle(SELECTED_CLASS);
+            this.setAttribute('aria-selected', selected.toString());
+            updateSelection();
+        });
+
+        table.on('draw', updateSelection);
+    }
+
+    window.TableExport = {
+        attach: attach,
+        toCsv: toCsv
+    };
+})(window, document, jQuery, window.SafeHtml);
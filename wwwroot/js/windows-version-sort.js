@@ -1,80 +1,184 @@
 /**
  * Windows Version Sorting Utilities
- * Handles intelligent sorting of Windows versions like 22H2, 23H2, 21H2, etc.
+ * Parses Windows version labels into structured values and orders them.
+ *
+ * Understands every label the release tables show:
+ * - 26H1, 25H2, 24H2 ... 20H2 (half-year releases)
+ * - 2004, 1909, 1903 ... 1507 (year-month releases)
+ * - Enterprise LTSC 2024, Enterprise LTSB 2016 (long-term servicing)
+ * - Windows Server 2022, Windows Server 2012 R2
+ * - Decorated labels such as "1607 (RTM)" or "Version 22H2 (OS build 19045)"
+ *
+ *   WindowsVersionSort.parse('Enterprise LTSC 2024')
+ *   // { family: 'windows', year: 2024, half: null, month: null, ltsc: true, server: false,
+ *   //   base: { year: 2024, half: 2, month: null }, raw: 'Enterprise LTSC 2024' }
+ *
+ *   versions.sort(WindowsVersionSort.compare); // oldest first
+ *
+ * LTSC and LTSB releases order by the half-year or year-month release they are built on, right after it:
+ *
+ *   ['22H2', 'Enterprise LTSC 2021', '21H2', '1809', 'Enterprise LTSC 2019'].sort(WindowsVersionSort.compare)
+ *   // ['1809', 'Enterprise LTSC 2019', '21H2', 'Enterprise LTSC 2021', '22H2']
+ *
+ * Registers the DataTables "windows-version" column type on load.
  */
+(function (window, $) {
+    'use strict';
 
-/**
- * Converts a Windows version string to a sortable numeric value
- * Supports formats like:
- * - 25H2, 24H2, 23H2, 22H2, 21H2, 20H2 (H-releases)
- * - 2004, 1909, 1903, 1809, etc. (Year-Month releases)
- * - Enterprise LTSC 2021, Enterprise LTSB 2016, etc. (LTSC releases)
- * 
- * @param {string} version - The version string to convert
- * @returns {number} A numeric value for sorting (higher = newer)
- */
-function getWindowsVersionSortValue(version) {
-    if (!version) return 0;
-    
-    // Remove "Windows 10" or "Windows 11" or "Enterprise" prefixes if present
-    let cleanVersion = version.toLowerCase()
-        .replace(/^windows\s+\d+\s+/i, '')
-        .replace(/^enterprise\s+/i, '')
-        .replace(/^ltsc\s+/i, '')
-        .replace(/^ltsb\s+/i, '')
-        .trim();
-    
-    // Extract the actual version number
-    const match = cleanVersion.match(/(\d+)(h\d|[0-9]+)?/i);
-    if (!match) return 0;
-    
-    const yearOrBase = parseInt(match[1]);
-    const suffix = match[2] ? match[2].toLowerCase() : '';
-    
-    // H-releases (22H2, 23H2, etc.)
-    // These should sort by year first, then by H release
-    // 25H2 > 24H2 > 23H2 > 22H2 > 21H2 > 20H2
-    if (suffix.match(/h\d/)) {
-        const hVersion = parseInt(suffix.substring(1)); // Extract number from 'H2' -> 2
-        // Formula: year * 1000 + hVersion * 100
-        // This ensures 25H2 (25*1000 + 2*100 = 25200) > 24H2 (24200) > etc.
-        return yearOrBase * 1000 + hVersion * 100;
+    // The release each client LTSC/LTSB is built on; later ones order after the second half of their year
+    const LTSC_BASE = {
+        2015: { year: 2015, half: 2, month: 7 },    // 1507
+        2016: { year: 2016, half: 2, month: 7 },    // 1607
+        2019: { year: 2018, half: 2, month: 9 },    // 1809
+        2021: { year: 2021, half: 2, month: null }, // 21H2
+        2024: { year: 2024, half: 2, month: null }  // 24H2
+    };
+
+    /**
+     * Parses a version label
+     * @param {string} version - Version label
+     * @returns {{family: string|null, year: number, half: number|null, month: number|null, ltsc: boolean, server: boolean, base: object|null, raw: string}|null}
+     *   family is 'windows10', 'windows11', 'server' or 'windows' (LTSC without a client number), or null when it
+     *   cannot be told from the label (21H2 and 22H2 shipped for both Windows 10 and 11).
+     *   base is the { year, half, month } a client LTSC/LTSB label orders by, null for every other label.
+     *   Returns null when no version can be found.
+     */
+    function parse(version) {
+        if (version === null || version === undefined) return null;
+
+        const raw = String(version).trim();
+        const text = raw.toLowerCase().replace(/[®™]/g, '');
+        if (!text) return null;
+
+        const server = /\bserver\b/.test(text);
+        const ltsc = /\blts[bc]\b/.test(text);
+
+        let year = null;
+        let half = null;
+        let month = null;
+
+        const halfRelease = text.match(/\b(\d{2})h([12])\b/);
+        const yearMonth = text.match(/\b(1[5-9]|20)(0[1-9]|1[0-2])\b/);
+        const fullYear = text.match(/\b(20\d{2})\b/);
+
+        if (halfRelease) {
+            year = 2000 + Number(halfRelease[1]);
+            half = Number(halfRelease[2]);
+        } else if (fullYear && (server || ltsc || !yearMonth)) {
+            // Server and LTSC labels carry a calendar year ("Server 2012" is not December 2020)
+            year = Number(fullYear[1]);
+            // "2012 R2" shipped the year after 2012; order it as the second half
+            if (/\b20\d{2}\s*r2\b/.test(text)) half = 2;
+        } else if (yearMonth) {
+            year = 2000 + Number(yearMonth[1]);
+            month = Number(yearMonth[2]);
+            half = month <= 6 ? 1 : 2;
+        } else {
+            return null;
+        }
+
+        return {
+            family: detectFamily(text, server, ltsc, year, half, !!halfRelease),
+            year: year,
+            half: half,
+            month: month,
+            ltsc: ltsc,
+            server: server,
+            base: ltsc && !server && half === null ? (LTSC_BASE[year] || { year: year, half: 2, month: null }) : null,
+            raw: raw
+        };
     }
-    
-    // Year-Month releases (2004, 1909, 1903, etc.)
-    // 2004 > 1909 > 1903 > 1809 > etc.
-    if (yearOrBase >= 1000) {
-        return yearOrBase * 100;
+
+    function detectFamily(text, server, ltsc, year, half, isHalfRelease) {
+        if (server) return 'server';
+        if (/windows\s*11\b/.test(text)) return 'windows11';
+        if (/windows\s*10\b/.test(text)) return 'windows10';
+        if (ltsc) return 'windows';
+
+        // Year-month releases and 20H2/21H1 are Windows 10 only; 23H2 onwards is Windows 11 only
+        if (!isHalfRelease || year < 2021 || (year === 2021 && half === 1)) return 'windows10';
+        if (year >= 2023) return 'windows11';
+        return null;
     }
-    
-    // LTSC/LTSB releases (2021, 2019, 2016, etc.)
-    // 2021 > 2019 > 2016
-    if (yearOrBase >= 2000) {
-        return yearOrBase * 100;
+
+    function toParsed(version) {
+        return version && typeof version === 'object' && 'year' in version ? version : parse(version);
     }
-    
-    return yearOrBase;
-}
 
-/**
- * DataTables custom sorting for Windows versions
- * Register this with DataTables like:
- * $.fn.dataTable.ext.type.order['windows-version-pre'] = function(version) {
- *     return getWindowsVersionSortValue(version);
- * };
- */
-if (typeof $ !== 'undefined' && $.fn.dataTable) {
-    $.fn.dataTable.ext.type.order['windows-version-pre'] = function(version) {
-        return getWindowsVersionSortValue(version);
+    // The year, half and month a version orders by
+    function position(parsed) {
+        return parsed.base || parsed;
+    }
+
+    /**
+     * Total-order comparator, oldest first.
+     * Orders by year, half and month (an LTSC by its base release); at equal dates regular releases come
+     * before LTSC and server releases, and identical versions fall back to the raw label so the order is stable.
+     * Unparseable labels sort before every version.
+     * @param {string|object} a - Version label or parse() result
+     * @param {string|object} b - Version label or parse() result
+     * @returns {number} Negative, zero or positive
+     */
+    function compare(a, b) {
+        const pa = toParsed(a);
+        const pb = toParsed(b);
+
+        if (!pa || !pb) {
+            if (pa) return 1;
+            if (pb) return -1;
+            return String(a || '').localeCompare(String(b || ''));
+        }
+
+        const a0 = position(pa);
+        const b0 = position(pb);
+
+        return (a0.year - b0.year)
+            || ((a0.half || 0) - (b0.half || 0))
+            || ((a0.month || 0) - (b0.month || 0))
+            || (Number(pa.ltsc) - Number(pb.ltsc))
+            || (Number(pa.server) - Number(pb.server))
+            || pa.raw.localeCompare(pb.raw);
+    }
+
+    /**
+     * Numeric sort value (higher = newer); -1 when the label cannot be parsed.
+     * Consistent with compare() except for the raw-label tie-break.
+     * @param {string} version - Version label
+     * @returns {number}
+     */
+    function sortValue(version) {
+        const parsed = toParsed(version);
+        if (!parsed) return -1;
+        const at = position(parsed);
+        return at.year * 10000
+            + (at.half || 0) * 1000
+            + (at.month || 0) * 10
+            + (parsed.ltsc ? 1 : 0)
+            + (parsed.server ? 2 : 0);
+    }
+
+    /**
+     * DataTables column type: columns: [{ data: 'version', type: 'windows-version' }]
+     * Renderers should return the plain version for non-display types.
+     */
+    if ($ && $.fn && $.fn.dataTable) {
+        $.fn.dataTable.ext.type.order['windows-version-asc'] = function (a, b) {
+            return compare(a, b);
+        };
+        $.fn.dataTable.ext.type.order['windows-version-desc'] = function (a, b) {
+            return compare(b, a);
+        };
+    }
+
+    window.WindowsVersionSort = {
+        parse: parse,
+        compare: compare,
+        sortValue: sortValue
     };
-}
 
-/**
- * Comparator function for native JavaScript sorting
- * Usage: array.sort((a, b) => compareWindowsVersions(a, b))
- */
-function compareWindowsVersions(version1, version2) {
-    const value1 = getWindowsVersionSortValue(version1);
-    const value2 = getWindowsVersionSortValue(version2);
-    return value2 - value1; // Descending order (newer first)
-}
+    // Previous global API
+    window.getWindowsVersionSortValue = sortValue;
+    window.compareWindowsVersions = function (version1, version2) {
+        return compare(version2, version1); // Descending order (newer first)
+    };
+})(window, window.jQuery);